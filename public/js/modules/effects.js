@@ -21,6 +21,9 @@ let spectrumAnimationFrame = null; // Animation frame ID for spectrum updates
 // Broadcast Channel for syncing effects with player
 const effectsBroadcast = new BroadcastChannel('wabisaby_audio_channel');
 
+// Center frequencies of the parametric EQ bands (matches the server defaults)
+const PARAMETRIC_EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
 /**
  * Fetch current effects settings from server
  */
@@ -90,8 +93,9 @@ function connectEffectsSSE() {
             if (data.type === 'EFFECTS_UPDATE' && data.effects) {
                 const newEffects = data.effects;
                 
-                // Only update if effects have actually changed
-                if (JSON.stringify(newEffects) !== JSON.stringify(currentEffects)) {
+                // Only update if effects or the preset list (user presets) have actually changed
+                const presetsChanged = data.presets && JSON.stringify(data.presets) !== JSON.stringify(effectsPresets);
+                if (JSON.stringify(newEffects) !== JSON.stringify(currentEffects) || presetsChanged) {
                     currentEffects = newEffects;
                     if (data.presets && data.presets.length > 0) {
                         effectsPresets = data.presets;
@@ -118,7 +122,9 @@ function connectEffectsSSE() {
 function updateBackendIndicator() {
     const badge = document.getElementById('effects-active-badge');
     if (badge) {
-        if (effectsSeamless) {
+        if (effectsBackend === 'null') {
+            badge.title = 'Null backend: Simulated playback, no audio output';
+        } else if (effectsSeamless) {
             badge.title = 'MPV backend: Seamless effect changes';
         } else {
             badge.title = 'ffplay backend: Effect changes may cause brief audio gap';
@@ -248,6 +254,15 @@ function updateEffectsUI(effects) {
         updateEQCurve();
     }
 
+    // Parametric EQ and stereo (advanced mode only)
+    updateParametricEQ(effects.parametricEq);
+    updateStereoControls(effects.stereo);
+
+    // Effects without an intensity control
+    ['delay', 'limiter'].forEach(effectName => {
+        updateEffectCard(effectName, effects[effectName]);
+    });
+
     // Update effect cards and intensities
     ['reverb', 'echo', 'distortion', 'compressor'].forEach(effectName => {
         updateEffectCard(effectName, effects[effectName]);
@@ -299,6 +314,109 @@ function updateEQSlider(bandId, value) {
     }
 }
 
+/**
+ * Format a band frequency for display (e.g. 125Hz, 2kHz)
+ */
+function formatFrequency(frequency) {
+    return frequency >= 1000 ? `${frequency / 1000}kHz` : `${frequency}Hz`;
+}
+
+/**
+ * Format a stereo balance value for display (C, L 40%, R 40%)
+ */
+function formatBalance(value) {
+    if (Math.abs(value) < 0.01) return 'C';
+    return `${value < 0 ? 'L' : 'R'} ${Math.round(Math.abs(value) * 100)}%`;
+}
+
+/**
+ * Render the parametric EQ band rows (gain slider + Q per band)
+ */
+function renderParametricEQ() {
+    const container = document.getElementById('parametric-eq-bands');
+    if (!container) return;
+
+    const qTitle = window.i18n?.tSync ? window.i18n.tSync('ui.dashboard.effects.bandQ') : 'Q';
+    container.innerHTML = PARAMETRIC_EQ_FREQUENCIES.map((frequency, index) => `
+        <div class="eq-band-h" data-frequency="${frequency}">
+            <label id="effect-peq-${index}-label">${formatFrequency(frequency)}</label>
+            <input type="range" id="effect-peq-${index}-gain" class="eq-slider-h" min="-20" max="20" step="0.5" value="0">
+            <span class="eq-value-h" id="effect-peq-${index}-gain-value">0</span>
+            <input type="number" id="effect-peq-${index}-q" class="parametric-eq-q" min="0.1" max="10" step="0.1" value="1.41" title="${qTitle}">
+        </div>
+    `).join('');
+}
+
+/**
+ * Update the parametric EQ controls
+ */
+function updateParametricEQ(parametricEq) {
+    if (!parametricEq) return;
+
+    const enabledToggle = document.getElementById('effect-parametricEq-enabled');
+    if (enabledToggle) enabledToggle.checked = parametricEq.enabled;
+
+    const container = document.getElementById('parametric-eq-bands');
+    if (container) container.classList.toggle('disabled', !parametricEq.enabled);
+
+    (parametricEq.bands || []).forEach((band, index) => {
+        const row = container?.children[index];
+        if (row) row.dataset.frequency = band.frequency;
+
+        const label = document.getElementById(`effect-peq-${index}-label`);
+        if (label) label.textContent = formatFrequency(band.frequency);
+
+        const slider = document.getElementById(`effect-peq-${index}-gain`);
+        if (slider) slider.value = band.gain;
+        const valueDisplay = document.getElementById(`effect-peq-${index}-gain-value`);
+        if (valueDisplay) valueDisplay.textContent = `${band.gain > 0 ? '+' : ''}${band.gain}`;
+
+        const qInput = document.getElementById(`effect-peq-${index}-q`);
+        if (qInput && document.activeElement !== qInput) qInput.value = band.q;
+    });
+}
+
+/**
+ * Read the parametric EQ settings from the controls
+ */
+function getParametricEQSettings() {
+    const container = document.getElementById('parametric-eq-bands');
+    const bands = Array.from(container?.children || []).map((row, index) => {
+        const q = parseFloat(document.getElementById(`effect-peq-${index}-q`)?.value);
+        return {
+            frequency: parseFloat(row.dataset.frequency),
+            gain: parseFloat(document.getElementById(`effect-peq-${index}-gain`)?.value || 0),
+            q: Math.min(10, Math.max(0.1, isNaN(q) ? 1.41 : q))
+        };
+    });
+
+    return {
+        enabled: document.getElementById('effect-parametricEq-enabled')?.checked || false,
+        bands
+    };
+}
+
+/**
+ * Update the stereo width and balance sliders
+ */
+function updateStereoControls(stereo) {
+    if (!stereo) return;
+
+    const widthSlider = document.getElementById('effect-stereo-width');
+    const widthValue = document.getElementById('effect-stereo-width-value');
+    if (widthSlider) {
+        widthSlider.value = stereo.width;
+        if (widthValue) widthValue.textContent = `${stereo.width.toFixed(2)}x`;
+    }
+
+    const balanceSlider = document.getElementById('effect-stereo-balance');
+    const balanceValue = document.getElementById('effect-stereo-balance-value');
+    if (balanceSlider) {
+        balanceSlider.value = stereo.balance;
+        if (balanceValue) balanceValue.textContent = formatBalance(stereo.balance);
+    }
+}
+
 /**
  * Update an effect card (toggle + controls)
  */
@@ -339,6 +457,8 @@ function formatEffectValue(effectName, key, value) {
     if (key === 'delay') return `${value}ms`;
     if (key === 'threshold') return `${value}dB`;
     if (key === 'ratio') return `${value}:1`;
+    if (key === 'limit') return `${value}dB`;
+    if (key === 'feedback') return `${Math.round(value * 100)}%`;
     return value.toFixed ? value.toFixed(2) : value;
 }
 
@@ -978,16 +1098,184 @@ function renderEffectsPresets(presets, activePreset) {
     const container = document.getElementById('effects-presets-grid');
     if (!container) return;
 
+    const renameTitle = window.i18n?.tSync('ui.dashboard.effects.renamePreset') || 'Rename preset';
+    const deleteTitle = window.i18n?.tSync('ui.dashboard.effects.deletePreset') || 'Delete preset';
+
+    // User presets can be renamed or deleted; built-ins are read-only
     container.innerHTML = presets.map(preset => `
-        <button class="effects-preset-btn ${preset.id === activePreset ? 'active' : ''}" 
+        <button class="effects-preset-btn ${preset.id === activePreset ? 'active' : ''} ${preset.builtIn === false ? 'user-preset' : ''}" 
                 onclick="applyEffectsPreset('${preset.id}')"
                 data-preset-id="${preset.id}">
             <i class="fas ${preset.icon || 'fa-music'} preset-icon"></i>
-            <span class="preset-name">${preset.name}</span>
+            <span class="preset-name">${escapeHtml(preset.name)}</span>
+            ${preset.builtIn === false ? `
+                <span class="preset-actions">
+                    <span class="preset-action" role="button" title="${renameTitle}"
+                          onclick="event.stopPropagation(); renameEffectsPreset('${preset.id}')">
+                        <i class="fas fa-pen"></i>
+                    </span>
+                    <span class="preset-action danger" role="button" title="${deleteTitle}"
+                          onclick="event.stopPropagation(); deleteEffectsPreset('${preset.id}')">
+                        <i class="fas fa-trash"></i>
+                    </span>
+                </span>
+            ` : ''}
         </button>
     `).join('');
 }
 
+/**
+ * Replace the preset list after a preset was created, renamed, deleted or imported
+ */
+function setEffectsPresets(presets, activePreset) {
+    effectsPresets = presets || [];
+    if (currentEffects && activePreset) {
+        currentEffects.preset = activePreset;
+    }
+    const active = currentEffects?.preset;
+    renderEffectsPresets(effectsPresets, active);
+    updateCurrentPresetDisplay(active);
+}
+
+/**
+ * Save the current effects as a user preset
+ */
+async function saveEffectsPreset() {
+    const promptText = window.i18n?.tSync('ui.dashboard.effects.presetNamePrompt') || 'Preset name';
+    const name = window.prompt(promptText);
+    if (!name || !name.trim()) return;
+
+    try {
+        const response = await fetch('/api/effects/presets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            setEffectsPresets(data.presets, data.current);
+            const savedText = window.i18n?.tSync('ui.dashboard.effects.presetSaved', { name: data.preset.name }) || `Saved preset "${data.preset.name}"`;
+            showNotification(savedText, 'success');
+        } else {
+            showNotification(data.error || 'Failed to save preset', 'error');
+        }
+    } catch (err) {
+        console.error('Failed to save preset:', err);
+        showNotification('Failed to save preset', 'error');
+    }
+}
+
+/**
+ * Rename a user preset
+ */
+async function renameEffectsPreset(presetId) {
+    const preset = effectsPresets.find(p => p.id === presetId);
+    if (!preset) return;
+
+    const promptText = window.i18n?.tSync('ui.dashboard.effects.renamePresetPrompt') || 'New preset name';
+    const name = window.prompt(promptText, preset.name);
+    if (!name || name.trim() === preset.name) return;
+
+    try {
+        const response = await fetch(`/api/effects/presets/${encodeURIComponent(presetId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            setEffectsPresets(data.presets);
+        } else {
+            showNotification(data.error || 'Failed to rename preset', 'error');
+        }
+    } catch (err) {
+        console.error('Failed to rename preset:', err);
+        showNotification('Failed to rename preset', 'error');
+    }
+}
+
+/**
+ * Delete a user preset (after confirmation)
+ */
+function deleteEffectsPreset(presetId) {
+    const preset = effectsPresets.find(p => p.id === presetId);
+    if (!preset) return;
+
+    const deleteTitle = window.i18n?.tSync('ui.dashboard.effects.deletePresetTitle') || 'Delete Preset';
+    const deleteMessage = window.i18n?.tSync('ui.dashboard.effects.deletePresetMessage', { name: preset.name }) || `Are you sure you want to delete "${preset.name}"? This cannot be undone.`;
+
+    showConfirmationModal({
+        title: deleteTitle,
+        message: deleteMessage,
+        icon: 'fa-trash',
+        onConfirm: async () => {
+            try {
+                const response = await fetch(`/api/effects/presets/${encodeURIComponent(presetId)}`, {
+                    method: 'DELETE'
+                });
+                const data = await response.json();
+
+                if (response.ok) {
+                    setEffectsPresets(data.presets, data.current);
+                } else {
+                    showNotification(data.error || 'Failed to delete preset', 'error');
+                }
+            } catch (err) {
+                console.error('Failed to delete preset:', err);
+                showNotification('Failed to delete preset', 'error');
+            }
+        }
+    });
+}
+
+/**
+ * Download all user presets as a JSON file
+ */
+function exportEffectsPresets() {
+    const link = document.createElement('a');
+    link.href = '/api/effects/presets/export';
+    link.download = 'wabisaby-effect-presets.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+/**
+ * Import presets from a JSON file exported by this or another WabiSaby
+ */
+async function importEffectsPresets(file) {
+    let payload;
+    try {
+        payload = JSON.parse(await file.text());
+    } catch (err) {
+        showNotification(window.i18n?.tSync('ui.dashboard.effects.invalidPresetFile') || 'Invalid preset file', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/effects/presets/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            setEffectsPresets(data.presets);
+            const count = data.imported.length;
+            const importedText = window.i18n?.tSync('ui.dashboard.effects.presetsImported', { count }) || `Imported ${count} presets`;
+            showNotification(importedText, 'success');
+        } else {
+            showNotification(data.error || 'Failed to import presets', 'error');
+        }
+    } catch (err) {
+        console.error('Failed to import presets:', err);
+        showNotification('Failed to import presets', 'error');
+    }
+}
+
 /**
  * Highlight active preset
  */
@@ -1164,6 +1452,61 @@ function initEffectsListeners() {
         }
     });
 
+    // Parametric EQ (advanced mode only)
+    renderParametricEQ();
+    const parametricToggle = document.getElementById('effect-parametricEq-enabled');
+    if (parametricToggle) {
+        parametricToggle.addEventListener('change', () => {
+            document.getElementById('parametric-eq-bands')?.classList.toggle('disabled', !parametricToggle.checked);
+            debouncedEffectsUpdate({ parametricEq: getParametricEQSettings() });
+        });
+    }
+    PARAMETRIC_EQ_FREQUENCIES.forEach((_, index) => {
+        const slider = document.getElementById(`effect-peq-${index}-gain`);
+        const valueDisplay = document.getElementById(`effect-peq-${index}-gain-value`);
+        if (slider) {
+            slider.addEventListener('input', () => {
+                const val = parseFloat(slider.value);
+                if (valueDisplay) valueDisplay.textContent = `${val > 0 ? '+' : ''}${val}`;
+            });
+            slider.addEventListener('change', () => {
+                debouncedEffectsUpdate({ parametricEq: getParametricEQSettings() });
+            });
+        }
+        const qInput = document.getElementById(`effect-peq-${index}-q`);
+        if (qInput) {
+            qInput.addEventListener('change', () => {
+                debouncedEffectsUpdate({ parametricEq: getParametricEQSettings() });
+            });
+        }
+    });
+
+    // Stereo sliders (advanced mode only)
+    const widthSlider = document.getElementById('effect-stereo-width');
+    const balanceSlider = document.getElementById('effect-stereo-balance');
+    const getStereoSettings = () => ({
+        width: parseFloat(widthSlider?.value ?? 1),
+        balance: parseFloat(balanceSlider?.value ?? 0)
+    });
+    if (widthSlider) {
+        widthSlider.addEventListener('input', () => {
+            const widthValue = document.getElementById('effect-stereo-width-value');
+            if (widthValue) widthValue.textContent = `${parseFloat(widthSlider.value).toFixed(2)}x`;
+        });
+        widthSlider.addEventListener('change', () => {
+            debouncedEffectsUpdate({ stereo: getStereoSettings() });
+        });
+    }
+    if (balanceSlider) {
+        balanceSlider.addEventListener('input', () => {
+            const balanceValue = document.getElementById('effect-stereo-balance-value');
+            if (balanceValue) balanceValue.textContent = formatBalance(parseFloat(balanceSlider.value));
+        });
+        balanceSlider.addEventListener('change', () => {
+            debouncedEffectsUpdate({ stereo: getStereoSettings() });
+        });
+    }
+
     // Quick adjustment buttons
     document.querySelector('.effects-quick-adjustments')?.addEventListener('click', (e) => {
         if (e.target.closest('.quick-adjust-btn')) {
@@ -1208,6 +1551,21 @@ function initEffectsListeners() {
     initEffectCardListeners('echo', ['delay', 'decay']);
     initEffectCardListeners('distortion', ['drive']);
     initEffectCardListeners('compressor', ['threshold', 'ratio']);
+    initEffectCardListeners('delay', ['delay', 'feedback']);
+    initEffectCardListeners('limiter', ['limit']);
+
+    // User preset buttons
+    document.getElementById('effects-preset-save')?.addEventListener('click', saveEffectsPreset);
+    document.getElementById('effects-preset-export')?.addEventListener('click', exportEffectsPresets);
+    const importInput = document.getElementById('effects-preset-import-file');
+    document.getElementById('effects-preset-import')?.addEventListener('click', () => importInput?.click());
+    if (importInput) {
+        importInput.addEventListener('change', () => {
+            const file = importInput.files?.[0];
+            if (file) importEffectsPresets(file);
+            importInput.value = '';
+        });
+    }
 
     // Reset all button
     const resetBtn = document.getElementById('effects-reset-all');
@@ -1232,5 +1590,7 @@ function initEffectsListeners() {
 
 // Make functions globally available
 window.applyEffectsPreset = applyEffectsPreset;
+window.renameEffectsPreset = renameEffectsPreset;
+window.deleteEffectsPreset = deleteEffectsPreset;
 window.resetAllEffects = resetAllEffects;
 
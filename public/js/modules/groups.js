@@ -80,6 +80,10 @@ async function loadGroups() {
                                         <i class="fas fa-calendar-plus"></i>
                                         <span>${addedDate}</span>
                                     </span>
+                                    <span class="groups-card-prefix" title="Command prefix">
+                                        <i class="fas fa-terminal"></i>
+                                        <span>${escapeHtml(group.commandPrefix || '!')}</span>
+                                    </span>
                                 </div>
                             </div>
                         </div>
@@ -88,6 +92,10 @@ async function loadGroups() {
                                 <i class="fas fa-pencil-alt"></i>
                                 <span>Edit</span>
                             </button>
+                            <button type="button" class="groups-action-btn groups-action-edit groups-action-commands" onclick="toggleGroupCommands('${group.id}')" title="Command prefix and aliases">
+                                <i class="fas fa-terminal"></i>
+                                <span>Commands</span>
+                            </button>
                             <button type="button" class="groups-action-btn groups-action-save" onclick="saveGroupName('${group.id}')" style="display: none;" title="Save changes">
                                 <i class="fas fa-check"></i>
                                 <span>Save</span>
@@ -101,6 +109,32 @@ async function loadGroups() {
                                 <span>Remove</span>
                             </button>
                         </div>
+                        <div class="groups-card-commands" style="display: none;">
+                            <label class="groups-commands-field">
+                                <span>Prefix</span>
+                                <input type="text" class="groups-commands-prefix" value="${escapeHtml(group.commandPrefix || '')}" maxlength="3" placeholder="!">
+                            </label>
+                            <label class="groups-commands-field">
+                                <span>Aliases (one per line: alias = command)</span>
+                                <textarea class="groups-commands-aliases" rows="3" placeholder="tocar = play">${escapeHtml(formatCommandAliases(group.commandAliases))}</textarea>
+                            </label>
+                            <label class="groups-commands-toggle">
+                                <input type="checkbox" class="groups-nl-enabled" ${group.naturalLanguage?.enabled ? 'checked' : ''}>
+                                <span>Natural-language mode (pasted links and @mentions)</span>
+                            </label>
+                            <div class="groups-nl-intents">
+                                ${NATURAL_LANGUAGE_INTENTS.map(intent => `
+                                    <label class="groups-commands-toggle">
+                                        <input type="checkbox" class="groups-nl-intent" value="${intent}" ${group.naturalLanguage?.intents?.includes(intent) ? 'checked' : ''}>
+                                        <span>${intent}</span>
+                                    </label>
+                                `).join('')}
+                            </div>
+                            <button type="button" class="groups-action-btn groups-action-save" onclick="saveGroupCommands('${group.id}')" title="Save command settings">
+                                <i class="fas fa-check"></i>
+                                <span>Save</span>
+                            </button>
+                        </div>
                     </div>
                 `;
             }).join('');
@@ -573,6 +607,95 @@ window.cancelEditGroup = function(groupId) {
 };
 
 // Make functions globally available
+// Intents a group can allow in natural-language mode
+const NATURAL_LANGUAGE_INTENTS = ['play', 'skip', 'queue'];
+
+/**
+ * Format an alias map as "alias = command" lines for the editor
+ * @param {Object} aliases - Alias map
+ * @returns {string} Editor text
+ */
+function formatCommandAliases(aliases) {
+    return Object.entries(aliases || {})
+        .map(([alias, command]) => `${alias} = ${command}`)
+        .join('\n');
+}
+
+/**
+ * Parse "alias = command" lines from the editor
+ * @param {string} text - Editor text
+ * @returns {Object|null} Alias map, or null if a line is malformed
+ */
+function parseCommandAliases(text) {
+    const aliases = {};
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    for (const line of lines) {
+        const [alias, command, ...rest] = line.split('=').map(part => part.trim());
+        if (!alias || !command || rest.length > 0) {
+            return null;
+        }
+        aliases[alias] = command;
+    }
+    return aliases;
+}
+
+window.toggleGroupCommands = function(groupId) {
+    const card = document.querySelector(`.groups-card[data-group-id="${groupId}"]`);
+    const section = card?.querySelector('.groups-card-commands');
+    if (!section) return;
+    
+    section.style.display = section.style.display === 'none' ? '' : 'none';
+};
+
+window.saveGroupCommands = async function(groupId) {
+    const card = document.querySelector(`.groups-card[data-group-id="${groupId}"]`);
+    if (!card) return;
+    
+    const prefixInput = card.querySelector('.groups-commands-prefix');
+    const aliasesInput = card.querySelector('.groups-commands-aliases');
+    const aliases = parseCommandAliases(aliasesInput.value);
+    
+    if (!aliases) {
+        showNotification('Each alias line must look like "alias = command"', 'error');
+        aliasesInput.focus();
+        return;
+    }
+    
+    const naturalLanguage = {
+        enabled: card.querySelector('.groups-nl-enabled').checked,
+        intents: Array.from(card.querySelectorAll('.groups-nl-intent:checked')).map(input => input.value)
+    };
+    
+    try {
+        const res = await fetch(`/api/groups/${encodeURIComponent(groupId)}/commands`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prefix: prefixInput.value.trim() || null, aliases })
+        });
+        
+        let data = await res.json();
+        
+        if (data.success) {
+            const nlRes = await fetch(`/api/groups/${encodeURIComponent(groupId)}/natural-language`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(naturalLanguage)
+            });
+            data = await nlRes.json();
+        }
+        
+        if (data.success) {
+            await loadGroups();
+            showNotification('Command settings updated successfully', 'success');
+        } else {
+            showNotification(data.error || 'Failed to update command settings', 'error');
+        }
+    } catch (error) {
+        console.error('Error updating group command settings:', error);
+        showNotification('Failed to update command settings. Please try again.', 'error');
+    }
+};
+
 window.confirmGroup = confirmGroup;
 window.rejectGroup = rejectGroup;
 window.stopPendingConfirmationsPolling = stopPendingConfirmationsPolling;
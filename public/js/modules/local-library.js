@@ -0,0 +1,149 @@
+/**
+ * Local Library Module
+ * Browses and searches the local music folders and adds their tracks to the queue
+ */
+
+const LOCAL_LIBRARY_PAGE_SIZE = 50;
+const LOCAL_LIBRARY_SEARCH_DELAY_MS = 300;
+
+let localLibraryQuery = '';
+let localLibraryTracks = [];
+let localLibrarySearchTimer = null;
+
+async function loadLocalTracks(append = false) {
+    const section = document.getElementById('local-library');
+    const list = document.getElementById('local-library-list');
+    const countEl = document.getElementById('local-library-count');
+    const moreBtn = document.getElementById('local-library-more-btn');
+
+    if (!section || !list) return;
+
+    const offset = append ? localLibraryTracks.length : 0;
+    const params = new URLSearchParams({ q: localLibraryQuery, limit: LOCAL_LIBRARY_PAGE_SIZE, offset });
+
+    try {
+        const res = await fetch(`/api/local-library?${params}`);
+        if (!res.ok) throw new Error('Failed to fetch local library');
+
+        const data = await res.json();
+
+        // The panel only shows when music folders are configured
+        section.hidden = !data.status.enabled;
+        if (!data.status.enabled) return;
+
+        localLibraryTracks = append ? localLibraryTracks.concat(data.tracks) : data.tracks;
+        if (countEl) {
+            countEl.textContent = data.status.tracks;
+        }
+        if (moreBtn) {
+            moreBtn.hidden = localLibraryTracks.length >= data.total;
+        }
+
+        if (localLibraryTracks.length === 0) {
+            const emptyKey = data.status.scanning ? 'ui.dashboard.localLibrary.scanning'
+                : (localLibraryQuery ? 'ui.dashboard.localLibrary.noResults' : 'ui.dashboard.localLibrary.empty');
+            const emptyText = window.i18n?.tSync(emptyKey) || 'No tracks found';
+            list.innerHTML = `<li class="playlist-items-empty">${emptyText}</li>`;
+            return;
+        }
+
+        const addTitle = window.i18n?.tSync('ui.dashboard.localLibrary.addToQueue') || 'Add to queue';
+        list.innerHTML = localLibraryTracks.map(track => {
+            const meta = [track.artist, track.album].filter(Boolean).join(' · ');
+            const art = track.artUrl
+                ? `<img class="local-track-art" src="${escapeHtml(track.artUrl)}" alt="" loading="lazy">`
+                : '<div class="local-track-art"><i class="fas fa-music"></i></div>';
+            return `
+                <li class="local-track">
+                    ${art}
+                    <div class="local-track-info">
+                        <div class="local-track-title">${escapeHtml(track.title)}</div>
+                        <div class="local-track-meta">${escapeHtml(meta)}</div>
+                    </div>
+                    <span class="local-track-duration">${track.duration ? formatTime(track.duration) : ''}</span>
+                    <button type="button" class="cyber-btn primary small" onclick="addLocalTrack(${track.id}, this)" title="${addTitle}">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading local library:', error);
+        list.innerHTML = '<li class="playlist-items-empty">Failed to load local library</li>';
+    }
+}
+
+window.addLocalTrack = async function(trackId, btn) {
+    const requester = document.getElementById('requester-name')?.value || undefined;
+    if (btn) btn.disabled = true;
+
+    try {
+        const res = await fetch(`/api/local-library/${trackId}/queue`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ requester, lang: window.i18n?.getLanguage() })
+        });
+        const data = await res.json();
+
+        if (data.success) {
+            const addedText = window.i18n?.tSync('ui.dashboard.queue.notifications.added', { title: data.title }) || `ADDED: ${data.title}`;
+            showNotification(addedText, 'success');
+            if (typeof fetchData === 'function') {
+                fetchData();
+            }
+        } else {
+            // Quota rejections come with a localized message
+            showNotification(data.message || data.error || 'Failed to add track', 'error');
+        }
+    } catch (error) {
+        console.error('Error adding local track:', error);
+        showNotification('Failed to add track', 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+};
+
+window.loadMoreLocalTracks = function() {
+    loadLocalTracks(true);
+};
+
+window.scanLocalLibrary = async function() {
+    const btn = document.getElementById('local-library-scan-btn');
+    const icon = btn?.querySelector('i');
+    if (btn) btn.disabled = true;
+    icon?.classList.add('fa-spin');
+
+    try {
+        const res = await fetch('/api/local-library/scan', { method: 'POST' });
+        const data = await res.json();
+
+        if (data.success) {
+            const scannedText = window.i18n?.tSync('ui.dashboard.localLibrary.scanned', {
+                tracks: data.tracks,
+                added: data.added,
+                removed: data.removed
+            }) || `${data.tracks} tracks (${data.added} added, ${data.removed} removed)`;
+            showNotification(scannedText, 'success');
+            await loadLocalTracks();
+        } else {
+            showNotification(data.error || 'Failed to scan local library', 'error');
+        }
+    } catch (error) {
+        console.error('Error scanning local library:', error);
+        showNotification('Failed to scan local library', 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+        icon?.classList.remove('fa-spin');
+    }
+};
+
+document.getElementById('local-library-search')?.addEventListener('input', (e) => {
+    clearTimeout(localLibrarySearchTimer);
+    localLibrarySearchTimer = setTimeout(() => {
+        localLibraryQuery = e.target.value.trim();
+        loadLocalTracks();
+    }, LOCAL_LIBRARY_SEARCH_DELAY_MS);
+});
+
+// Initial load (hides the panel when no music folders are configured)
+loadLocalTracks();
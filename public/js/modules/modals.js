@@ -121,6 +121,7 @@ function openAddTrackModal() {
     if (modal) {
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
+        loadAddTrackPresets();
         // Focus the input field
         setTimeout(() => {
             const input = document.getElementById('song-url');
@@ -129,6 +130,31 @@ function openAddTrackModal() {
     }
 }
 
+/**
+ * Fill the add track effects select with the available presets
+ * The first option (empty value) keeps the global effects for the track.
+ */
+async function loadAddTrackPresets() {
+    const select = document.getElementById('song-effects-preset');
+    if (!select) return;
+
+    try {
+        const response = await fetch('/api/effects/presets');
+        if (!response.ok) return;
+        const data = await response.json();
+
+        const selected = select.value;
+        const globalText = window.i18n?.tSync('ui.dashboard.modals.addTrack.globalEffects') || 'Current effects';
+        select.innerHTML = `<option value="">${escapeHtml(globalText)}</option>` +
+            (data.presets || []).map(preset =>
+                `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)}</option>`
+            ).join('');
+        select.value = (data.presets || []).some(preset => preset.id === selected) ? selected : '';
+    } catch (error) {
+        console.error('Error loading effect presets:', error);
+    }
+}
+
 function closeAddTrackModal() {
     const modal = document.getElementById('add-track-modal');
     if (modal) {
@@ -0,0 +1,267 @@
+/**
+ * Saved Playlists Module
+ * Handles saving the queue as a playlist, loading, renaming, deleting and reordering items
+ */
+
+let expandedPlaylistId = null;
+
+async function loadPlaylists() {
+    const container = document.getElementById('playlists-list');
+    const countEl = document.getElementById('playlists-count');
+
+    if (!container) return;
+
+    try {
+        const res = await fetch('/api/playlists');
+        if (!res.ok) throw new Error('Failed to fetch playlists');
+
+        const data = await res.json();
+        const playlists = data.playlists || [];
+
+        if (countEl) {
+            countEl.textContent = playlists.length;
+        }
+
+        if (playlists.length === 0) {
+            const emptyText = window.i18n?.tSync('ui.dashboard.settings.playlists.empty') || 'No saved playlists yet';
+            container.innerHTML = `<div class="groups-empty"><span>${emptyText}</span></div>`;
+            return;
+        }
+
+        const tracksLabel = window.i18n?.tSync('ui.dashboard.settings.playlists.tracks') || 'tracks';
+        container.innerHTML = playlists.map(playlist => {
+            const updatedDate = playlist.updatedAt ? new Date(playlist.updatedAt * 1000).toLocaleDateString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                year: 'numeric'
+            }) : 'Unknown';
+            const isExpanded = expandedPlaylistId === playlist.id;
+            return `
+                <div class="groups-card" data-playlist-id="${playlist.id}">
+                    <div class="groups-card-header">
+                        <div class="groups-card-icon">
+                            <i class="fas fa-list"></i>
+                        </div>
+                        <div class="groups-card-content">
+                            <div class="groups-card-name-display">${escapeHtml(playlist.name)}</div>
+                            <div class="groups-card-meta">
+                                <span class="groups-card-id">
+                                    <i class="fas fa-music"></i>
+                                    <span>${playlist.itemCount} ${tracksLabel}</span>
+                                </span>
+                                <span class="groups-card-date">
+                                    <i class="fas fa-calendar-check"></i>
+                                    <span>${updatedDate}</span>
+                                </span>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="groups-card-actions">
+                        <button type="button" class="groups-action-btn groups-action-save" onclick="loadPlaylistIntoQueue('${playlist.id}')" title="Add to queue">
+                            <i class="fas fa-play"></i>
+                            <span>Load</span>
+                        </button>
+                        <button type="button" class="groups-action-btn groups-action-edit" onclick="togglePlaylistItems('${playlist.id}')" title="Show tracks">
+                            <i class="fas fa-chevron-${isExpanded ? 'up' : 'down'}"></i>
+                            <span>Tracks</span>
+                        </button>
+                        <button type="button" class="groups-action-btn groups-action-edit" onclick="renamePlaylist('${playlist.id}')" title="Rename">
+                            <i class="fas fa-pencil-alt"></i>
+                            <span>Rename</span>
+                        </button>
+                        <button type="button" class="groups-action-btn groups-action-remove" onclick="deletePlaylist('${playlist.id}')" title="Delete playlist">
+                            <i class="fas fa-trash-alt"></i>
+                            <span>Delete</span>
+                        </button>
+                    </div>
+                    ${isExpanded ? renderPlaylistItems(playlist) : ''}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading playlists:', error);
+        container.innerHTML = '<div class="groups-error"><i class="fas fa-exclamation-triangle"></i><span>Failed to load playlists</span></div>';
+    }
+}
+
+function renderPlaylistItems(playlist) {
+    if (playlist.items.length === 0) {
+        const emptyText = window.i18n?.tSync('ui.dashboard.settings.playlists.noTracks') || 'This playlist has no tracks';
+        return `<div class="playlist-items"><div class="playlist-items-empty">${emptyText}</div></div>`;
+    }
+
+    const lastIndex = playlist.items.length - 1;
+    return `
+        <ol class="playlist-items">
+            ${playlist.items.map((item, index) => `
+                <li class="playlist-item">
+                    <span class="playlist-item-title">${escapeHtml(item.artist ? `${item.artist} - ${item.title}` : item.title)}</span>
+                    <span class="playlist-item-actions">
+                        <button type="button" onclick="movePlaylistItem('${playlist.id}', ${index}, ${index - 1})" ${index === 0 ? 'disabled' : ''} title="Move up">
+                            <i class="fas fa-arrow-up"></i>
+                        </button>
+                        <button type="button" onclick="movePlaylistItem('${playlist.id}', ${index}, ${index + 1})" ${index === lastIndex ? 'disabled' : ''} title="Move down">
+                            <i class="fas fa-arrow-down"></i>
+                        </button>
+                        <button type="button" onclick="removePlaylistItem('${playlist.id}', ${item.id})" title="Remove track">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </span>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+async function saveQueueAsPlaylist(name) {
+    try {
+        const res = await fetch('/api/playlists', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, fromQueue: true })
+        });
+        const data = await res.json();
+
+        if (data.success) {
+            const savedText = window.i18n?.tSync('ui.dashboard.settings.playlists.saved', { name: data.playlist.name }) || `Saved "${data.playlist.name}"`;
+            showNotification(savedText, 'success');
+            await loadPlaylists();
+        } else {
+            showNotification(data.error || 'Failed to save playlist', 'error');
+        }
+    } catch (error) {
+        console.error('Error saving playlist:', error);
+        showNotification('Failed to save playlist', 'error');
+    }
+}
+
+window.loadPlaylistIntoQueue = async function(playlistId) {
+    try {
+        const res = await fetch(`/api/playlists/${encodeURIComponent(playlistId)}/load`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ lang: window.i18n?.getLanguage() })
+        });
+        const data = await res.json();
+
+        if (data.success) {
+            const loadedText = window.i18n?.tSync('ui.dashboard.settings.playlists.loaded', { count: data.added }) || `Added ${data.added} tracks to queue`;
+            showNotification(loadedText, 'success');
+            // Loading stops early when a queue quota is reached
+            if (data.quota) {
+                showNotification(data.quota.message, 'error');
+            }
+            if (typeof fetchData === 'function') {
+                fetchData();
+            }
+        } else {
+            showNotification(data.error || 'Failed to load playlist', 'error');
+        }
+    } catch (error) {
+        console.error('Error loading playlist into queue:', error);
+        showNotification('Failed to load playlist', 'error');
+    }
+};
+
+window.togglePlaylistItems = function(playlistId) {
+    expandedPlaylistId = expandedPlaylistId === playlistId ? null : playlistId;
+    loadPlaylists();
+};
+
+window.renamePlaylist = async function(playlistId) {
+    const card = document.querySelector(`.groups-card[data-playlist-id="${playlistId}"]`);
+    const currentName = card?.querySelector('.groups-card-name-display')?.textContent.trim() || '';
+    const promptText = window.i18n?.tSync('ui.dashboard.settings.playlists.renamePrompt') || 'New playlist name';
+    const newName = window.prompt(promptText, currentName);
+
+    if (!newName || newName.trim() === currentName) return;
+
+    try {
+        const res = await fetch(`/api/playlists/${encodeURIComponent(playlistId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: newName.trim() })
+        });
+        const data = await res.json();
+
+        if (data.success) {
+            await loadPlaylists();
+        } else {
+            showNotification(data.error || 'Failed to rename playlist', 'error');
+        }
+    } catch (error) {
+        console.error('Error renaming playlist:', error);
+        showNotification('Failed to rename playlist', 'error');
+    }
+};
+
+window.deletePlaylist = function(playlistId) {
+    const card = document.querySelector(`.groups-card[data-playlist-id="${playlistId}"]`);
+    const name = card?.querySelector('.groups-card-name-display')?.textContent.trim() || playlistId;
+    const deleteTitle = window.i18n?.tSync('ui.dashboard.settings.playlists.deleteTitle') || 'Delete Playlist';
+    const deleteMessage = window.i18n?.tSync('ui.dashboard.settings.playlists.deleteMessage', { name }) || `Are you sure you want to delete "${name}"? This cannot be undone.`;
+
+    showConfirmationModal({
+        title: deleteTitle,
+        message: deleteMessage,
+        icon: 'fa-trash',
+        onConfirm: async () => {
+            try {
+                const res = await fetch(`/api/playlists/${encodeURIComponent(playlistId)}`, {
+                    method: 'DELETE'
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    if (expandedPlaylistId === playlistId) {
+                        expandedPlaylistId = null;
+                    }
+                    await loadPlaylists();
+                } else {
+                    showNotification(data.error || 'Failed to delete playlist', 'error');
+                }
+            } catch (error) {
+                console.error('Error deleting playlist:', error);
+                showNotification('Failed to delete playlist', 'error');
+            }
+        }
+    });
+};
+
+window.movePlaylistItem = async function(playlistId, fromIndex, toIndex) {
+    try {
+        const res = await fetch(`/api/playlists/${encodeURIComponent(playlistId)}/items/reorder`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fromIndex, toIndex })
+        });
+        const data = await res.json();
+
+        if (data.success) {
+            await loadPlaylists();
+        } else {
+            showNotification(data.error || 'Failed to reorder playlist', 'error');
+        }
+    } catch (error) {
+        console.error('Error reordering playlist:', error);
+        showNotification('Failed to reorder playlist', 'error');
+    }
+};
+
+window.removePlaylistItem = async function(playlistId, itemId) {
+    try {
+        const res = await fetch(`/api/playlists/${encodeURIComponent(playlistId)}/items/${itemId}`, {
+            method: 'DELETE'
+        });
+        const data = await res.json();
+
+        if (data.success) {
+            await loadPlaylists();
+        } else {
+            showNotification(data.error || 'Failed to remove track', 'error');
+        }
+    } catch (error) {
+        console.error('Error removing playlist item:', error);
+        showNotification('Failed to remove track', 'error');
+    }
+};
@@ -11,10 +11,12 @@ async function addSong(e) {
     e.preventDefault();
     const urlInput = document.getElementById('song-url');
     const requesterInput = document.getElementById('requester-name');
+    const presetSelect = document.getElementById('song-effects-preset');
     const btn = e.target.querySelector('button');
     
     const url = urlInput.value;
     const requester = requesterInput.value;
+    const effectsPreset = presetSelect?.value || null;
 
     const originalBtnContent = btn.innerHTML;
     const addingText = window.i18n?.tSync('ui.dashboard.queue.notifications.adding') || 'Adding...';
@@ -25,17 +27,22 @@ async function addSong(e) {
         const response = await fetch('/api/queue/add', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ url, requester })
+            body: JSON.stringify({ url, requester, effectsPreset, lang: window.i18n?.getLanguage() })
         });
         
         if (response.ok) {
             const data = await response.json();
             urlInput.value = '';
+            if (presetSelect) presetSelect.value = '';
             const addedText = window.i18n?.tSync('ui.dashboard.queue.notifications.added', { title: data.title || 'TRACK' }) || `ADDED: ${data.title || 'TRACK'}`;
             showNotification(addedText, 'success');
             fetchData();
             // Close the modal after successful add
             closeAddTrackModal();
+        } else if (response.status === 429) {
+            // Rejected by a queue quota - the server sends a localized reason
+            const data = await response.json();
+            showNotification(data.message, 'error');
         } else {
             const failedText = window.i18n?.tSync('ui.dashboard.queue.notifications.failedToAdd') || 'FAILED TO ADD';
             showNotification(failedText, 'error');
@@ -0,0 +1,339 @@
+/**
+ * Schedule Module
+ * Handles schedule rules (volume caps, effect presets, quiet hours) and the active profile indicator
+ */
+
+const SCHEDULE_DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SCHEDULE_TYPE_ICONS = {
+    volume: 'fa-volume-down',
+    preset: 'fa-sliders-h',
+    quiet: 'fa-moon'
+};
+
+let scheduleRules = [];
+let schedulePresets = [];
+let lastScheduleVolumeCap = null;
+
+async function loadScheduleRules() {
+    const container = document.getElementById('schedule-rules-list');
+    const countEl = document.getElementById('schedule-rules-count');
+
+    if (!container) return;
+
+    try {
+        const [rulesRes, presetsRes] = await Promise.all([
+            fetch('/api/schedule/rules'),
+            fetch('/api/effects/presets')
+        ]);
+        if (!rulesRes.ok) throw new Error('Failed to fetch schedule rules');
+
+        const data = await rulesRes.json();
+        scheduleRules = data.rules || [];
+        if (presetsRes.ok) {
+            schedulePresets = (await presetsRes.json()).presets || [];
+            renderSchedulePresetOptions();
+        }
+        updateScheduleUI(data.status);
+
+        if (countEl) {
+            countEl.textContent = scheduleRules.length;
+        }
+
+        if (scheduleRules.length === 0) {
+            const emptyText = window.i18n?.tSync('ui.dashboard.settings.schedule.empty') || 'No rules yet';
+            container.innerHTML = `<div class="groups-empty"><span>${emptyText}</span></div>`;
+            return;
+        }
+
+        container.innerHTML = scheduleRules.map(renderScheduleRule).join('');
+    } catch (error) {
+        console.error('Error loading schedule rules:', error);
+        container.innerHTML = '<div class="groups-error"><i class="fas fa-exclamation-triangle"></i><span>Failed to load rules</span></div>';
+    }
+}
+
+/**
+ * Describe what a rule does, e.g. "Volume ≤ 30%"
+ */
+function describeScheduleAction(rule) {
+    if (rule.type === 'volume') {
+        return window.i18n?.tSync('ui.dashboard.settings.schedule.volumeAction', { volume: rule.value }) || `Volume ≤ ${rule.value}%`;
+    }
+    if (rule.type === 'preset') {
+        const preset = schedulePresets.find(p => p.id === rule.value);
+        const name = preset ? preset.name : rule.value;
+        return window.i18n?.tSync('ui.dashboard.settings.schedule.presetAction', { preset: name }) || `Preset: ${name}`;
+    }
+    return window.i18n?.tSync('ui.dashboard.settings.schedule.quietAction') || 'Only VIPs can add songs';
+}
+
+/**
+ * Describe when a rule applies, e.g. "Mon, Tue · 12:00–14:00"
+ */
+function describeScheduleWindow(rule) {
+    const days = rule.days.length === 0
+        ? (window.i18n?.tSync('ui.dashboard.settings.schedule.everyDay') || 'Every day')
+        : rule.days.map(day => window.i18n?.tSync(`ui.dashboard.settings.schedule.days.${SCHEDULE_DAY_KEYS[day]}`) || SCHEDULE_DAY_KEYS[day]).join(', ');
+    const time = rule.startTime === rule.endTime
+        ? (window.i18n?.tSync('ui.dashboard.settings.schedule.allDay') || 'All day')
+        : `${rule.startTime}–${rule.endTime}`;
+    return `${days} · ${time}`;
+}
+
+function renderScheduleRule(rule) {
+    const activeText = window.i18n?.tSync('ui.dashboard.settings.schedule.activeNow') || 'Active now';
+    const toggleText = rule.enabled
+        ? (window.i18n?.tSync('ui.dashboard.settings.schedule.disable') || 'Disable')
+        : (window.i18n?.tSync('ui.dashboard.settings.schedule.enable') || 'Enable');
+    return `
+        <div class="groups-card ${rule.enabled ? '' : 'schedule-rule-disabled'}" data-rule-id="${rule.id}">
+            <div class="groups-card-header">
+                <div class="groups-card-icon">
+                    <i class="fas ${SCHEDULE_TYPE_ICONS[rule.type] || 'fa-clock'}"></i>
+                </div>
+                <div class="groups-card-content">
+                    <div class="groups-card-name-display">${escapeHtml(rule.name)}</div>
+                    <div class="groups-card-meta">
+                        <span class="groups-card-id">
+                            <i class="fas fa-bolt"></i>
+                            <span>${escapeHtml(describeScheduleAction(rule))}</span>
+                        </span>
+                        <span class="groups-card-date">
+                            <i class="fas fa-clock"></i>
+                            <span>${escapeHtml(describeScheduleWindow(rule))}</span>
+                        </span>
+                        ${rule.active ? `<span class="schedule-rule-active">${activeText}</span>` : ''}
+                    </div>
+                </div>
+            </div>
+            <div class="groups-card-actions">
+                <button type="button" class="groups-action-btn groups-action-edit" onclick="toggleScheduleRule(${rule.id})">
+                    <i class="fas fa-${rule.enabled ? 'pause' : 'play'}"></i>
+                    <span>${toggleText}</span>
+                </button>
+                <button type="button" class="groups-action-btn groups-action-edit" onclick="editScheduleRule(${rule.id})" title="Edit">
+                    <i class="fas fa-pencil-alt"></i>
+                    <span>Edit</span>
+                </button>
+                <button type="button" class="groups-action-btn groups-action-remove" onclick="deleteScheduleRule(${rule.id})" title="Delete rule">
+                    <i class="fas fa-trash-alt"></i>
+                    <span>Delete</span>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+function renderSchedulePresetOptions() {
+    const select = document.getElementById('schedule-rule-preset');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = schedulePresets
+        .map(preset => `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)}</option>`)
+        .join('');
+    if (schedulePresets.some(preset => preset.id === selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Show the value field that matches the selected rule type
+ */
+function updateScheduleValueField() {
+    const type = document.getElementById('schedule-rule-type')?.value;
+    const volumeRow = document.getElementById('schedule-rule-volume-row');
+    const presetRow = document.getElementById('schedule-rule-preset-row');
+    if (volumeRow) volumeRow.hidden = type !== 'volume';
+    if (presetRow) presetRow.hidden = type !== 'preset';
+}
+
+function resetScheduleForm() {
+    const form = document.getElementById('schedule-rule-form');
+    if (!form) return;
+
+    form.reset();
+    document.getElementById('schedule-rule-id').value = '';
+    document.getElementById('schedule-rule-cancel').hidden = true;
+    const submitLabel = document.querySelector('#schedule-rule-submit span');
+    if (submitLabel) {
+        submitLabel.textContent = window.i18n?.tSync('ui.dashboard.settings.schedule.add') || 'Add Rule';
+    }
+    updateScheduleValueField();
+}
+
+async function saveScheduleRule() {
+    const ruleId = document.getElementById('schedule-rule-id').value;
+    const type = document.getElementById('schedule-rule-type').value;
+    const rule = {
+        name: document.getElementById('schedule-rule-name').value.trim(),
+        type,
+        value: null,
+        days: Array.from(document.querySelectorAll('#schedule-rule-days input:checked')).map(input => parseInt(input.value, 10)),
+        startTime: document.getElementById('schedule-rule-start').value,
+        endTime: document.getElementById('schedule-rule-end').value
+    };
+    if (type === 'volume') {
+        rule.value = parseInt(document.getElementById('schedule-rule-volume').value, 10);
+    } else if (type === 'preset') {
+        rule.value = document.getElementById('schedule-rule-preset').value;
+    }
+
+    try {
+        const res = await fetch(ruleId ? `/api/schedule/rules/${ruleId}` : '/api/schedule/rules', {
+            method: ruleId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(rule)
+        });
+        const data = await res.json();
+
+        if (res.ok) {
+            const savedText = window.i18n?.tSync('ui.dashboard.settings.schedule.saved', { name: data.rule.name }) || `Saved "${data.rule.name}"`;
+            showNotification(savedText, 'success');
+            resetScheduleForm();
+            await loadScheduleRules();
+        } else {
+            showNotification(data.error || 'Failed to save rule', 'error');
+        }
+    } catch (error) {
+        console.error('Error saving schedule rule:', error);
+        showNotification('Failed to save rule', 'error');
+    }
+}
+
+window.editScheduleRule = function(ruleId) {
+    const rule = scheduleRules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    document.getElementById('schedule-rule-id').value = rule.id;
+    document.getElementById('schedule-rule-name').value = rule.name;
+    document.getElementById('schedule-rule-type').value = rule.type;
+    if (rule.type === 'volume') {
+        document.getElementById('schedule-rule-volume').value = rule.value;
+    } else if (rule.type === 'preset') {
+        document.getElementById('schedule-rule-preset').value = rule.value;
+    }
+    document.getElementById('schedule-rule-start').value = rule.startTime;
+    document.getElementById('schedule-rule-end').value = rule.endTime;
+    document.querySelectorAll('#schedule-rule-days input').forEach(input => {
+        input.checked = rule.days.includes(parseInt(input.value, 10));
+    });
+
+    document.getElementById('schedule-rule-cancel').hidden = false;
+    const submitLabel = document.querySelector('#schedule-rule-submit span');
+    if (submitLabel) {
+        submitLabel.textContent = window.i18n?.tSync('ui.dashboard.settings.schedule.update') || 'Update Rule';
+    }
+    updateScheduleValueField();
+    document.getElementById('schedule-rule-form').scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+window.toggleScheduleRule = async function(ruleId) {
+    const rule = scheduleRules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    try {
+        const res = await fetch(`/api/schedule/rules/${ruleId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled: !rule.enabled })
+        });
+        const data = await res.json();
+
+        if (res.ok) {
+            await loadScheduleRules();
+        } else {
+            showNotification(data.error || 'Failed to update rule', 'error');
+        }
+    } catch (error) {
+        console.error('Error updating schedule rule:', error);
+        showNotification('Failed to update rule', 'error');
+    }
+};
+
+window.deleteScheduleRule = function(ruleId) {
+    const rule = scheduleRules.find(r => r.id === ruleId);
+    const name = rule ? rule.name : ruleId;
+    const deleteTitle = window.i18n?.tSync('ui.dashboard.settings.schedule.deleteTitle') || 'Delete Rule';
+    const deleteMessage = window.i18n?.tSync('ui.dashboard.settings.schedule.deleteMessage', { name }) || `Are you sure you want to delete "${name}"?`;
+
+    showConfirmationModal({
+        title: deleteTitle,
+        message: deleteMessage,
+        icon: 'fa-trash',
+        onConfirm: async () => {
+            try {
+                const res = await fetch(`/api/schedule/rules/${ruleId}`, {
+                    method: 'DELETE'
+                });
+                const data = await res.json();
+
+                if (res.ok) {
+                    if (document.getElementById('schedule-rule-id').value === String(ruleId)) {
+                        resetScheduleForm();
+                    }
+                    await loadScheduleRules();
+                } else {
+                    showNotification(data.error || 'Failed to delete rule', 'error');
+                }
+            } catch (error) {
+                console.error('Error deleting schedule rule:', error);
+                showNotification('Failed to delete rule', 'error');
+            }
+        }
+    });
+};
+
+/**
+ * Update the active profile indicator in the navbar
+ * @param {Object|null} schedule - Schedule status ({ activeRules, volumeCap, preset, quietHours })
+ */
+function updateScheduleUI(schedule) {
+    const indicator = document.getElementById('schedule-indicator');
+    if (!indicator || schedule === undefined) return;
+
+    const active = !!(schedule && schedule.activeRules.length > 0);
+    indicator.hidden = !active;
+
+    // The scheduler changes the volume on its own
+    const volumeCap = schedule ? schedule.volumeCap : null;
+    if (volumeCap !== lastScheduleVolumeCap) {
+        lastScheduleVolumeCap = volumeCap;
+        if (typeof loadVolume === 'function') {
+            loadVolume();
+        }
+    }
+
+    if (!active) return;
+
+    const parts = [];
+    if (schedule.quietHours) {
+        parts.push(window.i18n?.tSync('ui.dashboard.schedule.quietHours') || 'Quiet hours');
+    }
+    if (schedule.volumeCap !== null) {
+        parts.push(window.i18n?.tSync('ui.dashboard.schedule.volumeCap', { volume: schedule.volumeCap }) || `Vol ≤ ${schedule.volumeCap}%`);
+    }
+    if (schedule.preset) {
+        parts.push(schedule.preset.name);
+    }
+    document.getElementById('schedule-indicator-text').textContent = parts.join(' · ');
+    indicator.title = schedule.activeRules.map(rule => rule.name).join(', ');
+}
+
+/**
+ * Open the schedule panel of the settings modal
+ */
+function openSchedulePanel() {
+    if (typeof openSettingsModal !== 'function') return;
+    openSettingsModal();
+    // openSettingsModal picks its own panel first
+    setTimeout(() => switchSettingsPanel('schedule'), 150);
+}
+
+// Make functions available globally
+window.loadScheduleRules = loadScheduleRules;
+window.saveScheduleRule = saveScheduleRule;
+window.resetScheduleForm = resetScheduleForm;
+window.updateScheduleValueField = updateScheduleValueField;
+window.updateScheduleUI = updateScheduleUI;
+window.openSchedulePanel = openSchedulePanel;
@@ -48,11 +48,107 @@ async function loadSettings() {
         if (repeatModeEl) {
             repeatModeEl.value = settings.playback.repeatMode || 'off';
         }
+        const queuePolicyEl = document.getElementById('setting-queuePolicy');
+        if (queuePolicyEl) {
+            queuePolicyEl.value = settings.playback.queuePolicy ?? 'fifo';
+        }
+        const vipShareWeightEl = document.getElementById('setting-vipShareWeight');
+        if (vipShareWeightEl) {
+            vipShareWeightEl.value = settings.playback.vipShareWeight ?? 2;
+        }
         document.getElementById('setting-songTransitionDelay').value = settings.playback.songTransitionDelay;
-        
+        const crossfadeEnabledEl = document.getElementById('setting-crossfadeEnabled');
+        if (crossfadeEnabledEl) {
+            crossfadeEnabledEl.checked = settings.playback.crossfadeEnabled || false;
+        }
+        const crossfadeDurationEl = document.getElementById('setting-crossfadeDuration');
+        if (crossfadeDurationEl) {
+            crossfadeDurationEl.value = settings.playback.crossfadeDuration ?? 5;
+        }
+        const crossfadeCurveEl = document.getElementById('setting-crossfadeCurve');
+        if (crossfadeCurveEl) {
+            crossfadeCurveEl.value = settings.playback.crossfadeCurve ?? 'equalPower';
+        }
+        const silenceTrimEnabledEl = document.getElementById('setting-silenceTrimEnabled');
+        if (silenceTrimEnabledEl) {
+            silenceTrimEnabledEl.checked = settings.playback.silenceTrimEnabled || false;
+        }
+        const silenceThresholdEl = document.getElementById('setting-silenceThreshold');
+        if (silenceThresholdEl) {
+            silenceThresholdEl.value = settings.playback.silenceThreshold ?? -50;
+        }
+        const silenceMinDurationEl = document.getElementById('setting-silenceMinDuration');
+        if (silenceMinDurationEl) {
+            silenceMinDurationEl.value = settings.playback.silenceMinDuration ?? 2;
+        }
+        const introOutroMaxLengthEl = document.getElementById('setting-introOutroMaxLength');
+        if (introOutroMaxLengthEl) {
+            introOutroMaxLengthEl.value = settings.playback.introOutroMaxLength ?? 0;
+        }
+        const streamMaxMinutesEl = document.getElementById('setting-streamMaxMinutes');
+        if (streamMaxMinutesEl) {
+            streamMaxMinutesEl.value = settings.playback.streamMaxMinutes ?? 60;
+        }
+        const voteSkipModeEl = document.getElementById('setting-voteSkipMode');
+        if (voteSkipModeEl) {
+            voteSkipModeEl.value = settings.playback.voteSkipMode || 'fraction';
+        }
+        const voteSkipPercentageEl = document.getElementById('setting-voteSkipPercentage');
+        if (voteSkipPercentageEl) {
+            voteSkipPercentageEl.value = settings.playback.voteSkipPercentage || 50;
+        }
+        const voteSkipCountEl = document.getElementById('setting-voteSkipCount');
+        if (voteSkipCountEl) {
+            voteSkipCountEl.value = settings.playback.voteSkipCount || 3;
+        }
+        const voteSkipActiveMinutesEl = document.getElementById('setting-voteSkipActiveMinutes');
+        if (voteSkipActiveMinutesEl) {
+            voteSkipActiveMinutesEl.value = settings.playback.voteSkipActiveMinutes || 15;
+        }
+        const searchPickerEnabledEl = document.getElementById('setting-searchPickerEnabled');
+        if (searchPickerEnabledEl) {
+            searchPickerEnabledEl.checked = settings.playback.searchPickerEnabled !== false;
+        }
+        const searchConfidenceThresholdEl = document.getElementById('setting-searchConfidenceThreshold');
+        if (searchConfidenceThresholdEl) {
+            searchConfidenceThresholdEl.value = settings.playback.searchConfidenceThreshold ?? 100;
+        }
+        const searchPickerTimeoutEl = document.getElementById('setting-searchPickerTimeout');
+        if (searchPickerTimeoutEl) {
+            searchPickerTimeoutEl.value = settings.playback.searchPickerTimeout ?? 60;
+        }
+        const radioEnabledEl = document.getElementById('setting-radioEnabled');
+        if (radioEnabledEl) {
+            radioEnabledEl.checked = settings.playback.radioEnabled || false;
+        }
+        const radioBitrateEl = document.getElementById('setting-radioBitrate');
+        if (radioBitrateEl) {
+            radioBitrateEl.value = settings.playback.radioBitrate ?? '128k';
+        }
+        const radioMaxListenersEl = document.getElementById('setting-radioMaxListeners');
+        if (radioMaxListenersEl) {
+            radioMaxListenersEl.value = settings.playback.radioMaxListeners ?? 10;
+        }
+
         // Populate performance settings
         document.getElementById('setting-prefetchNext').checked = settings.performance.prefetchNext;
         document.getElementById('setting-prefetchCount').value = settings.performance.prefetchCount;
+        const loudnessScanConcurrencyEl = document.getElementById('setting-loudnessScanConcurrency');
+        if (loudnessScanConcurrencyEl) {
+            loudnessScanConcurrencyEl.value = settings.performance.loudnessScanConcurrency ?? 1;
+        }
+        const libraryCacheEnabledEl = document.getElementById('setting-libraryCacheEnabled');
+        if (libraryCacheEnabledEl) {
+            libraryCacheEnabledEl.checked = settings.performance.libraryCacheEnabled !== false;
+        }
+        const libraryCacheMaxSizeGbEl = document.getElementById('setting-libraryCacheMaxSizeGb');
+        if (libraryCacheMaxSizeGbEl) {
+            libraryCacheMaxSizeGbEl.value = settings.performance.libraryCacheMaxSizeGb ?? 5;
+        }
+        const directDownloadMaxSizeMbEl = document.getElementById('setting-directDownloadMaxSizeMb');
+        if (directDownloadMaxSizeMbEl) {
+            directDownloadMaxSizeMbEl.value = settings.performance.directDownloadMaxSizeMb ?? 200;
+        }
         
         // Populate notification settings
         document.getElementById('setting-notificationsEnabled').checked = settings.notifications.enabled;
@@ -89,6 +185,20 @@ async function loadSettings() {
             }
         }
         
+        // Populate queue quota settings
+        if (settings.quota) {
+            const quotaEnabledEl = document.getElementById('setting-quotaEnabled');
+            if (quotaEnabledEl) {
+                quotaEnabledEl.checked = settings.quota.enabled !== false;
+            }
+            document.querySelectorAll('input[type="number"][data-category="quota"]').forEach(input => {
+                const value = settings.quota[input.dataset.key];
+                if (value !== undefined) {
+                    input.value = value;
+                }
+            });
+        }
+        
     } catch (err) {
         console.error('Failed to load settings:', err);
     }
@@ -283,6 +393,20 @@ window.switchSettingsPanel = function switchSettingsPanel(category) {
         }
     }
     
+    // Load saved playlists when switching to playlists panel
+    if (category === 'playlists') {
+        if (typeof loadPlaylists === 'function') {
+            loadPlaylists();
+        }
+    }
+    
+    // Load schedule rules when switching to schedule panel
+    if (category === 'schedule') {
+        if (typeof loadScheduleRules === 'function') {
+            loadScheduleRules();
+        }
+    }
+    
     // Start/stop disk usage polling when switching to/from system panel
     if (category === 'system') {
         startDiskUsagePolling();
@@ -366,7 +490,7 @@ async function loadDiskUsage(isRefresh = false) {
         const data = await res.json();
         if (!data.success) throw new Error(data.error || 'Failed to get disk usage');
         
-        const { usage } = data;
+        const { usage, library } = data;
         
         // If elements exist, just update values (refresh)
         if (isRefresh && existingSummaryValue) {
@@ -386,6 +510,9 @@ async function loadDiskUsage(isRefresh = false) {
                 detailValues[4].textContent = usage.data.formatted;
                 detailValues[5].textContent = usage.auth.formatted;
             }
+            if (library) {
+                updateLibraryUsage(library);
+            }
             return; // Exit early, no need to rerender
         }
         
@@ -450,9 +577,15 @@ async function loadDiskUsage(isRefresh = false) {
                         <div class="disk-usage-value">${usage.auth.formatted}</div>
                     </div>
                 </div>
+                ${library ? renderLibraryUsage() : ''}
             </div>
         `;
         
+        if (library) {
+            updateLibraryUsage(library);
+            document.getElementById('library-purge-btn')?.addEventListener('click', purgeLibraryCache);
+        }
+        
         // Add expand/collapse functionality
         const expandBtn = document.getElementById('disk-usage-expand-btn');
         const detailsEl = document.getElementById('disk-usage-details');
@@ -508,6 +641,96 @@ async function loadDiskUsage(isRefresh = false) {
     }
 }
 
+/**
+ * Render the library cache block of the disk usage details (values are filled by updateLibraryUsage)
+ * @returns {string} HTML
+ */
+function renderLibraryUsage() {
+    const title = window.i18n?.tSync('ui.dashboard.settings.library.title') || 'Audio Library';
+    const sizeLabel = window.i18n?.tSync('ui.dashboard.settings.library.size') || 'Size';
+    const filesLabel = window.i18n?.tSync('ui.dashboard.settings.library.files') || 'Songs';
+    const hitRateLabel = window.i18n?.tSync('ui.dashboard.settings.library.hitRate') || 'Hit Rate';
+    const purgeLabel = window.i18n?.tSync('ui.dashboard.settings.library.purge') || 'Purge';
+    return `
+        <div class="disk-usage-library">
+            <div class="disk-usage-library-header">
+                <span><i class="fas fa-compact-disc"></i> ${title}</span>
+                <button type="button" class="groups-action-btn" id="library-purge-btn">
+                    <i class="fas fa-trash-alt"></i>
+                    <span>${purgeLabel}</span>
+                </button>
+            </div>
+            <div class="disk-usage-grid">
+                <div class="disk-usage-item">
+                    <div class="disk-usage-label"><span>${sizeLabel}</span></div>
+                    <div class="disk-usage-value" id="library-usage-size"></div>
+                </div>
+                <div class="disk-usage-item">
+                    <div class="disk-usage-label"><span>${filesLabel}</span></div>
+                    <div class="disk-usage-value" id="library-usage-files"></div>
+                </div>
+                <div class="disk-usage-item">
+                    <div class="disk-usage-label"><span>${hitRateLabel}</span></div>
+                    <div class="disk-usage-value" id="library-usage-hit-rate"></div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Update the library cache values of the disk usage details
+ * @param {Object} library - Library stats from /api/settings/disk-usage
+ */
+function updateLibraryUsage(library) {
+    const sizeEl = document.getElementById('library-usage-size');
+    const filesEl = document.getElementById('library-usage-files');
+    const hitRateEl = document.getElementById('library-usage-hit-rate');
+    
+    if (sizeEl) {
+        sizeEl.textContent = `${library.formatted} / ${library.budgetFormatted}`;
+    }
+    if (filesEl) {
+        filesEl.textContent = library.files;
+    }
+    if (hitRateEl) {
+        hitRateEl.textContent = library.hitRate === null ? '—' : `${library.hitRate}%`;
+        hitRateEl.title = `${library.hits} / ${library.hits + library.misses}`;
+    }
+}
+
+/**
+ * Delete cached library audio (songs playing or queued are kept)
+ */
+function purgeLibraryCache() {
+    const title = window.i18n?.tSync('ui.dashboard.settings.library.purgeTitle') || 'Purge Audio Library';
+    const message = window.i18n?.tSync('ui.dashboard.settings.library.purgeMessage') || 'Delete all cached songs? Songs that are playing or queued are kept. Songs will be downloaded again when requested.';
+    
+    showConfirmationModal({
+        title,
+        message,
+        icon: 'fa-trash-alt',
+        onConfirm: async () => {
+            try {
+                const res = await fetch('/api/settings/library/purge', { method: 'POST' });
+                const data = await res.json();
+                
+                if (data.success) {
+                    const purgedText = window.i18n?.tSync('ui.dashboard.settings.library.purged', { count: data.evicted, size: data.freedFormatted })
+                        || `Removed ${data.evicted} song(s), freed ${data.freedFormatted}`;
+                    showNotification(purgedText, 'success');
+                    loadDiskUsage(true);
+                } else {
+                    showNotification(data.error || 'Failed to purge library', 'error');
+                }
+            } catch (err) {
+                console.error('Failed to purge library:', err);
+                showNotification('Failed to purge library', 'error');
+            }
+        }
+    });
+}
+
 function initSettingsSearch() {
     const searchInput = document.getElementById('settings-search');
     const clearBtn = document.getElementById('settings-search-clear');
@@ -659,8 +882,9 @@ function rebindSettingRowListeners(container) {
         
         if (input && minusBtn && plusBtn) {
             const step = parseInt(input.step) || 1;
-            const min = parseInt(input.min) || 0;
-            const max = parseInt(input.max) || 100;
+            // min/max can be 0 or negative (e.g. dB values)
+            const min = input.min !== '' ? parseInt(input.min) : 0;
+            const max = input.max !== '' ? parseInt(input.max) : 100;
             
             minusBtn.addEventListener('click', () => {
                 const current = parseInt(input.value) || 0;
@@ -813,8 +1037,9 @@ function initSettingsListeners() {
         
         if (input && minusBtn && plusBtn) {
             const step = parseInt(input.step) || 1;
-            const min = parseInt(input.min) || 0;
-            const max = parseInt(input.max) || 100;
+            // min/max can be 0 or negative (e.g. dB values)
+            const min = input.min !== '' ? parseInt(input.min) : 0;
+            const max = input.max !== '' ? parseInt(input.max) : 100;
             
             minusBtn.addEventListener('click', () => {
                 const current = parseInt(input.value) || 0;
@@ -855,6 +1080,41 @@ function initSettingsListeners() {
         });
     }
     
+    // Saved playlists (will be handled by playlists module)
+    const savePlaylistForm = document.getElementById('save-playlist-form');
+    if (savePlaylistForm) {
+        savePlaylistForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const input = document.getElementById('playlist-name-input');
+            const name = input.value.trim();
+            if (name && typeof saveQueueAsPlaylist === 'function') {
+                await saveQueueAsPlaylist(name);
+                input.value = '';
+            }
+        });
+    }
+    
+    // Schedule rules (will be handled by schedule module)
+    const scheduleRuleForm = document.getElementById('schedule-rule-form');
+    if (scheduleRuleForm) {
+        scheduleRuleForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (typeof saveScheduleRule === 'function') {
+                await saveScheduleRule();
+            }
+        });
+        document.getElementById('schedule-rule-type')?.addEventListener('change', () => {
+            if (typeof updateScheduleValueField === 'function') {
+                updateScheduleValueField();
+            }
+        });
+        document.getElementById('schedule-rule-cancel')?.addEventListener('click', () => {
+            if (typeof resetScheduleForm === 'function') {
+                resetScheduleForm();
+            }
+        });
+    }
+    
     // Settings modal open/close listeners
     const settingsBtn = document.getElementById('settings-btn');
     if (settingsBtn) {
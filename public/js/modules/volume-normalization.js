@@ -5,8 +5,22 @@
 
 let normalizationSettings = null;
 let saveTimeout = null;
+let scanStatus = null;
+let scanEventSource = null;
+let measurementsFailed = false;
 const RANGE_MIN = -40;
 const RANGE_MAX = 0;
+const MEASUREMENTS_REFRESH_MS = 5000;
+const DEFAULT_NORMALIZATION_SETTINGS = {
+    enabled: false,
+    mode: 'rms',
+    thresholdTooLow: -20,
+    thresholdTooHigh: -6,
+    targetLevel: -12,
+    targetLufs: -14,
+    maxTruePeak: -1,
+    gainScope: 'track'
+};
 
 /**
  * Load volume normalization settings from API
@@ -27,17 +41,13 @@ async function loadVolumeNormalizationSettings() {
         applySettingsToUI();
         updateVisualRange();
         setupDragHandlers();
+        loadMeasurements();
 
         return normalizationSettings;
     } catch (error) {
         console.error('Failed to load volume normalization settings:', error);
         // Use defaults if API fails
-        normalizationSettings = {
-            enabled: false,
-            thresholdTooLow: -20,
-            thresholdTooHigh: -6,
-            targetLevel: -12
-        };
+        normalizationSettings = { ...DEFAULT_NORMALIZATION_SETTINGS };
         applySettingsToUI();
         updateVisualRange();
         setupDragHandlers();
@@ -55,6 +65,195 @@ function applySettingsToUI() {
     if (enabledToggle) {
         enabledToggle.checked = normalizationSettings.enabled;
     }
+
+    const modeSelect = document.getElementById('setting-normalizationMode');
+    if (modeSelect) modeSelect.value = normalizationSettings.mode;
+
+    const targetLufsInput = document.getElementById('setting-targetLufs');
+    if (targetLufsInput) targetLufsInput.value = normalizationSettings.targetLufs;
+
+    const maxTruePeakInput = document.getElementById('setting-maxTruePeak');
+    if (maxTruePeakInput) maxTruePeakInput.value = normalizationSettings.maxTruePeak;
+
+    const gainScopeSelect = document.getElementById('setting-gainScope');
+    if (gainScopeSelect) gainScopeSelect.value = normalizationSettings.gainScope;
+
+    updateModeVisibility();
+}
+
+/**
+ * Show the controls of the selected mode (RMS range or LUFS settings)
+ */
+function updateModeVisibility() {
+    const isLufs = normalizationSettings?.mode === 'lufs';
+
+    const lufsGroup = document.getElementById('volume-normalization-lufs');
+    if (lufsGroup) lufsGroup.style.display = isLufs ? '' : 'none';
+
+    const rangeContainer = document.getElementById('volume-normalization-range');
+    if (rangeContainer) rangeContainer.style.display = isLufs ? 'none' : '';
+}
+
+/**
+ * Format a measurement for display
+ * @param {number|null} value - Measured value
+ * @param {string} unit - Unit label
+ * @returns {string} Formatted value, or '-' if not measured
+ */
+function formatMeasurement(value, unit) {
+    if (typeof value !== 'number' || !isFinite(value)) return '-';
+    const sign = unit === 'dB' && value > 0 ? '+' : '';
+    return `${sign}${value.toFixed(1)} ${unit}`;
+}
+
+/**
+ * Load and show the current song's measurements and applied gain
+ */
+async function loadMeasurements() {
+    const container = document.getElementById('volume-normalization-measurements');
+    if (!container) return;
+
+    try {
+        const response = await fetch('/api/volume-normalization/current');
+        if (!response.ok) throw new Error('Failed to fetch measurements');
+
+        const data = await response.json();
+        if (!data.success || !data.current) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const { current } = data;
+        const isLufs = data.mode === 'lufs';
+        const notMeasured = window.i18n?.tSync('ui.dashboard.settings.audio.notMeasured') || 'Not measured yet';
+
+        const songEl = document.getElementById('measurements-song');
+        if (songEl) songEl.textContent = current.artist ? `${current.artist} - ${current.title}` : current.title;
+
+        const loudness = current.loudness || {};
+        document.getElementById('measurement-integrated').textContent =
+            current.loudness ? formatMeasurement(loudness.integrated, 'LUFS') : notMeasured;
+        document.getElementById('measurement-true-peak').textContent = formatMeasurement(loudness.truePeak, 'dBTP');
+        document.getElementById('measurement-range').textContent = formatMeasurement(loudness.range, 'LU');
+        document.getElementById('measurement-album').textContent = formatMeasurement(current.albumLoudness, 'LUFS');
+        document.getElementById('measurement-gain').textContent = formatMeasurement(current.gainDb, 'dB');
+
+        // LUFS readings only apply in LUFS mode, the album loudness only with album gain
+        container.querySelectorAll('[data-measurement="lufs"]').forEach(el => {
+            el.style.display = isLufs ? '' : 'none';
+        });
+        container.querySelectorAll('[data-measurement="album"]').forEach(el => {
+            el.style.display = isLufs && data.gainScope === 'album' ? '' : 'none';
+        });
+
+        container.style.display = '';
+        measurementsFailed = false;
+    } catch (error) {
+        container.style.display = 'none';
+        // Measurements refresh every few seconds, so only report the first failure in a row
+        if (!measurementsFailed && typeof showNotification === 'function') {
+            showNotification(window.i18n?.tSync('ui.dashboard.settings.audio.measurementsLoadFailed') || 'Failed to load the loudness measurements', 'error');
+        }
+        measurementsFailed = true;
+    }
+}
+
+/**
+ * Show the library scan progress
+ * @param {Object} status - Status from /api/volume-normalization/scan/status
+ */
+function renderScanStatus(status) {
+    scanStatus = status;
+    const t = (key, params) => window.i18n?.tSync(`ui.dashboard.settings.audio.${key}`, params);
+
+    const stateEl = document.getElementById('loudness-scan-state');
+    if (stateEl) {
+        if (status.stopping) {
+            stateEl.textContent = t('scanStopping') || 'Stopping';
+        } else if (status.paused) {
+            stateEl.textContent = t('scanPaused') || 'Paused while downloading';
+        } else if (status.running) {
+            stateEl.textContent = t('scanRunning') || 'Analyzing';
+        } else if (status.finishedAt) {
+            stateEl.textContent = t('scanFinished', { analyzed: status.analyzed, failed: status.failed }) ||
+                `Done: ${status.analyzed} analyzed, ${status.failed} failed`;
+        } else {
+            stateEl.textContent = t('scanIdle') || 'Idle';
+        }
+    }
+
+    const done = status.analyzed + status.failed;
+    const fill = document.getElementById('loudness-scan-fill');
+    if (fill) fill.style.width = `${status.total > 0 ? (done / status.total) * 100 : 0}%`;
+
+    const count = document.getElementById('loudness-scan-count');
+    if (count) count.textContent = `${done} / ${status.total}`;
+
+    const current = document.getElementById('loudness-scan-current');
+    if (current) current.textContent = status.running ? status.current.join(', ') : '';
+
+    const button = document.getElementById('loudness-scan-toggle');
+    if (button) {
+        button.classList.toggle('running', status.running);
+        button.disabled = status.stopping;
+        button.querySelector('i').className = status.running ? 'fas fa-stop' : 'fas fa-play';
+        button.querySelector('span').textContent = status.running
+            ? (t('scanStop') || 'Stop')
+            : (t('scanStart') || 'Analyze Library');
+    }
+}
+
+/**
+ * Start or stop the library scan
+ */
+async function toggleLibraryScan() {
+    const action = scanStatus?.running ? 'stop' : 'start';
+
+    try {
+        const response = await fetch(`/api/volume-normalization/scan/${action}`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || `Failed to ${action} scan`);
+
+        renderScanStatus(data.status);
+    } catch (error) {
+        console.error('Failed to toggle library scan:', error);
+        if (action === 'start' && typeof showNotification === 'function') {
+            showNotification(window.i18n?.tSync('ui.dashboard.settings.audio.scanStartFailed') || 'Failed to start the library analysis', 'error');
+        }
+    }
+}
+
+/**
+ * Follow the library scan progress over SSE
+ */
+function connectScanStream() {
+    if (scanEventSource || !document.getElementById('loudness-scan')) return;
+
+    scanEventSource = new EventSource('/api/volume-normalization/scan/stream');
+    scanEventSource.onmessage = (event) => {
+        try {
+            const data = JSON.parse(event.data);
+            if (data.type === 'LOUDNESS_SCAN_UPDATE') {
+                renderScanStatus(data.status);
+                // A finished song may be the one playing
+                if (!data.status.running) loadMeasurements();
+            }
+        } catch (error) {
+            if (typeof showNotification === 'function') {
+                showNotification(window.i18n?.tSync('ui.dashboard.settings.audio.scanUpdateFailed') || 'Could not read a library analysis update', 'error');
+            }
+        }
+    };
+}
+
+/**
+ * Stop following the library scan progress
+ */
+function disconnectScanStream() {
+    if (scanEventSource) {
+        scanEventSource.close();
+        scanEventSource = null;
+    }
 }
 
 /**
@@ -332,6 +531,7 @@ async function saveVolumeNormalizationSettings() {
             if (data.success) {
                 normalizationSettings = data.settings;
                 showSaveIndicator();
+                loadMeasurements();
                 console.log('Volume normalization settings saved');
             }
         } catch (error) {
@@ -360,15 +560,11 @@ function showSaveIndicator() {
  */
 function updateSetting(key, value) {
     if (!normalizationSettings) {
-        normalizationSettings = {
-            enabled: false,
-            thresholdTooLow: -20,
-            thresholdTooHigh: -6,
-            targetLevel: -12
-        };
+        normalizationSettings = { ...DEFAULT_NORMALIZATION_SETTINGS };
     }
 
     normalizationSettings[key] = value;
+    updateModeVisibility();
     updateVisualRange();
     saveVolumeNormalizationSettings();
 }
@@ -519,6 +715,35 @@ function initVolumeNormalization() {
         });
     }
 
+    // LUFS mode controls (saved here, not through the generic settings handlers)
+    const modeSelect = document.getElementById('setting-normalizationMode');
+    if (modeSelect) {
+        modeSelect.addEventListener('change', (e) => updateSetting('mode', e.target.value));
+    }
+
+    const gainScopeSelect = document.getElementById('setting-gainScope');
+    if (gainScopeSelect) {
+        gainScopeSelect.addEventListener('change', (e) => updateSetting('gainScope', e.target.value));
+    }
+
+    const scanToggle = document.getElementById('loudness-scan-toggle');
+    if (scanToggle) {
+        scanToggle.addEventListener('click', toggleLibraryScan);
+    }
+
+    ['targetLufs', 'maxTruePeak'].forEach(key => {
+        const input = document.getElementById(`setting-${key}`);
+        if (!input) return;
+        input.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            const min = parseInt(e.target.min, 10);
+            const max = parseInt(e.target.max, 10);
+            if (!isNaN(value) && value >= min && value <= max) {
+                updateSetting(key, value);
+            }
+        });
+    });
+
     // Set up Intersection Observer to start/stop monitoring based on panel visibility
     const audioPanel = document.querySelector('.settings-panel[data-panel="audio"]');
     if (audioPanel) {
@@ -563,6 +788,12 @@ function startRMSMonitoring() {
     window.volumeNormalizationRMSInterval = setInterval(() => {
         updateCurrentSongIndicator();
     }, 100);
+
+    // Stored measurements only change when the song or settings change
+    loadMeasurements();
+    window.volumeNormalizationMeasurementsInterval = setInterval(loadMeasurements, MEASUREMENTS_REFRESH_MS);
+
+    connectScanStream();
 }
 
 /**
@@ -574,6 +805,13 @@ function stopRMSMonitoring() {
         window.volumeNormalizationRMSInterval = null;
     }
 
+    if (window.volumeNormalizationMeasurementsInterval) {
+        clearInterval(window.volumeNormalizationMeasurementsInterval);
+        window.volumeNormalizationMeasurementsInterval = null;
+    }
+
+    disconnectScanStream();
+
     // Hide marker
     const markerCurrent = document.getElementById('marker-current-song');
     if (markerCurrent) {
@@ -587,6 +825,8 @@ window.volumeNormalization = {
     updateVisualRange: updateVisualRange,
     validateThresholds: validateThresholds,
     updateCurrentSongIndicator: updateCurrentSongIndicator,
+    loadMeasurements: loadMeasurements,
+    toggleLibraryScan: toggleLibraryScan,
     startRMSMonitoring: startRMSMonitoring,
     stopRMSMonitoring: stopRMSMonitoring
 };
@@ -4,6 +4,8 @@
 var localCurrentSong = null;
 let serverStats = null;
 let statsReceivedAt = null;
+// Skip votes on the current song, per group (from the status)
+let currentVoteSkip = null;
 
 // Listen for seek requests from fullscreen player
 async function handleSeekRequest(newTime) {
@@ -206,8 +208,11 @@ async function fetchData() {
         }
         
         // Update other UI components
+        currentVoteSkip = data.voteSkip || null;
         updateQueueUI(data.queue, data.shuffleEnabled);
         updateStatsUI(data.stats);
+        updateRadioUI(data.radio);
+        updateScheduleUI(data.schedule);
         
         return Promise.resolve(); // Return resolved promise
     } catch (error) {
@@ -216,6 +221,22 @@ async function fetchData() {
     }
 }
 
+/**
+ * Render the skip votes on the current song (one tally per group that has voted)
+ * @returns {string} HTML, empty when nobody has voted
+ */
+function renderVoteSkip() {
+    const groups = (currentVoteSkip?.groups || []).filter(group => group.votes > 0);
+    if (groups.length === 0) return '';
+
+    const tally = groups.map(group => `${group.votes}/${group.required}`).join(' · ');
+    const text = window.i18n?.tSync('ui.dashboard.nowPlaying.skipVotes', { votes: tally }) || `Skip votes: ${tally}`;
+    return `<div class="np-votes">
+                <i class="fas fa-hand-paper"></i>
+                ${escapeHtml(text)}
+            </div>`;
+}
+
 function updateQueueUI(data, shuffleEnabled = false) {
     const { queue, currentSong } = data;
     
@@ -257,6 +278,11 @@ function updateQueueUI(data, shuffleEnabled = false) {
                 <i class="fas fa-user"></i>
                 ${requester}
             </div>` : ''}
+            ${currentSong.effectsPresetName ? `<div class="np-preset">
+                <i class="fas fa-sliders-h"></i>
+                ${escapeHtml(currentSong.effectsPresetName)}
+            </div>` : ''}
+            ${renderVoteSkip()}
         `;
         
         // Add playing class to card
@@ -264,8 +290,9 @@ function updateQueueUI(data, shuffleEnabled = false) {
             nowPlayingCard.classList.add('playing');
         }
 
-        // Update progress bar
-        if (currentSong.elapsed !== undefined && currentSong.duration) {
+        // Update progress bar (live streams have no duration, only a time limit)
+        progressSection.classList.toggle('live', !!currentSong.isLive);
+        if (currentSong.elapsed !== undefined && (currentSong.duration || currentSong.isLive)) {
             progressSection.classList.remove('hidden');
             updateProgressBarAndStats();
             updateFullscreenWindow(currentSong); // Sync info
@@ -530,6 +557,8 @@ function updateQueueUI(data, shuffleEnabled = false) {
             const title = item.title || item.content || 'Unknown Title';
             const artist = item.artist || '';
             const requester = item.requester || 'Unknown';
+            const minutes = typeof item.eta === 'number' ? Math.max(1, Math.round(item.eta / 60000)) : null;
+            const etaText = minutes !== null ? (window.i18n?.tSync('ui.dashboard.queue.eta', { minutes }) || `~${minutes} min`) : '';
             
             // Determine status display and loading state
             let statusHTML = '';
@@ -562,11 +591,21 @@ function updateQueueUI(data, shuffleEnabled = false) {
                 progressSmoothing.cleanup(itemId);
             }
             
+            // Fallback attempts of a download (an alternate upload may have replaced the requested video)
+            const attempts = item.downloadAttempts || [];
+            const replacement = attempts.find(attempt => attempt.ok && attempt.alternate);
+            const replacedText = replacement
+                ? (window.i18n?.tSync('ui.dashboard.queue.replaced') || 'Replaced with alternate upload')
+                : '';
+
             // Status badges for non-downloading states
             if (item.downloadStatus === 'error') {
                 // Show error status
                 const failedText = window.i18n?.tSync('ui.dashboard.queue.status.failed') || 'FAILED';
-                statusHTML = `<div class="status-badge-small error"><i class="fas fa-exclamation-triangle"></i> <span data-i18n="ui.dashboard.queue.status.failed">${failedText}</span></div>`;
+                const attemptsText = attempts.length > 0
+                    ? (window.i18n?.tSync('ui.dashboard.queue.attemptsFailed', { count: attempts.length }) || `${attempts.length} download attempts failed`)
+                    : '';
+                statusHTML = `<div class="status-badge-small error"${attemptsText ? ` title="${attemptsText}"` : ''}><i class="fas fa-exclamation-triangle"></i> <span data-i18n="ui.dashboard.queue.status.failed">${failedText}</span></div>`;
             } else if (item.type === 'file' || item.downloadStatus === 'ready') {
                 const readyText = window.i18n?.tSync('ui.dashboard.queue.status.ready') || 'READY';
                 statusHTML = `<div class="status-badge-small ready"><i class="fas fa-check-circle"></i> <span data-i18n="ui.dashboard.queue.status.ready">${readyText}</span></div>`;
@@ -589,6 +628,9 @@ function updateQueueUI(data, shuffleEnabled = false) {
                     <span class="song-requester">
                         <i class="fas fa-user"></i>
                         ${requester}
+                        ${etaText ? `<i class="fas fa-clock"></i> ${etaText}` : ''}
+                        ${item.effectsPresetName ? `<i class="fas fa-sliders-h"></i> ${escapeHtml(item.effectsPresetName)}` : ''}
+                        ${replacement ? `<span class="queue-replaced" title="${escapeHtml(replacement.title || '')}"><i class="fas fa-exchange-alt"></i> ${replacedText}</span>` : ''}
                     </span>
                 </div>
                 <div class="queue-position">${shuffleEnabled ? '<i class="fas fa-random"></i>' : index + 1}</div>
@@ -676,9 +718,53 @@ function updateQueueUI(data, shuffleEnabled = false) {
     }
 }
 
+/**
+ * Shade the parts of the progress bar that are skipped as silence
+ * @param {Object} song - Current song (trimStart/trimEnd in ms, trimEnd null = end of file)
+ */
+function updateTrimRange(song) {
+    const trimStartEl = document.getElementById('progress-trim-start');
+    const trimEndEl = document.getElementById('progress-trim-end');
+    if (!trimStartEl || !trimEndEl) return;
+
+    const duration = song.duration;
+    const startPercent = song.trimStart > 0 ? Math.min(100, (song.trimStart / duration) * 100) : 0;
+    const endPercent = song.trimEnd > 0 && song.trimEnd < duration
+        ? ((duration - song.trimEnd) / duration) * 100
+        : 0;
+
+    trimStartEl.style.width = `${startPercent}%`;
+    trimEndEl.style.width = `${endPercent}%`;
+}
+
+/**
+ * Show how long a live stream has been playing
+ * The bar fills up towards the stream time limit, where playback moves on.
+ * @param {Object} song - Current song (isLive, timeLimit in ms)
+ */
+function updateLiveProgress(song) {
+    const progressBar = document.getElementById('progress-bar');
+    const currentTimeEl = document.getElementById('current-time');
+    const totalTimeEl = document.getElementById('total-time');
+    if (!progressBar) return;
+
+    let elapsed = song.elapsed || 0;
+    if (!song.isPaused && song.startTime) {
+        elapsed = Date.now() - song.startTime;
+    }
+
+    const progress = song.timeLimit ? Math.min(100, (elapsed / song.timeLimit) * 100) : 0;
+    progressBar.style.width = `${progress}%`;
+    currentTimeEl.textContent = formatTime(elapsed);
+    totalTimeEl.textContent = window.i18n?.tSync('ui.dashboard.nowPlaying.live') || 'LIVE';
+    updateTrimRange({ duration: 1, trimStart: 0, trimEnd: null });
+}
+
 function updateProgressBarAndStats() {
     // Update progress bar
-    if (localCurrentSong && localCurrentSong.duration) {
+    if (localCurrentSong && localCurrentSong.isLive) {
+        updateLiveProgress(localCurrentSong);
+    } else if (localCurrentSong && localCurrentSong.duration) {
         const progressSection = document.getElementById('progress-section');
         const progressBar = document.getElementById('progress-bar');
         const currentTimeEl = document.getElementById('current-time');
@@ -705,6 +791,8 @@ function updateProgressBarAndStats() {
             currentTimeEl.textContent = formatTime(currentElapsed);
             totalTimeEl.textContent = formatTime(localCurrentSong.duration);
             
+            updateTrimRange(localCurrentSong);
+            
             // Update Fullscreen Window (for lyrics sync)
             updateFullscreenProgress(currentElapsed, localCurrentSong.duration, progress);
         }
@@ -736,9 +824,9 @@ function setupSeekFunctionality() {
     if (seekHandlerAttached) return;
     seekHandlerAttached = true;
     
-    progressBarContainer.style.cursor = 'pointer';
     progressBarContainer.addEventListener('click', async (e) => {
-        if (!localCurrentSong || !localCurrentSong.duration) return;
+        // Live streams can't seek
+        if (!localCurrentSong || !localCurrentSong.duration || localCurrentSong.isLive) return;
         
         const rect = progressBarContainer.getBoundingClientRect();
         const clickX = e.clientX - rect.left;
@@ -801,6 +889,23 @@ function updateStatsUI(stats) {
     updateProgressBarAndStats();
 }
 
+/**
+ * Show the radio listener count (only while the radio stream is enabled)
+ * @param {Object|null} radio - Radio status ({ enabled, listeners })
+ */
+function updateRadioUI(radio) {
+    const statEl = document.getElementById('radio-listeners-stat');
+    if (!statEl) return;
+
+    const enabled = !!(radio && radio.enabled);
+    statEl.hidden = !enabled;
+    statEl.closest('.stats-grid')?.classList.toggle('has-radio', enabled);
+
+    if (enabled) {
+        document.getElementById('radio-listeners-value').textContent = radio.listeners || 0;
+    }
+}
+
 /**
  * Update group configuration hints at all levels
  * @param {number} count - Current groups count
@@ -1157,6 +1262,7 @@ document.getElementById('new-session-btn').addEventListener('click', startNewSes
 document.getElementById('prefetch-btn').addEventListener('click', prefetchAll);
 document.getElementById('stats-collapse-btn').addEventListener('click', toggleStatsCollapse);
 document.getElementById('logout-btn').addEventListener('click', logout);
+document.getElementById('schedule-indicator').addEventListener('click', openSchedulePanel);
 
 // Spacebar keyboard shortcut for play/pause
 document.addEventListener('keydown', (e) => {
@@ -1558,8 +1664,11 @@ function handleStatusUpdate(data) {
     }
     
     // Update other UI components
+    currentVoteSkip = data.voteSkip || null;
     updateQueueUI(data.queue, data.shuffleEnabled);
     updateStatsUI(data.stats);
+    updateRadioUI(data.radio);
+    updateScheduleUI(data.schedule);
 }
 
 // Initial fetch (will hide loading screen on success and handle auth redirect)
@@ -294,6 +294,9 @@ function updateQueue(queue) {
     queueList.innerHTML = queue.map((item, index) => {
         const title = item.title || 'Unknown Title';
         const artist = item.artist || '';
+        const minutes = typeof item.eta === 'number' ? Math.max(1, Math.round(item.eta / 60000)) : null;
+        const eta = minutes !== null ? window.i18n.tSync('ui.mobile.eta', { minutes }) : '';
+        const subtitle = [artist, eta].filter(Boolean).join(' · ');
         const thumbnail = item.thumbnailUrl ? `<img src="${item.thumbnailUrl}" alt="${title}">` : '<i class="fas fa-music"></i>';
         
         return `
@@ -301,7 +304,7 @@ function updateQueue(queue) {
                 <div class="mobile-queue-artwork">${thumbnail}</div>
                 <div class="mobile-queue-info">
                     <div class="mobile-queue-title">${title}</div>
-                    ${artist ? `<div class="mobile-queue-artist">${artist}</div>` : ''}
+                    ${subtitle ? `<div class="mobile-queue-artist">${subtitle}</div>` : ''}
                 </div>
                 <div class="mobile-queue-position">#${index + 1}</div>
             </li>
@@ -351,6 +354,23 @@ function updateMobileEffectsUI(effects) {
     updateMobileEQ('mid', effects.eq?.mid || 0);
     updateMobileEQ('treble', effects.eq?.treble || 0);
     
+    // Parametric EQ
+    updateMobileParametricEQ(effects.parametricEq);
+    
+    // Stereo
+    const widthSlider = document.getElementById('mobile-effect-stereo-width');
+    const widthValue = document.getElementById('mobile-stereo-width-value');
+    if (widthSlider && effects.stereo) {
+        widthSlider.value = effects.stereo.width;
+        if (widthValue) widthValue.textContent = `${effects.stereo.width.toFixed(2)}x`;
+    }
+    const balanceSlider = document.getElementById('mobile-effect-stereo-balance');
+    const balanceValue = document.getElementById('mobile-stereo-balance-value');
+    if (balanceSlider && effects.stereo) {
+        balanceSlider.value = effects.stereo.balance;
+        if (balanceValue) balanceValue.textContent = formatMobileBalance(effects.stereo.balance);
+    }
+    
     // Effect toggles
     const reverbToggle = document.getElementById('mobile-effect-reverb-enabled');
     const echoToggle = document.getElementById('mobile-effect-echo-enabled');
@@ -362,10 +382,16 @@ function updateMobileEffectsUI(effects) {
     if (distortionToggle) distortionToggle.checked = effects.distortion?.enabled || false;
     if (compressorToggle) compressorToggle.checked = effects.compressor?.enabled || false;
     
+    ['delay', 'limiter'].forEach(effect => {
+        const toggle = document.getElementById(`mobile-effect-${effect}-enabled`);
+        if (toggle) toggle.checked = effects[effect]?.enabled || false;
+    });
+    
     // Update badge
     const badge = document.getElementById('mobile-effects-badge');
     if (badge) {
-        const presetName = effects.preset || 'Normal';
+        // User presets are stored by ID, so show the name from the preset list
+        const presetName = effectsPresets.find(p => p.id === effects.preset)?.name || effects.preset || 'Normal';
         badge.querySelector('span').textContent = presetName;
     }
 }
@@ -380,6 +406,53 @@ function updateMobileEQ(band, value) {
     }
 }
 
+// Format a stereo balance value (C, L 40%, R 40%)
+function formatMobileBalance(value) {
+    if (Math.abs(value) < 0.01) return 'C';
+    return `${value < 0 ? 'L' : 'R'} ${Math.round(Math.abs(value) * 100)}%`;
+}
+
+// Format a parametric EQ band frequency (e.g. 125Hz, 2kHz)
+function formatMobileFrequency(frequency) {
+    return frequency >= 1000 ? `${frequency / 1000}kHz` : `${frequency}Hz`;
+}
+
+// Render the parametric EQ band sliders (once, from the server's bands)
+function renderMobileParametricEQ(bands) {
+    const container = document.getElementById('mobile-parametric-eq-bands');
+    if (!container || container.children.length === bands.length) return;
+    
+    container.innerHTML = bands.map((band, index) => `
+        <div class="mobile-eq-band">
+            <label id="mobile-peq-${index}-label">${formatMobileFrequency(band.frequency)}</label>
+            <input type="range" id="mobile-effect-peq-${index}" class="mobile-eq-slider" data-band="${index}" min="-20" max="20" step="0.5" value="${band.gain}">
+            <span id="mobile-peq-${index}-value" class="mobile-eq-value">${band.gain}</span>
+        </div>
+    `).join('');
+}
+
+// Update mobile parametric EQ controls
+function updateMobileParametricEQ(parametricEq) {
+    if (!parametricEq?.bands) return;
+    
+    renderMobileParametricEQ(parametricEq.bands);
+    
+    const toggle = document.getElementById('mobile-effect-parametricEq-enabled');
+    if (toggle) toggle.checked = parametricEq.enabled;
+    
+    const container = document.getElementById('mobile-parametric-eq-bands');
+    if (container) container.classList.toggle('disabled', !parametricEq.enabled);
+    
+    parametricEq.bands.forEach((band, index) => {
+        const label = document.getElementById(`mobile-peq-${index}-label`);
+        if (label) label.textContent = formatMobileFrequency(band.frequency);
+        const slider = document.getElementById(`mobile-effect-peq-${index}`);
+        if (slider) slider.value = band.gain;
+        const valueEl = document.getElementById(`mobile-peq-${index}-value`);
+        if (valueEl) valueEl.textContent = band.gain;
+    });
+}
+
 // Render mobile presets
 function renderMobilePresets(presets, currentPreset) {
     const presetsGrid = document.getElementById('mobile-presets-grid');
@@ -396,7 +469,7 @@ function renderMobilePresets(presets, currentPreset) {
             <button class="mobile-preset-btn ${isActive ? 'active' : ''}" 
                     data-preset-id="${preset.id}"
                     onclick="applyMobilePreset('${preset.id}')">
-                ${preset.name}
+                ${escapeHtml(preset.name)}
             </button>
         `;
     }).join('');
@@ -572,8 +645,66 @@ function setupEffectsControls() {
         }
     });
     
+    // Parametric EQ toggle and band sliders (bands are rendered later, so delegate)
+    const parametricToggle = document.getElementById('mobile-effect-parametricEq-enabled');
+    if (parametricToggle) {
+        parametricToggle.addEventListener('change', (e) => {
+            debounceUpdateEffects({
+                parametricEq: {
+                    ...(currentEffects?.parametricEq || {}),
+                    enabled: e.target.checked
+                }
+            });
+        });
+    }
+    const parametricBands = document.getElementById('mobile-parametric-eq-bands');
+    if (parametricBands) {
+        parametricBands.addEventListener('input', (e) => {
+            const index = parseInt(e.target.dataset.band);
+            if (isNaN(index) || !currentEffects?.parametricEq) return;
+            const value = parseFloat(e.target.value);
+            const valueEl = document.getElementById(`mobile-peq-${index}-value`);
+            if (valueEl) valueEl.textContent = value;
+            const bands = currentEffects.parametricEq.bands.map((band, i) => (
+                i === index ? { ...band, gain: value } : band
+            ));
+            currentEffects = { ...currentEffects, parametricEq: { ...currentEffects.parametricEq, bands } };
+            debounceUpdateEffects({ parametricEq: currentEffects.parametricEq });
+        });
+    }
+    
+    // Stereo sliders
+    const widthSlider = document.getElementById('mobile-effect-stereo-width');
+    if (widthSlider) {
+        widthSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            const valueEl = document.getElementById('mobile-stereo-width-value');
+            if (valueEl) valueEl.textContent = `${value.toFixed(2)}x`;
+            debounceUpdateEffects({
+                stereo: {
+                    ...(currentEffects?.stereo || {}),
+                    width: value
+                }
+            });
+        });
+    }
+    const balanceSlider = document.getElementById('mobile-effect-stereo-balance');
+    if (balanceSlider) {
+        balanceSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            const valueEl = document.getElementById('mobile-stereo-balance-value');
+            if (valueEl) valueEl.textContent = formatMobileBalance(value);
+            debounceUpdateEffects({
+                stereo: {
+                    ...(currentEffects?.stereo || {}),
+                    balance: value
+                }
+            });
+        });
+    }
+    
     // Effect toggles
-    ['reverb', 'echo', 'distortion', 'compressor'].forEach(effect => {
+    ['reverb', 'echo', 'distortion', 'compressor', 'delay', 'limiter'].forEach(effect => {
         const toggle = document.getElementById(`mobile-effect-${effect}-enabled`);
         if (toggle) {
             toggle.addEventListener('change', (e) => {
@@ -0,0 +1,30 @@
+const { commandRegistry } = require('../../commands/registry');
+const { t: i18n } = require('../../utils/i18n.util');
+const { logger } = require('../../utils/logger.util');
+const { normalizeLanguageCode, DEFAULT_LANGUAGE } = require('../../config/languages');
+
+/**
+ * Commands Controller
+ * Exposes the WhatsApp command registry to the dashboard
+ */
+
+class CommandsController {
+    /**
+     * Get all registered WhatsApp commands
+     * Query: { lang?: string } - language for titles, usage and descriptions
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    getCommands(req, res) {
+        try {
+            const lang = normalizeLanguageCode(req.query.lang) || DEFAULT_LANGUAGE;
+            const commands = commandRegistry.describe(i18n, lang);
+            res.json({ success: true, commands });
+        } catch (error) {
+            logger.error('[CommandsController] Failed to get commands:', error);
+            res.status(500).json({ success: false, error: 'Failed to get commands' });
+        }
+    }
+}
+
+module.exports = new CommandsController();
@@ -9,6 +9,28 @@ const { authenticateMobile } = require('../middleware/auth.middleware');
  * Handles audio effects settings and presets
  */
 
+// Error names thrown by the effects service for user presets -> HTTP status
+const PRESET_ERROR_STATUS = {
+    ValidationError: 400,
+    ForbiddenError: 403,
+    ConflictError: 409
+};
+
+/**
+ * Send an error response matching the error type thrown by the effects service
+ * @param {Object} res - Express response
+ * @param {Error} err - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendPresetError(res, err, fallbackMessage) {
+    const status = PRESET_ERROR_STATUS[err.name];
+    if (status) {
+        return res.status(status).json({ error: err.message });
+    }
+    logger.error(`${fallbackMessage}:`, err);
+    return res.status(500).json({ error: fallbackMessage });
+}
+
 class EffectsController {
     /**
      * Get current effects settings and available presets
@@ -23,7 +45,7 @@ class EffectsController {
                 presets: services.audio.effects.getPresetsInfo(),
                 filterChain: services.audio.effects.buildFilterChain(),
                 backend: backend,
-                seamless: backend === 'mpv'
+                seamless: backend !== 'ffplay'
             });
         } catch (err) {
             logger.error('Failed to get effects:', err);
@@ -126,6 +148,95 @@ class EffectsController {
         }
     }
 
+    /**
+     * Save the current effects as a user preset
+     * Body: { name: string, description?: string }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    createPreset(req, res) {
+        try {
+            const { name, description } = req.body || {};
+            const preset = services.audio.effects.createPreset(name, { description });
+            res.status(201).json({
+                preset,
+                presets: services.audio.effects.getPresetsInfo(),
+                current: services.audio.effects.getEffects().preset
+            });
+        } catch (err) {
+            sendPresetError(res, err, 'Failed to create preset');
+        }
+    }
+
+    /**
+     * Rename a user preset
+     * Body: { name: string }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    updatePreset(req, res) {
+        try {
+            const preset = services.audio.effects.renamePreset(req.params.presetId, req.body?.name);
+            if (!preset) {
+                return res.status(404).json({ error: 'Preset not found' });
+            }
+            res.json({ preset, presets: services.audio.effects.getPresetsInfo() });
+        } catch (err) {
+            sendPresetError(res, err, 'Failed to rename preset');
+        }
+    }
+
+    /**
+     * Delete a user preset
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    deletePreset(req, res) {
+        try {
+            if (!services.audio.effects.deletePreset(req.params.presetId)) {
+                return res.status(404).json({ error: 'Preset not found' });
+            }
+            res.json({
+                presets: services.audio.effects.getPresetsInfo(),
+                current: services.audio.effects.getEffects().preset
+            });
+        } catch (err) {
+            sendPresetError(res, err, 'Failed to delete preset');
+        }
+    }
+
+    /**
+     * Export user presets as a JSON file
+     * Query: ids (optional, comma-separated preset IDs)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    exportPresets(req, res) {
+        try {
+            const ids = req.query.ids ? String(req.query.ids).split(',').filter(Boolean) : null;
+            const data = services.audio.effects.exportPresets(ids);
+            res.setHeader('Content-Disposition', 'attachment; filename="wabisaby-effect-presets.json"');
+            res.json(data);
+        } catch (err) {
+            sendPresetError(res, err, 'Failed to export presets');
+        }
+    }
+
+    /**
+     * Import presets from an export file
+     * Body: export object ({ presets: [...] }), an array of presets or a single preset
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    importPresets(req, res) {
+        try {
+            const imported = services.audio.effects.importPresets(req.body);
+            res.status(201).json({ imported, presets: services.audio.effects.getPresetsInfo() });
+        } catch (err) {
+            sendPresetError(res, err, 'Failed to import presets');
+        }
+    }
+
     /**
      * Optional mobile authentication middleware
      * Only authenticates if token is present, otherwise allows access
@@ -201,7 +312,7 @@ class EffectsController {
             eventBus.emit(EFFECTS_CHANGED);
             if (backend === 'mpv') {
                 logger.info('Effects changed - applying seamlessly via MPV IPC');
-            } else {
+            } else if (backend === 'ffplay') {
                 logger.info('Effects changed - restarting ffplay with new filters');
             }
         }
@@ -1,5 +1,6 @@
 const groupsService = require('../../services/user/groups.service');
 const { getPendingConfirmations, removePendingConfirmation } = require('../../commands/implementations/ping');
+const { commandRegistry } = require('../../commands/registry');
 const { logger } = require('../../utils/logger.util');
 
 /**
@@ -207,6 +208,130 @@ class GroupsController {
         }
     }
 
+    /**
+     * Update a group's command prefix and aliases
+     * Body: { prefix?: string, aliases?: { [alias]: commandName } }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    updateCommandSettings(req, res) {
+        const { groupId } = req.params;
+        const { prefix = null, aliases = {} } = req.body;
+        
+        if (prefix !== null && typeof prefix !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Prefix must be a string'
+            });
+        }
+        
+        if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Aliases must be an object of alias -> command'
+            });
+        }
+        
+        // Aliases must point at a real command and can't shadow one
+        for (const [alias, commandName] of Object.entries(aliases)) {
+            if (!commandRegistry.resolve(String(commandName))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown command: ${commandName}`
+                });
+            }
+            if (commandRegistry.resolve(alias)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Alias "${alias}" conflicts with an existing command`
+                });
+            }
+        }
+        
+        try {
+            const settings = groupsService.updateCommandSettings(groupId, { prefix, aliases });
+            
+            if (!settings) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Command settings updated successfully',
+                settings
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            logger.error('Error updating group command settings:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update command settings'
+            });
+        }
+    }
+
+    /**
+     * Update a group's natural-language mode
+     * Body: { enabled: boolean, intents?: Array<'play'|'skip'|'queue'> }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    updateNaturalLanguage(req, res) {
+        const { groupId } = req.params;
+        const { enabled, intents } = req.body;
+        
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'enabled must be a boolean'
+            });
+        }
+        
+        if (intents !== undefined && !Array.isArray(intents)) {
+            return res.status(400).json({
+                success: false,
+                error: 'intents must be an array'
+            });
+        }
+        
+        try {
+            const settings = groupsService.updateNaturalLanguageSettings(groupId, { enabled, intents });
+            
+            if (!settings) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Natural-language mode updated successfully',
+                settings
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            logger.error('Error updating group natural-language mode:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update natural-language mode'
+            });
+        }
+    }
+
     /**
      * Get pending group confirmations
      * @param {Object} req - Express request
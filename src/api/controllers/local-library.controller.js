@@ -0,0 +1,125 @@
+const fs = require('fs');
+const services = require('../../services');
+const { logger } = require('../../utils/logger.util');
+const { t: i18n } = require('../../utils/i18n.util');
+const { normalizeLanguageCode, DEFAULT_LANGUAGE } = require('../../config/languages');
+
+/**
+ * Local Library Controller
+ * Handles browsing, searching and queueing tracks from the local music folders
+ */
+
+/**
+ * Parse a track ID route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} Track ID, or null if invalid
+ */
+function getTrackId(req) {
+    const trackId = parseInt(req.params.trackId, 10);
+    return Number.isInteger(trackId) && trackId > 0 ? trackId : null;
+}
+
+class LocalLibraryController {
+    /**
+     * Search the local library (an empty query lists every track)
+     * Query: q, limit (default 50, at most 100), offset
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    search(req, res) {
+        try {
+            const { q, limit, offset } = req.query;
+            const { tracks, total } = services.content.localLibrary.search(q, { limit, offset });
+            res.json({ tracks, total, status: services.content.localLibrary.getStatus() });
+        } catch (err) {
+            logger.error('Failed to search local library:', err);
+            res.status(500).json({ error: 'Failed to search local library' });
+        }
+    }
+
+    /**
+     * Get the library status (folders, track count, last scan)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    getStatus(req, res) {
+        try {
+            res.json(services.content.localLibrary.getStatus());
+        } catch (err) {
+            logger.error('Failed to get local library status:', err);
+            res.status(500).json({ error: 'Failed to get local library status' });
+        }
+    }
+
+    /**
+     * Rescan the music folders now
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    async scan(req, res) {
+        const localLibrary = services.content.localLibrary;
+        if (!localLibrary.isEnabled()) {
+            return res.status(400).json({ error: 'No local music folders are configured (LOCAL_MUSIC_DIRS)' });
+        }
+
+        try {
+            const result = await localLibrary.scan();
+            res.json({ success: true, ...result });
+        } catch (err) {
+            logger.error('Failed to scan local library:', err);
+            res.status(500).json({ error: 'Failed to scan local library' });
+        }
+    }
+
+    /**
+     * Add a track to the queue (played from its file)
+     * Body: { requester?: string, effectsPreset?: string, lang?: string }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    addToQueue(req, res) {
+        const trackId = getTrackId(req);
+        if (!trackId) {
+            return res.status(400).json({ error: 'Invalid track ID' });
+        }
+
+        const { requester, effectsPreset, lang } = req.body || {};
+        const presetId = effectsPreset ? services.audio.effects.findPresetId(effectsPreset) : null;
+        if (effectsPreset && !presetId) {
+            return res.status(400).json({ error: `Unknown effect preset: ${effectsPreset}` });
+        }
+
+        const localLibrary = services.content.localLibrary;
+        const track = localLibrary.getTrack(trackId);
+        if (!track) {
+            return res.status(404).json({ error: 'Track not found' });
+        }
+        if (!fs.existsSync(track.filePath)) {
+            localLibrary.scheduleRescan();
+            return res.status(404).json({ error: 'Track file no longer exists' });
+        }
+
+        try {
+            services.playback.queue.add({
+                ...localLibrary.toQueueSong(track),
+                requester: requester || 'Web User',
+                remoteJid: 'WEB_DASHBOARD',
+                sender: 'WEB_DASHBOARD',
+                effectsPreset: presetId
+            });
+            res.json({ success: true, message: 'Song added to queue', title: track.title, artist: track.artist });
+        } catch (err) {
+            if (err.name === 'QuotaExceededError') {
+                return res.status(429).json({
+                    success: false,
+                    reason: err.reason,
+                    message: i18n(err.messageKey, normalizeLanguageCode(lang) || DEFAULT_LANGUAGE, err.params)
+                });
+            }
+            logger.error('Failed to add local track to queue:', err);
+            res.status(500).json({ error: 'Failed to add track to queue' });
+        }
+    }
+}
+
+module.exports = new LocalLibraryController();
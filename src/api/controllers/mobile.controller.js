@@ -197,7 +197,7 @@ class MobileController {
                 return item;
             };
             
-            const queueWithThumbnails = queue.map(addThumbnailUrl);
+            const queueWithThumbnails = services.playback.queueEta.withEtas(queue.map(addThumbnailUrl));
             const isConnected = whatsappAdapter.getConnectionStatus();
             
             // Get groups count for action required check
@@ -365,7 +365,7 @@ class MobileController {
             return item;
         };
         
-        const queueWithThumbnails = queue.map(addThumbnailUrl);
+        const queueWithThumbnails = services.playback.queueEta.withEtas(queue.map(addThumbnailUrl));
         const isConnected = whatsappAdapter.getConnectionStatus();
         
         // Get groups count for action required check
@@ -425,7 +425,7 @@ class MobileController {
                 effects: effectsService.getEffects(),
                 presets: effectsService.getPresetsInfo(),
                 backend: backend,
-                seamless: backend === 'mpv'
+                seamless: backend !== 'ffplay'
             });
         } catch (err) {
             logger.error('Failed to get mobile effects:', err);
@@ -499,7 +499,7 @@ class MobileController {
             eventBus.emit(EFFECTS_CHANGED);
             if (backend === 'mpv') {
                 logger.info('Effects changed - applying seamlessly via MPV IPC');
-            } else {
+            } else if (backend === 'ffplay') {
                 logger.info('Effects changed - restarting ffplay with new filters');
             }
         }
@@ -0,0 +1,226 @@
+const services = require('../../services');
+const { searchYouTube } = require('../../services/youtube/search.service');
+const { logger } = require('../../utils/logger.util');
+const { t: i18n } = require('../../utils/i18n.util');
+const { normalizeLanguageCode, DEFAULT_LANGUAGE } = require('../../config/languages');
+
+/**
+ * Playlists Controller
+ * Handles saved playlist management
+ */
+
+/**
+ * Send an error response matching the error type thrown by the playlist service
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.name === 'ConflictError') {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+    logger.error(`[PlaylistsController] ${fallbackMessage}:`, error);
+    return res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+class PlaylistsController {
+    /**
+     * Get all saved playlists
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    getPlaylists(req, res) {
+        try {
+            const playlists = services.content.savedPlaylists.getSavedPlaylists();
+            res.json({ success: true, playlists });
+        } catch (error) {
+            sendError(res, error, 'Failed to get playlists');
+        }
+    }
+
+    /**
+     * Get a saved playlist
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    getPlaylist(req, res) {
+        const playlist = services.content.savedPlaylists.findSavedPlaylist(req.params.playlistId);
+        if (!playlist) {
+            return res.status(404).json({ success: false, error: 'Playlist not found' });
+        }
+        res.json({ success: true, playlist });
+    }
+
+    /**
+     * Create a saved playlist
+     * Body: { name: string, items?: Array, fromQueue?: boolean }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    createPlaylist(req, res) {
+        try {
+            const { name, items = [], fromQueue = false } = req.body || {};
+
+            if (!Array.isArray(items)) {
+                return res.status(400).json({ success: false, error: 'items must be an array' });
+            }
+
+            let playlist;
+            if (fromQueue) {
+                const currentSong = services.playback.orchestrator.getCurrent();
+                const queue = services.playback.queue.getQueue();
+                playlist = services.content.savedPlaylists.saveQueueAsPlaylist(name, currentSong ? [currentSong, ...queue] : queue);
+            } else {
+                playlist = services.content.savedPlaylists.createSavedPlaylist(name, items);
+            }
+            res.json({ success: true, playlist });
+        } catch (error) {
+            sendError(res, error, 'Failed to create playlist');
+        }
+    }
+
+    /**
+     * Rename a saved playlist
+     * Body: { name: string }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    updatePlaylist(req, res) {
+        try {
+            const playlist = services.content.savedPlaylists.renameSavedPlaylist(req.params.playlistId, req.body?.name);
+            if (!playlist) {
+                return res.status(404).json({ success: false, error: 'Playlist not found' });
+            }
+            res.json({ success: true, playlist });
+        } catch (error) {
+            sendError(res, error, 'Failed to update playlist');
+        }
+    }
+
+    /**
+     * Delete a saved playlist
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    deletePlaylist(req, res) {
+        try {
+            if (!services.content.savedPlaylists.deleteSavedPlaylist(req.params.playlistId)) {
+                return res.status(404).json({ success: false, error: 'Playlist not found' });
+            }
+            res.json({ success: true, message: 'Playlist deleted' });
+        } catch (error) {
+            sendError(res, error, 'Failed to delete playlist');
+        }
+    }
+
+    /**
+     * Add all items of a saved playlist to the queue
+     * Body: { requester?: string, lang?: string } - lang localizes the quota message if loading stopped early
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    async loadPlaylist(req, res) {
+        const playlist = services.content.savedPlaylists.findSavedPlaylist(req.params.playlistId);
+        if (!playlist) {
+            return res.status(404).json({ success: false, error: 'Playlist not found' });
+        }
+
+        try {
+            const summary = await services.content.savedPlaylists.loadPlaylistIntoQueue(playlist, {
+                requester: req.body?.requester || 'Web User',
+                remoteJid: 'WEB_DASHBOARD',
+                sender: 'WEB_DASHBOARD'
+            }, {
+                queueManager: services.playback.queue,
+                searchYouTube
+            });
+            if (summary.quota) {
+                const lang = normalizeLanguageCode(req.body?.lang) || DEFAULT_LANGUAGE;
+                summary.quota.message = i18n(summary.quota.messageKey, lang, summary.quota.params);
+            }
+            res.json({ success: true, ...summary });
+        } catch (error) {
+            sendError(res, error, 'Failed to load playlist');
+        }
+    }
+
+    /**
+     * Add an item to a saved playlist
+     * Body: { title: string, artist?: string, url?: string, searchQuery?: string }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    addItem(req, res) {
+        try {
+            const { title, artist, url, searchQuery } = req.body || {};
+
+            if (!url && !searchQuery) {
+                return res.status(400).json({ success: false, error: 'url or searchQuery is required' });
+            }
+
+            const playlist = services.content.savedPlaylists.addSavedPlaylistItem(req.params.playlistId, {
+                title: title || searchQuery || url,
+                artist,
+                url,
+                searchQuery
+            });
+            if (!playlist) {
+                return res.status(404).json({ success: false, error: 'Playlist not found' });
+            }
+            res.json({ success: true, playlist });
+        } catch (error) {
+            sendError(res, error, 'Failed to add playlist item');
+        }
+    }
+
+    /**
+     * Remove an item from a saved playlist
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    removeItem(req, res) {
+        const itemId = parseInt(req.params.itemId, 10);
+        if (isNaN(itemId)) {
+            return res.status(400).json({ success: false, error: 'Invalid item ID' });
+        }
+
+        try {
+            if (!services.content.savedPlaylists.removeSavedPlaylistItem(req.params.playlistId, itemId)) {
+                return res.status(404).json({ success: false, error: 'Playlist item not found' });
+            }
+            res.json({ success: true, message: 'Playlist item removed' });
+        } catch (error) {
+            sendError(res, error, 'Failed to remove playlist item');
+        }
+    }
+
+    /**
+     * Reorder items in a saved playlist
+     * Body: { fromIndex: number, toIndex: number }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    reorderItems(req, res) {
+        try {
+            const { fromIndex: from, toIndex: to } = req.body || {};
+            const fromIndex = parseInt(from, 10);
+            const toIndex = parseInt(to, 10);
+
+            if (isNaN(fromIndex) || isNaN(toIndex)) {
+                return res.status(400).json({ success: false, error: 'fromIndex and toIndex are required' });
+            }
+
+            if (!services.content.savedPlaylists.reorderSavedPlaylistItems(req.params.playlistId, fromIndex, toIndex)) {
+                return res.status(400).json({ success: false, error: 'Invalid playlist or indices' });
+            }
+            res.json({ success: true, message: 'Playlist reordered' });
+        } catch (error) {
+            sendError(res, error, 'Failed to reorder playlist');
+        }
+    }
+}
+
+module.exports = new PlaylistsController();
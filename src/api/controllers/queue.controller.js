@@ -2,6 +2,8 @@ const services = require('../../services');
 const { logger } = require('../../utils/logger.util');
 const fs = require('fs');
 const helpersUtil = require('../../utils/helpers.util');
+const { t: i18n } = require('../../utils/i18n.util');
+const { normalizeLanguageCode, DEFAULT_LANGUAGE } = require('../../config/languages');
 
 /**
  * Queue Controller
@@ -30,14 +32,21 @@ class QueueController {
                 return item;
             };
 
-            const queueWithThumbnails = queue.map(addThumbnailUrl);
+            // Add the name of the item's effect preset (override), if it has one
+            const addPresetName = (item) => {
+                if (!item?.effectsPreset) return item;
+                const preset = services.audio.effects.getPreset(item.effectsPreset);
+                return { ...item, effectsPresetName: preset ? preset.name : null };
+            };
+
+            const queueWithThumbnails = services.playback.queueEta.withEtas(queue.map(addThumbnailUrl).map(addPresetName));
 
             // Add thumbnail URL to current song if available
-            let currentSongWithThumbnail = currentSong;
+            let currentSongWithThumbnail = addPresetName(currentSong);
             if (currentSong && currentSong.thumbnail && fs.existsSync(currentSong.thumbnail)) {
                 const thumbnailUrl = helpersUtil.getThumbnailUrl(currentSong.thumbnail);
                 if (thumbnailUrl) {
-                    currentSongWithThumbnail = { ...currentSong, thumbnailUrl };
+                    currentSongWithThumbnail = { ...currentSongWithThumbnail, thumbnailUrl };
                 }
             }
 
@@ -53,16 +62,23 @@ class QueueController {
 
     /**
      * Add song to queue
+     * Body: { url: string, requester?: string, effectsPreset?: string, lang?: string }
+     * effectsPreset (preset ID or name) is applied only while this song plays; lang localizes quota rejections
      * @param {Object} req - Express request
      * @param {Object} res - Express response
      */
     async addSong(req, res) {
-        const { url: input, requester } = req.body;
+        const { url: input, requester, effectsPreset, lang } = req.body;
 
         if (!input) {
             return res.status(400).json({ error: 'URL or search query is required' });
         }
 
+        const presetId = effectsPreset ? services.audio.effects.findPresetId(effectsPreset) : null;
+        if (effectsPreset && !presetId) {
+            return res.status(400).json({ error: `Unknown effect preset: ${effectsPreset}` });
+        }
+
         try {
             // Resolve song using the song resolution service
             const song = await services.playback.songResolution.resolveSong(input, {
@@ -71,7 +87,7 @@ class QueueController {
                 sender: 'WEB_DASHBOARD'
             });
 
-            const result = services.playback.queue.add(song);
+            const result = services.playback.queue.add({ ...song, effectsPreset: presetId });
             if (result === null) {
                 return res.status(409).json({
                     success: false,
@@ -82,6 +98,13 @@ class QueueController {
             }
             res.json({ success: true, message: 'Song added to queue', title: song.title, artist: song.artist });
         } catch (error) {
+            if (error.name === 'QuotaExceededError') {
+                return res.status(429).json({
+                    success: false,
+                    reason: error.reason,
+                    message: i18n(error.messageKey, normalizeLanguageCode(lang) || DEFAULT_LANGUAGE, error.params)
+                });
+            }
             logger.error('[QueueController] Error adding song:', error);
             res.status(400).json({
                 error: 'Failed to add song',
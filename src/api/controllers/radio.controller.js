@@ -0,0 +1,49 @@
+const radio = require('../../infrastructure/player/radio');
+const { logger } = require('../../utils/logger.util');
+
+/**
+ * Radio Controller
+ * Handles the live radio stream and its status
+ */
+
+class RadioController {
+    /**
+     * Stream the live mix as MP3 (ICY metadata when requested)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    listen(req, res) {
+        try {
+            if (!radio.getSettings().enabled) {
+                return res.status(503).json({ error: 'The radio stream is disabled' });
+            }
+
+            if (!radio.hasRoom()) {
+                return res.status(503).json({ error: 'The radio stream is full, try again later' });
+            }
+
+            radio.addListener(req, res);
+        } catch (err) {
+            logger.error('Failed to start radio stream:', err);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Failed to start radio stream' });
+            }
+        }
+    }
+
+    /**
+     * Get radio status (enabled, listener count, bitrate)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    getStatus(req, res) {
+        try {
+            res.json(radio.getStatus());
+        } catch (err) {
+            logger.error('Failed to get radio status:', err);
+            res.status(500).json({ error: 'Failed to get radio status' });
+        }
+    }
+}
+
+module.exports = new RadioController();
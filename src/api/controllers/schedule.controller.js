@@ -0,0 +1,110 @@
+const services = require('../../services');
+const { logger } = require('../../utils/logger.util');
+
+/**
+ * Schedule Controller
+ * Handles schedule rules (volume caps, effect presets and quiet hours by time of day)
+ */
+
+/**
+ * Parse a rule ID route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} Rule ID, or null if invalid
+ */
+function getRuleId(req) {
+    const ruleId = parseInt(req.params.ruleId, 10);
+    return Number.isInteger(ruleId) && ruleId > 0 ? ruleId : null;
+}
+
+/**
+ * Send an error response (validation errors from the scheduler service are 400s)
+ * @param {Object} res - Express response
+ * @param {Error} err - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendRuleError(res, err, fallbackMessage) {
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({ error: err.message });
+    }
+    logger.error(`${fallbackMessage}:`, err);
+    return res.status(500).json({ error: fallbackMessage });
+}
+
+class ScheduleController {
+    /**
+     * Get all rules and the current schedule status
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    getRules(req, res) {
+        try {
+            res.json({
+                rules: services.system.scheduler.getRules(),
+                status: services.system.scheduler.getStatus()
+            });
+        } catch (err) {
+            sendRuleError(res, err, 'Failed to get schedule rules');
+        }
+    }
+
+    /**
+     * Create a rule
+     * Body: { name, type, value, days, startTime, endTime, enabled }
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    createRule(req, res) {
+        try {
+            const rule = services.system.scheduler.createRule(req.body || {});
+            res.status(201).json({ rule, status: services.system.scheduler.getStatus() });
+        } catch (err) {
+            sendRuleError(res, err, 'Failed to create schedule rule');
+        }
+    }
+
+    /**
+     * Update a rule (missing fields keep their value)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    updateRule(req, res) {
+        try {
+            const ruleId = getRuleId(req);
+            const rule = ruleId ? services.system.scheduler.updateRule(ruleId, req.body || {}) : null;
+            if (!rule) {
+                return res.status(404).json({ error: 'Rule not found' });
+            }
+            res.json({ rule, status: services.system.scheduler.getStatus() });
+        } catch (err) {
+            sendRuleError(res, err, 'Failed to update schedule rule');
+        }
+    }
+
+    /**
+     * Delete a rule
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    deleteRule(req, res) {
+        try {
+            const ruleId = getRuleId(req);
+            if (!ruleId || !services.system.scheduler.deleteRule(ruleId)) {
+                return res.status(404).json({ error: 'Rule not found' });
+            }
+            res.json({ success: true, status: services.system.scheduler.getStatus() });
+        } catch (err) {
+            sendRuleError(res, err, 'Failed to delete schedule rule');
+        }
+    }
+
+    /**
+     * Get the schedule status (active rules, volume cap, preset, quiet hours)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    getStatus(req, res) {
+        res.json(services.system.scheduler.getStatus());
+    }
+}
+
+module.exports = new ScheduleController();
@@ -2,23 +2,73 @@ const config = require('../../config');
 const { logger } = require('../../utils/logger.util');
 const { getDiskUsage } = require('../../utils/helpers.util');
 const rateLimitService = require('../../services/user/command-rate-limit.service');
+const queueQuotaService = require('../../services/user/queue-quota.service');
+const queueService = require('../../services/playback/queue.service');
+const libraryCache = require('../../services/cache/library-cache.service');
 
 /**
  * Settings Controller
  * Handles configuration settings management
  */
 
+/**
+ * Settings that change how the queue is ordered (the queue is rebalanced when they change)
+ */
+const QUEUE_POLICY_SETTINGS = ['queuePolicy', 'vipShareWeight'];
+
+/**
+ * Settings that must be true or false
+ */
+const BOOLEAN_SETTINGS = ['downloadThumbnails', 'cleanupAfterPlay', 'prefetchNext', 'enabled', 'confirmSkip', 'showRequesterName', 'demoMode', 'searchPickerEnabled', 'crossfadeEnabled', 'radioEnabled', 'silenceTrimEnabled', 'libraryCacheEnabled'];
+
+/**
+ * Settings that must be whole numbers
+ */
+const INTEGER_SETTINGS = ['songTransitionDelay', 'prefetchCount', 'notifyAtPosition', 'maxRequests', 'windowSeconds', 'voteSkipPercentage', 'voteSkipCount', 'voteSkipActiveMinutes', 'searchConfidenceThreshold', 'searchPickerTimeout', 'vipShareWeight', 'maxPendingPerUser', 'maxPendingPerGroup', 'maxTrackMinutes', 'dailySongsPerUser', 'vipMaxPendingPerUser', 'vipMaxTrackMinutes', 'vipDailySongsPerUser', 'crossfadeDuration', 'radioMaxListeners', 'loudnessScanConcurrency', 'silenceThreshold', 'silenceMinDuration', 'introOutroMaxLength', 'libraryCacheMaxSizeGb', 'streamMaxMinutes', 'directDownloadMaxSizeMb'];
+
+/**
+ * Allowed ranges of integer settings ([min, max], max optional)
+ * Integer settings not listed here must be 0 or more.
+ */
+const INTEGER_RANGES = {
+    maxRequests: [1],
+    windowSeconds: [10],
+    voteSkipPercentage: [1, 100],
+    voteSkipCount: [1],
+    voteSkipActiveMinutes: [1],
+    directDownloadMaxSizeMb: [10, 2000],
+    streamMaxMinutes: [5, 720],
+    libraryCacheMaxSizeGb: [1, 500],
+    introOutroMaxLength: [0, 120],
+    silenceMinDuration: [1, 10],
+    silenceThreshold: [-80, -20],
+    loudnessScanConcurrency: [1, 4],
+    radioMaxListeners: [1, 100],
+    crossfadeDuration: [0, 12],
+    vipShareWeight: [1, 10],
+    searchPickerTimeout: [10]
+};
+
+/**
+ * Integer settings that are clamped instead of rejected ([min, max])
+ */
+const INTEGER_CLAMPS = {
+    notifyAtPosition: [1, Infinity],
+    songTransitionDelay: [0, 10000] // Max 10 seconds
+};
+
 /**
  * Settings that can be changed at runtime via the web UI
  * These don't require a restart and aren't sensitive
  */
 const EDITABLE_SETTINGS = {
     download: ['audioFormat', 'audioQuality', 'downloadThumbnails', 'playerClient'],
-    playback: ['cleanupAfterPlay', 'songTransitionDelay', 'confirmSkip', 'showRequesterName', 'shuffleEnabled', 'repeatMode'],
-    performance: ['prefetchNext', 'prefetchCount'],
+    playback: ['cleanupAfterPlay', 'songTransitionDelay', 'crossfadeEnabled', 'crossfadeDuration', 'crossfadeCurve', 'silenceTrimEnabled', 'silenceThreshold', 'silenceMinDuration', 'introOutroMaxLength', 'streamMaxMinutes', 'confirmSkip', 'showRequesterName', 'shuffleEnabled', 'repeatMode', 'queuePolicy', 'vipShareWeight', 'voteSkipMode', 'voteSkipPercentage', 'voteSkipCount', 'voteSkipActiveMinutes', 'searchPickerEnabled', 'searchConfidenceThreshold', 'searchPickerTimeout', 'radioEnabled', 'radioBitrate', 'radioMaxListeners'],
+    performance: ['prefetchNext', 'prefetchCount', 'loudnessScanConcurrency', 'libraryCacheEnabled', 'libraryCacheMaxSizeGb', 'directDownloadMaxSizeMb'],
     notifications: ['enabled', 'notifyAtPosition'],
     privacy: ['demoMode'],
-    rateLimit: ['enabled', 'maxRequests', 'windowSeconds']
+    rateLimit: ['enabled', 'maxRequests', 'windowSeconds'],
+    quota: ['enabled', 'maxPendingPerUser', 'maxPendingPerGroup', 'maxTrackMinutes', 'dailySongsPerUser', 'vipMaxPendingPerUser', 'vipMaxTrackMinutes', 'vipDailySongsPerUser']
 };
 
 /**
@@ -27,7 +77,11 @@ const EDITABLE_SETTINGS = {
 const VALID_OPTIONS = {
     audioFormat: ['mp3', 'm4a', 'opus', 'flac', 'wav'],
     audioQuality: ['64k', '128k', '192k', '256k', '320k'],
-    playerClient: ['android', 'web', 'ios']
+    playerClient: ['android', 'web', 'ios'],
+    voteSkipMode: ['fraction', 'count'],
+    queuePolicy: ['fifo', 'roundRobin', 'fairShare'],
+    crossfadeCurve: ['equalPower', 'linear', 'sCurve', 'logarithmic', 'exponential'],
+    radioBitrate: ['96k', '128k', '192k', '320k']
 };
 
 /**
@@ -43,14 +97,38 @@ const DEFAULT_SETTINGS = {
     playback: {
         cleanupAfterPlay: true,
         songTransitionDelay: 100,
+        crossfadeEnabled: false,
+        crossfadeDuration: 5,
+        crossfadeCurve: 'equalPower',
+        silenceTrimEnabled: false,
+        silenceThreshold: -50,
+        silenceMinDuration: 2,
+        introOutroMaxLength: 0,
+        streamMaxMinutes: 60,
         confirmSkip: true,
         showRequesterName: true,
         shuffleEnabled: false,
-        repeatMode: 'off'
+        repeatMode: 'off',
+        queuePolicy: 'fifo',
+        vipShareWeight: 2,
+        voteSkipMode: 'fraction',
+        voteSkipPercentage: 50,
+        voteSkipCount: 3,
+        voteSkipActiveMinutes: 15,
+        searchPickerEnabled: false,
+        searchConfidenceThreshold: 100,
+        searchPickerTimeout: 60,
+        radioEnabled: false,
+        radioBitrate: '128k',
+        radioMaxListeners: 10
     },
     performance: {
         prefetchNext: true,
-        prefetchCount: 0
+        prefetchCount: 0,
+        loudnessScanConcurrency: 1,
+        libraryCacheEnabled: true,
+        libraryCacheMaxSizeGb: 5,
+        directDownloadMaxSizeMb: 200
     },
     notifications: {
         enabled: true,
@@ -60,9 +138,51 @@ const DEFAULT_SETTINGS = {
         enabled: true,
         maxRequests: 3,
         windowSeconds: 60
-    }
+    },
+    quota: { ...queueQuotaService.DEFAULT_CONFIG }
 };
 
+/**
+ * Check and parse a new value for an editable setting
+ * @param {string} key - Setting key
+ * @param {*} value - Value from the request
+ * @returns {{value: *}|{error: string}} Parsed value, or why it was rejected
+ */
+function validateSetting(key, value) {
+    if (VALID_OPTIONS[key] && !VALID_OPTIONS[key].includes(value)) {
+        return { error: `Invalid value for ${key}. Valid options: ${VALID_OPTIONS[key].join(', ')}` };
+    }
+
+    if (BOOLEAN_SETTINGS.includes(key)) {
+        return typeof value === 'boolean' ? { value } : { error: `${key} must be a boolean` };
+    }
+
+    if (!INTEGER_SETTINGS.includes(key)) {
+        return { value };
+    }
+
+    // Numbers, or strings of digits (form fields)
+    const parsed = typeof value === 'number' ? value : (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : NaN);
+    if (!Number.isInteger(parsed)) {
+        return { error: `${key} must be a whole number` };
+    }
+
+    if (INTEGER_CLAMPS[key]) {
+        const [min, max] = INTEGER_CLAMPS[key];
+        return { value: Math.min(max, Math.max(min, parsed)) };
+    }
+
+    const [min, max] = INTEGER_RANGES[key] || [0];
+    if (parsed < min || (max !== undefined && parsed > max)) {
+        return {
+            error: max !== undefined
+                ? `${key} must be between ${min} and ${max}`
+                : min === 0 ? `${key} must be a non-negative integer` : `${key} must be at least ${min}`
+        };
+    }
+    return { value: parsed };
+}
+
 class SettingsController {
     /**
      * Get current configuration (only editable settings)
@@ -89,14 +209,38 @@ class SettingsController {
             playback: {
                 cleanupAfterPlay: config.playback.cleanupAfterPlay,
                 songTransitionDelay: config.playback.songTransitionDelay,
+                crossfadeEnabled: config.playback.crossfadeEnabled,
+                crossfadeDuration: config.playback.crossfadeDuration,
+                crossfadeCurve: config.playback.crossfadeCurve,
+                silenceTrimEnabled: config.playback.silenceTrimEnabled,
+                silenceThreshold: config.playback.silenceThreshold,
+                silenceMinDuration: config.playback.silenceMinDuration,
+                introOutroMaxLength: config.playback.introOutroMaxLength,
+                streamMaxMinutes: config.playback.streamMaxMinutes,
                 confirmSkip: config.playback.confirmSkip,
                 showRequesterName: config.playback.showRequesterName,
                 shuffleEnabled: config.playback.shuffleEnabled,
-                repeatMode: config.playback.repeatMode
+                repeatMode: config.playback.repeatMode,
+                queuePolicy: config.playback.queuePolicy,
+                vipShareWeight: config.playback.vipShareWeight,
+                voteSkipMode: config.playback.voteSkipMode,
+                voteSkipPercentage: config.playback.voteSkipPercentage,
+                voteSkipCount: config.playback.voteSkipCount,
+                voteSkipActiveMinutes: config.playback.voteSkipActiveMinutes,
+                searchPickerEnabled: config.playback.searchPickerEnabled,
+                searchConfidenceThreshold: config.playback.searchConfidenceThreshold,
+                searchPickerTimeout: config.playback.searchPickerTimeout,
+                radioEnabled: config.playback.radioEnabled,
+                radioBitrate: config.playback.radioBitrate,
+                radioMaxListeners: config.playback.radioMaxListeners
             },
             performance: {
                 prefetchNext: config.performance.prefetchNext,
-                prefetchCount: config.performance.prefetchCount
+                prefetchCount: config.performance.prefetchCount,
+                loudnessScanConcurrency: config.performance.loudnessScanConcurrency,
+                libraryCacheEnabled: config.performance.libraryCacheEnabled,
+                libraryCacheMaxSizeGb: config.performance.libraryCacheMaxSizeGb,
+                directDownloadMaxSizeMb: config.performance.directDownloadMaxSizeMb
             },
             notifications: {
                 enabled: config.notifications.enabled,
@@ -105,7 +249,8 @@ class SettingsController {
             privacy: {
                 demoMode: config.privacy?.demoMode || false
             },
-            rateLimit: rateLimitService.getRateLimitConfig()
+            rateLimit: rateLimitService.getRateLimitConfig(),
+            quota: queueQuotaService.getQuotaConfig()
         };
 
         res.json({
@@ -141,57 +286,14 @@ class SettingsController {
             });
         }
 
-        // Validate value for select fields
-        if (VALID_OPTIONS[key] && !VALID_OPTIONS[key].includes(value)) {
+        const result = validateSetting(key, value);
+        if (result.error) {
             return res.status(400).json({
                 success: false,
-                error: `Invalid value for ${key}. Valid options: ${VALID_OPTIONS[key].join(', ')}`
+                error: result.error
             });
         }
-
-        // Type validation
-        let parsedValue = value;
-        
-        // Boolean fields
-        if (['downloadThumbnails', 'cleanupAfterPlay', 'prefetchNext', 'enabled', 'confirmSkip', 'showRequesterName', 'demoMode'].includes(key)) {
-            if (typeof value !== 'boolean') {
-                return res.status(400).json({
-                    success: false,
-                    error: `${key} must be a boolean`
-                });
-            }
-        }
-        
-        // Integer fields
-        if (['songTransitionDelay', 'prefetchCount', 'notifyAtPosition', 'maxRequests', 'windowSeconds'].includes(key)) {
-            parsedValue = parseInt(value, 10);
-            if (isNaN(parsedValue) || parsedValue < 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: `${key} must be a non-negative integer`
-                });
-            }
-            
-            // Additional validation
-            if (key === 'notifyAtPosition' && parsedValue < 1) {
-                parsedValue = 1;
-            }
-            if (key === 'songTransitionDelay' && parsedValue > 10000) {
-                parsedValue = 10000; // Max 10 seconds
-            }
-            if (key === 'maxRequests' && parsedValue < 1) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'maxRequests must be at least 1'
-                });
-            }
-            if (key === 'windowSeconds' && parsedValue < 10) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'windowSeconds must be at least 10'
-                });
-            }
-        }
+        const parsedValue = result.value;
 
         // Update the config
         try {
@@ -209,6 +311,19 @@ class SettingsController {
                     newValue: parsedValue
                 });
             }
+
+            // Queue quotas are stored the same way
+            if (category === 'quota') {
+                queueQuotaService.setQuotaConfig({ [key]: parsedValue });
+                
+                logger.info(`Queue quota setting updated: ${category}.${key} = ${parsedValue}`);
+                
+                return res.json({
+                    success: true,
+                    message: `Updated ${category}.${key}`,
+                    newValue: parsedValue
+                });
+            }
             
             // Ensure the category exists
             if (!config[category]) {
@@ -222,6 +337,10 @@ class SettingsController {
             if (!saved) {
                 logger.warn('Setting updated in memory but failed to persist to disk');
             }
+
+            if (category === 'playback' && QUEUE_POLICY_SETTINGS.includes(key)) {
+                queueService.rebalance();
+            }
             
             logger.info(`Settings updated: ${category}.${key} = ${parsedValue}`);
             
@@ -268,29 +387,12 @@ class SettingsController {
                     continue;
                 }
 
-                // Validate select options
-                if (VALID_OPTIONS[key] && !VALID_OPTIONS[key].includes(value)) {
-                    errors.push(`Invalid value for ${key}`);
+                const result = validateSetting(key, value);
+                if (result.error) {
+                    errors.push(result.error);
                     continue;
                 }
-
-                // Parse and set value
-                let parsedValue = value;
-                if (['songTransitionDelay', 'prefetchCount', 'notifyAtPosition', 'maxRequests', 'windowSeconds'].includes(key)) {
-                    parsedValue = parseInt(value, 10);
-                    if (isNaN(parsedValue)) {
-                        errors.push(`${key} must be a number`);
-                        continue;
-                    }
-                    if (key === 'maxRequests' && parsedValue < 1) {
-                        errors.push('maxRequests must be at least 1');
-                        continue;
-                    }
-                    if (key === 'windowSeconds' && parsedValue < 10) {
-                        errors.push('windowSeconds must be at least 10');
-                        continue;
-                    }
-                }
+                const parsedValue = result.value;
 
                 // Handle rate limit settings specially
                 if (category === 'rateLimit') {
@@ -298,6 +400,9 @@ class SettingsController {
                     const newConfig = { ...currentConfig, [key]: parsedValue };
                     rateLimitService.setRateLimitConfig(newConfig);
                     updated.push(`${category}.${key}`);
+                } else if (category === 'quota') {
+                    queueQuotaService.setQuotaConfig({ [key]: parsedValue });
+                    updated.push(`${category}.${key}`);
                 } else {
                     config[category][key] = parsedValue;
                     updated.push(`${category}.${key}`);
@@ -311,6 +416,10 @@ class SettingsController {
             logger.warn('Settings updated in memory but failed to persist to disk');
         }
 
+        if (QUEUE_POLICY_SETTINGS.some(key => updated.includes(`playback.${key}`))) {
+            queueService.rebalance();
+        }
+
         logger.info(`Bulk settings update: ${updated.length} settings changed`);
 
         res.json({
@@ -329,6 +438,15 @@ class SettingsController {
         try {
             // Reset each category to defaults
             for (const [category, settings] of Object.entries(DEFAULT_SETTINGS)) {
+                // Rate limits and quotas live in the database, not in config
+                if (category === 'rateLimit') {
+                    rateLimitService.setRateLimitConfig(settings);
+                    continue;
+                }
+                if (category === 'quota') {
+                    queueQuotaService.setQuotaConfig(settings);
+                    continue;
+                }
                 for (const [key, value] of Object.entries(settings)) {
                     config[category][key] = value;
                 }
@@ -367,7 +485,8 @@ class SettingsController {
             
             res.json({
                 success: true,
-                usage
+                usage,
+                library: libraryCache.getStats()
             });
         } catch (error) {
             logger.error('Failed to get disk usage:', error);
@@ -377,6 +496,29 @@ class SettingsController {
             });
         }
     }
+
+    /**
+     * Delete library cache files that are not playing or queued
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    purgeLibrary(req, res) {
+        try {
+            const result = libraryCache.purge();
+            
+            res.json({
+                success: true,
+                ...result,
+                library: libraryCache.getStats()
+            });
+        } catch (error) {
+            logger.error('Failed to purge library cache:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to purge library cache'
+            });
+        }
+    }
 }
 
 module.exports = new SettingsController();
@@ -225,7 +225,9 @@ class StatusController {
                     queueLength: queue.length
                 },
                 shuffleEnabled: config.playback.shuffleEnabled,
-                repeatMode: config.playback.repeatMode
+                repeatMode: config.playback.repeatMode,
+                voteSkip: services.playback.voteSkip.getState(),
+                schedule: services.system.scheduler.getStatus()
             });
         } catch (error) {
             // Log detailed error information
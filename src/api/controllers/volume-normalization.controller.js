@@ -1,3 +1,4 @@
+const services = require('../../services');
 const volumeNormalization = require('../../services/audio/volume-normalization.service');
 const dbService = require('../../infrastructure/database/db.service');
 const { logger } = require('../../utils/logger.util');
@@ -30,15 +31,33 @@ class VolumeNormalizationController {
      */
     updateSettings(req, res) {
         try {
-            const { enabled, thresholdTooLow, thresholdTooHigh, targetLevel } = req.body;
+            const { enabled, mode, thresholdTooLow, thresholdTooHigh, targetLevel, targetLufs, maxTruePeak, gainScope } = req.body;
             
             const currentSettings = volumeNormalization.getNormalizationSettings();
             const newSettings = {
                 enabled: enabled !== undefined ? enabled : currentSettings.enabled,
+                mode: mode !== undefined ? mode : currentSettings.mode,
                 thresholdTooLow: thresholdTooLow !== undefined ? thresholdTooLow : currentSettings.thresholdTooLow,
                 thresholdTooHigh: thresholdTooHigh !== undefined ? thresholdTooHigh : currentSettings.thresholdTooHigh,
-                targetLevel: targetLevel !== undefined ? targetLevel : currentSettings.targetLevel
+                targetLevel: targetLevel !== undefined ? targetLevel : currentSettings.targetLevel,
+                targetLufs: targetLufs !== undefined ? targetLufs : currentSettings.targetLufs,
+                maxTruePeak: maxTruePeak !== undefined ? maxTruePeak : currentSettings.maxTruePeak,
+                gainScope: gainScope !== undefined ? gainScope : currentSettings.gainScope
             };
+
+            if (!volumeNormalization.NORMALIZATION_MODES.includes(newSettings.mode)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `mode must be one of: ${volumeNormalization.NORMALIZATION_MODES.join(', ')}`
+                });
+            }
+
+            if (!volumeNormalization.GAIN_SCOPES.includes(newSettings.gainScope)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `gainScope must be one of: ${volumeNormalization.GAIN_SCOPES.join(', ')}`
+                });
+            }
             
             // Validate ranges
             if (newSettings.thresholdTooLow >= newSettings.thresholdTooHigh) {
@@ -65,7 +84,7 @@ class VolumeNormalizationController {
                 });
             }
             
-            const numericFields = ['thresholdTooLow', 'thresholdTooHigh', 'targetLevel'];
+            const numericFields = ['thresholdTooLow', 'thresholdTooHigh', 'targetLevel', 'targetLufs', 'maxTruePeak'];
             for (const field of numericFields) {
                 if (typeof newSettings[field] !== 'number' || isNaN(newSettings[field])) {
                     return res.status(400).json({
@@ -74,6 +93,20 @@ class VolumeNormalizationController {
                     });
                 }
             }
+
+            if (newSettings.targetLufs < -40 || newSettings.targetLufs > -5) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'targetLufs must be between -40 and -5 LUFS'
+                });
+            }
+
+            if (newSettings.maxTruePeak < -9 || newSettings.maxTruePeak > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'maxTruePeak must be between -9 and 0 dBTP'
+                });
+            }
             
             // Save to database (thresholdOk will be removed if it exists)
             dbService.setSetting('volumeNormalization', newSettings);
@@ -86,6 +119,28 @@ class VolumeNormalizationController {
         }
     }
 
+    /**
+     * Get the measurements of the current song
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    getCurrentMeasurements(req, res) {
+        try {
+            const current = services.playback.orchestrator.getCurrent();
+            const settings = volumeNormalization.getNormalizationSettings();
+
+            res.json({
+                success: true,
+                mode: settings.mode,
+                gainScope: settings.gainScope,
+                current: current?.songId ? volumeNormalization.getSongMeasurements(current.songId) : null
+            });
+        } catch (err) {
+            logger.error('Failed to get normalization measurements:', err);
+            res.status(500).json({ success: false, error: 'Failed to get measurements' });
+        }
+    }
+
     /**
      * Manually trigger volume analysis for an existing song
      * @param {Object} req - Express request
@@ -121,12 +176,13 @@ class VolumeNormalizationController {
                 });
             }
             
-            // Analyze and store gain
+            // Analyze and store gain (or loudness in LUFS mode)
             const gainDb = await volumeNormalization.analyzeAndStoreGain(songId, filePath);
             
             res.json({ 
                 success: true, 
                 gainDb: gainDb,
+                measurements: volumeNormalization.getSongMeasurements(songId),
                 message: `Song analyzed: gain adjustment = ${gainDb.toFixed(2)} dB`
             });
         } catch (err) {
@@ -137,6 +193,104 @@ class VolumeNormalizationController {
             });
         }
     }
+
+    /**
+     * Start the background library scan (analyzes cached songs without measurements)
+     * @param {Object} req - Express request (body: { concurrency?, rescan? })
+     * @param {Object} res - Express response
+     */
+    startScan(req, res) {
+        try {
+            const { concurrency, rescan } = req.body || {};
+
+            if (concurrency !== undefined) {
+                const parsed = parseInt(concurrency, 10);
+                if (isNaN(parsed) || parsed < 1 || parsed > 4) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'concurrency must be between 1 and 4'
+                    });
+                }
+            }
+
+            const status = services.audio.loudnessScan.start({ concurrency, rescan: rescan === true });
+            res.json({ success: true, status });
+        } catch (err) {
+            logger.error('Failed to start loudness scan:', err);
+            res.status(500).json({ success: false, error: 'Failed to start scan' });
+        }
+    }
+
+    /**
+     * Stop the background library scan
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    stopScan(req, res) {
+        try {
+            const status = services.audio.loudnessScan.stop();
+            res.json({ success: true, status });
+        } catch (err) {
+            logger.error('Failed to stop loudness scan:', err);
+            res.status(500).json({ success: false, error: 'Failed to stop scan' });
+        }
+    }
+
+    /**
+     * Get the background library scan status
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    getScanStatus(req, res) {
+        try {
+            res.json({ success: true, status: services.audio.loudnessScan.getStatus() });
+        } catch (err) {
+            logger.error('Failed to get loudness scan status:', err);
+            res.status(500).json({ success: false, error: 'Failed to get scan status' });
+        }
+    }
+
+    /**
+     * Set up SSE connection for scan progress
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    setupScanSSEConnection(req, res) {
+        // Set SSE headers
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+
+        // Send initial connection event
+        res.write(`event: connected\ndata: {"status": "connected"}\n\n`);
+
+        const loudnessScan = services.audio.loudnessScan;
+        loudnessScan.addClient(res);
+
+        // Send current status as initial data
+        const initialData = JSON.stringify({
+            type: 'LOUDNESS_SCAN_UPDATE',
+            status: loudnessScan.getStatus()
+        });
+        res.write(`data: ${initialData}\n\n`);
+
+        // Keep connection alive with periodic heartbeat
+        const heartbeat = setInterval(() => {
+            try {
+                res.write(`:heartbeat\n\n`);
+            } catch {
+                clearInterval(heartbeat);
+                loudnessScan.removeClient(res);
+            }
+        }, 30000);
+
+        // Handle client disconnect
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            loudnessScan.removeClient(res);
+        });
+    }
 }
 
 module.exports = new VolumeNormalizationController();
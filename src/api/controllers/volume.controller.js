@@ -35,12 +35,15 @@ class VolumeController {
      */
     async updateVolume(req, res) {
         try {
-            const { volume } = req.body;
+            const { volume: requested } = req.body;
             
-            if (typeof volume !== 'number' || volume < 0 || volume > 100) {
+            if (typeof requested !== 'number' || requested < 0 || requested > 100) {
                 return res.status(400).json({ error: 'Volume must be a number between 0 and 100' });
             }
             
+            // A scheduled volume cap wins (the requested volume comes back when it ends)
+            const volume = services.system.scheduler.limitVolume(requested);
+            
             await player.setVolume(volume);
             
             dbService.setSetting('volume', volume);
@@ -50,7 +53,7 @@ class VolumeController {
                 eventBus.emit(EFFECTS_CHANGED);
             }
             
-            res.json({ volume });
+            res.json({ volume, volumeCap: services.system.scheduler.getStatus().volumeCap });
         } catch (err) {
             logger.error('Failed to update volume:', err);
             res.status(500).json({ error: 'Failed to update volume' });
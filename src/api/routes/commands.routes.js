@@ -0,0 +1,17 @@
+const express = require('express');
+const commandsController = require('../controllers/commands.controller');
+
+const router = express.Router();
+
+/**
+ * Commands Routes
+ * Handles WhatsApp command listing
+ */
+
+/**
+ * Get all WhatsApp commands with role, rate-limit bucket and help text
+ * GET /api/commands?lang=en
+ */
+router.get('/commands', commandsController.getCommands);
+
+module.exports = { router };
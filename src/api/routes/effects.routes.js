@@ -1,5 +1,6 @@
 const express = require('express');
 const effectsController = require('../controllers/effects.controller');
+const { localhostOnly } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -38,6 +39,40 @@ router.post('/effects/reset', effectsController.resetEffects.bind(effectsControl
  */
 router.get('/effects/presets', effectsController.getPresets);
 
+// Managing user presets is dashboard-only (localhost); VIPs can apply them from the mobile page
+
+/**
+ * POST /api/effects/presets
+ * Save the current effects as a user preset
+ * Body: { name: string, description?: string }
+ */
+router.post('/effects/presets', localhostOnly, effectsController.createPreset);
+
+/**
+ * GET /api/effects/presets/export
+ * Download user presets as JSON (?ids=a,b to export only some)
+ */
+router.get('/effects/presets/export', effectsController.exportPresets);
+
+/**
+ * POST /api/effects/presets/import
+ * Import presets from an export file
+ */
+router.post('/effects/presets/import', localhostOnly, effectsController.importPresets);
+
+/**
+ * PUT /api/effects/presets/:presetId
+ * Rename a user preset (built-ins are read-only)
+ * Body: { name: string }
+ */
+router.put('/effects/presets/:presetId', localhostOnly, effectsController.updatePreset);
+
+/**
+ * DELETE /api/effects/presets/:presetId
+ * Delete a user preset (built-ins are read-only)
+ */
+router.delete('/effects/presets/:presetId', localhostOnly, effectsController.deletePreset);
+
 /**
  * GET /api/effects/stream
  * Server-Sent Events endpoint for real-time effects updates
@@ -40,6 +40,20 @@ router.delete('/groups/:groupId', groupsController.removeGroup);
  */
 router.put('/groups/:groupId', groupsController.updateGroup);
 
+/**
+ * Update a group's command prefix and aliases
+ * PUT /api/groups/:groupId/commands
+ * Body: { prefix?: string, aliases?: { [alias]: commandName } }
+ */
+router.put('/groups/:groupId/commands', groupsController.updateCommandSettings);
+
+/**
+ * Update a group's natural-language mode (bare links and @mentions)
+ * PUT /api/groups/:groupId/natural-language
+ * Body: { enabled: boolean, intents?: Array<'play'|'skip'|'queue'> }
+ */
+router.put('/groups/:groupId/natural-language', groupsController.updateNaturalLanguage);
+
 /**
  * Get pending group confirmations
  * GET /api/groups/pending
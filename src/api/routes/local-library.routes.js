@@ -0,0 +1,39 @@
+const express = require('express');
+const localLibraryController = require('../controllers/local-library.controller');
+const { localhostOnly } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * Local Library Routes
+ * Browses and queues tracks from the local music folders (LOCAL_MUSIC_DIRS)
+ */
+
+/**
+ * GET /api/local-library
+ * Search indexed tracks (an empty query lists all)
+ * Query: q, limit, offset
+ * Returns: { tracks, total, status }
+ */
+router.get('/local-library', localLibraryController.search);
+
+/**
+ * GET /api/local-library/status
+ * Get the configured folders, track count and last scan result
+ */
+router.get('/local-library/status', localLibraryController.getStatus);
+
+/**
+ * POST /api/local-library/:trackId/queue
+ * Add a track to the queue
+ * Body: { requester?, effectsPreset?, lang? }
+ */
+router.post('/local-library/:trackId/queue', localLibraryController.addToQueue);
+
+/**
+ * POST /api/local-library/scan
+ * Rescan the music folders now (dashboard-only)
+ */
+router.post('/local-library/scan', localhostOnly, localLibraryController.scan);
+
+module.exports = { router };
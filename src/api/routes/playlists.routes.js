@@ -0,0 +1,68 @@
+const express = require('express');
+const playlistsController = require('../controllers/playlists.controller');
+
+const router = express.Router();
+
+/**
+ * Playlists Routes
+ * Handles saved playlist management
+ */
+
+/**
+ * Get all saved playlists
+ * GET /api/playlists
+ */
+router.get('/playlists', playlistsController.getPlaylists);
+
+/**
+ * Create a saved playlist (from items or from the current queue)
+ * POST /api/playlists
+ * Body: { name: string, items?: Array, fromQueue?: boolean }
+ */
+router.post('/playlists', playlistsController.createPlaylist);
+
+/**
+ * Get a saved playlist
+ * GET /api/playlists/:playlistId
+ */
+router.get('/playlists/:playlistId', playlistsController.getPlaylist);
+
+/**
+ * Rename a saved playlist
+ * PUT /api/playlists/:playlistId
+ * Body: { name: string }
+ */
+router.put('/playlists/:playlistId', playlistsController.updatePlaylist);
+
+/**
+ * Delete a saved playlist
+ * DELETE /api/playlists/:playlistId
+ */
+router.delete('/playlists/:playlistId', playlistsController.deletePlaylist);
+
+/**
+ * Add all items of a saved playlist to the queue
+ * POST /api/playlists/:playlistId/load
+ */
+router.post('/playlists/:playlistId/load', playlistsController.loadPlaylist);
+
+/**
+ * Add an item to a saved playlist
+ * POST /api/playlists/:playlistId/items
+ */
+router.post('/playlists/:playlistId/items', playlistsController.addItem);
+
+/**
+ * Reorder items in a saved playlist
+ * POST /api/playlists/:playlistId/items/reorder
+ * Body: { fromIndex: number, toIndex: number }
+ */
+router.post('/playlists/:playlistId/items/reorder', playlistsController.reorderItems);
+
+/**
+ * Remove an item from a saved playlist
+ * DELETE /api/playlists/:playlistId/items/:itemId
+ */
+router.delete('/playlists/:playlistId/items/:itemId', playlistsController.removeItem);
+
+module.exports = { router };
@@ -0,0 +1,24 @@
+const express = require('express');
+const radioController = require('../controllers/radio.controller');
+
+const router = express.Router();
+const streamRouter = express.Router();
+
+/**
+ * Radio Routes
+ * Live HTTP radio stream of what's playing
+ */
+
+/**
+ * GET /api/radio
+ * Get radio status (enabled, listener count, bitrate)
+ */
+router.get('/radio', radioController.getStatus);
+
+/**
+ * GET /radio
+ * Live MP3 stream (send `Icy-MetaData: 1` for inline song titles)
+ */
+streamRouter.get('/radio', radioController.listen);
+
+module.exports = { router, streamRouter };
@@ -0,0 +1,45 @@
+const express = require('express');
+const scheduleController = require('../controllers/schedule.controller');
+const { localhostOnly } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * Schedule Routes
+ * Manages time-based volume caps, effect presets and quiet hours
+ */
+
+/**
+ * GET /api/schedule/status
+ * Get the active rules, volume cap, preset and whether quiet hours are on
+ */
+router.get('/schedule/status', scheduleController.getStatus);
+
+/**
+ * GET /api/schedule/rules
+ * Get all rules (each with `active`) and the schedule status
+ */
+router.get('/schedule/rules', scheduleController.getRules);
+
+// Managing rules is dashboard-only (localhost)
+
+/**
+ * POST /api/schedule/rules
+ * Create a rule
+ * Body: { name, type: 'volume'|'preset'|'quiet', value?, days?: number[], startTime: 'HH:MM', endTime: 'HH:MM', enabled? }
+ */
+router.post('/schedule/rules', localhostOnly, scheduleController.createRule);
+
+/**
+ * PUT /api/schedule/rules/:ruleId
+ * Update a rule (missing fields keep their value)
+ */
+router.put('/schedule/rules/:ruleId', localhostOnly, scheduleController.updateRule);
+
+/**
+ * DELETE /api/schedule/rules/:ruleId
+ * Delete a rule
+ */
+router.delete('/schedule/rules/:ruleId', localhostOnly, scheduleController.deleteRule);
+
+module.exports = { router };
@@ -1,5 +1,6 @@
 const express = require('express');
 const settingsController = require('../controllers/settings.controller');
+const { localhostOnly } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -38,5 +39,11 @@ router.post('/settings/reset', settingsController.resetSettings);
  */
 router.get('/settings/disk-usage', settingsController.getDiskUsage);
 
+/**
+ * POST /api/settings/library/purge
+ * Delete cached library audio (songs playing or queued are kept)
+ */
+router.post('/settings/library/purge', localhostOnly, settingsController.purgeLibrary);
+
 module.exports = { router };
 
@@ -20,11 +20,41 @@ router.get('/volume-normalization/settings', volumeNormalizationController.getSe
  */
 router.put('/volume-normalization/settings', volumeNormalizationController.updateSettings);
 
+/**
+ * GET /api/volume-normalization/current
+ * Get the current song's measurements (RMS gain or EBU R128 loudness) and applied gain
+ */
+router.get('/volume-normalization/current', volumeNormalizationController.getCurrentMeasurements);
+
 /**
  * POST /api/volume-normalization/analyze/:songId
  * Manually trigger volume analysis for an existing song
  */
 router.post('/volume-normalization/analyze/:songId', volumeNormalizationController.analyzeSong);
 
+/**
+ * POST /api/volume-normalization/scan/start
+ * Start analyzing every cached song that has no measurements yet (in the background)
+ */
+router.post('/volume-normalization/scan/start', volumeNormalizationController.startScan);
+
+/**
+ * POST /api/volume-normalization/scan/stop
+ * Stop the library scan (songs being analyzed finish)
+ */
+router.post('/volume-normalization/scan/stop', volumeNormalizationController.stopScan);
+
+/**
+ * GET /api/volume-normalization/scan/status
+ * Get the library scan status and progress
+ */
+router.get('/volume-normalization/scan/status', volumeNormalizationController.getScanStatus);
+
+/**
+ * GET /api/volume-normalization/scan/stream
+ * SSE stream of library scan progress
+ */
+router.get('/volume-normalization/scan/stream', volumeNormalizationController.setupScanSSEConnection);
+
 module.exports = { router };
 
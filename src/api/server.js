@@ -25,6 +25,11 @@ const { router: authRouter } = require('./routes/auth.routes');
 const { router: userRouter } = require('./routes/user.routes');
 const { router: vipAuthRouter } = require('./routes/vip-auth.routes');
 const { router: startupSoundRouter } = require('./routes/startup-sound.routes');
+const { router: playlistsRouter } = require('./routes/playlists.routes');
+const { router: commandsRouter } = require('./routes/commands.routes');
+const { router: radioRouter, streamRouter: radioStreamRouter } = require('./routes/radio.routes');
+const { router: scheduleRouter } = require('./routes/schedule.routes');
+const { router: localLibraryRouter } = require('./routes/local-library.routes');
 const { updateVipName, setWhatsAppSocket: setPriorityServiceSocket } = require('../services/user/priority.service');
 
 const app = express();
@@ -49,6 +54,9 @@ app.use(express.static(path.join(process.cwd(), 'public')));
 
 app.use('/stream', express.static(config.paths.temp));
 
+// Live radio feed of the mix
+app.use(radioStreamRouter);
+
 app.use('/thumbnails', express.static(config.paths.thumbnails));
 
 // Serve locale files
@@ -78,6 +86,11 @@ app.use('/api', authRouter);
 app.use('/api', userRouter);
 app.use('/api', vipAuthRouter);
 app.use('/api', startupSoundRouter);
+app.use('/api', playlistsRouter);
+app.use('/api', commandsRouter);
+app.use('/api', radioRouter);
+app.use('/api', scheduleRouter);
+app.use('/api', localLibraryRouter);
 
 // 404 handler for API routes (catch all unmatched /api routes)
 // This will only match if no previous route matched
@@ -7,6 +7,11 @@
 const { logger } = require('../../utils/logger.util');
 const dbService = require('../../infrastructure/database/db.service');
 const rateLimitService = require('../../services/user/command-rate-limit.service');
+const volumeNormalization = require('../../services/audio/volume-normalization.service');
+const loudnessScanService = require('../../services/audio/loudness-scan.service');
+const schedulerService = require('../../services/system/scheduler.service');
+const libraryCache = require('../../services/cache/library-cache.service');
+const localLibrary = require('../../services/content/local-library.service');
 
 /**
  * Set up background jobs
@@ -44,6 +49,60 @@ function setupBackgroundJobs() {
         }
     }, 5 * 60 * 1000); // 5 minutes
     
+    // Analyze cached songs without loudness measurements (low priority, pauses while downloading)
+    const LOUDNESS_SCAN_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+    const runLoudnessScan = () => {
+        try {
+            if (!volumeNormalization.getNormalizationSettings().enabled) {
+                return;
+            }
+            loudnessScanService.start();
+        } catch (error) {
+            logger.error('Error starting library loudness scan:', error);
+        }
+    };
+    setInterval(runLoudnessScan, LOUDNESS_SCAN_INTERVAL_MS);
+    
+    // Run initial scan after 2 minutes (once startup downloads have had a chance to begin)
+    setTimeout(runLoudnessScan, 2 * 60 * 1000);
+    
+    // Apply scheduled volume caps, effect presets and quiet hours
+    const SCHEDULE_INTERVAL_MS = 30 * 1000; // 30 seconds
+    const evaluateSchedule = () => {
+        try {
+            schedulerService.evaluate();
+        } catch (error) {
+            logger.error('Error evaluating schedule rules:', error);
+        }
+    };
+    setInterval(evaluateSchedule, SCHEDULE_INTERVAL_MS);
+    evaluateSchedule();
+    
+    // Keep the audio library within its disk budget (also picks up a lowered budget)
+    const LIBRARY_BUDGET_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+    const enforceLibraryBudget = () => {
+        try {
+            libraryCache.enforceBudget();
+        } catch (error) {
+            logger.error('Error enforcing library cache budget:', error);
+        }
+    };
+    setInterval(enforceLibraryBudget, LIBRARY_BUDGET_INTERVAL_MS);
+    setTimeout(enforceLibraryBudget, 60 * 1000);
+    
+    // Index the local music folders (watched for changes; the hourly rescan catches what watching misses)
+    if (localLibrary.isEnabled()) {
+        const LOCAL_LIBRARY_RESCAN_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+        setInterval(() => {
+            localLibrary.scan().catch(error => logger.error('Error rescanning local music library:', error));
+        }, LOCAL_LIBRARY_RESCAN_INTERVAL_MS);
+        
+        // Start after 10 seconds (a first scan of a large folder probes every file)
+        setTimeout(() => {
+            localLibrary.start().catch(error => logger.error('Error starting local music library:', error));
+        }, 10 * 1000);
+    }
+    
     logger.info('Background jobs set up');
 }
 
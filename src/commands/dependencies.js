@@ -29,11 +29,16 @@ const { getTrackInfo } = require('../services/metadata/metadata.service');
 const { getSpotifyMetadata } = require('../services/spotify/metadata.service');
 const { checkPriority } = require('../services/user/priority.service');
 const { getPlaylistTracks } = require('../services/content/playlist.service');
+const savedPlaylistService = require('../services/content/saved-playlist.service');
 const notificationService = require('../services/system/notification.service');
 const groupsService = require('../services/user/groups.service');
+const httpAudioService = require('../services/media/http-audio.service');
+const localLibraryService = require('../services/content/local-library.service');
 
 // Utility dependencies
-const { isSpotifyUrl, isYouTubeUrl, isPlaylistUrl } = require('../utils/url.util');
+const { isSpotifyUrl, isYouTubeUrl, isPlaylistUrl, isDirectAudioUrl } = require('../utils/url.util');
+const { isSourceUrl, isSourcePlaylist } = require('../services/sources');
+const { assertPublicLink } = require('../utils/address.util');
 const { logger } = require('../utils/logger.util');
 const { sendMessageWithMention } = require('../utils/helpers.util');
 const { t: i18n } = require('../utils/i18n.util');
@@ -47,6 +52,11 @@ const deps = {
     // Core
     queueManager: services.playback.queue,
     playbackController: services.playback.orchestrator,
+    voteSkipService: services.playback.voteSkip,
+    searchPickerService: services.playback.searchPicker,
+    queueEtaService: services.playback.queueEta,
+    effectsService: services.audio.effects,
+    schedulerService: services.system.scheduler,
     
     // Services
     searchYouTube,
@@ -54,13 +64,20 @@ const deps = {
     getSpotifyMetadata,
     checkPriority,
     getPlaylistTracks,
+    savedPlaylistService,
     notificationService,
     groupsService,
+    httpAudioService,
+    localLibraryService,
     
     // Utilities
     isSpotifyUrl,
     isYouTubeUrl,
     isPlaylistUrl,
+    isDirectAudioUrl,
+    isSourceUrl,
+    isSourcePlaylist,
+    assertPublicLink,
     logger,
     sendMessageWithMention,
     
@@ -3,37 +3,29 @@ const { sendMessageWithMention } = require('../utils/helpers.util');
 const { deps } = require('./dependencies');
 const { t: i18n } = require('../utils/i18n.util');
 const dbService = require('../infrastructure/database/db.service');
-const playCommand = require('./implementations/play');
-const skipCommand = require('./implementations/skip');
-const queueCommand = require('./implementations/queue');
-const removeCommand = require('./implementations/remove');
-const nowPlayingCommand = require('./implementations/nowplaying');
-const helpCommand = require('./implementations/help');
-const notificationsCommand = require('./implementations/notifications');
-const playlistCommand = require('./implementations/playlist');
-const { pingCommand } = require('./implementations/ping');
-const languageCommand = require('./implementations/language');
-const lyricsCommand = require('./implementations/lyrics');
+const { commandRegistry } = require('./registry');
+const { parseIntent } = require('./natural-language');
 
 /**
  * Command Handler
- * Routes incoming commands to their implementations
+ * Routes incoming commands to their implementations through the command registry
  */
 
-const COMMANDS = {
-    PLAY: '!play',
-    SKIP: '!skip',
-    QUEUE: '!queue',
-    REMOVE: '!remove',
-    NP: '!np',
-    HELP: '!help',
-    NOTIFICATIONS: '!notifications',
-    PLAYLIST: '!playlist',
-    PING: '!ping',
-    LANGUAGE: '!language',
-    LANG: '!lang',
-    LYRICS: '!lyrics'
-};
+/**
+ * Build the dependencies passed to a command for a chat and sender
+ * @param {string} remoteJid - Chat ID
+ * @param {string} sender - Sender ID
+ * @returns {Object} Dependencies with userLang, commandPrefix and commandAliases
+ */
+function buildCommandDeps(remoteJid, sender) {
+    const { prefix, aliases } = deps.groupsService.getCommandSettings(remoteJid);
+    return {
+        ...deps,
+        userLang: dbService.getUserLanguage(sender),
+        commandPrefix: prefix,
+        commandAliases: aliases
+    };
+}
 
 /**
  * Handle incoming command
@@ -44,15 +36,15 @@ const COMMANDS = {
 async function handleCommand(sock, msg, text) {
     const remoteJid = msg.key.remoteJid;
     const sender = msg.key.participant || msg.key.remoteJid;
-    const [command, ...args] = text.trim().split(' ');
+    const [command] = text.trim().split(' ');
     const commandId = `cmd-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
-    const userLang = dbService.getUserLanguage(sender);
+    // Resolve the group's prefix and aliases (e.g. `/tocar` -> play)
+    const parsed = deps.groupsService.parseCommand(remoteJid, text);
+    const args = parsed ? parsed.args : [];
     
-    const depsWithLang = {
-        ...deps,
-        userLang
-    };
+    const depsWithLang = buildCommandDeps(remoteJid, sender);
+    const { userLang } = depsWithLang;
 
     const commandLogger = logger.child({
         component: 'commands',
@@ -68,57 +60,15 @@ async function handleCommand(sock, msg, text) {
     try {
         commandLogger.debug('Processing command');
         
-        switch (command) {
-            case COMMANDS.PLAY:
-                await playCommand(sock, msg, args, depsWithLang);
-                break;
-
-            case COMMANDS.SKIP:
-                await skipCommand(sock, msg, args, depsWithLang);
-                break;
-
-            case COMMANDS.QUEUE:
-                await queueCommand(sock, msg, args, depsWithLang);
-                break;
-
-            case COMMANDS.REMOVE:
-                await removeCommand(sock, msg, args, depsWithLang);
-                break;
-
-            case COMMANDS.NP:
-                await nowPlayingCommand(sock, msg, args, depsWithLang);
-                break;
-                
-            case COMMANDS.HELP:
-                await helpCommand(sock, msg, args, depsWithLang);
-                break;
-                
-            case COMMANDS.NOTIFICATIONS:
-                await notificationsCommand(sock, msg, args, depsWithLang);
-                break;
-                
-            case COMMANDS.PLAYLIST:
-                await playlistCommand(sock, msg, args, depsWithLang);
-                break;
-                
-            case COMMANDS.PING:
-                await pingCommand(sock, msg, depsWithLang);
-                break;
-                
-            case COMMANDS.LANGUAGE:
-            case COMMANDS.LANG:
-                await languageCommand(sock, msg, args, depsWithLang);
-                break;
-                
-            case COMMANDS.LYRICS:
-                await lyricsCommand(sock, msg, args, depsWithLang);
-                break;
-                
-            default:
-                commandLogger.warn('Unknown command received');
-                await sendMessageWithMention(sock, remoteJid, i18n('commands.unknown', userLang, { command }), sender);
+        const definition = parsed ? commandRegistry.resolve(parsed.name) : null;
+        if (!definition) {
+            commandLogger.warn('Unknown command received');
+            await sendMessageWithMention(sock, remoteJid, i18n('commands.unknown', userLang, { command }), sender);
+            return;
         }
         
+        await commandRegistry.dispatch(sock, msg, definition, args, depsWithLang);
+        
         commandLogger.debug('Command processed successfully');
     } catch (error) {
         commandLogger.error({
@@ -134,5 +84,74 @@ async function handleCommand(sock, msg, text) {
     }
 }
 
-module.exports = { handleCommand };
+/**
+ * Resolve plain text into a command request
+ * A bare number from a sender with a pending search picker becomes `pick <n>`;
+ * otherwise the group's natural-language settings decide.
+ * @param {string} remoteJid - Chat ID
+ * @param {string} sender - Sender ID
+ * @param {string} text - Message text
+ * @param {boolean} mentioned - Whether the message mentions the bot
+ * @returns {{name: string, args: Array<string>}|null} Command name and args, or null to ignore
+ */
+function resolveTextIntent(remoteJid, sender, text, mentioned) {
+    const trimmed = (text || '').trim();
+    if (/^\d+$/.test(trimmed) && deps.searchPickerService.hasPending(sender, remoteJid)) {
+        return { name: 'pick', args: [trimmed] };
+    }
+    
+    const { enabled, intents } = deps.groupsService.getNaturalLanguageSettings(remoteJid);
+    if (!enabled) return null;
+    
+    return parseIntent(text, { mentioned, intents });
+}
+
+/**
+ * Handle plain text (natural-language groups and search picker replies)
+ * Bare track links and @mentions are turned into play/skip/queue and dispatched
+ * through the registry, so roles and rate limits apply as for typed commands.
+ * Text that doesn't match an allowed intent is ignored silently.
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {string} text - Message text
+ * @param {boolean} mentioned - Whether the message mentions the bot
+ */
+async function handleNaturalLanguage(sock, msg, text, mentioned) {
+    const remoteJid = msg.key.remoteJid;
+    const sender = msg.key.participant || msg.key.remoteJid;
+    
+    const intent = resolveTextIntent(remoteJid, sender, text, mentioned);
+    const definition = intent ? commandRegistry.resolve(intent.name) : null;
+    if (!definition) return;
+    
+    const depsWithLang = buildCommandDeps(remoteJid, sender);
+    
+    const commandLogger = logger.child({
+        component: 'commands',
+        context: {
+            intent: intent.name,
+            sender,
+            groupId: remoteJid,
+            args: intent.args
+        }
+    });
+    
+    try {
+        commandLogger.debug('Processing natural-language request');
+        await commandRegistry.dispatch(sock, msg, definition, intent.args, depsWithLang);
+    } catch (error) {
+        commandLogger.error({
+            context: {
+                error: {
+                    message: error?.message,
+                    stack: error?.stack,
+                    name: error?.name
+                }
+            }
+        }, 'Error handling natural-language request:', error);
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.error', depsWithLang.userLang), sender);
+    }
+}
+
+module.exports = { handleCommand, handleNaturalLanguage };
 
@@ -1,4 +1,5 @@
 const { deps: defaultDeps } = require('../dependencies');
+const { commandRegistry, ROLES, COMMAND_PREFIX } = require('../registry');
 
 /**
  * !help command - Show available commands
@@ -8,47 +9,50 @@ const { deps: defaultDeps } = require('../dependencies');
  * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
  */
 async function helpCommand(sock, msg, args, deps = defaultDeps) {
-    const { sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const {
+        sendMessageWithMention,
+        i18n,
+        userLang = 'en',
+        commandPrefix = COMMAND_PREFIX,
+        commandAliases = {}
+    } = deps;
     const remoteJid = msg.key.remoteJid;
     const sender = msg.key.participant || msg.key.remoteJid;
     
-    const helpText = i18n('commands.help.title', userLang) +
+    // Generated from the registry so new commands show up automatically
+    const commandsText = commandRegistry.getCommands()
+        .map(command => i18n(command.title, userLang) +
+            i18n(command.usage, userLang) +
+            i18n(command.description, userLang))
+        .join('\n\n');
+    
+    let helpText = i18n('commands.help.title', userLang) +
         i18n('commands.help.availableCommands', userLang) +
-        i18n('commands.help.play.title', userLang) +
-        i18n('commands.help.play.usage', userLang) +
-        i18n('commands.help.play.description', userLang) + '\n\n' +
-        i18n('commands.help.skip.title', userLang) +
-        i18n('commands.help.skip.usage', userLang) +
-        i18n('commands.help.skip.description', userLang) + '\n\n' +
-        i18n('commands.help.queue.title', userLang) +
-        i18n('commands.help.queue.usage', userLang) +
-        i18n('commands.help.queue.description', userLang) + '\n\n' +
-        i18n('commands.help.remove.title', userLang) +
-        i18n('commands.help.remove.usage', userLang) +
-        i18n('commands.help.remove.description', userLang) + '\n\n' +
-        i18n('commands.help.nowPlaying.title', userLang) +
-        i18n('commands.help.nowPlaying.usage', userLang) +
-        i18n('commands.help.nowPlaying.description', userLang) + '\n\n' +
-        i18n('commands.help.notifications.title', userLang) +
-        i18n('commands.help.notifications.usage', userLang) +
-        i18n('commands.help.notifications.description', userLang) + '\n\n' +
-        i18n('commands.help.playlist.title', userLang) +
-        i18n('commands.help.playlist.usage', userLang) +
-        i18n('commands.help.playlist.description', userLang) + '\n\n' +
-        i18n('commands.help.ping.title', userLang) +
-        i18n('commands.help.ping.usage', userLang) +
-        i18n('commands.help.ping.description', userLang) + '\n\n' +
-        i18n('commands.help.help.title', userLang) +
-        i18n('commands.help.help.usage', userLang) +
-        i18n('commands.help.help.description', userLang) + '\n\n' +
-        i18n('commands.help.language.title', userLang) +
-        i18n('commands.help.language.usage', userLang) +
-        i18n('commands.help.language.description', userLang) + '\n\n' +
-        i18n('commands.help.lyrics.title', userLang) +
-        i18n('commands.help.lyrics.usage', userLang) +
-        i18n('commands.help.lyrics.description', userLang);
+        commandsText;
+    
+    // Usage strings are written with the default prefix; show the group's own instead
+    if (commandPrefix !== COMMAND_PREFIX) {
+        helpText = helpText.replace(new RegExp('`' + COMMAND_PREFIX, 'g'), () => '`' + commandPrefix);
+    }
+    
+    const aliasEntries = Object.entries(commandAliases);
+    if (aliasEntries.length > 0) {
+        helpText += '\n\n' + i18n('commands.help.aliases', userLang) +
+            aliasEntries.map(([alias, name]) => `\`${commandPrefix}${alias}\` → \`${commandPrefix}${name}\``).join('\n');
+    }
     
     await sendMessageWithMention(sock, remoteJid, helpText, sender);
 }
 
-module.exports = helpCommand;
+const command = {
+    name: 'help',
+    aliases: [],
+    title: 'commands.help.help.title',
+    usage: 'commands.help.help.usage',
+    description: 'commands.help.help.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: helpCommand
+};
+
+module.exports = { command };
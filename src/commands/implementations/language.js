@@ -1,4 +1,5 @@
 const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
 const dbService = require('../../infrastructure/database/db.service');
 const {
     normalizeLanguageCode,
@@ -61,5 +62,16 @@ async function languageCommand(sock, msg, args, deps = defaultDeps) {
     await sendMessageWithMention(sock, remoteJid, message, sender);
 }
 
-module.exports = languageCommand;
+const command = {
+    name: 'language',
+    aliases: ['lang'],
+    title: 'commands.help.language.title',
+    usage: 'commands.help.language.usage',
+    description: 'commands.help.language.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: languageCommand
+};
+
+module.exports = { command };
 
@@ -1,4 +1,5 @@
 const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
 
 /**
  * !lyrics command - Toggle lyrics display in the fullscreen player
@@ -44,5 +45,16 @@ async function lyricsCommand(sock, msg, args, deps = defaultDeps) {
     }
 }
 
-module.exports = lyricsCommand;
+const command = {
+    name: 'lyrics',
+    aliases: [],
+    title: 'commands.help.lyrics.title',
+    usage: 'commands.help.lyrics.usage',
+    description: 'commands.help.lyrics.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: lyricsCommand
+};
+
+module.exports = { command };
 
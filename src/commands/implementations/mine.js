@@ -0,0 +1,49 @@
+const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
+
+/**
+ * !mine command - List the sender's queued songs with their positions and ETA
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
+ */
+async function mineCommand(sock, msg, args, deps = defaultDeps) {
+    const { queueManager, queueEtaService, sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const remoteJid = msg.key.remoteJid;
+    const sender = msg.key.participant || msg.key.remoteJid;
+    const entries = queueManager.getSenderItems(sender);
+    
+    if (entries.length === 0) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.mine.empty', userLang), sender);
+        return;
+    }
+    
+    const etas = queueEtaService.getEtas();
+    let response = i18n('commands.mine.title', userLang, { count: entries.length });
+    entries.forEach(({ index, item }) => {
+        const itemTitle = item.title || item.content;
+        const itemArtist = item.artist ? ` - ${item.artist}` : '';
+        response += i18n('commands.mine.item', userLang, {
+            position: index + 1,
+            title: `${itemTitle}${itemArtist}`,
+            minutes: queueEtaService.toMinutes(etas[index])
+        });
+    });
+    response += i18n('commands.mine.footer', userLang);
+    
+    await sendMessageWithMention(sock, remoteJid, response, sender);
+}
+
+const command = {
+    name: 'mine',
+    aliases: [],
+    title: 'commands.help.mine.title',
+    usage: 'commands.help.mine.usage',
+    description: 'commands.help.mine.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: mineCommand
+};
+
+module.exports = { command };
@@ -0,0 +1,56 @@
+const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
+
+/**
+ * !move command - Reorder songs in the queue
+ * Regular users can only swap their own songs between their own positions;
+ * VIPs can move any song to any position.
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
+ */
+async function moveCommand(sock, msg, args, deps = defaultDeps) {
+    const { queueManager, checkPriority, sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const remoteJid = msg.key.remoteJid;
+    const sender = msg.key.participant || msg.key.remoteJid;
+    const fromIndex = parseInt(args[0]) - 1;
+    const toIndex = parseInt(args[1]) - 1;
+    
+    if (isNaN(fromIndex) || isNaN(toIndex)) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.move.usage', userLang), sender);
+        return;
+    }
+    
+    const queue = queueManager.getQueue();
+    if (fromIndex < 0 || fromIndex >= queue.length || toIndex < 0 || toIndex >= queue.length) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.move.invalidIndex', userLang), sender);
+        return;
+    }
+    
+    const item = queue[fromIndex];
+    const moved = checkPriority(sender)
+        ? queueManager.reorder(fromIndex, toIndex)
+        : queueManager.moveWithinSenderSlots(sender, fromIndex, toIndex);
+    
+    if (!moved) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.move.notYours', userLang), sender);
+        return;
+    }
+    
+    const itemTitle = item.title || item.content;
+    await sendMessageWithMention(sock, remoteJid, i18n('commands.move.moved', userLang, { title: itemTitle, position: toIndex + 1 }), sender);
+}
+
+const command = {
+    name: 'move',
+    aliases: [],
+    title: 'commands.help.move.title',
+    usage: 'commands.help.move.usage',
+    description: 'commands.help.move.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: moveCommand
+};
+
+module.exports = { command };
@@ -1,4 +1,5 @@
 const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
 
 /**
  * !notifications command - Toggle or check notification status (user-level)
@@ -70,5 +71,16 @@ async function notificationsCommand(sock, msg, args, deps = defaultDeps) {
     }
 }
 
-module.exports = notificationsCommand;
+const command = {
+    name: 'notifications',
+    aliases: [],
+    title: 'commands.help.notifications.title',
+    usage: 'commands.help.notifications.usage',
+    description: 'commands.help.notifications.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: notificationsCommand
+};
+
+module.exports = { command };
 
@@ -1,4 +1,5 @@
 const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
 
 /**
  * !np command - Show currently playing song
@@ -22,5 +23,16 @@ async function nowPlayingCommand(sock, msg, args, deps = defaultDeps) {
     }
 }
 
-module.exports = nowPlayingCommand;
+const command = {
+    name: 'np',
+    aliases: [],
+    title: 'commands.help.nowPlaying.title',
+    usage: 'commands.help.nowPlaying.usage',
+    description: 'commands.help.nowPlaying.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: nowPlayingCommand
+};
+
+module.exports = { command };
 
@@ -0,0 +1,51 @@
+const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
+const { addTrack } = require('./play');
+
+/**
+ * !pick command - Choose one of the results offered by a low-confidence !play search
+ * Also triggered by replying with just the number while a choice is pending
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
+ * @returns {Promise<boolean|undefined>} True if a track was added (counts against the rate limit)
+ */
+async function pickCommand(sock, msg, args, deps = defaultDeps) {
+    const { searchPickerService, logger, sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const remoteJid = msg.key.remoteJid;
+    const sender = msg.key.participant || msg.key.remoteJid;
+
+    if (!args[0] || !/^\d+$/.test(args[0])) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.pick.usage', userLang), sender);
+        return;
+    }
+
+    const { status, candidate, count } = searchPickerService.pick(sender, remoteJid, parseInt(args[0], 10));
+
+    if (status === 'none') {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.pick.noPending', userLang), sender);
+        return;
+    }
+
+    if (status === 'invalid') {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.pick.invalid', userLang, { count }), sender);
+        return;
+    }
+
+    logger.info(`[Pick] ${sender} picked "${candidate.title}" at ${candidate.url}`);
+    return addTrack(sock, msg, candidate, deps);
+}
+
+const command = {
+    name: 'pick',
+    aliases: [],
+    title: 'commands.help.pick.title',
+    usage: 'commands.help.pick.usage',
+    description: 'commands.help.pick.description',
+    role: ROLES.EVERYONE,
+    rateLimit: 'play',
+    handler: pickCommand
+};
+
+module.exports = { command };
@@ -3,6 +3,8 @@
  * Confirmation happens in the web dashboard
  */
 
+const { ROLES } = require('../registry');
+
 // Store pending group confirmations: Map<groupId, {groupId, groupName, senderId, senderName, timestamp}>
 const pendingConfirmations = new Map();
 
@@ -40,9 +42,10 @@ function removePendingConfirmation(groupId) {
  * !ping command handler
  * @param {Object} sock - WhatsApp socket
  * @param {Object} msg - Message object
+ * @param {Array} args - Command arguments
  * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
  */
-async function pingCommand(sock, msg, deps) {
+async function pingCommand(sock, msg, args, deps) {
     const { deps: defaultDeps } = require('../dependencies');
     const actualDeps = deps || defaultDeps;
     const { groupsService, sendMessageWithMention, logger, i18n, userLang = 'en' } = actualDeps;
@@ -94,8 +97,19 @@ async function pingCommand(sock, msg, deps) {
     logger.info(`Pending group confirmation: ${remoteJid} (${groupName}) from ${senderName} (${sender})`);
 }
 
+const command = {
+    name: 'ping',
+    aliases: [],
+    title: 'commands.help.ping.title',
+    usage: 'commands.help.ping.usage',
+    description: 'commands.help.ping.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: pingCommand
+};
+
 module.exports = {
-    pingCommand,
+    command,
     getPendingConfirmations,
     removePendingConfirmation
 };
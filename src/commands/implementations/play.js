@@ -1,59 +1,283 @@
 const { deps: defaultDeps } = require('../dependencies');
-const rateLimitService = require('../../services/user/command-rate-limit.service');
+const { ROLES } = require('../registry');
+
+// `!play local:<query>` only searches the local music library
+const LOCAL_PREFIX = 'local:';
+
+/**
+ * Format a duration in seconds as m:ss
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string} Formatted duration, or '?' if unknown
+ */
+function formatDuration(seconds) {
+    if (!seconds) return '?';
+    const minutes = Math.floor(seconds / 60);
+    const remainder = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return `${minutes}:${remainder}`;
+}
+
+/**
+ * Split a `--preset <name>` option off the end of the command arguments
+ * @param {Array<string>} args - Command arguments
+ * @returns {{input: string, preset: string|null}} Search input and the requested preset (if any)
+ */
+function parsePresetOption(args) {
+    const index = args.findIndex(arg => arg.toLowerCase() === '--preset');
+    if (index === -1) {
+        return { input: args.join(' '), preset: null };
+    }
+    return {
+        input: args.slice(0, index).join(' '),
+        preset: args.slice(index + 1).join(' ').trim()
+    };
+}
+
+/**
+ * Turn an indexed local track into a track for addTrack
+ * @param {Object} localTrack - Track from the local library
+ * @param {string|null} effectsPreset - Effect preset for the track
+ * @returns {Object} Track to add (plays the file in place)
+ */
+function toLocalTrack(localTrack, effectsPreset) {
+    return {
+        url: localTrack.filePath,
+        title: localTrack.title,
+        artist: localTrack.artist || '',
+        duration: localTrack.duration ? Math.round(localTrack.duration / 1000) : null,
+        thumbnail: localTrack.artPath,
+        thumbnailUrl: localTrack.artUrl,
+        effectsPreset,
+        type: 'file'
+    };
+}
+
+/**
+ * Reply and return true if quiet hours keep the sender from adding songs (VIPs are exempt)
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {Object} deps - Dependencies
+ * @returns {Promise<boolean>} True if the request was rejected
+ */
+async function rejectDuringQuietHours(sock, msg, deps) {
+    const { schedulerService, checkPriority, sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const sender = msg.key.participant || msg.key.remoteJid;
+
+    if (!schedulerService.isQuietHours() || checkPriority(sender)) {
+        return false;
+    }
+
+    await sendMessageWithMention(sock, msg.key.remoteJid, i18n('commands.play.quietHours', userLang), sender);
+    return true;
+}
+
+/**
+ * Add a resolved track to the queue and reply to the requester
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {Object} track - Track to add ({ url, title, artist, duration in seconds if known, effectsPreset,
+ *   thumbnail and thumbnailUrl if known, type: 'url', 'http'/'stream' for direct audio files and live streams, or 'file' for local library files
+ *   (url is then the file path) })
+ * @param {Object} deps - Dependencies
+ * @returns {Promise<boolean|undefined>} True if the track was added
+ */
+async function addTrack(sock, msg, track, deps) {
+    const { queueManager, queueEtaService, effectsService, httpAudioService, sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const remoteJid = msg.key.remoteJid;
+    const sender = msg.key.participant || msg.key.remoteJid;
+    const { url, title, artist, duration, effectsPreset = null, type = 'url', thumbnail = null, thumbnailUrl = null } = track;
+
+    // Quiet hours may have started while a search choice was pending
+    if (await rejectDuringQuietHours(sock, msg, deps)) {
+        return;
+    }
+
+    let result;
+    try {
+        result = queueManager.add({ 
+            type, 
+            content: url, 
+            title: title,
+            artist: artist,
+            duration: duration ? duration * 1000 : null,
+            thumbnail,
+            thumbnailUrl,
+            requester: msg.pushName || 'User',
+            remoteJid: remoteJid,
+            sender: sender,
+            effectsPreset
+        });
+    } catch (error) {
+        if (error.name !== 'QuotaExceededError') throw error;
+        await sendMessageWithMention(sock, remoteJid, i18n(error.messageKey, userLang, error.params), sender);
+        return;
+    }
+    
+    if (result === null) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.play.alreadyInQueue', userLang, { title }), sender);
+    } else {
+        const eta = queueEtaService.getEta(queueManager.getQueue().findIndex(item => item.id === result.id));
+        let response = i18n('commands.play.added', userLang, { title });
+        if (type === 'stream') {
+            const minutes = Math.round(httpAudioService.getStreamTimeLimitMs() / 60000);
+            response += i18n('commands.play.live', userLang, { minutes });
+        }
+        if (type === 'file') {
+            response += i18n('commands.play.local', userLang);
+        }
+        if (effectsPreset) {
+            const preset = effectsService.getPreset(effectsPreset);
+            response += i18n('commands.play.preset', userLang, { preset: preset ? preset.name : effectsPreset });
+        }
+        if (eta !== null) {
+            response += i18n('commands.play.eta', userLang, { minutes: queueEtaService.toMinutes(eta) });
+        }
+        await sendMessageWithMention(sock, remoteJid, response, sender);
+        return true;
+    }
+}
+
+/**
+ * Reply with a numbered list of search candidates to pick from
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {string} input - Original search query
+ * @param {Array<Object>} candidates - Search candidates
+ * @param {Object} deps - Dependencies
+ * @param {string|null} effectsPreset - Effect preset for whichever candidate is picked
+ */
+async function offerCandidates(sock, msg, input, candidates, deps, effectsPreset = null) {
+    const { searchPickerService, sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const remoteJid = msg.key.remoteJid;
+    const sender = msg.key.participant || msg.key.remoteJid;
+
+    // The preset travels with the candidates so !pick keeps it
+    searchPickerService.offer(sender, remoteJid, input, candidates.map(candidate => ({ ...candidate, effectsPreset })));
+
+    let text = i18n('commands.play.pickTitle', userLang, { input });
+    candidates.forEach((candidate, index) => {
+        text += i18n('commands.play.pickItem', userLang, {
+            index: index + 1,
+            title: candidate.title,
+            artist: candidate.artist || '?',
+            duration: formatDuration(candidate.duration)
+        });
+    });
+    text += i18n('commands.play.pickFooter', userLang, {
+        count: candidates.length,
+        seconds: searchPickerService.getTimeoutSeconds()
+    });
+
+    await sendMessageWithMention(sock, remoteJid, text, sender);
+}
 
 /**
  * !play command - Add a track to the queue
- * Accepts either a URL (YouTube/Spotify) or a search query (song name and artist)
+ * Accepts either a URL (YouTube/Spotify/SoundCloud/Bandcamp, another allowed yt-dlp site, a direct audio file
+ * or a live stream) or a search query (song name and artist). Searches play a matching local library track
+ * if there is one; `local:<query>` searches only the local library. Either can be
+ * optionally followed by `--preset <name>` to play just this track with an effect preset
  * @param {Object} sock - WhatsApp socket
  * @param {Object} msg - Message object
  * @param {Array} args - Command arguments
  * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
+ * @returns {Promise<boolean|undefined>} True if a track was added (counts against the rate limit)
  */
 async function playCommand(sock, msg, args, deps = defaultDeps) {
     const {
-        queueManager,
         searchYouTube,
+        searchPickerService,
         isSpotifyUrl,
         isYouTubeUrl,
+        isSourceUrl,
+        isDirectAudioUrl,
+        httpAudioService,
+        localLibraryService,
+        assertPublicLink,
         getTrackInfo,
         getSpotifyMetadata,
         logger,
+        effectsService,
         sendMessageWithMention,
         i18n,
         userLang = 'en'
     } = deps;
     const remoteJid = msg.key.remoteJid;
     const sender = msg.key.participant || msg.key.remoteJid;
-    const input = args.join(' ');
+    const { input, preset } = parsePresetOption(args);
     
-    if (!input) {
+    if (!input || preset === '') {
         await sendMessageWithMention(sock, remoteJid, i18n('commands.play.usage', userLang), sender);
         return;
     }
 
-    // Check rate limit before processing request
-    const rateLimitCheck = rateLimitService.checkRateLimit(sender, 'play');
-    if (!rateLimitCheck.allowed) {
-        const waitSeconds = rateLimitCheck.waitSeconds || 0;
-        await sendMessageWithMention(
-            sock, 
-            remoteJid, 
-            i18n('commands.rateLimit.exceeded', userLang, { seconds: waitSeconds }), 
-            sender
-        );
+    if (await rejectDuringQuietHours(sock, msg, deps)) {
         return;
     }
 
+    let effectsPreset = null;
+    if (preset) {
+        effectsPreset = effectsService.findPresetId(preset);
+        if (!effectsPreset) {
+            const presets = effectsService.getPresetsInfo().map(info => `\`${info.name}\``).join(', ');
+            await sendMessageWithMention(sock, remoteJid, i18n('commands.play.unknownPreset', userLang, { preset, presets }), sender);
+            return;
+        }
+    }
+
+    // A new request replaces any choice still waiting from an earlier search
+    searchPickerService.cancel(sender);
+
+    if (input.toLowerCase().startsWith(LOCAL_PREFIX)) {
+        const query = input.slice(LOCAL_PREFIX.length).trim();
+        if (!localLibraryService.isEnabled()) {
+            await sendMessageWithMention(sock, remoteJid, i18n('commands.play.localDisabled', userLang), sender);
+            return;
+        }
+        if (!query) {
+            await sendMessageWithMention(sock, remoteJid, i18n('commands.play.usage', userLang), sender);
+            return;
+        }
+        const localTrack = localLibraryService.findBestMatch(query);
+        if (!localTrack) {
+            await sendMessageWithMention(sock, remoteJid, i18n('commands.play.localNotFound', userLang, { input: query }), sender);
+            return;
+        }
+        logger.info(`[Play] Local track: "${localTrack.title}" (${localTrack.filePath})`);
+        return addTrack(sock, msg, toLocalTrack(localTrack, effectsPreset), deps);
+    }
+
     let url = input;
     let title = '';
     let artist = '';
+    let duration = null;
+    let type = 'url';
+
+    // Every link must point at a public address before anything fetches it; links straight
+    // to audio (a podcast MP3, an internet radio stream) are checked before yt-dlp sources
+    let audioLink = null;
+    try {
+        await assertPublicLink(input);
+        audioLink = httpAudioService.isPossibleAudioUrl(input) ? await httpAudioService.inspectUrl(input) : null;
+    } catch (error) {
+        if (error.name !== 'PrivateAddressError') throw error;
+        logger.warn(`[Play] Rejected link to a private address: ${input}`);
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.play.privateUrl', userLang), sender);
+        return;
+    }
     
     // Check if input is a URL
-    if (isSpotifyUrl(input)) {
+    if (audioLink) {
+        ({ title, artist, duration, type } = audioLink);
+        logger.info(`[Play] ${type === 'stream' ? 'Live stream' : 'Audio file'}: "${title}"`);
+    } else if (isDirectAudioUrl(input)) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.play.audioError', userLang), sender);
+        return;
+    } else if (isSpotifyUrl(input)) {
         try {
             const metadata = await getSpotifyMetadata(input);
             title = metadata.title;
             artist = metadata.artist;
+            duration = metadata.duration || null;
             logger.info(`[Play] Spotify track: "${title}" by ${artist}`);
         } catch (error) {
             logger.error('Failed to get Spotify metadata:', error);
@@ -65,6 +289,7 @@ async function playCommand(sock, msg, args, deps = defaultDeps) {
             const info = await getTrackInfo(input);
             title = info.title;
             artist = info.artist;
+            duration = info.duration || null;
             // Warn if we got a fallback title
             if (title.includes('Unknown Track') || title.includes('YouTube Video')) {
                 logger.warn(`[Play] Got fallback title for ${input}: ${title}`);
@@ -74,7 +299,26 @@ async function playCommand(sock, msg, args, deps = defaultDeps) {
             await sendMessageWithMention(sock, remoteJid, i18n('commands.play.youtubeError', userLang), sender);
             return;
         }
+    } else if (isSourceUrl(input)) {
+        try {
+            const info = await getTrackInfo(input);
+            title = info.title;
+            artist = info.artist;
+            duration = info.duration || null;
+            logger.info(`[Play] Source track: "${title}" by ${artist || 'unknown artist'}`);
+        } catch (error) {
+            logger.error(`[Play] Failed to get track info for ${input}:`, error);
+            await sendMessageWithMention(sock, remoteJid, i18n('commands.play.sourceError', userLang), sender);
+            return;
+        }
     } else {
+        // Owned music comes before searching online, if the query names the track's whole title
+        const localTrack = localLibraryService.findBestMatch(input, { wholeTitle: true });
+        if (localTrack) {
+            logger.info(`[Play] Local track: "${localTrack.title}" (${localTrack.filePath})`);
+            return addTrack(sock, msg, toLocalTrack(localTrack, effectsPreset), deps);
+        }
+
         // Treat as search query
         try {
             // Try to extract artist and title from input for better matching
@@ -92,10 +336,18 @@ async function playCommand(sock, msg, args, deps = defaultDeps) {
                 expectedTitle,
                 expectedArtist
             });
+
+            // Weak match: let the requester choose instead of guessing
+            if (searchPickerService.shouldOffer(searchResult)) {
+                logger.info(`[Play] Low match score (${searchResult.matchScore}) for "${input}", offering candidates`);
+                await offerCandidates(sock, msg, input, searchResult.candidates, deps, effectsPreset);
+                return;
+            }
             
             url = searchResult.url;
             title = searchResult.title;
             artist = searchResult.artist;
+            duration = searchResult.duration || null;
             logger.info(`[Play] Found track: ${title} by ${artist} at ${url} (match score: ${searchResult.matchScore})`);
         } catch (error) {
             logger.error('Search failed:', error);
@@ -104,23 +356,18 @@ async function playCommand(sock, msg, args, deps = defaultDeps) {
         }
     }
     
-    const result = queueManager.add({ 
-        type: 'url', 
-        content: url, 
-        title: title,
-        artist: artist,
-        requester: msg.pushName || 'User',
-        remoteJid: remoteJid,
-        sender: sender
-    });
-    
-    if (result === null) {
-        await sendMessageWithMention(sock, remoteJid, i18n('commands.play.alreadyInQueue', userLang, { title }), sender);
-    } else {
-        // Record successful request for rate limiting
-        rateLimitService.recordRequest(sender, 'play');
-        await sendMessageWithMention(sock, remoteJid, i18n('commands.play.added', userLang, { title }), sender);
-    }
+    return addTrack(sock, msg, { url, title, artist, duration, effectsPreset, type }, deps);
 }
 
-module.exports = playCommand;
\ No newline at end of file
+const command = {
+    name: 'play',
+    aliases: [],
+    title: 'commands.help.play.title',
+    usage: 'commands.help.play.usage',
+    description: 'commands.help.play.description',
+    role: ROLES.EVERYONE,
+    rateLimit: 'play',
+    handler: playCommand
+};
+
+module.exports = { command, addTrack };
\ No newline at end of file
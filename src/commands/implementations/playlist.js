@@ -1,21 +1,162 @@
 const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
 const { getLanguageConfig } = require('../../config/languages');
-const rateLimitService = require('../../services/user/command-rate-limit.service');
+
+const SUBCOMMANDS = ['save', 'load', 'list', 'delete'];
+
+/**
+ * Build the "N tracks added" summary reply with language-aware pluralization
+ * @param {Object} counts - { successCount, duplicateCount, failCount }
+ * @param {Function} i18n - Translation function
+ * @param {string} userLang - User language
+ * @returns {string} Summary text
+ */
+function buildAddedSummary({ successCount, duplicateCount, failCount }, i18n, userLang) {
+    // Handle pluralization based on language
+    const langConfig = getLanguageConfig(userLang);
+    const isPortuguese = langConfig && langConfig.code === 'pt';
+    
+    let trackText, duplicateText, plural, dupPlural;
+    if (isPortuguese) {
+        trackText = successCount !== 1 ? 'faixas' : 'faixa';
+        duplicateText = duplicateCount > 1 ? 'duplicatas' : 'duplicata';
+        plural = successCount !== 1 ? 's' : '';
+        dupPlural = duplicateCount > 1 ? 's' : '';
+    } else {
+        trackText = successCount !== 1 ? 'tracks' : 'track';
+        duplicateText = duplicateCount > 1 ? 'duplicates' : 'duplicate';
+        plural = successCount !== 1 ? 's' : '';
+        dupPlural = duplicateCount > 1 ? 's' : '';
+    }
+    
+    let responseText = i18n('commands.playlist.added', userLang, { count: successCount, trackText, plural });
+    if (duplicateCount > 0) {
+        responseText += i18n('commands.playlist.duplicates', userLang, { count: duplicateCount, duplicateText, plural: dupPlural });
+    }
+    if (failCount > 0) {
+        responseText += i18n('commands.playlist.failed', userLang, { count: failCount });
+    }
+    return responseText;
+}
+
+/**
+ * Handle saved playlist subcommands (save, load, list, delete)
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {string} subcommand - Subcommand name
+ * @param {string} name - Playlist name argument
+ * @param {Object} deps - Dependencies
+ * @returns {Promise<boolean|undefined>} True if tracks were added to the queue
+ */
+async function handleSavedPlaylist(sock, msg, subcommand, name, deps) {
+    const {
+        queueManager,
+        playbackController,
+        savedPlaylistService,
+        searchYouTube,
+        sendMessageWithMention,
+        i18n,
+        userLang = 'en'
+    } = deps;
+    const remoteJid = msg.key.remoteJid;
+    const sender = msg.key.participant || msg.key.remoteJid;
+    
+    if (subcommand === 'list') {
+        const playlists = savedPlaylistService.getSavedPlaylists();
+        if (playlists.length === 0) {
+            await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.listEmpty', userLang), sender);
+            return;
+        }
+        
+        let listText = i18n('commands.playlist.listTitle', userLang);
+        playlists.forEach((playlist, index) => {
+            listText += i18n('commands.playlist.listItem', userLang, {
+                index: index + 1,
+                name: playlist.name,
+                count: playlist.getItemCount()
+            });
+        });
+        await sendMessageWithMention(sock, remoteJid, listText, sender);
+        return;
+    }
+    
+    if (!name) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.usage', userLang), sender);
+        return;
+    }
+    
+    if (subcommand === 'save') {
+        const currentSong = playbackController.getCurrent();
+        const items = currentSong ? [currentSong, ...queueManager.getQueue()] : queueManager.getQueue();
+        
+        if (items.length === 0) {
+            await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.queueEmpty', userLang), sender);
+            return;
+        }
+        
+        try {
+            const playlist = savedPlaylistService.saveQueueAsPlaylist(name, items);
+            await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.saved', userLang, { name: playlist.name, count: playlist.getItemCount() }), sender);
+        } catch (error) {
+            const key = error.name === 'ConflictError' ? 'commands.playlist.alreadyExists' : 'commands.playlist.invalidName';
+            await sendMessageWithMention(sock, remoteJid, i18n(key, userLang, { name, error: error.message }), sender);
+        }
+        return;
+    }
+    
+    const playlist = savedPlaylistService.findSavedPlaylist(name);
+    if (!playlist) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.notFound', userLang, { name }), sender);
+        return;
+    }
+    
+    if (subcommand === 'delete') {
+        savedPlaylistService.deleteSavedPlaylist(playlist.id);
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.deleted', userLang, { name: playlist.name }), sender);
+        return;
+    }
+    
+    // load
+    if (playlist.getItemCount() === 0) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.empty', userLang), sender);
+        return;
+    }
+    
+    const summary = await savedPlaylistService.loadPlaylistIntoQueue(playlist, {
+        requester: msg.pushName || 'VIP',
+        remoteJid,
+        sender
+    }, { queueManager, searchYouTube });
+    
+    let responseText = buildAddedSummary({
+        successCount: summary.added,
+        duplicateCount: summary.duplicates,
+        failCount: summary.failed
+    }, i18n, userLang);
+    if (summary.quota) {
+        responseText += '\n\n' + i18n(summary.quota.messageKey, userLang, summary.quota.params);
+    }
+    await sendMessageWithMention(sock, remoteJid, responseText, sender);
+    return summary.added > 0;
+}
 
 /**
  * !playlist command - Add all tracks from a playlist to the queue (VIP only)
- * Accepts Spotify or YouTube playlist URLs
+ * Accepts Spotify or YouTube playlist URLs, or manages saved playlists:
+ * `!playlist save|load|delete <name>` (VIP only) and `!playlist list`
+ * The VIP check and rate limit are applied by the command registry
  * @param {Object} sock - WhatsApp socket
  * @param {Object} msg - Message object
  * @param {Array} args - Command arguments
  * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
+ * @returns {Promise<boolean|undefined>} True if tracks were added (counts against the rate limit)
  */
 async function playlistCommand(sock, msg, args, deps = defaultDeps) {
     const {
         queueManager,
-        checkPriority,
         getPlaylistTracks,
         isPlaylistUrl,
+        isSourcePlaylist,
         searchYouTube,
         logger,
         sendMessageWithMention,
@@ -25,23 +166,11 @@ async function playlistCommand(sock, msg, args, deps = defaultDeps) {
     const remoteJid = msg.key.remoteJid;
     const sender = msg.key.participant || msg.key.remoteJid;
     const url = args.join(' ').trim();
+    const subcommand = (args[0] || '').toLowerCase();
+    const isSavedPlaylistCommand = SUBCOMMANDS.includes(subcommand);
     
-    // Check if user is VIP
-    if (!checkPriority(sender)) {
-        await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.vipOnly', userLang), sender);
-        return;
-    }
-    
-    const rateLimitCheck = rateLimitService.checkRateLimit(sender, 'playlist');
-    if (!rateLimitCheck.allowed) {
-        const waitSeconds = rateLimitCheck.waitSeconds || 0;
-        await sendMessageWithMention(
-            sock, 
-            remoteJid, 
-            i18n('commands.rateLimit.exceeded', userLang, { seconds: waitSeconds }), 
-            sender
-        );
-        return;
+    if (isSavedPlaylistCommand) {
+        return handleSavedPlaylist(sock, msg, subcommand, args.slice(1).join(' ').trim(), deps);
     }
     
     if (!url) {
@@ -50,7 +179,7 @@ async function playlistCommand(sock, msg, args, deps = defaultDeps) {
     }
     
     // Verify it's a playlist URL
-    if (!isPlaylistUrl(url)) {
+    if (!isPlaylistUrl(url) && !isSourcePlaylist(url)) {
         await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.invalidUrl', userLang), sender);
         return;
     }
@@ -69,6 +198,7 @@ async function playlistCommand(sock, msg, args, deps = defaultDeps) {
         let duplicateCount = 0;
         const maxTracksToShow = 5;
         const addedTracks = [];
+        let quotaError = null;
         
         // Process each track
         for (let i = 0; i < tracks.length; i++) {
@@ -114,49 +244,45 @@ async function playlistCommand(sock, msg, args, deps = defaultDeps) {
                 // Progress updates removed to reduce spam
                 
             } catch (error) {
+                // Stop at the first quota rejection and tell the requester why
+                if (error.name === 'QuotaExceededError') {
+                    quotaError = error;
+                    break;
+                }
                 logger.error(`Failed to add track ${i + 1}:`, error);
                 failCount++;
             }
         }
         
-        // Build final response message
-        // Handle pluralization based on language
-        const langConfig = getLanguageConfig(userLang);
-        const isPortuguese = langConfig && langConfig.code === 'pt';
-        
-        let trackText, duplicateText, plural, dupPlural;
-        if (isPortuguese) {
-            trackText = successCount !== 1 ? 'faixas' : 'faixa';
-            duplicateText = duplicateCount > 1 ? 'duplicatas' : 'duplicata';
-            plural = successCount !== 1 ? 's' : '';
-            dupPlural = duplicateCount > 1 ? 's' : '';
-        } else {
-            trackText = successCount !== 1 ? 'tracks' : 'track';
-            duplicateText = duplicateCount > 1 ? 'duplicates' : 'duplicate';
-            plural = successCount !== 1 ? 's' : '';
-            dupPlural = duplicateCount > 1 ? 's' : '';
+        let responseText = buildAddedSummary({ successCount, duplicateCount, failCount }, i18n, userLang);
+        if (quotaError) {
+            responseText += '\n\n' + i18n(quotaError.messageKey, userLang, quotaError.params);
         }
-        
-        let responseText = i18n('commands.playlist.added', userLang, { count: successCount, trackText, plural });
-        if (duplicateCount > 0) {
-            responseText += i18n('commands.playlist.duplicates', userLang, { count: duplicateCount, duplicateText, plural: dupPlural });
-        }
-        if (failCount > 0) {
-            responseText += i18n('commands.playlist.failed', userLang, { count: failCount });
-        }
-        
-        // Record successful request for rate limiting (only if at least one track was added)
-        if (successCount > 0) {
-            rateLimitService.recordRequest(sender, 'playlist');
-        }
-        
         await sendMessageWithMention(sock, remoteJid, responseText, sender);
         
+        // Only count against the rate limit if at least one track was added
+        return successCount > 0;
+        
     } catch (error) {
         logger.error('Playlist command failed:', error);
         await sendMessageWithMention(sock, remoteJid, i18n('commands.playlist.error', userLang, { error: error.message }), sender);
     }
 }
 
-module.exports = playlistCommand;
+const command = {
+    name: 'playlist',
+    aliases: [],
+    title: 'commands.help.playlist.title',
+    usage: 'commands.help.playlist.usage',
+    description: 'commands.help.playlist.description',
+    role: ROLES.VIP,
+    rateLimit: 'playlist',
+    subcommands: {
+        // Listing saved playlists is open to everyone
+        list: { role: ROLES.EVERYONE, rateLimit: null }
+    },
+    handler: playlistCommand
+};
+
+module.exports = { command };
 
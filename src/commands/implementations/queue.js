@@ -1,4 +1,5 @@
 const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
 
 /**
  * !queue command - Display the current queue
@@ -8,7 +9,7 @@ const { deps: defaultDeps } = require('../dependencies');
  * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
  */
 async function queueCommand(sock, msg, args, deps = defaultDeps) {
-    const { queueManager, playbackController, sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const { queueManager, playbackController, queueEtaService, sendMessageWithMention, i18n, userLang = 'en' } = deps;
     const remoteJid = msg.key.remoteJid;
     const sender = msg.key.participant || msg.key.remoteJid;
     const queue = queueManager.getQueue();
@@ -24,10 +25,12 @@ async function queueCommand(sock, msg, args, deps = defaultDeps) {
     // Show queue
     if (queue.length > 0) {
         response += i18n('commands.queue.upcoming', userLang, { count: queue.length });
+        const etas = queueEtaService.getEtas();
         queue.forEach((item, index) => {
             const itemTitle = item.title || item.content;
             const itemArtist = item.artist ? ` - ${item.artist}` : '';
-            response += `${index + 1}. ${itemTitle}${itemArtist}\n`;
+            const itemEta = i18n('commands.queue.eta', userLang, { minutes: queueEtaService.toMinutes(etas[index]) });
+            response += `${index + 1}. ${itemTitle}${itemArtist}${itemEta}\n`;
         });
     } else {
         response += i18n('commands.queue.empty', userLang);
@@ -36,5 +39,16 @@ async function queueCommand(sock, msg, args, deps = defaultDeps) {
     await sendMessageWithMention(sock, remoteJid, response, sender);
 }
 
-module.exports = queueCommand;
+const command = {
+    name: 'queue',
+    aliases: [],
+    title: 'commands.help.queue.title',
+    usage: 'commands.help.queue.usage',
+    description: 'commands.help.queue.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: queueCommand
+};
+
+module.exports = { command };
 
@@ -1,4 +1,5 @@
 const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
 
 /**
  * !remove command - Remove a song from the queue
@@ -27,5 +28,16 @@ async function removeCommand(sock, msg, args, deps = defaultDeps) {
     }
 }
 
-module.exports = removeCommand;
+const command = {
+    name: 'remove',
+    aliases: [],
+    title: 'commands.help.remove.title',
+    usage: 'commands.help.remove.usage',
+    description: 'commands.help.remove.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: removeCommand
+};
+
+module.exports = { command };
 
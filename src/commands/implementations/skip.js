@@ -1,4 +1,5 @@
 const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
 
 /**
  * !skip command - Skip the current song
@@ -33,5 +34,16 @@ async function skipCommand(sock, msg, args, deps = defaultDeps) {
     }
 }
 
-module.exports = skipCommand;
+const command = {
+    name: 'skip',
+    aliases: [],
+    title: 'commands.help.skip.title',
+    usage: 'commands.help.skip.usage',
+    description: 'commands.help.skip.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: skipCommand
+};
+
+module.exports = { command };
 
@@ -0,0 +1,36 @@
+const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
+
+/**
+ * !undo command - Remove the sender's most recently added song from the queue
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
+ */
+async function undoCommand(sock, msg, args, deps = defaultDeps) {
+    const { queueManager, sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const remoteJid = msg.key.remoteJid;
+    const sender = msg.key.participant || msg.key.remoteJid;
+    
+    const removed = queueManager.removeLastBySender(sender);
+    if (removed) {
+        const removedTitle = removed.title || removed.content;
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.undo.removed', userLang, { title: removedTitle }), sender);
+    } else {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.undo.nothing', userLang), sender);
+    }
+}
+
+const command = {
+    name: 'undo',
+    aliases: [],
+    title: 'commands.help.undo.title',
+    usage: 'commands.help.undo.usage',
+    description: 'commands.help.undo.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: undoCommand
+};
+
+module.exports = { command };
@@ -0,0 +1,47 @@
+const { deps: defaultDeps } = require('../dependencies');
+const { ROLES } = require('../registry');
+
+/**
+ * !voteskip command - Vote to skip the current song
+ * Skips once enough recently active group members have voted
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} deps - Dependencies (injected, defaults to production dependencies)
+ */
+async function voteSkipCommand(sock, msg, args, deps = defaultDeps) {
+    const { playbackController, voteSkipService, sendMessageWithMention, i18n, userLang = 'en' } = deps;
+    const remoteJid = msg.key.remoteJid;
+    const sender = msg.key.participant || msg.key.remoteJid;
+    const currentSong = playbackController.getCurrent();
+    
+    if (!currentSong) {
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.skip.nothingPlaying', userLang), sender);
+        return;
+    }
+    
+    const currentTitle = currentSong.title || 'Current song';
+    const { accepted, votes, required, reached } = voteSkipService.castVote(sender, currentSong, remoteJid);
+    
+    if (reached) {
+        playbackController.skip();
+        await sendMessageWithMention(sock, remoteJid, i18n('commands.voteskip.passed', userLang, { title: currentTitle, votes, required }), sender);
+        return;
+    }
+    
+    const key = accepted ? 'commands.voteskip.voted' : 'commands.voteskip.alreadyVoted';
+    await sendMessageWithMention(sock, remoteJid, i18n(key, userLang, { title: currentTitle, votes, required }), sender);
+}
+
+const command = {
+    name: 'voteskip',
+    aliases: [],
+    title: 'commands.help.voteskip.title',
+    usage: 'commands.help.voteskip.usage',
+    description: 'commands.help.voteskip.description',
+    role: ROLES.EVERYONE,
+    rateLimit: null,
+    handler: voteSkipCommand
+};
+
+module.exports = { command };
@@ -0,0 +1,100 @@
+const {
+    isSpotifyUrl,
+    isYouTubeUrl,
+    isPlaylistUrl,
+    isSoundCloudUrl,
+    isSoundCloudPlaylist,
+    isBandcampUrl,
+    isBandcampAlbum
+} = require('../utils/url.util');
+
+/**
+ * Natural Language Intents
+ * Turns plain chat messages into commands for groups that opt in:
+ * - A message that is only a YouTube/Spotify/SoundCloud/Bandcamp track link becomes `play <link>`
+ * - A message mentioning the bot ("@bot play daft punk") is matched against intent keywords
+ * Anything else is ignored so normal conversation never triggers the bot.
+ */
+
+// Keywords (English and Portuguese) that start a mention-based request
+const INTENT_KEYWORDS = {
+    play: ['play', 'toca', 'tocar', 'põe', 'poe', 'coloca'],
+    skip: ['skip', 'next', 'pula', 'pular', 'salta', 'saltar'],
+    queue: ['queue', 'fila', 'lista']
+};
+
+// Polite filler allowed between the mention and the keyword
+const FILLER_WORDS = ['please', 'pls', 'plz', 'hey', 'por', 'favor', 'pf'];
+
+/**
+ * Check if a message is a single track link (YouTube video, Spotify, SoundCloud or Bandcamp track)
+ * Links to other yt-dlp sites are left to !play, so shared links in conversation don't queue songs.
+ * @param {string} text - Message text
+ * @returns {boolean} True if the whole message is one supported link
+ */
+function isBareTrackLink(text) {
+    if (!/^https?:\/\/\S+$/i.test(text)) {
+        return false;
+    }
+    if (isSoundCloudUrl(text)) {
+        return !isSoundCloudPlaylist(text);
+    }
+    if (isBandcampUrl(text)) {
+        return !isBandcampAlbum(text);
+    }
+    if (!isYouTubeUrl(text) && !isSpotifyUrl(text)) {
+        return false;
+    }
+    // YouTube video links may carry a list= parameter; pure playlists/albums are left to !playlist
+    const isYouTubeVideo = isYouTubeUrl(text) && /[?&]v=|youtu\.be\//.test(text);
+    return !isPlaylistUrl(text) || isYouTubeVideo;
+}
+
+/**
+ * Lowercase a word and strip surrounding punctuation
+ * @param {string} word - Word to normalize
+ * @returns {string} Normalized word
+ */
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/**
+ * Parse a chat message into an intent
+ * @param {string} text - Message text
+ * @param {Object} options - Parse options
+ * @param {boolean} options.mentioned - Whether the message mentions the bot
+ * @param {Array<string>} options.intents - Allowed intents for the group
+ * @returns {{name: string, args: Array<string>}|null} Command name and args, or null if not a request
+ */
+function parseIntent(text, { mentioned = false, intents = [] } = {}) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return null;
+
+    if (isBareTrackLink(trimmed)) {
+        return intents.includes('play') ? { name: 'play', args: [trimmed] } : null;
+    }
+
+    if (!mentioned) return null;
+
+    // Drop mention tokens (@123456789) and filler, then read the keyword
+    const words = trimmed.split(/\s+/).filter(word => !word.startsWith('@'));
+    while (words.length > 0 && FILLER_WORDS.includes(normalizeWord(words[0]))) {
+        words.shift();
+    }
+    if (words.length === 0) return null;
+
+    const keyword = normalizeWord(words[0]);
+    const name = Object.keys(INTENT_KEYWORDS).find(intent => INTENT_KEYWORDS[intent].includes(keyword));
+    if (!name || !intents.includes(name)) return null;
+
+    const args = words.slice(1);
+    if (name === 'play' && args.length === 0) return null;
+
+    return { name, args: name === 'play' ? args : [] };
+}
+
+module.exports = {
+    parseIntent,
+    isBareTrackLink
+};
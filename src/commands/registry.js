@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger.util');
+const rateLimitService = require('../services/user/command-rate-limit.service');
+
+/**
+ * Command Registry
+ * Discovers command definitions in ./implementations and dispatches to them.
+ *
+ * Each implementation exports `command`:
+ *   {
+ *     name: 'play',                          // invoked as !play
+ *     aliases: ['p'],                        // optional alternative names
+ *     title: 'commands.help.play.title',     // i18n keys used by !help and the API
+ *     usage: 'commands.help.play.usage',
+ *     description: 'commands.help.play.description',
+ *     role: ROLES.EVERYONE,                  // who may run it
+ *     rateLimit: 'play',                     // rate-limit bucket, or null
+ *     subcommands: { list: { role, rateLimit } }, // optional per-subcommand overrides
+ *     handler: async (sock, msg, args, deps) => {}
+ *   }
+ *
+ * Role and rate-limit checks happen here, before the handler runs. A handler
+ * returns `true` when the request should count against its rate-limit bucket
+ * (e.g. a song was actually added), so usage errors and duplicates are free.
+ */
+
+const IMPLEMENTATIONS_DIR = path.join(__dirname, 'implementations');
+const COMMAND_PREFIX = '!';
+
+const ROLES = {
+    EVERYONE: 'everyone',
+    VIP: 'vip',
+    ADMIN: 'admin'
+};
+
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        this.aliases = new Map();
+        this.loaded = false;
+    }
+
+    /**
+     * Register a command definition
+     * @param {Object} definition - Command definition (see module docs)
+     */
+    register(definition) {
+        if (!definition?.name || typeof definition.handler !== 'function') {
+            throw new Error('Command definition requires a name and a handler');
+        }
+
+        const name = definition.name.toLowerCase();
+        if (this.commands.has(name) || this.aliases.has(name)) {
+            throw new Error(`Command "${name}" is already registered`);
+        }
+
+        const command = {
+            aliases: [],
+            role: ROLES.EVERYONE,
+            rateLimit: null,
+            subcommands: {},
+            ...definition,
+            name
+        };
+
+        if (!Object.values(ROLES).includes(command.role)) {
+            throw new Error(`Command "${name}" has an invalid role: ${command.role}`);
+        }
+
+        this.commands.set(name, command);
+        command.aliases.forEach(alias => {
+            const normalizedAlias = alias.toLowerCase();
+            if (this.commands.has(normalizedAlias) || this.aliases.has(normalizedAlias)) {
+                throw new Error(`Command alias "${normalizedAlias}" is already registered`);
+            }
+            this.aliases.set(normalizedAlias, name);
+        });
+    }
+
+    /**
+     * Load every command exported from the implementations directory
+     * Files are loaded in alphabetical order, which is also the !help order
+     */
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        fs.readdirSync(IMPLEMENTATIONS_DIR)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .forEach(file => {
+                const { command } = require(path.join(IMPLEMENTATIONS_DIR, file));
+                if (!command) {
+                    logger.warn(`[CommandRegistry] ${file} does not export a command, skipping`);
+                    return;
+                }
+                this.register(command);
+            });
+
+        logger.info(`[CommandRegistry] Loaded ${this.commands.size} commands`);
+    }
+
+    /**
+     * Find a command by name or alias
+     * @param {string} commandName - Command name, with or without the prefix (e.g. '!lang')
+     * @returns {Object|null} Command definition or null if unknown
+     */
+    resolve(commandName) {
+        this.load();
+
+        let name = (commandName || '').toLowerCase();
+        if (name.startsWith(COMMAND_PREFIX)) {
+            name = name.slice(COMMAND_PREFIX.length);
+        }
+
+        return this.commands.get(name) || this.commands.get(this.aliases.get(name)) || null;
+    }
+
+    /**
+     * Get all registered commands
+     * @returns {Array<Object>} Command definitions in registration order
+     */
+    getCommands() {
+        this.load();
+        return Array.from(this.commands.values());
+    }
+
+    /**
+     * Get all commands with their help text resolved for a language
+     * @param {Function} i18n - Translation function
+     * @param {string} lang - Language code
+     * @returns {Array<Object>} Serializable command descriptions
+     */
+    describe(i18n, lang) {
+        return this.getCommands().map(command => ({
+            name: command.name,
+            aliases: command.aliases,
+            title: command.title ? i18n(command.title, lang).trim() : command.name,
+            usage: command.usage ? i18n(command.usage, lang).trim() : `${COMMAND_PREFIX}${command.name}`,
+            description: command.description ? i18n(command.description, lang).trim() : '',
+            role: command.role,
+            rateLimit: command.rateLimit,
+            subcommands: Object.fromEntries(
+                Object.entries(command.subcommands).map(([sub, policy]) => [sub, {
+                    role: policy.role ?? command.role,
+                    rateLimit: policy.rateLimit !== undefined ? policy.rateLimit : command.rateLimit
+                }])
+            )
+        }));
+    }
+
+    /**
+     * Get the role and rate-limit bucket that apply to an invocation
+     * @param {Object} command - Command definition
+     * @param {Array} args - Command arguments
+     * @returns {{role: string, rateLimit: string|null}} Effective policy
+     */
+    getPolicy(command, args) {
+        const subcommand = (args[0] || '').toLowerCase();
+        const override = command.subcommands[subcommand] || {};
+        return {
+            role: override.role ?? command.role,
+            rateLimit: override.rateLimit !== undefined ? override.rateLimit : command.rateLimit
+        };
+    }
+
+    /**
+     * Check whether the sender of a message has a role
+     * Roles are not hierarchical: admin means WhatsApp group admin, VIP means priority user
+     * @param {Object} sock - WhatsApp socket
+     * @param {Object} msg - Message object
+     * @param {string} role - Required role
+     * @param {Object} deps - Command dependencies
+     * @returns {Promise<boolean>} True if allowed
+     */
+    async hasRole(sock, msg, role, deps) {
+        const remoteJid = msg.key.remoteJid;
+        const sender = msg.key.participant || msg.key.remoteJid;
+
+        if (role === ROLES.VIP) {
+            return deps.checkPriority(sender);
+        }
+
+        if (role === ROLES.ADMIN) {
+            if (!remoteJid.endsWith('@g.us')) return false;
+            try {
+                const metadata = await sock.groupMetadata(remoteJid);
+                const participant = metadata.participants.find(p => p.id === sender);
+                return participant?.admin === 'admin' || participant?.admin === 'superadmin';
+            } catch (error) {
+                logger.warn(`[CommandRegistry] Could not fetch group metadata for ${remoteJid}:`, error);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Run a command after checking its role and rate limit
+     * @param {Object} sock - WhatsApp socket
+     * @param {Object} msg - Message object
+     * @param {Object} command - Command definition from resolve()
+     * @param {Array} args - Command arguments
+     * @param {Object} deps - Command dependencies (with userLang)
+     */
+    async dispatch(sock, msg, command, args, deps) {
+        const { sendMessageWithMention, i18n, userLang = 'en' } = deps;
+        const remoteJid = msg.key.remoteJid;
+        const sender = msg.key.participant || msg.key.remoteJid;
+        const { role, rateLimit } = this.getPolicy(command, args);
+
+        if (!await this.hasRole(sock, msg, role, deps)) {
+            const key = role === ROLES.ADMIN ? 'commands.permission.adminOnly' : 'commands.permission.vipOnly';
+            await sendMessageWithMention(sock, remoteJid, i18n(key, userLang), sender);
+            return;
+        }
+
+        if (rateLimit) {
+            const rateLimitCheck = rateLimitService.checkRateLimit(sender, rateLimit);
+            if (!rateLimitCheck.allowed) {
+                const waitSeconds = rateLimitCheck.waitSeconds || 0;
+                await sendMessageWithMention(
+                    sock,
+                    remoteJid,
+                    i18n('commands.rateLimit.exceeded', userLang, { seconds: waitSeconds }),
+                    sender
+                );
+                return;
+            }
+        }
+
+        const consumed = await command.handler(sock, msg, args, deps);
+
+        // Record successful request for rate limiting
+        if (rateLimit && consumed === true) {
+            rateLimitService.recordRequest(sender, rateLimit);
+        }
+    }
+}
+
+const commandRegistry = new CommandRegistry();
+
+module.exports = {
+    commandRegistry,
+    ROLES,
+    COMMAND_PREFIX
+};
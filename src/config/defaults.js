@@ -46,6 +46,8 @@ class DefaultsConfig {
             whatsapp: {
                 browserName: wppBrowserName,
                 browserVersion: '1.0.0',
+                // Groups can override this from the dashboard
+                commandPrefix: '!',
             },
             download: {
                 audioFormat: 'mp3',
@@ -59,15 +61,39 @@ class DefaultsConfig {
                 cleanupAfterPlay: true,
                 cleanupOnStartup: false,
                 songTransitionDelay: 100,
+                crossfadeEnabled: false,
+                crossfadeDuration: 5,
+                crossfadeCurve: 'equalPower',
+                silenceTrimEnabled: false,
+                silenceThreshold: -50,
+                silenceMinDuration: 2,
+                introOutroMaxLength: 0,
+                streamMaxMinutes: 60,
                 confirmSkip: true,
                 showRequesterName: true,
                 shuffleEnabled: false,
                 repeatMode: 'off',
+                queuePolicy: 'fifo',
+                vipShareWeight: 2,
+                voteSkipMode: 'fraction',
+                voteSkipPercentage: 50,
+                voteSkipCount: 3,
+                voteSkipActiveMinutes: 15,
+                searchPickerEnabled: false,
+                searchConfidenceThreshold: 100,
+                searchPickerTimeout: 60,
+                radioEnabled: false,
+                radioBitrate: '128k',
+                radioMaxListeners: 10,
             },
             logging: loggingDefaults,
             performance: {
                 prefetchNext: true,
                 prefetchCount: 0,
+                loudnessScanConcurrency: 1,
+                libraryCacheEnabled: true,
+                libraryCacheMaxSizeGb: 5,
+                directDownloadMaxSizeMb: 200,
             },
             notifications: {
                 enabled: true,
@@ -40,6 +40,28 @@ class Config {
         this.youtube = {
             apiKey: process.env.YOUTUBE_API_KEY || null,
         };
+        // Audio backend (not configurable via database)
+        this.player = {
+            backend: (process.env.PLAYER_BACKEND || 'auto').toLowerCase(),
+            outputDir: process.env.PLAYER_OUTPUT_DIR || null,
+            outputFormat: (process.env.PLAYER_OUTPUT_FORMAT || 'wav').toLowerCase(),
+        };
+        // Sites accepted through yt-dlp besides YouTube, Spotify, SoundCloud and Bandcamp
+        // (not configurable via database): empty = none, "*" = anything yt-dlp supports
+        this.sources = {
+            allowlist: (process.env.SOURCE_ALLOWLIST || '')
+                .split(',')
+                .map(entry => entry.trim().toLowerCase().replace(/^www\./, ''))
+                .filter(Boolean),
+        };
+        // Folders of owned music indexed by the local library (not configurable via database)
+        this.localLibrary = {
+            directories: (process.env.LOCAL_MUSIC_DIRS || '')
+                .split(',')
+                .map(entry => entry.trim())
+                .filter(Boolean)
+                .map(entry => path.resolve(entry)),
+        };
 
         // Initialize settings with defaults to avoid undefined access
         // These will be overridden by loadSettings() when database is available
@@ -309,6 +331,10 @@ class Config {
         console.log('\nPlayback:');
         console.log(`  Cleanup After Play: ${this.playback.cleanupAfterPlay}`);
         console.log(`  Cleanup On Startup: ${this.playback.cleanupOnStartup}`);
+        console.log(`  Player Backend: ${this.player.backend}`);
+        if (this.player.outputDir) {
+            console.log(`  Player Output: ${this.player.outputDir} (${this.player.outputFormat})`);
+        }
         console.log('\nPerformance:');
         console.log(`  Prefetch Enabled: ${this.performance.prefetchNext}`);
         console.log(`  Prefetch Count: ${this.performance.prefetchCount === 0 ? 'All' : this.performance.prefetchCount}`);
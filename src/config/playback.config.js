@@ -10,10 +10,30 @@ class PlaybackConfig {
             cleanupAfterPlay: true,
             cleanupOnStartup: false,
             songTransitionDelay: 100,
+            crossfadeEnabled: false,
+            crossfadeDuration: 5,
+            crossfadeCurve: 'equalPower',
+            silenceTrimEnabled: false,
+            silenceThreshold: -50,
+            silenceMinDuration: 2,
+            introOutroMaxLength: 0,
+            streamMaxMinutes: 60,
             confirmSkip: true,
             showRequesterName: true,
             shuffleEnabled: false,
             repeatMode: 'off',
+            queuePolicy: 'fifo',
+            vipShareWeight: 2,
+            voteSkipMode: 'fraction',
+            voteSkipPercentage: 50,
+            voteSkipCount: 3,
+            voteSkipActiveMinutes: 15,
+            searchPickerEnabled: false,
+            searchConfidenceThreshold: 100,
+            searchPickerTimeout: 60,
+            radioEnabled: false,
+            radioBitrate: '128k',
+            radioMaxListeners: 10,
         };
     }
 
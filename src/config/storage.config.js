@@ -30,6 +30,7 @@ class StorageConfig {
             auth: path.join(this.storageDir, 'auth'),
             media: path.join(this.storageDir, 'media'),
             thumbnails: path.join(this.storageDir, 'thumbnails'),
+            library: path.join(this.storageDir, 'library'),
         };
 
         this.files = {
@@ -75,6 +76,7 @@ class StorageConfig {
             this.paths.auth,
             this.paths.media,
             this.paths.thumbnails,
+            this.paths.library,
         ];
 
         dirs.forEach(dir => {
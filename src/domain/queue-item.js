@@ -8,7 +8,7 @@ class QueueItem {
         this.songId = data.songId || null;
         this.content = data.content || '';
         this.sourceUrl = data.sourceUrl || null;
-        this.type = data.type || 'url'; // 'url' or 'file'
+        this.type = data.type || 'url'; // 'url', 'file', 'http' (direct audio file) or 'stream' (live stream)
         this.title = data.title || '';
         this.artist = data.artist || '';
         this.channel = data.channel || '';
@@ -23,6 +23,8 @@ class QueueItem {
         this.thumbnailUrl = data.thumbnailUrl || null;
         this.prefetched = data.prefetched || false;
         this.duration = data.duration || null;
+        this.effectsPreset = data.effectsPreset || null; // Effect preset applied only while this item plays
+        this.downloadAttempts = data.downloadAttempts || null; // Fallback attempts of a failed download
     }
 
     /**
@@ -36,7 +38,7 @@ class QueueItem {
             songId: dbRecord.song_id,
             content: dbRecord.content,
             sourceUrl: dbRecord.source_url,
-            type: dbRecord.type || 'url',
+            type: dbRecord.source_type || dbRecord.type || 'url',
             title: dbRecord.title,
             artist: dbRecord.artist,
             channel: dbRecord.channel,
@@ -50,7 +52,8 @@ class QueueItem {
             thumbnail: dbRecord.thumbnail_path,
             thumbnailUrl: dbRecord.thumbnail_url,
             prefetched: dbRecord.prefetched === 1,
-            duration: dbRecord.duration
+            duration: dbRecord.duration,
+            effectsPreset: dbRecord.effects_preset
         });
     }
 
@@ -74,7 +77,9 @@ class QueueItem {
             is_priority: this.isPriority,
             download_status: this.downloadStatus || 'pending',
             download_progress: this.downloadProgress || 0,
-            prefetched: this.prefetched || false
+            prefetched: this.prefetched || false,
+            effects_preset: this.effectsPreset || null,
+            source_type: ['http', 'stream'].includes(this.type) ? this.type : null
         };
     }
 
@@ -102,7 +107,9 @@ class QueueItem {
             thumbnail: this.thumbnail,
             thumbnailUrl: this.thumbnailUrl,
             prefetched: this.prefetched,
-            duration: this.duration
+            duration: this.duration,
+            effectsPreset: this.effectsPreset,
+            downloadAttempts: this.downloadAttempts
         };
     }
 
@@ -125,8 +132,8 @@ class QueueItem {
             errors.push('Requester or sender is required');
         }
 
-        if (!['url', 'file'].includes(this.type)) {
-            errors.push('Type must be "url" or "file"');
+        if (!['url', 'file', 'http', 'stream'].includes(this.type)) {
+            errors.push('Type must be "url", "file", "http" or "stream"');
         }
 
         return errors;
@@ -139,7 +146,7 @@ class QueueItem {
      */
     isDuplicate(other) {
         if (this.type !== other.type) return false;
-        if (this.type === 'url' && this.content === other.content) return true;
+        if (this.type !== 'file' && this.content === other.content) return true;
         return false;
     }
 
@@ -14,6 +14,12 @@ class Song {
         this.thumbnailUrl = data.thumbnailUrl || data.thumbnail_url || null;
         this.sourceUrl = data.sourceUrl || data.source_url || null;
         this.volumeGainDb = data.volumeGainDb || data.volume_gain_db || 0;
+        // EBU R128 measurements (null until analyzed in LUFS mode)
+        this.loudnessIntegrated = data.loudnessIntegrated ?? data.loudness_integrated ?? null;
+        this.loudnessTruePeak = data.loudnessTruePeak ?? data.loudness_true_peak ?? null;
+        this.loudnessRange = data.loudnessRange ?? data.loudness_range ?? null;
+        this.trimStartMs = data.trimStartMs ?? data.trim_start_ms ?? null;
+        this.trimEndMs = data.trimEndMs ?? data.trim_end_ms ?? null;
         this.createdAt = data.createdAt || data.created_at || null;
     }
 
@@ -34,6 +40,11 @@ class Song {
             thumbnailUrl: dbRecord.thumbnail_url,
             sourceUrl: dbRecord.source_url,
             volumeGainDb: dbRecord.volume_gain_db || 0,
+            loudnessIntegrated: dbRecord.loudness_integrated,
+            loudnessTruePeak: dbRecord.loudness_true_peak,
+            loudnessRange: dbRecord.loudness_range,
+            trimStartMs: dbRecord.trim_start_ms,
+            trimEndMs: dbRecord.trim_end_ms,
             createdAt: dbRecord.created_at
         });
     }
@@ -52,7 +63,12 @@ class Song {
             thumbnail_path: this.thumbnailPath,
             thumbnail_url: this.thumbnailUrl,
             source_url: this.sourceUrl,
-            volume_gain_db: this.volumeGainDb
+            volume_gain_db: this.volumeGainDb,
+            loudness_integrated: this.loudnessIntegrated,
+            loudness_true_peak: this.loudnessTruePeak,
+            loudness_range: this.loudnessRange,
+            trim_start_ms: this.trimStartMs,
+            trim_end_ms: this.trimEndMs
         };
     }
 
@@ -72,6 +88,11 @@ class Song {
             thumbnailUrl: this.thumbnailUrl,
             sourceUrl: this.sourceUrl,
             volumeGainDb: this.volumeGainDb,
+            loudnessIntegrated: this.loudnessIntegrated,
+            loudnessTruePeak: this.loudnessTruePeak,
+            loudnessRange: this.loudnessRange,
+            trimStartMs: this.trimStartMs,
+            trimEndMs: this.trimEndMs,
             createdAt: this.createdAt
         };
     }
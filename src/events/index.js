@@ -45,7 +45,8 @@ const QUEUE_UPDATED = 'queue_updated';
 
 /**
  * Emitted by PlaybackController when requesting Player to play a file
- * Payload: { filePath: string, startOffset?: number }
+ * Payload: { filePath: string, startOffset?: number, endOffset?: number }
+ * endOffset (ms) finishes playback early, e.g. at trailing silence
  */
 const PLAYBACK_REQUESTED = 'playback_requested';
 
@@ -109,6 +110,24 @@ const PLAYBACK_SKIP = 'playback_skip';
  */
 const PLAYBACK_ENDED = 'playback_ended';
 
+/**
+ * Emitted when the vote-skip tally for the current song changes
+ * Payload: { songKey: string|null, votes: number, required: number|null, mode: string }
+ */
+const VOTE_SKIP_UPDATED = 'vote_skip_updated';
+
+/**
+ * Emitted by the radio stream when someone tunes in or leaves
+ * Payload: { listeners: number }
+ */
+const RADIO_LISTENERS_CHANGED = 'radio_listeners_changed';
+
+/**
+ * Emitted by the scheduler when the active schedule rules change
+ * Payload: { activeRules: Array, volumeCap: number|null, preset: Object|null, quietHours: boolean }
+ */
+const SCHEDULE_CHANGED = 'schedule_changed';
+
 // ============================================
 // EFFECTS EVENTS
 // ============================================
@@ -129,6 +148,13 @@ const EFFECTS_CHANGED = 'effects_changed';
  */
 const COMMAND_RECEIVED = 'command_received';
 
+/**
+ * Emitted for non-command text in groups with natural-language mode enabled,
+ * or for a bare number from a sender with a pending search picker
+ * Payload: { text: string, mentioned: boolean, sender: string, remoteJid: string }
+ */
+const TEXT_MESSAGE_RECEIVED = 'text_message_received';
+
 /**
  * Emitted when media is received from WhatsApp
  * Payload: { media: Buffer, sender: string, remoteJid: string, mimeType: string }
@@ -176,12 +202,16 @@ module.exports = {
     PLAYBACK_SEEK,
     PLAYBACK_SKIP,
     PLAYBACK_ENDED,
+    VOTE_SKIP_UPDATED,
+    RADIO_LISTENERS_CHANGED,
+    SCHEDULE_CHANGED,
     
     // Effects events
     EFFECTS_CHANGED,
     
     // WhatsApp events
     COMMAND_RECEIVED,
+    TEXT_MESSAGE_RECEIVED,
     MEDIA_RECEIVED,
     CONNECTION_CHANGED,
     
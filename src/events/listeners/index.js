@@ -29,6 +29,7 @@ const {
     EFFECTS_CHANGED,
     // WhatsApp events
     COMMAND_RECEIVED,
+    TEXT_MESSAGE_RECEIVED,
     MEDIA_RECEIVED,
     CONNECTION_CHANGED,
     // Player events
@@ -60,6 +61,7 @@ class EventListenerRegistry {
         this.registerNotificationListeners();
         this.registerEffectsListeners();
         this.registerPlayerListeners();
+        this.registerRadioListeners();
 
         this.initialized = true;
         logger.info(`Registered ${this.listeners.length} event listeners`);
@@ -71,8 +73,8 @@ class EventListenerRegistry {
         const orchestrator = services.playback.orchestrator;
 
         // Playback orchestrator requests playback
-        this.on(PLAYBACK_REQUESTED, ({ filePath, startOffset = 0 }) => {
-            player.playFile(filePath, startOffset).catch(err => {
+        this.on(PLAYBACK_REQUESTED, ({ filePath, startOffset = 0, endOffset = null }) => {
+            player.playFile(filePath, startOffset, endOffset).catch(err => {
                 logger.error('Failed to play file:', err);
                 eventBus.emit(PLAYBACK_ERROR, { filePath, error: err });
             });
@@ -154,8 +156,10 @@ class EventListenerRegistry {
         const infrastructure = require('../../infrastructure');
         const whatsappAdapter = infrastructure.whatsapp.adapter;
         const services = require('../../services');
-        const { handleCommand } = require('../../commands/handler');
+        const { handleCommand, handleNaturalLanguage } = require('../../commands/handler');
         const { sendMessageWithMention } = require('../../utils/helpers.util');
+        const { t: i18n } = require('../../utils/i18n.util');
+        const dbService = require('../../infrastructure/database/db.service');
 
         // WhatsApp adapter already emits to eventBus directly, so we just listen to bus events
         // Handle command via bus
@@ -168,6 +172,15 @@ class EventListenerRegistry {
             }
         });
 
+        // Handle natural-language requests via bus
+        this.on(TEXT_MESSAGE_RECEIVED, async ({ text, mentioned, message, socket }) => {
+            try {
+                await handleNaturalLanguage(socket, message, text, mentioned);
+            } catch (error) {
+                logger.error('Error handling natural-language request:', error);
+            }
+        });
+
         // Handle media via bus
         this.on(MEDIA_RECEIVED, async ({ media, sender, remoteJid, socket }) => {
             const senderName = media.pushName || null;
@@ -179,16 +192,19 @@ class EventListenerRegistry {
                 return;
             }
             
+            let mediaResult = null;
             try {
                 logger.info(`VIP ${senderName || sender} sent audio file, downloading...`);
-                const mediaResult = await services.media.downloadMedia(socket, media);
+                mediaResult = await services.media.downloadMedia(socket, media);
                 const displayName = mediaResult.originalFilename || mediaResult.filename;
+                const duration = await services.metadata.getAudioDuration(mediaResult.filePath);
                 
                 services.playback.queue.add({
                     type: 'file',
                     content: mediaResult.filePath,
                     title: displayName,
                     artist: '',
+                    duration: duration || null,
                     requester: senderName || 'VIP User',
                     remoteJid: remoteJid,
                     sender: sender
@@ -197,6 +213,15 @@ class EventListenerRegistry {
                 await sendMessageWithMention(socket, remoteJid, 
                     `✅ *Audio File Added*\n\n🎵 *"${displayName}"*\n\nAdded to queue with VIP priority!`, sender);
             } catch (error) {
+                // The file never made it into the queue, so nothing else will delete it
+                if (mediaResult) {
+                    services.system.cleanup.cleanupFile(mediaResult.filePath);
+                }
+                if (error.name === 'QuotaExceededError') {
+                    const userLang = dbService.getUserLanguage(sender);
+                    await sendMessageWithMention(socket, remoteJid, i18n(error.messageKey, userLang, error.params), sender);
+                    return;
+                }
                 logger.error('Error processing VIP audio file:', error);
                 const errorMessage = error.message || 'Failed to process audio file';
                 await sendMessageWithMention(socket, remoteJid, 
@@ -252,6 +277,26 @@ class EventListenerRegistry {
         });
     }
 
+    registerRadioListeners() {
+        const services = require('../../services');
+        const radio = require('../../infrastructure/player/radio');
+        const orchestrator = services.playback.orchestrator;
+
+        // The radio stream follows the local player (it is idle while nobody listens)
+        this.on(PLAYBACK_STARTED, ({ filePath }) => {
+            radio.trackStarted(filePath, orchestrator.getCurrent());
+        });
+
+        this.on(PLAYBACK_FINISHED, ({ crossfade = false }) => {
+            radio.trackFinished(crossfade);
+        });
+
+        this.on(PLAYBACK_PAUSE, () => radio.pause());
+        this.on(PLAYBACK_RESUME, () => radio.resume());
+        this.on(PLAYBACK_SEEK, ({ positionMs }) => radio.seek(positionMs));
+        this.on(EFFECTS_CHANGED, () => radio.refresh());
+    }
+
     /**
      * Helper to register listener and track it
      */
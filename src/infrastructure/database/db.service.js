@@ -26,6 +26,8 @@ function getPreparedStatements() {
             getSongByContent: db.prepare('SELECT id FROM songs WHERE content = ?'),
             getSongLyrics: db.prepare('SELECT lyrics_data FROM songs WHERE id = ?'),
             updateSongVolumeGain: db.prepare('UPDATE songs SET volume_gain_db = ? WHERE id = ?'),
+            updateSongLoudness: db.prepare('UPDATE songs SET loudness_integrated = ?, loudness_true_peak = ?, loudness_range = ? WHERE id = ?'),
+            updateSongTrim: db.prepare('UPDATE songs SET trim_start_ms = ?, trim_end_ms = ?, trim_params = ? WHERE id = ?'),
 
             // Requesters
             getRequesterByName: db.prepare('SELECT id FROM requesters WHERE name = ?'),
@@ -199,8 +201,12 @@ function updateSong(songId, updates) {
     const values = [];
     
     if (updates.content !== undefined) {
-        fields.push('content = ?');
-        values.push(updates.content);
+        // Requests for the same track share one library file; the song that has it keeps it
+        const owner = db.prepare('SELECT id FROM songs WHERE content = ?').get(updates.content);
+        if (!owner || owner.id === Number(songId)) {
+            fields.push('content = ?');
+            values.push(updates.content);
+        }
     }
     if (updates.title !== undefined) {
         fields.push('title = ?');
@@ -259,6 +265,82 @@ function updateSongVolumeGain(songId, gainDb) {
     stmts.updateSongVolumeGain.run(gainDb, songId);
 }
 
+/**
+ * Update EBU R128 loudness measurements for a song
+ * @param {number} songId - Song ID
+ * @param {Object} loudness - Measurements
+ * @param {number} loudness.integrated - Integrated loudness in LUFS
+ * @param {number} loudness.truePeak - True peak in dBTP
+ * @param {number} loudness.range - Loudness range (LRA) in LU
+ */
+function updateSongLoudness(songId, loudness) {
+    const stmts = getPreparedStatements();
+    stmts.updateSongLoudness.run(loudness.integrated, loudness.truePeak, loudness.range, songId);
+}
+
+/**
+ * Update the album tags of a song
+ * @param {number} songId - Song ID
+ * @param {string|null} album - Album tag
+ * @param {string|null} albumArtist - Album artist tag
+ */
+function updateSongAlbum(songId, album, albumArtist) {
+    const db = getDatabase();
+    db.prepare('UPDATE songs SET album = ?, album_artist = ? WHERE id = ?').run(album, albumArtist, songId);
+}
+
+/**
+ * Get the integrated loudness of the measured songs of an album
+ * Songs are matched on album and album artist, so albums that share a name stay apart.
+ * @param {string} album - Album tag
+ * @param {string|null} albumArtist - Album artist tag
+ * @returns {Array<number>} Integrated loudness values in LUFS
+ */
+function getAlbumLoudness(album, albumArtist) {
+    const db = getDatabase();
+    return db.prepare(`
+        SELECT loudness_integrated
+        FROM songs
+        WHERE album = ?
+          AND COALESCE(album_artist, '') = COALESCE(?, '')
+          AND loudness_integrated IS NOT NULL
+    `).all(album, albumArtist).map(row => row.loudness_integrated);
+}
+
+/**
+ * Update silence trim points for a song
+ * @param {number} songId - Song ID
+ * @param {Object} trim - Trim points
+ * @param {number} trim.startMs - Playback start in milliseconds
+ * @param {number|null} trim.endMs - Playback end in milliseconds (null = end of file)
+ * @param {string} trim.params - Settings the points were detected with
+ */
+function updateSongTrim(songId, trim) {
+    const stmts = getPreparedStatements();
+    stmts.updateSongTrim.run(trim.startMs, trim.endMs, trim.params, songId);
+}
+
+/**
+ * Get downloaded songs that haven't been analyzed for volume normalization
+ * Content that is still a URL has no local file yet and is skipped.
+ * @param {string} mode - 'lufs' (no loudness measurements) or 'rms' (no gain stored)
+ * @returns {Array<Object>} Songs ({ id, content, title, artist }), oldest first
+ */
+function getSongsNeedingAnalysis(mode) {
+    const db = getDatabase();
+    const notAnalyzed = mode === 'lufs'
+        ? 'loudness_integrated IS NULL'
+        : '(volume_gain_db IS NULL OR volume_gain_db = 0)';
+    return db.prepare(`
+        SELECT id, content, title, artist
+        FROM songs
+        WHERE ${notAnalyzed}
+          AND content NOT LIKE 'http://%'
+          AND content NOT LIKE 'https://%'
+        ORDER BY id
+    `).all();
+}
+
 // ============================================
 // Requesters Operations
 // ============================================
@@ -381,8 +463,8 @@ function addQueueItem(itemData) {
     
     const result = db.prepare(`
         INSERT INTO queue_items (song_id, requester_id, group_id, sender_id, position, is_priority, 
-                                download_status, download_progress, prefetched)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                                download_status, download_progress, prefetched, effects_preset, source_type)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
         songId,
         requesterId,
@@ -392,7 +474,9 @@ function addQueueItem(itemData) {
         itemData.is_priority ? 1 : 0,
         itemData.download_status || 'pending',
         itemData.download_progress || 0,
-        itemData.prefetched ? 1 : 0
+        itemData.prefetched ? 1 : 0,
+        itemData.effects_preset || null,
+        itemData.source_type || null
     );
     
     return result.lastInsertRowid;
@@ -497,6 +581,19 @@ function updateQueueItemProgress(itemId, progress, status, prefetched = false) {
     return result.changes > 0;
 }
 
+/**
+ * Record the fallback attempts of a queue item's download
+ * @param {number} itemId - Queue item ID
+ * @param {Array<Object>|null} attempts - Attempts made (null to clear)
+ * @returns {boolean} True if updated
+ */
+function updateQueueItemDownloadAttempts(itemId, attempts) {
+    const db = getDatabase();
+    const result = db.prepare('UPDATE queue_items SET download_attempts = ? WHERE id = ?')
+        .run(attempts ? JSON.stringify(attempts) : null, itemId);
+    return result.changes > 0;
+}
+
 // ============================================
 // Playback State Operations
 // ============================================
@@ -697,6 +794,16 @@ function getHourlyDistribution() {
     return distribution;
 }
 
+/**
+ * Get the average duration of played songs
+ * @returns {number} Average duration in milliseconds (0 if no history has a duration)
+ */
+function getAveragePlayDuration() {
+    const db = getDatabase();
+    const row = db.prepare('SELECT AVG(duration) as avg FROM play_history WHERE duration IS NOT NULL AND duration > 0').get();
+    return row && row.avg ? Math.floor(row.avg) : 0;
+}
+
 /**
  * Get stats overview
  * @returns {Object} Overview statistics
@@ -823,6 +930,54 @@ function updateGroupName(id, name) {
     db.prepare('UPDATE groups SET name = ? WHERE id = ?').run(name, id);
 }
 
+/**
+ * Get a group's command settings
+ * @param {string} id - Group ID
+ * @returns {Object|null} Row with command_prefix and command_aliases, or null if not a monitored group
+ */
+function getGroupCommandSettings(id) {
+    const db = getDatabase();
+    return db.prepare('SELECT command_prefix, command_aliases FROM groups WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Update a group's command settings
+ * @param {string} id - Group ID
+ * @param {string|null} prefix - Command prefix (null for the default)
+ * @param {Object} aliases - Alias map ({ alias: commandName })
+ * @returns {boolean} True if updated
+ */
+function updateGroupCommandSettings(id, prefix, aliases) {
+    const db = getDatabase();
+    const result = db.prepare('UPDATE groups SET command_prefix = ?, command_aliases = ? WHERE id = ?')
+        .run(prefix, JSON.stringify(aliases || {}), id);
+    return result.changes > 0;
+}
+
+/**
+ * Get a group's natural-language settings
+ * @param {string} id - Group ID
+ * @returns {Object|null} Row with natural_language_enabled and natural_language_intents, or null if not a monitored group
+ */
+function getGroupNaturalLanguageSettings(id) {
+    const db = getDatabase();
+    return db.prepare('SELECT natural_language_enabled, natural_language_intents FROM groups WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Update a group's natural-language settings
+ * @param {string} id - Group ID
+ * @param {boolean} enabled - Whether natural-language mode is on
+ * @param {Array<string>} intents - Allowed intents
+ * @returns {boolean} True if updated
+ */
+function updateGroupNaturalLanguageSettings(id, enabled, intents) {
+    const db = getDatabase();
+    const result = db.prepare('UPDATE groups SET natural_language_enabled = ?, natural_language_intents = ? WHERE id = ?')
+        .run(enabled ? 1 : 0, JSON.stringify(intents || []), id);
+    return result.changes > 0;
+}
+
 // ============================================
 // Priority Users Operations
 // ============================================
@@ -1097,6 +1252,109 @@ function deletePlaylist(playlistId) {
     db.prepare('DELETE FROM playlists WHERE id = ?').run(playlistId);
 }
 
+/**
+ * Get a single playlist with its items
+ * @param {string} playlistId - Playlist ID
+ * @returns {Object|null} Playlist (same shape as getPlaylists entries) or null
+ */
+function getPlaylist(playlistId) {
+    const db = getDatabase();
+    const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId);
+    if (!playlist) return null;
+
+    const songs = db.prepare(`
+        SELECT id, title, artist, url, search_query, position
+        FROM playlist_items
+        WHERE playlist_id = ?
+        ORDER BY position ASC
+    `).all(playlistId);
+
+    return { ...playlist, songs };
+}
+
+/**
+ * Find a playlist by name (case-insensitive)
+ * @param {string} name - Playlist name
+ * @returns {Object|null} Playlist (same shape as getPlaylists entries) or null
+ */
+function getPlaylistByName(name) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT id FROM playlists WHERE name = ? COLLATE NOCASE').get(name);
+    return row ? getPlaylist(row.id) : null;
+}
+
+/**
+ * Rename a playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {string} name - New playlist name
+ * @returns {boolean} True if the playlist was updated
+ */
+function renamePlaylist(playlistId, name) {
+    const db = getDatabase();
+    const result = db.prepare(`
+        UPDATE playlists
+        SET name = ?, updated_at = strftime('%s', 'now')
+        WHERE id = ?
+    `).run(name, playlistId);
+    return result.changes > 0;
+}
+
+/**
+ * Remove an item from a playlist and close the gap in positions
+ * @param {string} playlistId - Playlist ID
+ * @param {number} itemId - Playlist item ID
+ * @returns {boolean} True if the item was removed
+ */
+function removePlaylistItem(playlistId, itemId) {
+    const db = getDatabase();
+    let removed = false;
+
+    const transaction = db.transaction(() => {
+        const item = db.prepare('SELECT position FROM playlist_items WHERE id = ? AND playlist_id = ?').get(itemId, playlistId);
+        if (!item) return;
+
+        db.prepare('DELETE FROM playlist_items WHERE id = ?').run(itemId);
+        db.prepare(`
+            UPDATE playlist_items
+            SET position = position - 1
+            WHERE playlist_id = ? AND position > ?
+        `).run(playlistId, item.position);
+        db.prepare("UPDATE playlists SET updated_at = strftime('%s', 'now') WHERE id = ?").run(playlistId);
+        removed = true;
+    });
+
+    transaction();
+    return removed;
+}
+
+/**
+ * Move a playlist item to a new position
+ * @param {string} playlistId - Playlist ID
+ * @param {number} fromIndex - Current position
+ * @param {number} toIndex - New position
+ * @returns {boolean} True if the items were reordered
+ */
+function reorderPlaylistItems(playlistId, fromIndex, toIndex) {
+    const db = getDatabase();
+    const items = db.prepare('SELECT id FROM playlist_items WHERE playlist_id = ? ORDER BY position ASC').all(playlistId);
+
+    if (fromIndex < 0 || fromIndex >= items.length || toIndex < 0 || toIndex >= items.length || fromIndex === toIndex) {
+        return false;
+    }
+
+    const [moved] = items.splice(fromIndex, 1);
+    items.splice(toIndex, 0, moved);
+
+    const transaction = db.transaction(() => {
+        const updatePosition = db.prepare('UPDATE playlist_items SET position = ? WHERE id = ?');
+        items.forEach((item, index) => updatePosition.run(index, item.id));
+        db.prepare("UPDATE playlists SET updated_at = strftime('%s', 'now') WHERE id = ?").run(playlistId);
+    });
+
+    transaction();
+    return true;
+}
+
 // ============================================
 // Settings Operations
 // ============================================
@@ -1295,6 +1553,16 @@ function getEffects() {
         return getEffects();
     }
     
+    let parametricEqBands = null;
+    if (row.parametric_eq_bands) {
+        try {
+            parametricEqBands = JSON.parse(row.parametric_eq_bands);
+        } catch (e) {
+            // If parsing fails, fall back to the default bands
+            parametricEqBands = null;
+        }
+    }
+    
     // Convert to nested structure
     return {
         enabled: row.enabled === 1,
@@ -1305,6 +1573,10 @@ function getEffects() {
             mid: row.eq_mid,
             treble: row.eq_treble
         },
+        parametricEq: {
+            enabled: row.parametric_eq_enabled === 1,
+            ...(parametricEqBands ? { bands: parametricEqBands } : {})
+        },
         reverb: {
             enabled: row.reverb_enabled === 1,
             roomSize: row.reverb_room_size,
@@ -1334,6 +1606,10 @@ function getEffects() {
             enabled: row.limiter_enabled === 1,
             limit: row.limiter_limit
         },
+        stereo: {
+            width: row.stereo_width,
+            balance: row.stereo_balance
+        },
         preset: row.preset
     };
 }
@@ -1353,6 +1629,8 @@ function updateEffects(effects) {
             eq_bass = ?,
             eq_mid = ?,
             eq_treble = ?,
+            parametric_eq_enabled = ?,
+            parametric_eq_bands = ?,
             reverb_enabled = ?,
             reverb_room_size = ?,
             reverb_damping = ?,
@@ -1370,6 +1648,8 @@ function updateEffects(effects) {
             compressor_ratio = ?,
             limiter_enabled = ?,
             limiter_limit = ?,
+            stereo_width = ?,
+            stereo_balance = ?,
             preset = ?,
             updated_at = strftime('%s', 'now')
         WHERE id = 1
@@ -1380,6 +1660,8 @@ function updateEffects(effects) {
         effects.eq?.bass || 0,
         effects.eq?.mid || 0,
         effects.eq?.treble || 0,
+        effects.parametricEq?.enabled ? 1 : 0,
+        effects.parametricEq?.bands ? JSON.stringify(effects.parametricEq.bands) : null,
         effects.reverb?.enabled ? 1 : 0,
         effects.reverb?.roomSize || 0.5,
         effects.reverb?.damping || 0.5,
@@ -1389,18 +1671,506 @@ function updateEffects(effects) {
         effects.echo?.decay || 0.4,
         effects.delay?.enabled ? 1 : 0,
         effects.delay?.delay || 500,
-        effects.delay?.feedback || 0.3,
+        effects.delay?.feedback ?? 0.3,
         effects.distortion?.enabled ? 1 : 0,
         effects.distortion?.drive || 0.5,
         effects.compressor?.enabled ? 1 : 0,
         effects.compressor?.threshold || -20,
         effects.compressor?.ratio || 4,
         effects.limiter?.enabled ? 1 : 0,
-        effects.limiter?.limit || -1,
+        effects.limiter?.limit ?? -1,
+        effects.stereo?.width ?? 1.0,
+        effects.stereo?.balance || 0,
         effects.preset || 'normal'
     );
 }
 
+// ============================================
+// Effect Presets Operations
+// ============================================
+
+/**
+ * Convert an effect preset row (settings parsed from JSON)
+ * @param {Object} row - Database row
+ * @returns {Object|null} Preset or null if the row is missing or its settings are corrupt
+ */
+function toEffectPreset(row) {
+    if (!row) return null;
+    try {
+        return { ...row, settings: JSON.parse(row.settings) };
+    } catch (e) {
+        logger.warn(`Ignoring effect preset "${row.name}" with invalid settings`);
+        return null;
+    }
+}
+
+/**
+ * Get all user-defined effect presets
+ * @returns {Array<Object>} Presets ({ id, name, description, settings, created_at, updated_at }), oldest first
+ */
+function getEffectPresets() {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM effect_presets ORDER BY created_at ASC, name ASC').all()
+        .map(toEffectPreset)
+        .filter(Boolean);
+}
+
+/**
+ * Get a user-defined effect preset
+ * @param {string} presetId - Preset ID
+ * @returns {Object|null} Preset or null if not found
+ */
+function getEffectPreset(presetId) {
+    const db = getDatabase();
+    return toEffectPreset(db.prepare('SELECT * FROM effect_presets WHERE id = ?').get(presetId));
+}
+
+/**
+ * Get a user-defined effect preset by name (case-insensitive)
+ * @param {string} name - Preset name
+ * @returns {Object|null} Preset or null if not found
+ */
+function getEffectPresetByName(name) {
+    const db = getDatabase();
+    return toEffectPreset(db.prepare('SELECT * FROM effect_presets WHERE name = ?').get(name));
+}
+
+/**
+ * Create a user-defined effect preset
+ * @param {Object} preset - Preset ({ id, name, description, settings })
+ */
+function createEffectPreset(preset) {
+    const db = getDatabase();
+    db.prepare(`
+        INSERT INTO effect_presets (id, name, description, settings)
+        VALUES (?, ?, ?, ?)
+    `).run(
+        preset.id,
+        preset.name,
+        preset.description || null,
+        JSON.stringify(preset.settings)
+    );
+}
+
+/**
+ * Rename a user-defined effect preset
+ * @param {string} presetId - Preset ID
+ * @param {string} name - New name
+ * @returns {boolean} True if renamed
+ */
+function renameEffectPreset(presetId, name) {
+    const db = getDatabase();
+    const result = db.prepare(`
+        UPDATE effect_presets
+        SET name = ?, updated_at = strftime('%s', 'now')
+        WHERE id = ?
+    `).run(name, presetId);
+    return result.changes > 0;
+}
+
+/**
+ * Delete a user-defined effect preset
+ * @param {string} presetId - Preset ID
+ * @returns {boolean} True if deleted
+ */
+function deleteEffectPreset(presetId) {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM effect_presets WHERE id = ?').run(presetId).changes > 0;
+}
+
+// ============================================
+// Schedule Rules Operations
+// ============================================
+
+/**
+ * Convert a schedule rule row (days parsed from JSON, enabled as boolean)
+ * @param {Object} row - Database row
+ * @returns {Object|null} Rule or null if the row is missing
+ */
+function toScheduleRule(row) {
+    if (!row) return null;
+    let days = [];
+    try {
+        days = JSON.parse(row.days);
+    } catch (e) {
+        logger.warn(`Schedule rule "${row.name}" has invalid days, treating it as every day`);
+    }
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        value: row.value,
+        days: Array.isArray(days) ? days : [],
+        startTime: row.start_time,
+        endTime: row.end_time,
+        enabled: row.enabled === 1,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Get all schedule rules
+ * @returns {Array<Object>} Rules ({ id, name, type, value, days, startTime, endTime, enabled }), oldest first
+ */
+function getScheduleRules() {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM schedule_rules ORDER BY id ASC').all().map(toScheduleRule);
+}
+
+/**
+ * Get a schedule rule
+ * @param {number} ruleId - Rule ID
+ * @returns {Object|null} Rule or null if not found
+ */
+function getScheduleRule(ruleId) {
+    const db = getDatabase();
+    return toScheduleRule(db.prepare('SELECT * FROM schedule_rules WHERE id = ?').get(ruleId));
+}
+
+/**
+ * Create a schedule rule
+ * @param {Object} rule - Rule ({ name, type, value, days, startTime, endTime, enabled })
+ * @returns {number} New rule ID
+ */
+function createScheduleRule(rule) {
+    const db = getDatabase();
+    const result = db.prepare(`
+        INSERT INTO schedule_rules (name, type, value, days, start_time, end_time, enabled)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        rule.name,
+        rule.type,
+        rule.value ?? null,
+        JSON.stringify(rule.days || []),
+        rule.startTime,
+        rule.endTime,
+        rule.enabled === false ? 0 : 1
+    );
+    return result.lastInsertRowid;
+}
+
+/**
+ * Update a schedule rule
+ * @param {number} ruleId - Rule ID
+ * @param {Object} rule - Full rule ({ name, type, value, days, startTime, endTime, enabled })
+ * @returns {boolean} True if updated
+ */
+function updateScheduleRule(ruleId, rule) {
+    const db = getDatabase();
+    const result = db.prepare(`
+        UPDATE schedule_rules
+        SET name = ?, type = ?, value = ?, days = ?, start_time = ?, end_time = ?, enabled = ?,
+            updated_at = strftime('%s', 'now')
+        WHERE id = ?
+    `).run(
+        rule.name,
+        rule.type,
+        rule.value ?? null,
+        JSON.stringify(rule.days || []),
+        rule.startTime,
+        rule.endTime,
+        rule.enabled === false ? 0 : 1,
+        ruleId
+    );
+    return result.changes > 0;
+}
+
+/**
+ * Delete a schedule rule
+ * @param {number} ruleId - Rule ID
+ * @returns {boolean} True if deleted
+ */
+function deleteScheduleRule(ruleId) {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM schedule_rules WHERE id = ?').run(ruleId).changes > 0;
+}
+
+// ============================================
+// Library Files Operations
+// ============================================
+
+/**
+ * Convert a library file row
+ * @param {Object} row - Database row
+ * @returns {Object|null} Library entry or null if the row is missing
+ */
+function toLibraryFile(row) {
+    if (!row) return null;
+    return {
+        key: row.key,
+        sourceId: row.source_id,
+        format: row.format,
+        filePath: row.file_path,
+        sizeBytes: row.size_bytes,
+        sourceUrl: row.source_url,
+        title: row.title,
+        artist: row.artist,
+        thumbnailPath: row.thumbnail_path,
+        useCount: row.use_count,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at
+    };
+}
+
+/**
+ * Get a library entry
+ * @param {string} key - Library key ("<sourceId>:<format>")
+ * @returns {Object|null} Entry or null if not in the library
+ */
+function getLibraryFile(key) {
+    const db = getDatabase();
+    return toLibraryFile(db.prepare('SELECT * FROM library_files WHERE key = ?').get(key));
+}
+
+/**
+ * Get all library entries
+ * @returns {Array<Object>} Entries, least recently used first
+ */
+function getLibraryFiles() {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM library_files ORDER BY last_used_at ASC, created_at ASC').all().map(toLibraryFile);
+}
+
+/**
+ * Add or replace a library entry
+ * @param {Object} entry - Entry ({ key, sourceId, format, filePath, sizeBytes, sourceUrl, title, artist, thumbnailPath })
+ */
+function saveLibraryFile(entry) {
+    const db = getDatabase();
+    db.prepare(`
+        INSERT INTO library_files (key, source_id, format, file_path, size_bytes, source_url, title, artist, thumbnail_path)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET
+            file_path = excluded.file_path,
+            size_bytes = excluded.size_bytes,
+            source_url = COALESCE(excluded.source_url, source_url),
+            title = COALESCE(excluded.title, title),
+            artist = COALESCE(excluded.artist, artist),
+            thumbnail_path = COALESCE(excluded.thumbnail_path, thumbnail_path),
+            last_used_at = strftime('%s', 'now')
+    `).run(
+        entry.key,
+        entry.sourceId,
+        entry.format,
+        entry.filePath,
+        entry.sizeBytes || 0,
+        entry.sourceUrl || null,
+        entry.title || null,
+        entry.artist || null,
+        entry.thumbnailPath || null
+    );
+}
+
+/**
+ * Mark a library entry as used now
+ * @param {string} key - Library key
+ */
+function touchLibraryFile(key) {
+    const db = getDatabase();
+    db.prepare(`
+        UPDATE library_files
+        SET last_used_at = strftime('%s', 'now'), use_count = use_count + 1
+        WHERE key = ?
+    `).run(key);
+}
+
+/**
+ * Delete a library entry
+ * Songs whose content was the file go back to their source URL, so they are downloaded again when replayed.
+ * @param {string} key - Library key
+ * @returns {boolean} True if deleted
+ */
+function deleteLibraryFile(key) {
+    const db = getDatabase();
+    const entry = getLibraryFile(key);
+    if (!entry) return false;
+
+    // OR IGNORE: a song already holding that URL as content keeps it
+    db.prepare(`
+        UPDATE OR IGNORE songs SET content = source_url
+        WHERE content = ? AND source_url IS NOT NULL
+    `).run(entry.filePath);
+    return db.prepare('DELETE FROM library_files WHERE key = ?').run(key).changes > 0;
+}
+
+// ============================================
+// Library Tracks Operations
+// ============================================
+
+/**
+ * Convert a library_tracks row
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} Track or null
+ */
+function toLibraryTrack(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        filePath: row.file_path,
+        fileName: row.file_name,
+        title: row.title,
+        artist: row.artist,
+        album: row.album,
+        duration: row.duration,
+        artPath: row.art_path,
+        sizeBytes: row.size_bytes,
+        mtimeMs: row.mtime_ms,
+        indexedAt: row.indexed_at
+    };
+}
+
+/**
+ * Get an indexed local track
+ * @param {number} trackId - Track ID
+ * @returns {Object|null} Track or null if not indexed
+ */
+function getLibraryTrack(trackId) {
+    const db = getDatabase();
+    return toLibraryTrack(db.prepare('SELECT * FROM library_tracks WHERE id = ?').get(trackId));
+}
+
+/**
+ * Get an indexed local track by file path
+ * @param {string} filePath - Absolute file path
+ * @returns {Object|null} Track or null if not indexed
+ */
+function getLibraryTrackByPath(filePath) {
+    const db = getDatabase();
+    return toLibraryTrack(db.prepare('SELECT * FROM library_tracks WHERE file_path = ?').get(filePath));
+}
+
+/**
+ * Get what rescans need to know about every indexed file
+ * @returns {Array<{id: number, filePath: string, sizeBytes: number, mtimeMs: number, artPath: string|null}>}
+ */
+function getLibraryTrackFiles() {
+    const db = getDatabase();
+    return db.prepare('SELECT id, file_path, size_bytes, mtime_ms, art_path FROM library_tracks').all().map(row => ({
+        id: row.id,
+        filePath: row.file_path,
+        sizeBytes: row.size_bytes,
+        mtimeMs: row.mtime_ms,
+        artPath: row.art_path
+    }));
+}
+
+/**
+ * Add or update an indexed local track
+ * @param {Object} track - Track ({ filePath, fileName, title, artist, album, duration, artPath, sizeBytes, mtimeMs })
+ */
+function saveLibraryTrack(track) {
+    const db = getDatabase();
+    db.prepare(`
+        INSERT INTO library_tracks (file_path, file_name, title, artist, album, duration, art_path, size_bytes, mtime_ms)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(file_path) DO UPDATE SET
+            file_name = excluded.file_name,
+            title = excluded.title,
+            artist = excluded.artist,
+            album = excluded.album,
+            duration = excluded.duration,
+            art_path = excluded.art_path,
+            size_bytes = excluded.size_bytes,
+            mtime_ms = excluded.mtime_ms,
+            indexed_at = strftime('%s', 'now')
+    `).run(
+        track.filePath,
+        track.fileName,
+        track.title,
+        track.artist || null,
+        track.album || null,
+        track.duration || null,
+        track.artPath || null,
+        track.sizeBytes || 0,
+        Math.round(track.mtimeMs || 0)
+    );
+}
+
+/**
+ * Delete an indexed local track (the file itself is left alone)
+ * @param {number} trackId - Track ID
+ * @returns {boolean} True if deleted
+ */
+function deleteLibraryTrack(trackId) {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM library_tracks WHERE id = ?').run(trackId).changes > 0;
+}
+
+// Punctuation treated as a space when matching library search words
+const LIBRARY_SEARCH_SEPARATORS = ['-', '_', '.', ',', '(', ')', '[', ']', '/', '&', '+', '!', '?', ':', ';', '"', "'"];
+
+/**
+ * Build an SQL expression of a column's words, space-separated and padded with spaces
+ * so that `LIKE '% word %'` only matches whole words
+ * @param {string} column - Column name
+ * @returns {string} SQL expression
+ */
+function libraryWordsExpression(column) {
+    const replaced = LIBRARY_SEARCH_SEPARATORS.reduce(
+        (expression, separator) => `replace(${expression}, '${separator.replace(/'/g, "''")}', ' ')`,
+        `lower(COALESCE(${column}, ''))`
+    );
+    return `(' ' || ${replaced} || ' ')`;
+}
+
+/**
+ * Build the WHERE clause of a library search
+ * Every word has to appear as a whole word in the title, artist, album or file name
+ * (not the folders above it, which every track in a folder shares).
+ * @param {Array<string>} words - Search words
+ * @returns {{where: string, params: Array<string>}} SQL condition and its parameters
+ */
+function buildLibraryTrackSearch(words) {
+    const separators = new RegExp(`[${LIBRARY_SEARCH_SEPARATORS.map(char => `\\${char}`).join('')}]+`);
+    const searchWords = words
+        .flatMap(word => word.toLowerCase().split(separators))
+        .filter(Boolean);
+    if (searchWords.length === 0) {
+        // Nothing but punctuation matches nothing, rather than everything
+        return { where: words.length === 0 ? '1 = 1' : '0 = 1', params: [] };
+    }
+    const columns = ['title', 'artist', 'album', 'file_name'].map(libraryWordsExpression);
+    const escape = (word) => `% ${word.replace(/[\\%_]/g, char => `\\${char}`)} %`;
+    const where = searchWords
+        .map(() => `(${columns.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`)
+        .join(' AND ');
+    const params = searchWords.flatMap(word => Array(columns.length).fill(escape(word)));
+    return { where, params };
+}
+
+/**
+ * Search indexed local tracks
+ * Tracks whose title contains the whole query come first, then by artist and title.
+ * @param {Array<string>} words - Search words (none lists everything)
+ * @param {string} query - Whole query (for ranking)
+ * @param {number} limit - Maximum results
+ * @param {number} offset - Results to skip
+ * @returns {Array<Object>} Tracks
+ */
+function searchLibraryTracks(words, query, limit, offset) {
+    const db = getDatabase();
+    const { where, params } = buildLibraryTrackSearch(words);
+    return db.prepare(`
+        SELECT * FROM library_tracks
+        WHERE ${where}
+        ORDER BY CASE WHEN instr(lower(title), lower(?)) > 0 THEN 0 ELSE 1 END,
+            lower(COALESCE(artist, '')), lower(title)
+        LIMIT ? OFFSET ?
+    `).all(...params, query, limit, offset).map(toLibraryTrack);
+}
+
+/**
+ * Count indexed local tracks matching a search
+ * @param {Array<string>} words - Search words (none counts everything)
+ * @returns {number} Number of tracks
+ */
+function countLibraryTracks(words) {
+    const db = getDatabase();
+    const { where, params } = buildLibraryTrackSearch(words);
+    return db.prepare(`SELECT COUNT(*) AS count FROM library_tracks WHERE ${where}`).get(...params).count;
+}
+
 // ============================================
 // Rate Limiting Operations
 // ============================================
@@ -1449,6 +2219,53 @@ function cleanupOldRateLimitRequests(beforeTimestamp) {
     return result.changes;
 }
 
+// ============================================
+// Song Request Operations (queue quotas)
+// ============================================
+
+/**
+ * Record a song accepted into the queue
+ * @param {string} userId - User ID (WhatsApp ID)
+ * @param {string|null} groupId - Group the request came from
+ */
+function addSongRequest(userId, groupId) {
+    const db = getDatabase();
+    db.prepare(`
+        INSERT INTO song_requests (user_id, group_id, requested_at)
+        VALUES (?, ?, strftime('%s', 'now'))
+    `).run(userId, groupId || null);
+}
+
+/**
+ * Count songs a user queued since a point in time
+ * @param {string} userId - User ID (WhatsApp ID)
+ * @param {number} since - Unix timestamp
+ * @returns {number} Number of songs
+ */
+function countSongRequestsSince(userId, since) {
+    const db = getDatabase();
+    const row = db.prepare(`
+        SELECT COUNT(*) as count
+        FROM song_requests
+        WHERE user_id = ? AND requested_at >= ?
+    `).get(userId, since);
+    return row ? row.count : 0;
+}
+
+/**
+ * Clean up old song request records
+ * @param {number} beforeTimestamp - Unix timestamp - delete records older than this
+ * @returns {number} Number of records deleted
+ */
+function cleanupOldSongRequests(beforeTimestamp) {
+    const db = getDatabase();
+    const result = db.prepare(`
+        DELETE FROM song_requests
+        WHERE requested_at < ?
+    `).run(beforeTimestamp);
+    return result.changes;
+}
+
 module.exports = {
     // Songs
     getOrCreateSong,
@@ -1456,6 +2273,11 @@ module.exports = {
     getSongLyrics,
     updateSong,
     updateSongVolumeGain,
+    updateSongLoudness,
+    updateSongAlbum,
+    getAlbumLoudness,
+    updateSongTrim,
+    getSongsNeedingAnalysis,
     
     // Requesters
     getOrCreateRequester,
@@ -1468,6 +2290,7 @@ module.exports = {
     reorderQueue,
     clearQueue,
     updateQueueItemProgress,
+    updateQueueItemDownloadAttempts,
     
     // Playback State
     getPlaybackState,
@@ -1481,6 +2304,7 @@ module.exports = {
     getTopChannels,
     getHourlyDistribution,
     getStatsOverview,
+    getAveragePlayDuration,
     resetStats,
     
     // Groups
@@ -1488,6 +2312,10 @@ module.exports = {
     addGroup,
     removeGroup,
     updateGroupName,
+    getGroupCommandSettings,
+    updateGroupCommandSettings,
+    getGroupNaturalLanguageSettings,
+    updateGroupNaturalLanguageSettings,
     
     // Priority Users
     getPriorityUsers,
@@ -1509,6 +2337,11 @@ module.exports = {
     createPlaylist,
     addPlaylistItem,
     deletePlaylist,
+    getPlaylist,
+    getPlaylistByName,
+    renamePlaylist,
+    removePlaylistItem,
+    reorderPlaylistItems,
     
     // Settings
     getSetting,
@@ -1532,9 +2365,45 @@ module.exports = {
     getEffects,
     updateEffects,
     
+    // Effect Presets
+    getEffectPresets,
+    getEffectPreset,
+    getEffectPresetByName,
+    createEffectPreset,
+    renameEffectPreset,
+    deleteEffectPreset,
+    
+    // Schedule Rules
+    getScheduleRules,
+    getScheduleRule,
+    createScheduleRule,
+    updateScheduleRule,
+    deleteScheduleRule,
+    
+    // Library Files
+    getLibraryFile,
+    getLibraryFiles,
+    saveLibraryFile,
+    touchLibraryFile,
+    deleteLibraryFile,
+    
+    // Library Tracks
+    getLibraryTrack,
+    getLibraryTrackByPath,
+    getLibraryTrackFiles,
+    saveLibraryTrack,
+    deleteLibraryTrack,
+    searchLibraryTracks,
+    countLibraryTracks,
+    
     // Rate Limiting
     addRateLimitRequest,
     getRecentRateLimitRequests,
-    cleanupOldRateLimitRequests
+    cleanupOldRateLimitRequests,
+    
+    // Song Requests
+    addSongRequest,
+    countSongRequestsSince,
+    cleanupOldSongRequests
 };
 
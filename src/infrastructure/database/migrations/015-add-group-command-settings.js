@@ -0,0 +1,46 @@
+/**
+ * Migration 015: Add per-group command settings
+ * Adds command_prefix and command_aliases columns to groups table
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master 
+            WHERE type='table' AND name='groups'
+        `).get();
+        
+        if (!tableExists) {
+            logger.warn('groups table does not exist, skipping migration 015');
+            return;
+        }
+        
+        const tableInfo = db.prepare("PRAGMA table_info(groups)").all();
+        const columnNames = tableInfo.map(col => col.name);
+        
+        // NULL means the group uses the global default prefix
+        if (!columnNames.includes('command_prefix')) {
+            db.exec(`
+                ALTER TABLE groups
+                ADD COLUMN command_prefix TEXT
+            `);
+        }
+        
+        // Stores aliases as JSON: { "tocar": "play", "fila": "queue" }
+        if (!columnNames.includes('command_aliases')) {
+            db.exec(`
+                ALTER TABLE groups
+                ADD COLUMN command_aliases TEXT
+            `);
+        }
+    },
+    
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // For rollback, we would need to recreate the table, which is complex
+        // For now, we'll leave it as a no-op
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * Migration 016: Add per-group natural-language mode
+ * Adds natural_language_enabled and natural_language_intents columns to groups table
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master 
+            WHERE type='table' AND name='groups'
+        `).get();
+        
+        if (!tableExists) {
+            logger.warn('groups table does not exist, skipping migration 016');
+            return;
+        }
+        
+        const tableInfo = db.prepare("PRAGMA table_info(groups)").all();
+        const columnNames = tableInfo.map(col => col.name);
+        
+        // Off by default: groups opt in from the dashboard
+        if (!columnNames.includes('natural_language_enabled')) {
+            db.exec(`
+                ALTER TABLE groups
+                ADD COLUMN natural_language_enabled INTEGER NOT NULL DEFAULT 0
+            `);
+        }
+        
+        // Stores allowed intents as JSON: ["play", "skip"]
+        if (!columnNames.includes('natural_language_intents')) {
+            db.exec(`
+                ALTER TABLE groups
+                ADD COLUMN natural_language_intents TEXT
+            `);
+        }
+    },
+    
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // For rollback, we would need to recreate the table, which is complex
+        // For now, we'll leave it as a no-op
+    }
+};
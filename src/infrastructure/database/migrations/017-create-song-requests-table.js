@@ -0,0 +1,28 @@
+/**
+ * Migration 017: Create song requests table
+ * Creates song_requests table to count how many songs each user queued per day (queue quotas)
+ */
+
+module.exports = {
+    async up(db) {
+        // One row per song accepted into the queue
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS song_requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                group_id TEXT,
+                requested_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+        
+        // Create indexes for efficient queries
+        db.exec('CREATE INDEX IF NOT EXISTS idx_song_requests_user_time ON song_requests(user_id, requested_at DESC)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_song_requests_requested_at ON song_requests(requested_at)');
+    },
+    
+    async down(db) {
+        db.exec('DROP INDEX IF EXISTS idx_song_requests_requested_at');
+        db.exec('DROP INDEX IF EXISTS idx_song_requests_user_time');
+        db.exec('DROP TABLE IF EXISTS song_requests');
+    }
+};
@@ -0,0 +1,62 @@
+/**
+ * Migration 018: Add parametric EQ and stereo controls to effects
+ * Adds parametric_eq_enabled, parametric_eq_bands, stereo_width and stereo_balance columns to effects table
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master
+            WHERE type='table' AND name='effects'
+        `).get();
+
+        if (!tableExists) {
+            logger.warn('effects table does not exist, skipping migration 018');
+            return;
+        }
+
+        const tableInfo = db.prepare("PRAGMA table_info(effects)").all();
+        const columnNames = tableInfo.map(col => col.name);
+
+        if (!columnNames.includes('parametric_eq_enabled')) {
+            db.exec(`
+                ALTER TABLE effects
+                ADD COLUMN parametric_eq_enabled INTEGER NOT NULL DEFAULT 0
+            `);
+        }
+
+        // Stores the bands as JSON: [{"frequency": 31, "gain": 0, "q": 1.41}, ...]
+        // NULL means the default 10-band layout
+        if (!columnNames.includes('parametric_eq_bands')) {
+            db.exec(`
+                ALTER TABLE effects
+                ADD COLUMN parametric_eq_bands TEXT
+            `);
+        }
+
+        // 1.0 = unchanged, 0 = mono, 2 = extra wide
+        if (!columnNames.includes('stereo_width')) {
+            db.exec(`
+                ALTER TABLE effects
+                ADD COLUMN stereo_width REAL NOT NULL DEFAULT 1.0
+            `);
+        }
+
+        // -1 = full left, 0 = center, 1 = full right
+        if (!columnNames.includes('stereo_balance')) {
+            db.exec(`
+                ALTER TABLE effects
+                ADD COLUMN stereo_balance REAL NOT NULL DEFAULT 0
+            `);
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // For rollback, we would need to recreate the table, which is complex
+        // For now, we'll leave it as a no-op
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 019: Create effect presets table
+ * Creates effect_presets table for user-defined effect presets (built-ins stay in code)
+ */
+
+module.exports = {
+    async up(db) {
+        // Settings are stored as JSON in the same shape as EffectsService.getEffects()
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS effect_presets (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                description TEXT,
+                settings TEXT NOT NULL,
+                created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+                updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+    },
+
+    async down(db) {
+        db.exec('DROP TABLE IF EXISTS effect_presets');
+    }
+};
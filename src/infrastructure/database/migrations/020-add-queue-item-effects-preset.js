@@ -0,0 +1,38 @@
+/**
+ * Migration 020: Add per-item effect preset to queue items
+ * Adds effects_preset column to queue_items table (applied only while that item plays)
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master
+            WHERE type='table' AND name='queue_items'
+        `).get();
+
+        if (!tableExists) {
+            logger.warn('queue_items table does not exist, skipping migration 020');
+            return;
+        }
+
+        const tableInfo = db.prepare("PRAGMA table_info(queue_items)").all();
+        const columnNames = tableInfo.map(col => col.name);
+
+        // Built-in preset key or user preset ID; NULL means the global effects
+        if (!columnNames.includes('effects_preset')) {
+            db.exec(`
+                ALTER TABLE queue_items
+                ADD COLUMN effects_preset TEXT
+            `);
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // For rollback, we would need to recreate the table, which is complex
+        // For now, we'll leave it as a no-op
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Migration 021: Add EBU R128 loudness measurements to songs
+ * Adds loudness_integrated, loudness_true_peak and loudness_range columns to songs table
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master
+            WHERE type='table' AND name='songs'
+        `).get();
+
+        if (!tableExists) {
+            logger.warn('songs table does not exist, skipping migration 021');
+            return;
+        }
+
+        const tableInfo = db.prepare("PRAGMA table_info(songs)").all();
+        const columnNames = tableInfo.map(col => col.name);
+
+        // Integrated loudness in LUFS (NULL = not measured yet)
+        if (!columnNames.includes('loudness_integrated')) {
+            db.exec(`
+                ALTER TABLE songs
+                ADD COLUMN loudness_integrated REAL
+            `);
+        }
+
+        // True peak in dBTP
+        if (!columnNames.includes('loudness_true_peak')) {
+            db.exec(`
+                ALTER TABLE songs
+                ADD COLUMN loudness_true_peak REAL
+            `);
+        }
+
+        // Loudness range (LRA) in LU
+        if (!columnNames.includes('loudness_range')) {
+            db.exec(`
+                ALTER TABLE songs
+                ADD COLUMN loudness_range REAL
+            `);
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // For rollback, we would need to recreate the table, which is complex
+        // For now, we'll leave it as a no-op
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Migration 022: Add silence trim points to songs
+ * Adds trim_start_ms, trim_end_ms and trim_params columns to songs table
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master
+            WHERE type='table' AND name='songs'
+        `).get();
+
+        if (!tableExists) {
+            logger.warn('songs table does not exist, skipping migration 022');
+            return;
+        }
+
+        const tableInfo = db.prepare("PRAGMA table_info(songs)").all();
+        const columnNames = tableInfo.map(col => col.name);
+
+        // Where playback starts, past leading silence (NULL = not analyzed yet)
+        if (!columnNames.includes('trim_start_ms')) {
+            db.exec(`
+                ALTER TABLE songs
+                ADD COLUMN trim_start_ms INTEGER
+            `);
+        }
+
+        // Where playback finishes, at trailing silence (NULL = end of file)
+        if (!columnNames.includes('trim_end_ms')) {
+            db.exec(`
+                ALTER TABLE songs
+                ADD COLUMN trim_end_ms INTEGER
+            `);
+        }
+
+        // Settings the trim points were detected with (re-analyzed when they change)
+        if (!columnNames.includes('trim_params')) {
+            db.exec(`
+                ALTER TABLE songs
+                ADD COLUMN trim_params TEXT
+            `);
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // For rollback, we would need to recreate the table, which is complex
+        // For now, we'll leave it as a no-op
+    }
+};
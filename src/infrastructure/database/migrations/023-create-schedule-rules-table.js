@@ -0,0 +1,29 @@
+/**
+ * Migration 023: Create schedule rules table
+ * Creates schedule_rules table for time-based volume caps, effect presets and quiet hours
+ */
+
+module.exports = {
+    async up(db) {
+        // days is a JSON array of weekdays (0 = Sunday); an empty array means every day.
+        // Times are local "HH:MM"; an end before the start runs past midnight.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS schedule_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL CHECK(type IN ('volume', 'preset', 'quiet')),
+                value TEXT,
+                days TEXT NOT NULL DEFAULT '[]',
+                start_time TEXT NOT NULL,
+                end_time TEXT NOT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+                updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+    },
+
+    async down(db) {
+        db.exec('DROP TABLE IF EXISTS schedule_rules');
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration 024: Create library files table
+ * Creates library_files table for the downloaded audio kept in the library cache
+ */
+
+module.exports = {
+    async up(db) {
+        // key is "<videoId>:<format>"; last_used_at drives least-recently-used eviction
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS library_files (
+                key TEXT PRIMARY KEY,
+                video_id TEXT NOT NULL,
+                format TEXT NOT NULL,
+                file_path TEXT NOT NULL,
+                size_bytes INTEGER NOT NULL DEFAULT 0,
+                source_url TEXT,
+                title TEXT,
+                artist TEXT,
+                thumbnail_path TEXT,
+                use_count INTEGER NOT NULL DEFAULT 1,
+                created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+                last_used_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+
+        db.exec('CREATE INDEX IF NOT EXISTS idx_library_files_last_used ON library_files(last_used_at)');
+    },
+
+    async down(db) {
+        db.exec('DROP TABLE IF EXISTS library_files');
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * Migration 025: Add source type to queue items
+ * Adds source_type column to queue_items table ('http' for direct audio files, 'stream' for live streams)
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master
+            WHERE type='table' AND name='queue_items'
+        `).get();
+
+        if (!tableExists) {
+            logger.warn('queue_items table does not exist, skipping migration 025');
+            return;
+        }
+
+        const tableInfo = db.prepare("PRAGMA table_info(queue_items)").all();
+        const columnNames = tableInfo.map(col => col.name);
+
+        // NULL means the type is inferred from the content (URL or file)
+        if (!columnNames.includes('source_type')) {
+            db.exec(`
+                ALTER TABLE queue_items
+                ADD COLUMN source_type TEXT
+            `);
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // For rollback, we would need to recreate the table, which is complex
+        // For now, we'll leave it as a no-op
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration 026: Create library tracks table
+ * Creates library_tracks table for the index of local music folders
+ */
+
+module.exports = {
+    async up(db) {
+        // file_name is the file's name without folder or extension (searched like the tags);
+        // size_bytes and mtime_ms let rescans skip files that did not change; duration is in ms
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS library_tracks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                file_path TEXT NOT NULL UNIQUE,
+                file_name TEXT NOT NULL,
+                title TEXT NOT NULL,
+                artist TEXT,
+                album TEXT,
+                duration INTEGER,
+                art_path TEXT,
+                size_bytes INTEGER NOT NULL DEFAULT 0,
+                mtime_ms INTEGER NOT NULL DEFAULT 0,
+                indexed_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+
+        db.exec('CREATE INDEX IF NOT EXISTS idx_library_tracks_artist ON library_tracks(artist)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_library_tracks_title ON library_tracks(title)');
+    },
+
+    async down(db) {
+        db.exec('DROP TABLE IF EXISTS library_tracks');
+    }
+};
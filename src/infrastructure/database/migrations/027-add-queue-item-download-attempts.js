@@ -0,0 +1,38 @@
+/**
+ * Migration 027: Add download attempts to queue items
+ * Adds download_attempts column to queue_items table (JSON list of the fallback attempts of a failed download)
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master
+            WHERE type='table' AND name='queue_items'
+        `).get();
+
+        if (!tableExists) {
+            logger.warn('queue_items table does not exist, skipping migration 027');
+            return;
+        }
+
+        const tableInfo = db.prepare("PRAGMA table_info(queue_items)").all();
+        const columnNames = tableInfo.map(col => col.name);
+
+        // NULL means the download worked on the first attempt (or has not run yet)
+        if (!columnNames.includes('download_attempts')) {
+            db.exec(`
+                ALTER TABLE queue_items
+                ADD COLUMN download_attempts TEXT
+            `);
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // For rollback, we would need to recreate the table, which is complex
+        // For now, we'll leave it as a no-op
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * Migration 028: Add album tags to songs
+ * Adds album and album_artist columns to songs table (read from the file's tags when its
+ * loudness is measured, used to group songs for album gain)
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master
+            WHERE type='table' AND name='songs'
+        `).get();
+
+        if (!tableExists) {
+            logger.warn('songs table does not exist, skipping migration 028');
+            return;
+        }
+
+        const tableInfo = db.prepare("PRAGMA table_info(songs)").all();
+        const columnNames = tableInfo.map(col => col.name);
+
+        // NULL means the file has no album tag (or hasn't been measured yet)
+        if (!columnNames.includes('album')) {
+            db.exec(`
+                ALTER TABLE songs
+                ADD COLUMN album TEXT
+            `);
+        }
+
+        if (!columnNames.includes('album_artist')) {
+            db.exec(`
+                ALTER TABLE songs
+                ADD COLUMN album_artist TEXT
+            `);
+        }
+
+        db.exec('CREATE INDEX IF NOT EXISTS idx_songs_album ON songs(album)');
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // For rollback, we would need to recreate the table, which is complex
+        // For now, we'll leave it as a no-op
+    }
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 029: Rename library_files.video_id to source_id
+ * The library also keeps SoundCloud, Bandcamp, other sites and direct audio, which are
+ * identified by a hash of their normalized URL instead of a YouTube video ID
+ */
+
+const { logger } = require('../../../utils/logger.util');
+
+module.exports = {
+    async up(db) {
+        // Check if table exists first
+        const tableExists = db.prepare(`
+            SELECT name FROM sqlite_master
+            WHERE type='table' AND name='library_files'
+        `).get();
+
+        if (!tableExists) {
+            logger.warn('library_files table does not exist, skipping migration 029');
+            return;
+        }
+
+        const tableInfo = db.prepare("PRAGMA table_info(library_files)").all();
+        const columnNames = tableInfo.map(col => col.name);
+
+        if (columnNames.includes('video_id') && !columnNames.includes('source_id')) {
+            db.exec('ALTER TABLE library_files RENAME COLUMN video_id TO source_id');
+        }
+    },
+
+    async down(db) {
+        const tableInfo = db.prepare("PRAGMA table_info(library_files)").all();
+        if (tableInfo.some(col => col.name === 'source_id')) {
+            db.exec('ALTER TABLE library_files RENAME COLUMN source_id TO video_id');
+        }
+    }
+};
@@ -9,9 +9,10 @@ class PlayerAdapter {
      * Start playback of a file
      * @param {string} filePath - Path to the audio file
      * @param {number} startOffset - Start position in milliseconds
+     * @param {number|null} endOffset - Finish at this position in milliseconds (null = end of file)
      * @returns {Promise<void>}
      */
-    async play(filePath, startOffset = 0) {
+    async play(filePath, startOffset = 0, endOffset = null) {
         throw new Error('play() must be implemented by subclass');
     }
 
@@ -89,6 +90,15 @@ class PlayerAdapter {
         throw new Error('isPlaying() must be implemented by subclass');
     }
 
+    /**
+     * Check if this backend can overlap the end of one song with the next
+     * Backends that can't fall back to the regular transition delay.
+     * @returns {boolean}
+     */
+    supportsCrossfade() {
+        return false;
+    }
+
     /**
      * Get the name of this backend
      * @returns {string}
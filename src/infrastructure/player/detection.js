@@ -1,5 +1,6 @@
 const { isFFplayAvailable, isCommandInPath } = require('../../utils/dependencies.util');
 const { logger } = require('../../utils/logger.util');
+const config = require('../../config');
 
 /**
  * Backend Detection Module
@@ -7,6 +8,9 @@ const { logger } = require('../../utils/logger.util');
  * Detects and selects the best available audio backend.
  */
 
+// Backends selectable through PLAYER_BACKEND (besides 'auto')
+const BACKENDS = ['mpv', 'ffplay', 'null'];
+
 /**
  * Check if a command is available in PATH
  * @param {string} command - Command name to check
@@ -17,25 +21,64 @@ function isCommandAvailable(command) {
 }
 
 /**
- * Detect and select the best available audio backend
- * @returns {string|null} 'mpv', 'ffplay', or null if neither is available
+ * Check whether a backend can run on this machine
+ * @param {string} backend - 'mpv', 'ffplay' or 'null'
+ * @returns {boolean}
  */
-function detectBackend() {
-    if (isCommandAvailable('mpv')) {
+function isBackendAvailable(backend) {
+    if (backend === 'mpv') return isCommandAvailable('mpv');
+    if (backend === 'ffplay') return isFFplayAvailable();
+    return backend === 'null';
+}
+
+/**
+ * Log which backend was selected
+ * @param {string} backend - Selected backend
+ */
+function logBackend(backend) {
+    if (backend === 'mpv') {
         logger.info('🎵 Audio backend: MPV (seamless effect changes)');
-        return 'mpv';
-    } else if (isFFplayAvailable()) {
+    } else if (backend === 'ffplay') {
         logger.info('🎵 Audio backend: ffplay (effect changes may cause brief interruption)');
         logger.info('   For seamless effects, install MPV: brew install mpv (or see docs/adr/001-audio-player-backend.md)');
-        return 'ffplay';
     } else {
-        logger.warn('⚠️  No audio backend available. Please install mpv or ffmpeg.');
-        return null;
+        logger.info('🎵 Audio backend: null (simulated playback, no audio output)');
     }
 }
 
+/**
+ * Detect and select the audio backend
+ * Honors PLAYER_BACKEND (mpv, ffplay or null); 'auto' picks the best available one
+ * and falls back to the null backend when neither player is installed.
+ * @returns {string} 'mpv', 'ffplay' or 'null'
+ */
+function detectBackend() {
+    const preferred = config.player.backend;
+
+    if (BACKENDS.includes(preferred)) {
+        if (isBackendAvailable(preferred)) {
+            logBackend(preferred);
+            return preferred;
+        }
+        logger.warn(`⚠️  PLAYER_BACKEND=${preferred} is not available, detecting another backend`);
+    } else if (preferred !== 'auto') {
+        logger.warn(`⚠️  Unknown PLAYER_BACKEND "${preferred}" (expected auto, mpv, ffplay or null), detecting a backend`);
+    }
+
+    const backend = ['mpv', 'ffplay'].find(isBackendAvailable);
+    if (backend) {
+        logBackend(backend);
+        return backend;
+    }
+
+    logger.warn('⚠️  No audio backend available. Please install mpv or ffmpeg.');
+    logger.warn('   Falling back to the null backend: playback is simulated and nothing is heard');
+    return 'null';
+}
+
 module.exports = {
     detectBackend,
+    isBackendAvailable,
     isCommandAvailable
 };
 
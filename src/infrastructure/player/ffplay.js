@@ -1,6 +1,7 @@
 const { spawn, execSync } = require('child_process');
 const PlayerAdapter = require('./adapter');
 const { logger } = require('../../utils/logger.util');
+const { getUrlHost } = require('../../utils/url.util');
 const effectsService = require('../../services/audio/effects.service');
 const { getFFplayPath } = require('../../utils/dependencies.util');
 const { eventBus } = require('../../events');
@@ -43,14 +44,22 @@ class FfplayPlayer extends PlayerAdapter {
 
     /**
      * Build ffplay arguments with audio effects filter chain
+     * @param {string} filePath - File to play
+     * @param {number} startTimeOffset - Start position in milliseconds
+     * @param {number|null} endTimeOffset - Stop at this position in milliseconds (null = end of file)
      */
-    buildArgs(filePath, startTimeOffset = 0) {
+    buildArgs(filePath, startTimeOffset = 0, endTimeOffset = null) {
         const args = ['-nodisp', '-autoexit', '-hide_banner', '-loglevel', 'quiet'];
 
-        if (startTimeOffset > 0) {
+        // Live streams (URLs) can't seek: they resume live and only the time left is kept
+        if (startTimeOffset > 0 && !getUrlHost(filePath)) {
             args.push('-ss', (startTimeOffset / 1000).toFixed(2));
         }
 
+        if (endTimeOffset > startTimeOffset) {
+            args.push('-t', ((endTimeOffset - startTimeOffset) / 1000).toFixed(2));
+        }
+
         const filterChain = effectsService.buildFilterChain();
         if (filterChain) {
             args.push('-af', filterChain);
@@ -64,8 +73,8 @@ class FfplayPlayer extends PlayerAdapter {
     /**
      * Start ffplay process
      */
-    startProcess(filePath, startTimeOffset = 0) {
-        const args = this.buildArgs(filePath, startTimeOffset);
+    startProcess(filePath, startTimeOffset = 0, endTimeOffset = null) {
+        const args = this.buildArgs(filePath, startTimeOffset, endTimeOffset);
         const ffplayBinary = getFFplayPath();
 
         logger.info(`Starting ffplay: ${ffplayBinary} ${args.slice(0, 5).join(' ')} ...`);
@@ -84,7 +93,7 @@ class FfplayPlayer extends PlayerAdapter {
     /**
      * Play file with ffplay backend (event-driven)
      */
-    async play(filePath, startOffset = 0) {
+    async play(filePath, startOffset = 0, endOffset = null) {
         // Emit playback started via bus
         eventBus.emit(PLAYBACK_STARTED, { filePath });
 
@@ -143,7 +152,7 @@ class FfplayPlayer extends PlayerAdapter {
                 const result = await new Promise((resPlay) => {
                     playbackStartTime = Date.now();
                     pauseStartTime = null;
-                    const p = this.startProcess(filePath, currentOffset);
+                    const p = this.startProcess(filePath, currentOffset, endOffset);
                     let killed = false;
                     let killReason = null;
 
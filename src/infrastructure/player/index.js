@@ -3,6 +3,8 @@ const effectsService = require('../../services/audio/effects.service');
 const { detectBackend } = require('./detection');
 const MpvPlayer = require('./mpv');
 const FfplayPlayer = require('./ffplay');
+const NullPlayer = require('./null');
+const radio = require('./radio');
 const { eventBus } = require('../../events');
 const {
     PLAYBACK_REQUESTED,
@@ -19,7 +21,8 @@ const {
 /**
  * Player Module
  * 
- * Pure Audio Backend - manages MPV/ffplay processes and provides playback control API.
+ * Pure Audio Backend - manages MPV/ffplay processes (or the headless null player)
+ * and provides playback control API.
  * Listens to events from PlaybackController and emits playback events.
  * 
  * See docs/adr/001-audio-player-backend.md for architecture details
@@ -44,6 +47,8 @@ function getPlayerInstance() {
             playerInstance = new MpvPlayer();
         } else if (backend === 'ffplay') {
             playerInstance = new FfplayPlayer();
+        } else if (backend === 'null') {
+            playerInstance = new NullPlayer();
         }
     }
     return playerInstance;
@@ -51,8 +56,11 @@ function getPlayerInstance() {
 
 /**
  * Play file (event-driven entry point)
+ * @param {string} filePath - Audio file
+ * @param {number} [startOffset=0] - Start position in milliseconds
+ * @param {number|null} [endOffset=null] - Finish at this position in milliseconds (null = end of file)
  */
-async function playFile(filePath, startOffset = 0) {
+async function playFile(filePath, startOffset = 0, endOffset = null) {
     const player = getPlayerInstance();
 
     if (!player) {
@@ -63,7 +71,7 @@ async function playFile(filePath, startOffset = 0) {
     }
 
     try {
-        await player.play(filePath, startOffset);
+        await player.play(filePath, startOffset, endOffset);
     } catch (error) {
         logger.error('Playback error:', error);
         eventBus.emit(PLAYBACK_ERROR, { filePath, error });
@@ -130,6 +138,7 @@ async function setVolume(volume) {
     if (player) {
         await player.setVolume(volume);
     }
+    radio.setVolume(volume);
 }
 
 /**
@@ -7,7 +7,9 @@ const os = require('os');
 const PlayerAdapter = require('./adapter');
 const config = require('../../config');
 const { logger } = require('../../utils/logger.util');
+const { getUrlHost } = require('../../utils/url.util');
 const effectsService = require('../../services/audio/effects.service');
+const crossfadeService = require('../../services/playback/crossfade.service');
 const { eventBus } = require('../../events');
 const {
     PLAYBACK_STARTED,
@@ -19,10 +21,15 @@ const {
     EFFECTS_CHANGED
 } = require('../../events');
 
+// How often the remaining time is checked while crossfade is enabled
+const CROSSFADE_POLL_INTERVAL_MS = 250;
+
 /**
  * MPV Player Implementation
  * 
  * Provides seamless audio effects via MPV IPC.
+ * Crossfades by handing the ending song to a second MPV instance that fades out
+ * while the next song starts (and fades in) in a fresh one.
  */
 class MpvPlayer extends PlayerAdapter {
     constructor() {
@@ -36,17 +43,22 @@ class MpvPlayer extends PlayerAdapter {
         this.isPlayingState = false;
         this.currentVolume = 100;
         this.playerEvents = new EventEmitter();
+        this.socketCounter = 0;
+        this.fadingOut = null; // { process, socket, socketPath, timer } of the song being faded out
+        this.endOffset = null; // Where the current song stops (ms), if before the end of the file
     }
 
     /**
      * Generate unique IPC socket path for MPV
+     * Each instance gets its own path, since two run at once during a crossfade
      */
     getSocketPath() {
         const IS_WINDOWS = os.platform() === 'win32';
+        const name = `mpv-socket-${process.pid}-${this.socketCounter++}`;
         if (IS_WINDOWS) {
-            return `mpv-socket-${process.pid}`;
+            return name;
         } else {
-            return path.join(config.paths.temp, `mpv-socket-${process.pid}`);
+            return path.join(config.paths.temp, name);
         }
     }
 
@@ -101,13 +113,14 @@ class MpvPlayer extends PlayerAdapter {
                     ? `\\\\.\\pipe\\${this.ipcSocketPath}`
                     : this.ipcSocketPath;
 
-                this.ipcSocket = net.createConnection(connectionPath);
+                const socket = net.createConnection(connectionPath);
+                this.ipcSocket = socket;
 
-                this.ipcSocket.on('connect', () => {
+                socket.on('connect', () => {
                     logger.info('Connected to MPV IPC socket');
 
                     let buffer = '';
-                    this.ipcSocket.on('data', (data) => {
+                    socket.on('data', (data) => {
                         buffer += data.toString();
                         const lines = buffer.split('\n');
                         buffer = lines.pop();
@@ -127,7 +140,8 @@ class MpvPlayer extends PlayerAdapter {
                                     }
                                 }
 
-                                if (msg.event === 'end-file') {
+                                // Ignore the instance that is fading out, its song already counts as finished
+                                if (msg.event === 'end-file' && socket === this.ipcSocket) {
                                     logger.info('MPV: File ended');
                                     this.playerEvents.emit('mpv_file_ended', msg.reason);
                                 }
@@ -140,7 +154,7 @@ class MpvPlayer extends PlayerAdapter {
                     resolve();
                 });
 
-                this.ipcSocket.on('error', (err) => {
+                socket.on('error', (err) => {
                     if (retries < maxRetries) {
                         retries++;
                         if (retries % 10 === 0) {
@@ -158,10 +172,34 @@ class MpvPlayer extends PlayerAdapter {
         });
     }
 
+    /**
+     * Build the audio filter: active effects (the playing item's preset, if any) plus an optional fade
+     * @param {string|null} fadeFilter - afade filter to append
+     * @returns {string} lavfi filter chain (empty if none)
+     */
+    buildAudioFilter(fadeFilter = null) {
+        return [effectsService.buildFilterChain(), fadeFilter].filter(Boolean).join(',');
+    }
+
+    /**
+     * Wrap a filter graph as an MPV lavfi filter
+     * Uses MPV's %length% quoting: [...] quoting would end at the first pad label
+     * in graphs that split the signal (e.g. the delay effect).
+     * @param {string} filterChain - lavfi filter graph
+     * @returns {string} Value for --af / the af property
+     */
+    toLavfiFilter(filterChain) {
+        return `lavfi=%${Buffer.byteLength(filterChain)}%${filterChain}`;
+    }
+
     /**
      * Start MPV process with IPC
+     * @param {string} filePath - File to play
+     * @param {number} startTimeOffset - Start position in milliseconds
+     * @param {number} fadeInSeconds - Fade the song in over this many seconds (crossfade)
+     * @param {number|null} endTimeOffset - Stop at this position in milliseconds (null = end of file)
      */
-    async startProcess(filePath, startTimeOffset = 0) {
+    async startProcess(filePath, startTimeOffset = 0, fadeInSeconds = 0, endTimeOffset = null) {
         const IS_WINDOWS = os.platform() === 'win32';
         this.ipcSocketPath = this.getSocketPath();
 
@@ -185,9 +223,17 @@ class MpvPlayer extends PlayerAdapter {
             args.push(`--start=${(startTimeOffset / 1000).toFixed(2)}`);
         }
 
-        const filterChain = effectsService.buildFilterChain();
+        if (endTimeOffset > 0) {
+            args.push(`--end=${(endTimeOffset / 1000).toFixed(2)}`);
+        }
+
+        // With --start, filter timestamps begin at the start position, so the fade starts there too
+        const fadeIn = fadeInSeconds > 0
+            ? crossfadeService.getFadeFilter('in', startTimeOffset / 1000, fadeInSeconds)
+            : null;
+        const filterChain = this.buildAudioFilter(fadeIn);
         if (filterChain) {
-            args.push(`--af=lavfi=[${filterChain}]`);
+            args.push(`--af=${this.toLavfiFilter(filterChain)}`);
             logger.info(`Initial audio effects: ${filterChain}`);
         }
 
@@ -227,14 +273,39 @@ class MpvPlayer extends PlayerAdapter {
         }
     }
 
+    /**
+     * Get the time left to play, up to the end offset if there is one
+     * @returns {Promise<number>} Seconds remaining
+     */
+    async getTimeRemaining() {
+        const remaining = await this.sendCommand(['get_property', 'time-remaining']);
+        if (this.endOffset === null) return remaining;
+
+        const position = await this.sendCommand(['get_property', 'time-pos']);
+        return Math.min(remaining, this.endOffset / 1000 - position);
+    }
+
     /**
      * Play file with MPV backend (event-driven)
+     * A URL is a live stream: it has no known duration, so it plays until skipped
+     * or until endOffset (the stream time limit) has passed.
      */
-    async play(filePath, startOffset = 0) {
+    async play(filePath, startOffset = 0, endOffset = null) {
+        const isLive = !!getUrlHost(filePath);
+
+        // Fade in if the previous song is still fading out
+        // (songs with trimmed leading silence start past 0)
+        const fadeInSeconds = this.fadingOut
+            ? crossfadeService.getSettings().durationSeconds
+            : 0;
+
         // Ensure any previous MPV process is fully stopped before starting new one
-        await this.stop();
+        // (a song that is fading out keeps playing in its own instance)
+        await this.stopProcess();
 
-        await this.startProcess(filePath, startOffset);
+        // Stream timestamps don't start at 0, so the limit is kept with a timer instead of --end
+        this.endOffset = endOffset > 0 && !isLive ? endOffset : null;
+        await this.startProcess(filePath, isLive ? 0 : startOffset, fadeInSeconds, this.endOffset);
 
         // Verify socket is connected before proceeding
         if (!this.ipcSocket || this.ipcSocket.destroyed) {
@@ -277,9 +348,19 @@ class MpvPlayer extends PlayerAdapter {
         // Wait for playback to finish
         await new Promise((resolve) => {
             let finished = false;
+            let crossfadeTimer = null;
+            let streamLimitTimer = null;
             const currentProcess = this.process;
 
             const cleanup = () => {
+                if (crossfadeTimer) {
+                    clearInterval(crossfadeTimer);
+                    crossfadeTimer = null;
+                }
+                if (streamLimitTimer) {
+                    clearTimeout(streamLimitTimer);
+                    streamLimitTimer = null;
+                }
                 eventBus.removeListener(EFFECTS_CHANGED, effectsHandler);
                 eventBus.removeListener(PLAYBACK_PAUSE, pauseHandler);
                 eventBus.removeListener(PLAYBACK_RESUME, resumeHandler);
@@ -327,6 +408,44 @@ class MpvPlayer extends PlayerAdapter {
                 }
             };
 
+            // Crossfade: once the remaining time drops below the overlap, hand this
+            // instance over to fade out and report the song as finished so the next one starts
+            let checking = false;
+            const crossfadeCheck = async () => {
+                if (finished || checking || !this.isPlayingState || this.process !== currentProcess) return;
+                const settings = crossfadeService.getSettings();
+                if (!settings.enabled) return;
+
+                checking = true;
+                try {
+                    const remaining = await this.getTimeRemaining();
+                    if (finished || !(remaining > 0) || remaining > settings.durationSeconds) return;
+
+                    // Skip songs too short to overlap and wait until the next one is downloaded
+                    const duration = await this.sendCommand(['get_property', 'duration']);
+                    if (finished || !(duration > settings.durationSeconds * 2) || !crossfadeService.isNextTrackReady()) return;
+
+                    finished = true;
+                    cleanup();
+                    logger.info(`Crossfading into next song (${remaining.toFixed(1)}s left)`);
+                    await this.fadeOutCurrent(remaining);
+
+                    eventBus.emit(PLAYBACK_FINISHED, { filePath, reason: 'ended', crossfade: true });
+                    resolve();
+                } catch (err) {
+                    logger.debug(`Crossfade check failed: ${err.message}`);
+                } finally {
+                    checking = false;
+                }
+            };
+            crossfadeTimer = setInterval(crossfadeCheck, CROSSFADE_POLL_INTERVAL_MS);
+
+            if (isLive && endOffset > 0) {
+                streamLimitTimer = setTimeout(() => {
+                    handleFinished('stream_limit', `stream time limit of ${Math.round(endOffset / 60000)} min reached`);
+                }, endOffset);
+            }
+
             eventBus.on(EFFECTS_CHANGED, effectsHandler);
             eventBus.on(PLAYBACK_PAUSE, pauseHandler);
             eventBus.on(PLAYBACK_RESUME, resumeHandler);
@@ -342,9 +461,76 @@ class MpvPlayer extends PlayerAdapter {
     }
 
     /**
-     * Stop MPV and cleanup
+     * Fade out the current song and move it to the fading-out slot
+     * It keeps playing in its own instance until it ends, while a new
+     * instance can be started for the next song.
+     * @param {number} remainingSeconds - Time left in the song
+     */
+    async fadeOutCurrent(remainingSeconds) {
+        const position = await this.sendCommand(['get_property', 'time-pos']);
+        const fadeOut = crossfadeService.getFadeFilter('out', position || 0, remainingSeconds);
+        await this.sendCommand(['set_property', 'af', this.toLavfiFilter(this.buildAudioFilter(fadeOut))]);
+
+        this.stopFadingOut();
+
+        const fader = {
+            process: this.process,
+            socket: this.ipcSocket,
+            socketPath: this.ipcSocketPath,
+            timer: null
+        };
+        // The instance exits by itself at the end of the file; kill it if it lingers
+        fader.timer = setTimeout(() => this.stopFadingOut(fader), (remainingSeconds + 2) * 1000);
+        fader.process.once('close', () => this.stopFadingOut(fader));
+        this.fadingOut = fader;
+
+        this.process = null;
+        this.ipcSocket = null;
+        this.ipcSocketPath = null;
+        this.currentFilePath = null;
+        this.isPlayingState = false;
+    }
+
+    /**
+     * Stop the instance that is fading out (if any) and clean it up
+     * @param {Object} [fader] - Only stop this fader (ignored if it was already replaced)
+     */
+    stopFadingOut(fader = this.fadingOut) {
+        if (!fader || fader !== this.fadingOut) return;
+        this.fadingOut = null;
+
+        clearTimeout(fader.timer);
+        if (fader.socket && !fader.socket.destroyed) {
+            fader.socket.destroy();
+        }
+        if (fader.process && fader.process.exitCode === null && !fader.process.killed) {
+            try {
+                fader.process.kill('SIGTERM');
+            } catch (e) {
+                // Process might already be dead
+            }
+        }
+        if (fader.socketPath && fs.existsSync(fader.socketPath)) {
+            try {
+                fs.unlinkSync(fader.socketPath);
+            } catch (e) {
+                // Ignore errors
+            }
+        }
+    }
+
+    /**
+     * Stop MPV and cleanup (including a song that is still fading out)
      */
     async stop() {
+        this.stopFadingOut();
+        await this.stopProcess();
+    }
+
+    /**
+     * Stop the current MPV process and cleanup
+     */
+    async stopProcess() {
         const currentProcess = this.process;
         const currentSocket = this.ipcSocket;
         
@@ -446,6 +632,9 @@ class MpvPlayer extends PlayerAdapter {
      * Pause playback
      */
     async pause() {
+        // Pausing cuts off the tail of the previous song
+        this.stopFadingOut();
+
         if (this.ipcSocket && !this.ipcSocket.destroyed) {
             try {
                 await this.sendCommand(['set_property', 'pause', true]);
@@ -537,7 +726,7 @@ class MpvPlayer extends PlayerAdapter {
 
         try {
             if (filterChain) {
-                await this.sendCommand(['set_property', 'af', `lavfi=[${filterChain}]`]);
+                await this.sendCommand(['set_property', 'af', this.toLavfiFilter(filterChain)]);
                 logger.info(`✨ Seamlessly applied effects: ${filterChain}`);
             } else {
                 await this.sendCommand(['set_property', 'af', '']);
@@ -555,6 +744,13 @@ class MpvPlayer extends PlayerAdapter {
         return this.isPlayingState;
     }
 
+    /**
+     * Crossfade is supported through a second MPV instance
+     */
+    supportsCrossfade() {
+        return true;
+    }
+
     /**
      * Get the name of this backend
      */
@@ -0,0 +1,364 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const PlayerAdapter = require('./adapter');
+const config = require('../../config');
+const { logger } = require('../../utils/logger.util');
+const { getUrlHost } = require('../../utils/url.util');
+const { getFFmpegPath } = require('../../utils/dependencies.util');
+const effectsService = require('../../services/audio/effects.service');
+const { eventBus } = require('../../events');
+const {
+    PLAYBACK_STARTED,
+    PLAYBACK_FINISHED,
+    PLAYBACK_PAUSE,
+    PLAYBACK_RESUME,
+    PLAYBACK_SEEK,
+    EFFECTS_CHANGED
+} = require('../../events');
+
+// Used when a file's duration can't be read (typical track length)
+const FALLBACK_DURATION_MS = 210 * 1000;
+
+// ffmpeg encoder arguments per output format
+const OUTPUT_FORMATS = {
+    wav: { extension: 'wav', args: ['-c:a', 'pcm_s16le'] },
+    opus: { extension: 'opus', args: ['-c:a', 'libopus', '-b:a', '128k'] }
+};
+
+/**
+ * Null Player Implementation
+ *
+ * Headless backend for servers without audio hardware (and for tests):
+ * - Simulates playback with a wall clock based on the file's duration, emitting
+ *   PLAYBACK_STARTED/PLAYBACK_FINISHED on time and tracking pause, seek and speed
+ * - Optionally renders what would have been heard (effects and volume applied) to
+ *   WAV/Opus files in PLAYER_OUTPUT_DIR, one file per song (plus one per pause/seek)
+ */
+class NullPlayer extends PlayerAdapter {
+    constructor() {
+        super();
+        this.currentFilePath = null;
+        this.isPlayingState = false;
+        this.currentVolume = 100;
+        this.durationMs = 0;
+        this.positionMs = 0; // Position when the clock last stopped or started
+        this.resumedAt = null; // Wall time the clock started (null while paused)
+        this.speed = 1.0;
+        this.endTimer = null;
+        this.settle = null; // Resolves the pending play() call
+        this.renderProcess = null;
+        this.renderName = null;
+        this.renderPart = 0;
+    }
+
+    /**
+     * Get the playback speed from the active effects (the clock runs at this rate)
+     * @returns {number} Speed multiplier
+     */
+    getSpeed() {
+        const effects = effectsService.getActiveEffects();
+        if (!effects.enabled || !(effects.speed > 0)) return 1.0;
+        return effects.speed;
+    }
+
+    /**
+     * Get the simulated position
+     * @returns {number} Position in milliseconds
+     */
+    getPositionMs() {
+        if (this.resumedAt === null) return this.positionMs;
+        const elapsed = (Date.now() - this.resumedAt) * this.speed;
+        return Math.min(this.durationMs, this.positionMs + elapsed);
+    }
+
+    /**
+     * Start the clock (and the renderer) from the current position
+     */
+    startClock() {
+        this.speed = this.getSpeed();
+        this.resumedAt = Date.now();
+
+        const remainingMs = Math.max(0, this.durationMs - this.positionMs) / this.speed;
+        this.endTimer = setTimeout(() => this.finish('ended'), remainingMs);
+
+        this.startRender();
+    }
+
+    /**
+     * Stop the clock, keeping the position
+     */
+    stopClock() {
+        this.positionMs = this.getPositionMs();
+        this.resumedAt = null;
+        clearTimeout(this.endTimer);
+        this.endTimer = null;
+
+        this.stopRender();
+    }
+
+    /**
+     * Resolve the pending play() call
+     * @param {string} reason - 'ended' or 'stopped'
+     */
+    finish(reason) {
+        if (this.settle) {
+            const settle = this.settle;
+            this.settle = null;
+            settle(reason);
+        }
+    }
+
+    /**
+     * Render the song from the current position to the output directory (if configured)
+     * Runs in real time, so the file ends where playback was paused, seeked or stopped.
+     */
+    startRender() {
+        const { outputDir, outputFormat } = config.player;
+        if (!outputDir || !this.currentFilePath) return;
+
+        const format = OUTPUT_FORMATS[outputFormat] || OUTPUT_FORMATS.wav;
+        const suffix = this.renderPart > 0 ? `-part${this.renderPart + 1}` : '';
+        const outputPath = path.join(outputDir, `${this.renderName}${suffix}.${format.extension}`);
+        this.renderPart++;
+
+        try {
+            fs.mkdirSync(outputDir, { recursive: true });
+        } catch (err) {
+            logger.error(`Cannot create player output directory ${outputDir}:`, err);
+            return;
+        }
+
+        const filters = [effectsService.buildFilterChain(), `volume=${(this.currentVolume / 100).toFixed(2)}`, 'arealtime']
+            .filter(Boolean)
+            .join(',');
+
+        const args = [
+            '-y',
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-ss', (this.positionMs / 1000).toFixed(3),
+            '-i', this.currentFilePath,
+            '-vn',
+            '-af', filters,
+            ...format.args,
+            outputPath
+        ];
+
+        logger.info(`Rendering playback to ${outputPath}`);
+        const renderProcess = spawn(getFFmpegPath(), args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        this.renderProcess = renderProcess;
+
+        renderProcess.stderr.on('data', (data) => logger.debug(`Null player render: ${data.toString().trim()}`));
+        renderProcess.on('error', (err) => logger.error('Null player render error:', err));
+        renderProcess.on('close', () => {
+            if (this.renderProcess === renderProcess) {
+                this.renderProcess = null;
+            }
+        });
+    }
+
+    /**
+     * Stop rendering (ffmpeg finalizes the file on SIGTERM)
+     */
+    stopRender() {
+        if (this.renderProcess) {
+            try {
+                this.renderProcess.kill('SIGTERM');
+            } catch (e) {
+                // Process might already be dead
+            }
+            this.renderProcess = null;
+        }
+    }
+
+    /**
+     * Read the file duration, falling back to a typical track length
+     * @param {string} filePath - Audio file
+     * @returns {Promise<number>} Duration in milliseconds
+     */
+    async getDurationMs(filePath) {
+        const { getAudioDuration } = require('../../services/metadata/metadata.service');
+        const duration = await getAudioDuration(filePath);
+        if (duration > 0) return duration;
+
+        logger.warn(`Could not read duration of ${filePath}, assuming ${FALLBACK_DURATION_MS / 1000}s`);
+        return FALLBACK_DURATION_MS;
+    }
+
+    /**
+     * Simulate playback of a file (event-driven)
+     * The clock ends at endOffset when set (trimmed trailing silence, or the time limit of a live stream URL).
+     */
+    async play(filePath, startOffset = 0, endOffset = null) {
+        await this.stop();
+
+        try {
+            const dbService = require('../database/db.service');
+            const savedVolume = dbService.getSetting('volume');
+            if (savedVolume !== null) {
+                this.currentVolume = savedVolume;
+            }
+        } catch (err) {
+            logger.debug('Could not load volume from database, using default:', err.message);
+        }
+
+        // Live streams have no duration to read
+        const isLive = !!getUrlHost(filePath);
+        this.durationMs = isLive && endOffset > 0 ? endOffset : await this.getDurationMs(filePath);
+        if (endOffset > 0) {
+            this.durationMs = Math.min(this.durationMs, endOffset);
+        }
+        this.currentFilePath = filePath;
+        this.positionMs = Math.min(Math.max(0, startOffset), this.durationMs);
+        this.isPlayingState = true;
+        this.renderName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${path.parse(filePath).name}`;
+        this.renderPart = 0;
+
+        logger.info(`Null player: "${path.basename(filePath)}" (${Math.round(this.durationMs / 1000)}s) from ${this.positionMs}ms`);
+
+        const effectsHandler = () => this.updateFilters();
+        const pauseHandler = () => this.pause();
+        const resumeHandler = () => this.resume();
+        const seekHandler = ({ positionMs }) => this.seek(positionMs);
+
+        eventBus.on(EFFECTS_CHANGED, effectsHandler);
+        eventBus.on(PLAYBACK_PAUSE, pauseHandler);
+        eventBus.on(PLAYBACK_RESUME, resumeHandler);
+        eventBus.on(PLAYBACK_SEEK, seekHandler);
+
+        const finished = new Promise((resolve) => {
+            this.settle = resolve;
+        });
+
+        eventBus.emit(PLAYBACK_STARTED, { filePath });
+        this.startClock();
+
+        const reason = await finished;
+
+        eventBus.removeListener(EFFECTS_CHANGED, effectsHandler);
+        eventBus.removeListener(PLAYBACK_PAUSE, pauseHandler);
+        eventBus.removeListener(PLAYBACK_RESUME, resumeHandler);
+        eventBus.removeListener(PLAYBACK_SEEK, seekHandler);
+
+        // Stopped (skip, new song): whoever stopped us reports the finish
+        if (reason === 'ended') {
+            logger.info('Playback ended: end of file (null player)');
+            await this.stop();
+            eventBus.emit(PLAYBACK_FINISHED, { filePath, reason: 'ended' });
+        }
+    }
+
+    /**
+     * Stop playback
+     */
+    async stop() {
+        this.finish('stopped');
+        this.stopClock();
+        this.positionMs = 0;
+        this.isPlayingState = false;
+        this.currentFilePath = null;
+    }
+
+    /**
+     * Pause playback
+     */
+    async pause() {
+        if (this.currentFilePath && this.resumedAt !== null) {
+            this.stopClock();
+            this.isPlayingState = false;
+            logger.info(`Paused at ${Math.round(this.positionMs)}ms`);
+        }
+    }
+
+    /**
+     * Resume playback
+     */
+    async resume() {
+        if (this.currentFilePath && this.resumedAt === null) {
+            this.isPlayingState = true;
+            this.startClock();
+            logger.info('Resumed');
+        }
+    }
+
+    /**
+     * Seek to position
+     */
+    async seek(positionMs) {
+        if (!this.currentFilePath) return;
+
+        const wasRunning = this.resumedAt !== null;
+        this.stopClock();
+        this.positionMs = Math.min(Math.max(0, positionMs), this.durationMs);
+        if (wasRunning) {
+            this.startClock();
+        }
+        logger.info(`Seeked to ${this.positionMs}ms`);
+    }
+
+    /**
+     * Get current playback position
+     */
+    async getPosition() {
+        return Math.round(this.getPositionMs());
+    }
+
+    /**
+     * Set volume (0-100)
+     * Only affects rendered output; the next render part picks it up.
+     */
+    async setVolume(volume) {
+        this.currentVolume = Math.max(0, Math.min(100, volume));
+        if (this.renderProcess) {
+            this.restartClock();
+        }
+    }
+
+    /**
+     * Get current volume
+     */
+    getVolume() {
+        return this.currentVolume;
+    }
+
+    /**
+     * Apply new effects (speed changes the clock rate, filters change the render)
+     */
+    async updateFilters() {
+        this.restartClock();
+    }
+
+    /**
+     * Restart the clock at the current position if it is running
+     */
+    restartClock() {
+        if (this.resumedAt !== null) {
+            this.stopClock();
+            this.startClock();
+        }
+    }
+
+    /**
+     * Check if playback is currently active
+     */
+    isPlaying() {
+        return this.isPlayingState;
+    }
+
+    /**
+     * Get the name of this backend
+     */
+    getName() {
+        return 'null';
+    }
+
+    /**
+     * Get current file path (for global skip handler)
+     */
+    getCurrentFilePath() {
+        return this.currentFilePath;
+    }
+}
+
+module.exports = NullPlayer;
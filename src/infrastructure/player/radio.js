@@ -0,0 +1,496 @@
+const { spawn } = require('child_process');
+const config = require('../../config');
+const { logger } = require('../../utils/logger.util');
+const { getFFmpegPath } = require('../../utils/dependencies.util');
+const dbService = require('../database/db.service');
+const effectsService = require('../../services/audio/effects.service');
+const { eventBus, RADIO_LISTENERS_CHANGED } = require('../../events');
+
+/**
+ * Radio Stream
+ *
+ * Serves the live mix as an Icecast-style HTTP MP3 stream:
+ * - A long-running ffmpeg encoder turns raw PCM into MP3 and fans it out to every listener
+ * - A per-song ffmpeg decoder feeds the encoder the current file with the same effects
+ *   chain and volume as the speakers, paced to real time (arealtime)
+ * - Silence fills the gaps (paused, between songs, nothing queued) so the stream never stalls
+ * - Listeners that send `Icy-MetaData: 1` get the song title and requester inline
+ *
+ * It follows the local player instead of tapping its output: whenever the song, position,
+ * effects or volume change, the decoder restarts at the player's current position.
+ * Nothing runs while nobody is listening.
+ */
+
+const SAMPLE_RATE = 44100;
+const CHANNELS = 2;
+const BYTES_PER_FRAME = CHANNELS * 2; // s16le
+const BYTES_PER_MS = (SAMPLE_RATE * BYTES_PER_FRAME) / 1000;
+
+// How often silence is written while the decoder is idle
+const SILENCE_INTERVAL_MS = 100;
+
+// Audio bytes between ICY metadata blocks
+const ICY_METAINT = 16000;
+
+// Drop listeners whose connection falls this far behind (bytes not yet sent)
+const MAX_LISTENER_BACKLOG_BYTES = 1024 * 1024;
+
+// Coalesces bursts of volume/effects changes into one decoder restart
+const RESTART_DEBOUNCE_MS = 250;
+
+class RadioStream {
+    constructor() {
+        this.listeners = new Set();
+        this.encoder = null;
+        this.decoder = null;
+        this.silenceTimer = null;
+        this.lastSilenceAt = 0;
+        this.restartTimer = null;
+        this.currentFilePath = null;
+        this.isPaused = false;
+        this.volume = null;
+        this.streamTitle = '';
+    }
+
+    /**
+     * Get the radio settings
+     * @returns {{enabled: boolean, bitrate: string, maxListeners: number}} Settings
+     */
+    getSettings() {
+        config._ensureSettingsLoaded();
+        const { radioEnabled, radioBitrate, radioMaxListeners } = config.playback;
+        return {
+            enabled: !!radioEnabled,
+            bitrate: radioBitrate || '128k',
+            maxListeners: radioMaxListeners > 0 ? radioMaxListeners : 10
+        };
+    }
+
+    /**
+     * Get the number of connected listeners
+     * @returns {number} Listener count
+     */
+    getListenerCount() {
+        return this.listeners.size;
+    }
+
+    /**
+     * Get the radio status for the dashboard
+     * @returns {{enabled: boolean, listeners: number, maxListeners: number, bitrate: string, path: string}}
+     */
+    getStatus() {
+        const { enabled, bitrate, maxListeners } = this.getSettings();
+        return {
+            enabled,
+            listeners: this.listeners.size,
+            maxListeners,
+            bitrate,
+            path: '/radio'
+        };
+    }
+
+    /**
+     * Check whether another listener can connect
+     * @returns {boolean} True if below the listener limit
+     */
+    hasRoom() {
+        return this.listeners.size < this.getSettings().maxListeners;
+    }
+
+    /**
+     * Attach an HTTP response as a listener
+     * Starts the encoder (and the current song) for the first listener.
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    addListener(req, res) {
+        const wantsMetadata = req.get('Icy-MetaData') === '1';
+        const { bitrate } = this.getSettings();
+
+        const headers = {
+            'Content-Type': 'audio/mpeg',
+            'Cache-Control': 'no-cache, no-store',
+            'Connection': 'keep-alive',
+            'icy-name': 'WabiSaby',
+            'icy-description': 'Live from the WabiSaby queue',
+            'icy-br': String(parseInt(bitrate, 10)),
+            'icy-pub': '0'
+        };
+        if (wantsMetadata) {
+            headers['icy-metaint'] = String(ICY_METAINT);
+        }
+        res.writeHead(200, headers);
+        res.flushHeaders();
+
+        const listener = {
+            res,
+            wantsMetadata,
+            bytesUntilMetadata: ICY_METAINT,
+            sentTitle: null
+        };
+        this.listeners.add(listener);
+        logger.info(`[Radio] Listener connected (${this.listeners.size} listening)`);
+
+        req.on('close', () => this.removeListener(listener));
+
+        if (!this.encoder) {
+            this.start();
+        }
+        this.emitListenersChanged();
+    }
+
+    /**
+     * Detach a listener, stopping everything when the last one leaves
+     * @param {Object} listener - Listener entry
+     */
+    removeListener(listener) {
+        if (!this.listeners.delete(listener)) return;
+
+        if (!listener.res.writableEnded) {
+            listener.res.end();
+        }
+        logger.info(`[Radio] Listener disconnected (${this.listeners.size} listening)`);
+
+        if (this.listeners.size === 0) {
+            this.stop();
+        }
+        this.emitListenersChanged();
+    }
+
+    /**
+     * Disconnect every listener (e.g. the radio was turned off)
+     */
+    disconnectAll() {
+        for (const listener of [...this.listeners]) {
+            this.removeListener(listener);
+        }
+    }
+
+    emitListenersChanged() {
+        eventBus.emit(RADIO_LISTENERS_CHANGED, { listeners: this.listeners.size });
+    }
+
+    /**
+     * Start the encoder, silence filler and (if a song is playing) the decoder
+     */
+    start() {
+        const { bitrate } = this.getSettings();
+        const args = [
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-f', 's16le',
+            '-ar', String(SAMPLE_RATE),
+            '-ac', String(CHANNELS),
+            '-i', 'pipe:0',
+            '-c:a', 'libmp3lame',
+            '-b:a', bitrate,
+            '-write_xing', '0',
+            '-flush_packets', '1',
+            '-f', 'mp3',
+            'pipe:1'
+        ];
+
+        logger.info(`[Radio] Starting encoder at ${bitrate}`);
+        const encoder = spawn(getFFmpegPath(), args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        this.encoder = encoder;
+
+        encoder.stdout.on('data', (chunk) => this.broadcast(chunk));
+        encoder.stderr.on('data', (data) => logger.debug(`[Radio] Encoder: ${data.toString().trim()}`));
+        encoder.stdin.on('error', (err) => logger.debug('[Radio] Encoder input closed:', err.message));
+        encoder.on('error', (err) => logger.error('[Radio] Encoder error:', err));
+        encoder.on('close', (code) => {
+            if (this.encoder !== encoder) return;
+            logger.warn(`[Radio] Encoder exited unexpectedly (code ${code})`);
+            this.encoder = null;
+            this.disconnectAll();
+        });
+
+        this.lastSilenceAt = Date.now();
+        this.silenceTimer = setInterval(() => this.writeSilence(), SILENCE_INTERVAL_MS);
+
+        this.sync();
+    }
+
+    /**
+     * Stop the decoder, silence filler and encoder
+     */
+    stop() {
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        clearInterval(this.silenceTimer);
+        this.silenceTimer = null;
+        this.stopDecoder();
+
+        if (this.encoder) {
+            const encoder = this.encoder;
+            this.encoder = null;
+            encoder.stdin.end();
+            encoder.kill();
+            logger.info('[Radio] Encoder stopped');
+        }
+    }
+
+    /**
+     * Keep the encoder fed with silence while no song is being decoded
+     * Writes however much time has passed, so timer drift doesn't starve listeners.
+     */
+    writeSilence() {
+        const now = Date.now();
+        const elapsed = now - this.lastSilenceAt;
+        this.lastSilenceAt = now;
+
+        if (this.decoder || !this.encoder) return;
+
+        const frames = Math.floor((elapsed * BYTES_PER_MS) / BYTES_PER_FRAME);
+        if (frames > 0) {
+            this.encoder.stdin.write(Buffer.alloc(frames * BYTES_PER_FRAME));
+        }
+    }
+
+    /**
+     * Decode a file into the encoder from a given position
+     * @param {string} filePath - Audio file
+     * @param {number} positionMs - Start position in milliseconds
+     */
+    startDecoder(filePath, positionMs = 0) {
+        this.stopDecoder();
+        if (!this.encoder) return;
+
+        const filters = [effectsService.buildFilterChain(), `volume=${(this.getVolume() / 100).toFixed(2)}`, 'arealtime']
+            .filter(Boolean)
+            .join(',');
+
+        const args = [
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-ss', (Math.max(0, positionMs) / 1000).toFixed(3),
+            '-i', filePath,
+            '-vn',
+            '-af', filters,
+            '-f', 's16le',
+            '-ar', String(SAMPLE_RATE),
+            '-ac', String(CHANNELS),
+            'pipe:1'
+        ];
+
+        logger.debug(`[Radio] Decoding ${filePath} from ${Math.round(positionMs)}ms`);
+        const decoder = spawn(getFFmpegPath(), args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        this.decoder = decoder;
+
+        decoder.stdout.on('data', (chunk) => {
+            if (this.decoder === decoder && this.encoder) {
+                this.encoder.stdin.write(chunk);
+            }
+        });
+        decoder.stderr.on('data', (data) => logger.debug(`[Radio] Decoder: ${data.toString().trim()}`));
+        decoder.on('error', (err) => logger.error('[Radio] Decoder error:', err));
+        decoder.on('close', () => {
+            if (this.decoder === decoder) {
+                this.decoder = null;
+                this.lastSilenceAt = Date.now();
+            }
+        });
+    }
+
+    stopDecoder() {
+        if (this.decoder) {
+            const decoder = this.decoder;
+            this.decoder = null;
+            this.lastSilenceAt = Date.now();
+            decoder.kill();
+        }
+    }
+
+    /**
+     * Restart the decoder at the local player's position
+     * No-op while nobody is listening, nothing is playing or playback is paused.
+     */
+    async sync() {
+        if (!this.encoder || !this.currentFilePath || this.isPaused) return;
+
+        const filePath = this.currentFilePath;
+        let positionMs = 0;
+        try {
+            positionMs = await require('./index').getPosition();
+        } catch (err) {
+            logger.debug('[Radio] Could not read player position:', err.message);
+        }
+
+        // The song may have changed while waiting for the player
+        if (this.currentFilePath === filePath && !this.isPaused) {
+            this.startDecoder(filePath, positionMs);
+        }
+    }
+
+    /**
+     * Sync after a short delay, so a dragged volume slider restarts the decoder once
+     */
+    scheduleSync() {
+        if (!this.encoder) return;
+        clearTimeout(this.restartTimer);
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.sync();
+        }, RESTART_DEBOUNCE_MS);
+    }
+
+    /**
+     * Get the volume to apply (mirrors the local player)
+     * @returns {number} Volume 0-100
+     */
+    getVolume() {
+        if (this.volume === null) {
+            const savedVolume = dbService.getSetting('volume');
+            this.volume = savedVolume !== null ? savedVolume : 100;
+        }
+        return this.volume;
+    }
+
+    /**
+     * A new song started on the local player
+     * @param {string} filePath - File being played
+     * @param {Object|null} song - Current song (title, artist, requester)
+     */
+    trackStarted(filePath, song) {
+        this.currentFilePath = filePath;
+        this.isPaused = false;
+        this.setMetadata(song);
+
+        if (this.encoder && !this.getSettings().enabled) {
+            logger.info('[Radio] Radio disabled, disconnecting listeners');
+            this.disconnectAll();
+            return;
+        }
+        this.sync();
+    }
+
+    /**
+     * The local player finished a song
+     * When crossfading, the old song keeps streaming until the next one starts.
+     * @param {boolean} crossfade - True if the next song is already fading in
+     */
+    trackFinished(crossfade = false) {
+        this.currentFilePath = null;
+        if (!crossfade) {
+            this.stopDecoder();
+        }
+        this.setMetadata(null);
+    }
+
+    pause() {
+        this.isPaused = true;
+        this.stopDecoder();
+    }
+
+    resume() {
+        this.isPaused = false;
+        this.sync();
+    }
+
+    /**
+     * @param {number} positionMs - New position in milliseconds
+     */
+    seek(positionMs) {
+        if (this.encoder && this.currentFilePath && !this.isPaused) {
+            this.startDecoder(this.currentFilePath, positionMs);
+        }
+    }
+
+    /**
+     * Effects changed (filter chain must be rebuilt)
+     */
+    refresh() {
+        this.scheduleSync();
+    }
+
+    /**
+     * @param {number} volume - Volume 0-100
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(100, volume));
+        this.scheduleSync();
+    }
+
+    /**
+     * Set the ICY stream title from a song
+     * @param {Object|null} song - Song with title, artist and requester
+     */
+    setMetadata(song) {
+        if (!song) {
+            this.streamTitle = '';
+            return;
+        }
+
+        config._ensureSettingsLoaded();
+        const name = [song.artist, song.title].filter(Boolean).join(' - ');
+        const requester = config.playback.showRequesterName && song.requester ? ` (${song.requester})` : '';
+        // ICY has no escaping, and a quote would end the value early
+        this.streamTitle = `${name}${requester}`.replace(/'/g, '’');
+    }
+
+    /**
+     * Build an ICY metadata block
+     * @param {string} title - Stream title
+     * @returns {Buffer} Length byte (in 16-byte units) followed by the padded text
+     */
+    buildMetadataBlock(title) {
+        let text = Buffer.from(`StreamTitle='${title}';`, 'utf8');
+        const maxLength = 255 * 16;
+        if (text.length > maxLength) {
+            text = text.subarray(0, maxLength);
+        }
+        const blocks = Math.ceil(text.length / 16);
+        const block = Buffer.alloc(1 + blocks * 16);
+        block[0] = blocks;
+        text.copy(block, 1);
+        return block;
+    }
+
+    /**
+     * Send encoded audio to every listener
+     * @param {Buffer} chunk - MP3 data
+     */
+    broadcast(chunk) {
+        for (const listener of [...this.listeners]) {
+            if (listener.res.writableLength > MAX_LISTENER_BACKLOG_BYTES) {
+                logger.warn('[Radio] Dropping listener that fell too far behind');
+                this.removeListener(listener);
+                continue;
+            }
+            this.writeToListener(listener, chunk);
+        }
+    }
+
+    /**
+     * Write audio to one listener, interleaving ICY metadata if requested
+     * The title is only sent when it changed; otherwise an empty block (single 0 byte).
+     * @param {Object} listener - Listener entry
+     * @param {Buffer} chunk - MP3 data
+     */
+    writeToListener(listener, chunk) {
+        if (!listener.wantsMetadata) {
+            listener.res.write(chunk);
+            return;
+        }
+
+        let offset = 0;
+        while (offset < chunk.length) {
+            const length = Math.min(listener.bytesUntilMetadata, chunk.length - offset);
+            listener.res.write(chunk.subarray(offset, offset + length));
+            offset += length;
+            listener.bytesUntilMetadata -= length;
+
+            if (listener.bytesUntilMetadata === 0) {
+                if (listener.sentTitle !== this.streamTitle) {
+                    listener.res.write(this.buildMetadataBlock(this.streamTitle));
+                    listener.sentTitle = this.streamTitle;
+                } else {
+                    listener.res.write(Buffer.alloc(1));
+                }
+                listener.bytesUntilMetadata = ICY_METAINT;
+            }
+        }
+    }
+}
+
+module.exports = new RadioStream();
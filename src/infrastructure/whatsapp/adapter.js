@@ -6,7 +6,7 @@ const { pino } = require('pino');
 const config = require('../../config');
 const { logger } = require('../../utils/logger.util');
 const services = require('../../services');
-const { eventBus, COMMAND_RECEIVED, MEDIA_RECEIVED, CONNECTION_CHANGED } = require('../../events');
+const { eventBus, COMMAND_RECEIVED, TEXT_MESSAGE_RECEIVED, MEDIA_RECEIVED, CONNECTION_CHANGED } = require('../../events');
 
 /**
  * WhatsApp Connection Module
@@ -44,6 +44,22 @@ class WhatsAppAdapter extends EventEmitter {
         this.setWhatsAppSocket = setWhatsAppSocketFn;
     }
 
+    /**
+     * Check if a message @mentions the bot's own account
+     * @param {Object} msg - Message object
+     * @param {Object} sock - WhatsApp socket
+     * @returns {boolean}
+     */
+    isBotMentioned(msg, sock) {
+        const mentionedJids = msg.message.extendedTextMessage?.contextInfo?.mentionedJid || [];
+        if (mentionedJids.length === 0 || !sock.user) return false;
+        
+        // JIDs may carry a device suffix (123:4@s.whatsapp.net); compare the user part only
+        const toUser = jid => jid.split('@')[0].split(':')[0];
+        const botUsers = [sock.user.id, sock.user.lid].filter(Boolean).map(toUser);
+        return mentionedJids.some(jid => botUsers.includes(toUser(jid)));
+    }
+
     /**
      * Delete auth state files (used when logged out)
      * @returns {Promise<void>}
@@ -285,15 +301,23 @@ class WhatsAppAdapter extends EventEmitter {
                     }
                 }
                 
-                // Handle Text Commands
-                if (messageContent && messageContent.startsWith('!')) {
+                // Track group activity for vote skip thresholds
+                if (!msg.key.fromMe && services?.playback?.voteSkip) {
+                    services.playback.voteSkip.recordActivity(remoteJid, sender);
+                }
+                
+                // Handle Text Commands (prefix and aliases are configured per group)
+                const parsedCommand = messageContent && services?.user?.groups
+                    ? services.user.groups.parseCommand(remoteJid, messageContent)
+                    : null;
+                if (parsedCommand) {
                     const commandParts = messageContent.trim().split(' ');
                     const command = commandParts[0].toLowerCase();
-                    const args = commandParts.slice(1);
+                    const args = parsedCommand.args;
                     const commandId = `cmd-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
                     
                     // Filter by monitored groups (except !ping which is allowed from any group)
-                    if (command !== '!ping') {
+                    if (parsedCommand.name !== 'ping') {
                         if (services?.user?.groups) {
                             const groups = services.user.groups.getGroups();
                             const isMonitored = services.user.groups.isGroupMonitored(remoteJid);
@@ -358,6 +382,27 @@ class WhatsAppAdapter extends EventEmitter {
                     return;
                 }
                 
+                // Natural-language mode: groups that opted in get bare links and @mentions handled.
+                // A bare number also goes through when the sender is answering a search picker.
+                if (messageContent && !msg.key.fromMe && services?.user?.groups) {
+                    const naturalLanguage = services.user.groups.getNaturalLanguageSettings(remoteJid);
+                    const isPickReply = /^\d+$/.test(messageContent.trim()) &&
+                        services.playback?.searchPicker?.hasPending(sender, remoteJid);
+                    if (naturalLanguage.enabled || isPickReply) {
+                        const textPayload = {
+                            text: messageContent,
+                            mentioned: this.isBotMentioned(msg, sock),
+                            sender,
+                            remoteJid,
+                            message: msg,
+                            socket: sock
+                        };
+                        this.emit(TEXT_MESSAGE_RECEIVED, textPayload);
+                        eventBus.emit(TEXT_MESSAGE_RECEIVED, textPayload);
+                        return;
+                    }
+                }
+                
                 // Handle Media Messages
                 if (services?.media?.isAudioMessage && services.media.isAudioMessage(msg)) {
                     // Filter by monitored groups
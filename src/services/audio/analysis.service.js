@@ -1,68 +1,166 @@
 const { spawn } = require('child_process');
+const os = require('os');
 const { logger } = require('../../utils/logger.util');
 
 /**
  * Audio Analysis Service
- * Analyzes audio files to determine their volume levels using ffmpeg
+ * Analyzes audio files to determine their volume levels (and silent stretches) using ffmpeg
  */
 
 /**
- * Analyze audio file to get RMS level in dB
- * Uses ffmpeg's volumedetect filter to analyze the audio
+ * Run an ffmpeg analysis filter over a whole file
  * @param {string} filePath - Path to audio file
- * @returns {Promise<number>} RMS level in dB (typically negative, e.g., -20.5)
+ * @param {string} filter - Analysis filter (its report is written to stderr)
+ * @param {Object} [options]
+ * @param {boolean} [options.lowPriority=false] - Run ffmpeg at the lowest CPU priority
+ * @returns {Promise<string>} ffmpeg stderr output
  */
-async function analyzeAudioLevel(filePath) {
+function runAnalysis(filePath, filter, options = {}) {
     return new Promise((resolve, reject) => {
         const ffmpeg = spawn('ffmpeg', [
+            '-hide_banner',
             '-i', filePath,
-            '-af', 'volumedetect',
+            '-af', filter,
             '-f', 'null',
             '-'
         ], { stdio: ['ignore', 'pipe', 'pipe'] });
-        
+
+        if (options.lowPriority && ffmpeg.pid) {
+            try {
+                os.setPriority(ffmpeg.pid, os.constants.priority.PRIORITY_LOWEST);
+            } catch (err) {
+                logger.debug(`Could not lower ffmpeg priority: ${err.message}`);
+            }
+        }
+
         let stderr = '';
         ffmpeg.stderr.on('data', (data) => {
             stderr += data.toString();
         });
-        
+
         ffmpeg.on('close', (code) => {
             if (code !== 0) {
                 reject(new Error(`ffmpeg analysis failed with code ${code}`));
                 return;
             }
-            
-            // Parse RMS level from output
-            // Example output line: "mean_volume: -20.5 dB"
-            const rmsMatch = stderr.match(/mean_volume:\s*(-?\d+\.?\d*)\s*dB/);
-            if (rmsMatch) {
-                const rmsDb = parseFloat(rmsMatch[1]);
-                logger.debug(`Audio analysis: ${filePath} RMS = ${rmsDb} dB`);
-                resolve(rmsDb);
-                return;
-            }
-            
-            // Fallback: try to get max_volume if mean_volume not found
-            const maxMatch = stderr.match(/max_volume:\s*(-?\d+\.?\d*)\s*dB/);
-            if (maxMatch) {
-                const maxDb = parseFloat(maxMatch[1]);
-                // Estimate RMS as max - 6dB (rough approximation for typical audio)
-                const estimatedRms = maxDb - 6;
-                logger.debug(`Audio analysis: ${filePath} (estimated RMS from max) = ${estimatedRms} dB`);
-                resolve(estimatedRms);
-                return;
-            }
-            
-            reject(new Error('Could not parse audio level from ffmpeg output. Output: ' + stderr.substring(0, 500)));
+            resolve(stderr);
         });
-        
+
         ffmpeg.on('error', (err) => {
             reject(new Error(`Failed to spawn ffmpeg process: ${err.message}`));
         });
     });
 }
 
+/**
+ * Analyze audio file to get RMS level in dB
+ * Uses ffmpeg's volumedetect filter to analyze the audio
+ * @param {string} filePath - Path to audio file
+ * @param {Object} [options] - See runAnalysis
+ * @returns {Promise<number>} RMS level in dB (typically negative, e.g., -20.5)
+ */
+async function analyzeAudioLevel(filePath, options = {}) {
+    const stderr = await runAnalysis(filePath, 'volumedetect', options);
+
+    // Parse RMS level from output
+    // Example output line: "mean_volume: -20.5 dB"
+    const rmsMatch = stderr.match(/mean_volume:\s*(-?\d+\.?\d*)\s*dB/);
+    if (rmsMatch) {
+        const rmsDb = parseFloat(rmsMatch[1]);
+        logger.debug(`Audio analysis: ${filePath} RMS = ${rmsDb} dB`);
+        return rmsDb;
+    }
+
+    // Fallback: try to get max_volume if mean_volume not found
+    const maxMatch = stderr.match(/max_volume:\s*(-?\d+\.?\d*)\s*dB/);
+    if (maxMatch) {
+        const maxDb = parseFloat(maxMatch[1]);
+        // Estimate RMS as max - 6dB (rough approximation for typical audio)
+        const estimatedRms = maxDb - 6;
+        logger.debug(`Audio analysis: ${filePath} (estimated RMS from max) = ${estimatedRms} dB`);
+        return estimatedRms;
+    }
+
+    throw new Error('Could not parse audio level from ffmpeg output. Output: ' + stderr.substring(0, 500));
+}
+
+/**
+ * Measure EBU R128 loudness of an audio file (first pass of loudnorm)
+ * The measurements are stored and turned into a gain at playback, so the
+ * second pass is just a volume filter (see volume-normalization.service).
+ * @param {string} filePath - Path to audio file
+ * @param {Object} [options] - See runAnalysis
+ * @returns {Promise<{integrated: number, truePeak: number, range: number}>}
+ *   Integrated loudness (LUFS), true peak (dBTP) and loudness range (LU)
+ */
+async function analyzeLoudness(filePath, options = {}) {
+    const stderr = await runAnalysis(filePath, 'loudnorm=print_format=json', options);
+
+    // loudnorm prints its report as the last JSON object in the output
+    const jsonStart = stderr.lastIndexOf('{');
+    const jsonEnd = stderr.lastIndexOf('}');
+    if (jsonStart === -1 || jsonEnd < jsonStart) {
+        throw new Error('Could not find loudness report in ffmpeg output. Output: ' + stderr.substring(0, 500));
+    }
+
+    const report = JSON.parse(stderr.substring(jsonStart, jsonEnd + 1));
+    const loudness = {
+        integrated: parseFloat(report.input_i),
+        truePeak: parseFloat(report.input_tp),
+        range: parseFloat(report.input_lra)
+    };
+
+    // Silent files report -inf
+    if (!Object.values(loudness).every(Number.isFinite)) {
+        throw new Error(`Could not measure loudness (integrated: ${report.input_i}, true peak: ${report.input_tp})`);
+    }
+
+    logger.debug(`Loudness analysis: ${filePath} I = ${loudness.integrated} LUFS, TP = ${loudness.truePeak} dBTP, LRA = ${loudness.range} LU`);
+    return loudness;
+}
+
+/**
+ * Find the silent stretches of an audio file
+ * Uses ffmpeg's silencedetect filter; a silence still running at the end of the
+ * file (no silence_end reported) is closed at the file's duration.
+ * @param {string} filePath - Path to audio file
+ * @param {Object} detection
+ * @param {number} detection.thresholdDb - Level below which audio counts as silence (e.g. -50)
+ * @param {number} detection.minDurationSec - Shortest silence to report, in seconds
+ * @param {Object} [options] - See runAnalysis
+ * @returns {Promise<{durationMs: number|null, silences: Array<{startMs: number, endMs: number}>}>}
+ */
+async function detectSilence(filePath, { thresholdDb, minDurationSec }, options = {}) {
+    const stderr = await runAnalysis(filePath, `silencedetect=noise=${thresholdDb}dB:d=${minDurationSec}`, options);
+
+    // Example input line: "Duration: 00:03:21.45, start: 0.000000, bitrate: 128 kb/s"
+    const durationMatch = stderr.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    const durationMs = durationMatch
+        ? Math.round(((parseInt(durationMatch[1], 10) * 60 + parseInt(durationMatch[2], 10)) * 60 + parseFloat(durationMatch[3])) * 1000)
+        : null;
+
+    // Example output lines: "silence_start: 198.4" / "silence_end: 201.45 | silence_duration: 3.05"
+    const silences = [];
+    let openStart = null;
+    for (const match of stderr.matchAll(/silence_(start|end):\s*(-?\d+(?:\.\d+)?)/g)) {
+        const ms = Math.max(0, Math.round(parseFloat(match[2]) * 1000));
+        if (match[1] === 'start') {
+            openStart = ms;
+        } else if (openStart !== null) {
+            silences.push({ startMs: openStart, endMs: ms });
+            openStart = null;
+        }
+    }
+    if (openStart !== null && durationMs !== null) {
+        silences.push({ startMs: openStart, endMs: durationMs });
+    }
+
+    logger.debug(`Silence detection: ${filePath} ${silences.length} silence(s) in ${durationMs ?? '?'}ms`);
+    return { durationMs, silences };
+}
+
 module.exports = {
-    analyzeAudioLevel
+    analyzeAudioLevel,
+    analyzeLoudness,
+    detectSilence
 };
-
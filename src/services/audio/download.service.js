@@ -1,24 +1,36 @@
 const fs = require('fs');
 const { logger } = require('../../utils/logger.util');
 const config = require('../../config');
-const { downloadFromYouTube } = require('../youtube/download.service');
+const { downloadWithFallback } = require('../youtube/fallback.service');
 const { getSpotifyMetadata } = require('../spotify/metadata.service');
 const { searchYouTube } = require('../youtube/search.service');
-const { isSpotifyUrl, isYouTubeUrl, isFilePath } = require('../../utils/url.util');
+const { isSpotifyUrl, isYouTubeUrl, isFilePath, isDirectAudioUrl } = require('../../utils/url.util');
+const libraryCache = require('../cache/library-cache.service');
+const { getSourceProvider } = require('../sources');
+const httpAudio = require('../media/http-audio.service');
 
 /**
  * Audio Download Service
- * Handles downloading audio from various sources (YouTube, Spotify)
+ * Handles downloading audio from various sources (YouTube, Spotify, SoundCloud, Bandcamp, other yt-dlp sites,
+ * direct audio file links)
+ * Downloads are kept in the library cache and reused when the same video is requested again.
+ * Failed YouTube downloads fall back to alternate uploads and other player clients.
  */
 
 /**
- * Download a track from YouTube or Spotify
+ * Download a track from YouTube, Spotify, another source provider or a direct audio file link
  * @param {string} url - URL or search query
  * @param {function} progressCallback - Optional progress callback
  * @param {function} metadataCallback - Optional callback called with {title, artist} as soon as metadata is available
- * @returns {Promise<{filePath: string, thumbnailPath: string|null, title: string, artist: string, url: string}>}
+ * @param {Object} [options]
+ * @param {boolean} [options.direct=false] - The URL is an audio file (for links without an audio file extension)
+ * @param {Object} [options.track] - Song as queued ({title, artist, duration} with duration in seconds),
+ *   used to find an alternate upload if the YouTube download fails
+ * @returns {Promise<{filePath: string, thumbnailPath: string|null, title: string, artist: string, url: string,
+ *   attempts: Array<Object>}>} Download result; url is the alternate upload if the original failed, and attempts
+ *   lists the fallback attempts made (empty when the first download worked)
  */
-async function downloadTrack(url, progressCallback = null, metadataCallback = null) {
+async function downloadTrack(url, progressCallback = null, metadataCallback = null, options = {}) {
     const downloadLogger = logger.child({
         component: 'download',
         context: {
@@ -43,8 +55,21 @@ async function downloadTrack(url, progressCallback = null, metadataCallback = nu
         let artist = '';
         let originalTitle = '';
         let originalArtist = '';
+        let expectedDuration = null;
+        const isDirect = options.direct || isDirectAudioUrl(url);
+        const sourceProvider = isDirect ? null : getSourceProvider(url);
 
-        if (isSpotifyUrl(url)) {
+        if (isDirect) {
+            if (progressCallback) progressCallback({ percent: 0, status: 'preparing' });
+            const trackInfo = await httpAudio.getTrackInfo(url);
+            title = trackInfo.title;
+            artist = trackInfo.artist;
+
+            // Call metadata callback early if provided (allows parallel lyrics fetch)
+            if (metadataCallback) {
+                metadataCallback({ title, artist });
+            }
+        } else if (isSpotifyUrl(url)) {
             if (progressCallback) progressCallback({ percent: 0, status: 'resolving' });
             downloadLogger.info({
                 context: { event: 'spotify_resolve_started' }
@@ -63,6 +88,7 @@ async function downloadTrack(url, progressCallback = null, metadataCallback = nu
             // Store original metadata for verification
             originalTitle = metadata.title;
             originalArtist = metadata.primaryArtist || metadata.artist;
+            expectedDuration = metadata.duration || null;
 
             // Call metadata callback early if provided (allows parallel lyrics fetch)
             if (metadataCallback) {
@@ -100,6 +126,7 @@ async function downloadTrack(url, progressCallback = null, metadataCallback = nu
                 const trackInfo = await getTrackInfo(url);
                 title = trackInfo.title;
                 artist = trackInfo.artist || '';
+                expectedDuration = trackInfo.duration || null;
                 
                 // Call metadata callback early if provided (allows parallel lyrics fetch)
                 if (metadataCallback) {
@@ -109,6 +136,21 @@ async function downloadTrack(url, progressCallback = null, metadataCallback = nu
                 logger.warn(`Failed to get video info for ${url}, trying download directly. Error: ${e.message}`);
                 title = `YouTube_Track_${Date.now()}`;
             }
+        } else if (sourceProvider) {
+            if (progressCallback) progressCallback({ percent: 0, status: 'preparing' });
+            try {
+                const trackInfo = await sourceProvider.getTrackInfo(url);
+                title = trackInfo.title;
+                artist = trackInfo.artist || '';
+
+                // Call metadata callback early if provided (allows parallel lyrics fetch)
+                if (metadataCallback) {
+                    metadataCallback({ title, artist });
+                }
+            } catch (e) {
+                logger.warn(`Failed to get ${sourceProvider.name} track info for ${url}, trying download directly. Error: ${e.message}`);
+                title = `${sourceProvider.name}_Track_${Date.now()}`;
+            }
         } else {
             // Treat non-URL as search query
             if (!url.startsWith('http')) {
@@ -132,6 +174,7 @@ async function downloadTrack(url, progressCallback = null, metadataCallback = nu
                 url = videoInfo.url;
                 title = videoInfo.title;
                 artist = videoInfo.artist;
+                expectedDuration = videoInfo.duration || null;
                 
                 // Call metadata callback early if provided (allows parallel lyrics fetch)
                 if (metadataCallback) {
@@ -140,6 +183,30 @@ async function downloadTrack(url, progressCallback = null, metadataCallback = nu
             }
         }
 
+        // Reuse the library copy if this track was downloaded before
+        const useLibrary = libraryCache.isEnabled();
+        const cached = useLibrary ? libraryCache.lookup(url, { direct: isDirect }) : null;
+        if (cached) {
+            downloadLogger.info({
+                context: {
+                    event: 'library_cache_hit',
+                    title,
+                    filePath: cached.filePath
+                }
+            }, `Using library copy: ${title}`);
+
+            if (progressCallback) progressCallback({ percent: 100, status: 'complete' });
+
+            return {
+                filePath: cached.filePath,
+                thumbnailPath: cached.thumbnailPath,
+                title: title,
+                artist: artist,
+                url: url,
+                attempts: []
+            };
+        }
+
         downloadLogger.info({
             context: {
                 event: 'download_started',
@@ -149,10 +216,22 @@ async function downloadTrack(url, progressCallback = null, metadataCallback = nu
             }
         }, `Downloading: ${title}`);
 
-        const outputPath = config.getOutputPath(title);
-
-        // Download using YouTube download service
-        const downloadResult = await downloadFromYouTube(url, outputPath, title, progressCallback);
+        // Download the file itself, from the source provider, or from YouTube (Spotify links and searches resolve to YouTube)
+        let downloadResult;
+        if (isDirect) {
+            downloadResult = await httpAudio.downloadAudio(url, title, progressCallback);
+        } else if (sourceProvider) {
+            downloadResult = await sourceProvider.download(url, config.getOutputPath(title), title, progressCallback);
+        } else {
+            // The queued song's details win over placeholders (e.g. when the video info couldn't be read)
+            const track = options.track || {};
+            downloadResult = await downloadWithFallback(url, title, progressCallback, {
+                title: originalTitle || track.title || title,
+                artist: originalArtist || track.artist || artist,
+                duration: expectedDuration || track.duration || null
+            });
+            url = downloadResult.url;
+        }
 
         if (!fs.existsSync(downloadResult.audioPath)) {
             downloadLogger.error({
@@ -165,8 +244,24 @@ async function downloadTrack(url, progressCallback = null, metadataCallback = nu
             throw new Error('Output file not found after download');
         }
 
+        // Keep the file for later requests, making room if the library is over budget
+        let filePath = downloadResult.audioPath;
+        if (useLibrary) {
+            filePath = libraryCache.store(url, {
+                filePath,
+                thumbnailPath: downloadResult.thumbnailPath,
+                title,
+                artist
+            }, { direct: isDirect });
+            try {
+                libraryCache.enforceBudget([filePath]);
+            } catch (err) {
+                downloadLogger.warn(`Library cache eviction failed: ${err.message}`);
+            }
+        }
+
         const downloadDuration = Date.now() - downloadStartTime;
-        const fileStats = fs.statSync(downloadResult.audioPath);
+        const fileStats = fs.statSync(filePath);
         
         downloadLogger.info({
             context: {
@@ -175,17 +270,18 @@ async function downloadTrack(url, progressCallback = null, metadataCallback = nu
                 artist,
                 duration: downloadDuration,
                 fileSize: fileStats.size,
-                filePath: downloadResult.audioPath,
+                filePath,
                 hasThumbnail: !!downloadResult.thumbnailPath
             }
         }, `Download completed: ${title}`);
 
         return {
-            filePath: downloadResult.audioPath,
+            filePath: filePath,
             thumbnailPath: downloadResult.thumbnailPath || null,
             title: title,
             artist: artist,
-            url: url
+            url: url,
+            attempts: downloadResult.attempts || []
         };
 
     } catch (error) {
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { logger } = require('../../utils/logger.util');
 const dbService = require('../../infrastructure/database/db.service');
 const { eventBus, EFFECTS_CHANGED } = require('../../events');
@@ -7,6 +8,33 @@ const { eventBus, EFFECTS_CHANGED } = require('../../events');
  * Manages audio effects settings for ffplay playback
  */
 
+// Center frequencies (Hz) of the 10-band parametric EQ (ISO octave bands)
+const PARAMETRIC_EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Default band Q (about one octave wide)
+const PARAMETRIC_EQ_Q = 1.41;
+
+// Level of the first delay repeat, and how many repeats are rendered at most
+const DELAY_WET_LEVEL = 0.5;
+const MAX_DELAY_REPEATS = 6;
+
+// User-defined presets
+const MAX_PRESET_NAME_LENGTH = 40;
+const USER_PRESET_ICON = 'fa-bookmark';
+const PRESET_EXPORT_VERSION = 1;
+
+/**
+ * Create an error the controllers map to an HTTP status
+ * @param {string} name - 'ValidationError', 'ConflictError' or 'ForbiddenError'
+ * @param {string} message - Error message
+ * @returns {Error} Error with the given name
+ */
+function presetError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
 class EffectsService {
     constructor() {
         this.effects = this.getDefaultEffects();
@@ -28,6 +56,14 @@ class EffectsService {
                 mid: 0,
                 treble: 0
             },
+            parametricEq: {
+                enabled: false,
+                bands: PARAMETRIC_EQ_FREQUENCIES.map(frequency => ({
+                    frequency,          // 20 to 20000 Hz
+                    gain: 0,            // -20 to +20 dB
+                    q: PARAMETRIC_EQ_Q  // 0.1 to 10
+                }))
+            },
             reverb: {
                 enabled: false,
                 roomSize: 0.5,
@@ -42,7 +78,7 @@ class EffectsService {
             delay: {
                 enabled: false,
                 delay: 500,   // ms
-                feedback: 0.3
+                feedback: 0.3 // 0 to 0.9, level of each repeat relative to the previous one
             },
             distortion: {
                 enabled: false,
@@ -55,7 +91,11 @@ class EffectsService {
             },
             limiter: {
                 enabled: false,
-                limit: -1
+                limit: -1     // dB ceiling, -24 to 0
+            },
+            stereo: {
+                width: 1.0,   // 0 = mono, 1 = unchanged, 2 = extra wide
+                balance: 0    // -1 = left, 0 = center, 1 = right
             },
             preset: 'normal'
         };
@@ -243,9 +283,9 @@ class EffectsService {
             // Merge with defaults to ensure all fields exist
             this.effects = this.mergeWithDefaults(loaded);
             
-            // Validate preset exists, reset to default if invalid
+            // Validate preset exists (built-in or user-defined), reset to default if invalid
             // Allow 'custom' as a special preset state (set when effects are manually tweaked)
-            if (this.effects.preset && this.effects.preset !== 'custom' && !this.presets[this.effects.preset]) {
+            if (this.effects.preset && this.effects.preset !== 'custom' && !this.getPreset(this.effects.preset)) {
                 logger.warn(`Invalid preset "${this.effects.preset}" found in database, resetting to default`);
                 this.effects.preset = 'normal';
                 this.effects = this.mergeWithDefaults(this.effects);
@@ -272,7 +312,21 @@ class EffectsService {
             delay: { ...defaults.delay, ...loaded.delay },
             distortion: { ...defaults.distortion, ...loaded.distortion },
             compressor: { ...defaults.compressor, ...loaded.compressor },
-            limiter: { ...defaults.limiter, ...loaded.limiter }
+            limiter: { ...defaults.limiter, ...loaded.limiter },
+            parametricEq: this.mergeParametricEq(defaults.parametricEq, loaded.parametricEq),
+            stereo: { ...defaults.stereo, ...loaded.stereo }
+        };
+    }
+
+    /**
+     * Merge parametric EQ settings band by band, always keeping 10 bands
+     */
+    mergeParametricEq(defaults, loaded = {}) {
+        const bands = Array.isArray(loaded?.bands) ? loaded.bands : [];
+        return {
+            ...defaults,
+            ...loaded,
+            bands: defaults.bands.map((band, index) => ({ ...band, ...bands[index] }))
         };
     }
 
@@ -296,15 +350,310 @@ class EffectsService {
     }
 
     /**
-     * Get all available presets
+     * Get the effects for a queue item: its own preset if it has one, otherwise the global effects
+     * A preset that no longer exists (e.g. a deleted user preset) falls back to the global effects.
+     * @param {Object|null} item - Queue item or current song
+     * @returns {Object} Effects settings
+     */
+    getItemEffects(item) {
+        if (item?.effectsPreset) {
+            const preset = this.getPreset(item.effectsPreset);
+            if (preset) {
+                return { ...preset.settings };
+            }
+            logger.debug(`Effect preset "${item.effectsPreset}" of "${item.title}" no longer exists, using global effects`);
+        }
+        return this.getEffects();
+    }
+
+    /**
+     * Get the effects that apply right now (the playing item's override, if any)
+     * @returns {Object} Effects settings
+     */
+    getActiveEffects() {
+        try {
+            const services = require('../');
+            return this.getItemEffects(services.playback.orchestrator.getCurrent());
+        } catch (err) {
+            logger.debug('Could not read the current song for effect overrides:', err.message);
+            return this.getEffects();
+        }
+    }
+
+    /**
+     * Find a preset by ID or name (case-insensitive), e.g. for `!play song --preset slowed`
+     * @param {string} query - Preset ID or name
+     * @returns {string|null} Preset ID, or null if no preset matches
+     */
+    findPresetId(query) {
+        const wanted = String(query || '').trim().toLowerCase();
+        if (!wanted) return null;
+
+        const match = this.getPresetsInfo().find(preset =>
+            preset.id.toLowerCase() === wanted || preset.name.toLowerCase() === wanted
+        );
+        return match ? match.id : null;
+    }
+
+    /**
+     * Get all available presets (built-ins first, then user-defined)
      */
     getPresetsInfo() {
-        return Object.entries(this.presets).map(([key, preset]) => ({
+        const builtIn = Object.entries(this.presets).map(([key, preset]) => ({
             id: key,
             name: preset.name,
             icon: preset.icon,
-            description: preset.description
+            description: preset.description,
+            builtIn: true
         }));
+        const user = this.getUserPresets().map(record => ({
+            id: record.id,
+            name: record.name,
+            icon: USER_PRESET_ICON,
+            description: record.description || '',
+            builtIn: false
+        }));
+        return [...builtIn, ...user];
+    }
+
+    /**
+     * Check whether a preset ID is one of the built-in (read-only) presets
+     */
+    isBuiltInPreset(presetId) {
+        return Object.prototype.hasOwnProperty.call(this.presets, presetId);
+    }
+
+    /**
+     * Get the user-defined presets from the database
+     * @returns {Array<Object>} Preset records (empty if the database isn't ready)
+     */
+    getUserPresets() {
+        try {
+            return dbService.getEffectPresets();
+        } catch (err) {
+            logger.debug('Could not load user effect presets:', err.message);
+            return [];
+        }
+    }
+
+    /**
+     * Find a preset by ID
+     * @param {string} presetId - Built-in key or user preset ID
+     * @returns {Object|null} Preset ({ name, icon, description, settings, builtIn }) or null
+     */
+    getPreset(presetId) {
+        if (this.isBuiltInPreset(presetId)) {
+            return { ...this.presets[presetId], builtIn: true };
+        }
+
+        let record = null;
+        try {
+            record = dbService.getEffectPreset(presetId);
+        } catch (err) {
+            logger.debug('Could not load user effect preset:', err.message);
+        }
+        if (!record) return null;
+
+        return {
+            name: record.name,
+            icon: USER_PRESET_ICON,
+            description: record.description || '',
+            settings: { ...this.toPresetSettings(record.settings), preset: record.id },
+            builtIn: false
+        };
+    }
+
+    /**
+     * Keep only effect settings (no preset marker, no unknown keys), filled with defaults
+     * @param {Object} settings - Effects settings
+     * @returns {Object} Settings suitable for storing in a preset
+     */
+    toPresetSettings(settings) {
+        const defaults = this.getDefaultEffects();
+        const known = Object.keys(defaults).filter(key => key !== 'preset' && settings?.[key] !== undefined);
+        const picked = Object.fromEntries(known.map(key => [key, settings[key]]));
+        const merged = this.mergeWithDefaults(picked);
+        delete merged.preset;
+        return merged;
+    }
+
+    /**
+     * Check a user preset name, throwing if it is invalid or taken
+     * @param {string} name - Proposed name
+     * @param {string|null} presetId - ID of the preset being renamed (may keep its own name)
+     * @returns {string} Trimmed name
+     */
+    assertPresetName(name, presetId = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw presetError('ValidationError', 'Preset name is required');
+        }
+        if (trimmed.length > MAX_PRESET_NAME_LENGTH) {
+            throw presetError('ValidationError', `Preset name must be at most ${MAX_PRESET_NAME_LENGTH} characters`);
+        }
+
+        const lower = trimmed.toLowerCase();
+        const clashesWithBuiltIn = Object.entries(this.presets)
+            .some(([key, preset]) => key.toLowerCase() === lower || preset.name.toLowerCase() === lower);
+        const existing = dbService.getEffectPresetByName(trimmed);
+        if (clashesWithBuiltIn || (existing && existing.id !== presetId)) {
+            throw presetError('ConflictError', `Preset "${trimmed}" already exists`);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Save effects as a new user-defined preset
+     * @param {string} name - Preset name
+     * @param {Object} options - { description, settings } (settings default to the current effects)
+     * @returns {Object} Preset info
+     */
+    createPreset(name, options = {}) {
+        const presetName = this.assertPresetName(name);
+        const settings = this.toPresetSettings(options.settings || this.effects);
+        const errors = this.validate(settings);
+        if (errors.length > 0) {
+            throw presetError('ValidationError', errors.join(', '));
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        dbService.createEffectPreset({
+            id,
+            name: presetName,
+            description: typeof options.description === 'string' ? options.description.trim() : null,
+            settings
+        });
+        logger.info(`Created effect preset "${presetName}"`);
+
+        // Saved from the current effects: they now match the new preset
+        if (!options.settings) {
+            this.effects.preset = id;
+            this.save();
+        }
+        this.broadcastToClients(this.effects);
+
+        return this.getPresetsInfo().find(preset => preset.id === id);
+    }
+
+    /**
+     * Rename a user-defined preset
+     * @param {string} presetId - Preset ID
+     * @param {string} name - New name
+     * @returns {Object|null} Preset info or null if not found
+     */
+    renamePreset(presetId, name) {
+        if (this.isBuiltInPreset(presetId)) {
+            throw presetError('ForbiddenError', 'Built-in presets are read-only');
+        }
+        if (!this.getPreset(presetId)) return null;
+
+        const presetName = this.assertPresetName(name, presetId);
+        dbService.renameEffectPreset(presetId, presetName);
+        this.broadcastToClients(this.effects);
+
+        return this.getPresetsInfo().find(preset => preset.id === presetId);
+    }
+
+    /**
+     * Delete a user-defined preset
+     * If it is the active preset, the effects stay as they are and become 'custom'.
+     * @param {string} presetId - Preset ID
+     * @returns {boolean} True if deleted
+     */
+    deletePreset(presetId) {
+        if (this.isBuiltInPreset(presetId)) {
+            throw presetError('ForbiddenError', 'Built-in presets are read-only');
+        }
+        if (!dbService.deleteEffectPreset(presetId)) return false;
+
+        if (this.effects.preset === presetId) {
+            this.effects.preset = 'custom';
+            this.save();
+        }
+        this.broadcastToClients(this.effects);
+        logger.info(`Deleted effect preset ${presetId}`);
+        return true;
+    }
+
+    /**
+     * Export user-defined presets as JSON-serializable data
+     * @param {Array<string>|null} presetIds - Presets to export (all if null)
+     * @returns {Object} { version, exportedAt, presets: [{ name, description, settings }] }
+     */
+    exportPresets(presetIds = null) {
+        const presets = this.getUserPresets()
+            .filter(record => !presetIds || presetIds.includes(record.id))
+            .map(record => ({
+                name: record.name,
+                description: record.description || '',
+                settings: this.toPresetSettings(record.settings)
+            }));
+
+        return {
+            version: PRESET_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            presets
+        };
+    }
+
+    /**
+     * Import presets from exported data
+     * Everything is validated before anything is saved. Names that are already
+     * taken get a numbered suffix ("Party (2)").
+     * @param {Object|Array} data - Export object, array of presets or a single preset
+     * @returns {Array<Object>} Created preset infos
+     */
+    importPresets(data) {
+        let presets = data;
+        if (data && Array.isArray(data.presets)) presets = data.presets;
+        if (presets && !Array.isArray(presets)) presets = [presets];
+        if (!Array.isArray(presets) || presets.length === 0) {
+            throw presetError('ValidationError', 'No presets to import');
+        }
+        if (data?.version > PRESET_EXPORT_VERSION) {
+            throw presetError('ValidationError', `Unsupported preset export version ${data.version}`);
+        }
+
+        presets.forEach((preset, index) => {
+            const label = preset?.name ? `Preset "${preset.name}"` : `Preset ${index + 1}`;
+            if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+                throw presetError('ValidationError', `${label}: name is required`);
+            }
+            if (preset.name.trim().length > MAX_PRESET_NAME_LENGTH) {
+                throw presetError('ValidationError', `${label}: name must be at most ${MAX_PRESET_NAME_LENGTH} characters`);
+            }
+            if (!preset.settings || typeof preset.settings !== 'object') {
+                throw presetError('ValidationError', `${label}: settings are required`);
+            }
+            const errors = this.validate(preset.settings);
+            if (errors.length > 0) {
+                throw presetError('ValidationError', `${label}: ${errors.join(', ')}`);
+            }
+        });
+
+        return presets.map(preset => {
+            const baseName = preset.name.trim();
+            let name = baseName;
+            for (let n = 2; this.isPresetNameTaken(name); n++) {
+                const suffix = ` (${n})`;
+                name = `${baseName.slice(0, MAX_PRESET_NAME_LENGTH - suffix.length)}${suffix}`;
+            }
+            return this.createPreset(name, { description: preset.description, settings: preset.settings });
+        });
+    }
+
+    /**
+     * Check whether a preset name is used by a built-in or user-defined preset
+     */
+    isPresetNameTaken(name) {
+        try {
+            this.assertPresetName(name);
+            return false;
+        } catch (err) {
+            if (err.name === 'ConflictError') return true;
+            throw err;
+        }
     }
 
     /**
@@ -323,7 +672,7 @@ class EffectsService {
      * Apply a preset
      */
     applyPreset(presetId) {
-        const preset = this.presets[presetId];
+        const preset = this.getPreset(presetId);
         if (!preset) {
             throw new Error(`Unknown preset: ${presetId}`);
         }
@@ -346,11 +695,12 @@ class EffectsService {
     }
 
     /**
-     * Build FFmpeg filter chain from current effects
+     * Build FFmpeg filter chain from the active effects (the playing item's preset, if any)
      * @returns {string} Filter chain string for -af parameter
      */
     buildFilterChain() {
         const filters = [];
+        const effects = this.getActiveEffects();
         
         // Check for volume normalization first (works independently of effects)
         try {
@@ -377,7 +727,7 @@ class EffectsService {
         }
         
         // If effects are disabled, apply volume and return early
-        if (!this.effects.enabled) {
+        if (!effects.enabled) {
             // Apply manual volume control even when effects are disabled
             try {
                 const player = require('../../infrastructure/player');
@@ -394,9 +744,9 @@ class EffectsService {
         }
 
         // Speed/Tempo adjustment using atempo (supports 0.5-2.0)
-        if (this.effects.speed !== 1.0) {
+        if (effects.speed !== 1.0) {
             // atempo only supports 0.5-2.0, so chain multiple if needed
-            let speed = this.effects.speed;
+            let speed = effects.speed;
             while (speed < 0.5) {
                 filters.push('atempo=0.5');
                 speed = speed / 0.5;
@@ -411,15 +761,15 @@ class EffectsService {
         }
 
         // Pitch adjustment using asetrate + aresample (for nightcore effect)
-        if (this.effects.pitch && this.effects.pitch !== 1.0) {
+        if (effects.pitch && effects.pitch !== 1.0) {
             const sampleRate = 44100;
-            const newRate = Math.round(sampleRate * this.effects.pitch);
+            const newRate = Math.round(sampleRate * effects.pitch);
             filters.push(`asetrate=${newRate}`);
             filters.push(`aresample=${sampleRate}`);
         }
 
         // EQ using bass/treble filters (widely supported in ffmpeg)
-        const eq = this.effects.eq;
+        const eq = effects.eq;
         if (eq.bass !== 0) {
             filters.push(`bass=g=${eq.bass}:f=100:w=0.5`);
         }
@@ -431,9 +781,18 @@ class EffectsService {
             filters.push(`equalizer=f=1000:t=h:w=1000:g=${eq.mid}`);
         }
 
+        // Parametric EQ: one peaking filter per band that is boosted or cut
+        if (effects.parametricEq?.enabled) {
+            effects.parametricEq.bands.forEach(band => {
+                if (band.gain !== 0) {
+                    filters.push(`equalizer=f=${band.frequency}:t=q:w=${band.q}:g=${band.gain}`);
+                }
+            });
+        }
+
         // Reverb simulation using aecho (multiple reflections for room feel)
-        if (this.effects.reverb?.enabled) {
-            const rev = this.effects.reverb;
+        if (effects.reverb?.enabled) {
+            const rev = effects.reverb;
             const baseDelay = Math.round(20 + 80 * rev.roomSize);
             const decayVal = 0.3 + rev.wetLevel * 0.4;
             // Multi-tap echo for reverb simulation
@@ -441,14 +800,19 @@ class EffectsService {
         }
 
         // Echo effect
-        if (this.effects.echo?.enabled) {
-            const echo = this.effects.echo;
+        if (effects.echo?.enabled) {
+            const echo = effects.echo;
             filters.push(`aecho=0.8:0.9:${echo.delay}:${echo.decay.toFixed(2)}`);
         }
 
+        // Delay with feedback
+        if (effects.delay?.enabled) {
+            filters.push(this.buildDelayFilter(effects.delay));
+        }
+
         // Distortion using overdrive or acrusher
-        if (this.effects.distortion?.enabled) {
-            const dist = this.effects.distortion;
+        if (effects.distortion?.enabled) {
+            const dist = effects.distortion;
             // Use a combination of volume boost and soft clipping
             const gain = 1 + dist.drive * 10;
             filters.push(`volume=${gain}`);
@@ -456,13 +820,29 @@ class EffectsService {
         }
 
         // Compressor - threshold is in dB, convert to linear (0-1)
-        if (this.effects.compressor?.enabled) {
-            const comp = this.effects.compressor;
+        if (effects.compressor?.enabled) {
+            const comp = effects.compressor;
             // Convert dB to linear: 10^(dB/20)
             const thresholdLinear = Math.pow(10, comp.threshold / 20);
             filters.push(`acompressor=threshold=${thresholdLinear.toFixed(4)}:ratio=${comp.ratio}:attack=5:release=50`);
         }
 
+        // Stereo width (extrastereo: 0 = mono, 1 = unchanged) and balance
+        const stereo = effects.stereo;
+        if (stereo && stereo.width !== 1.0) {
+            filters.push(`extrastereo=m=${stereo.width}`);
+        }
+        if (stereo && stereo.balance !== 0) {
+            filters.push(`stereotools=balance_out=${stereo.balance}`);
+        }
+
+        // Limiter - last in the chain so nothing after it can push past the ceiling
+        if (effects.limiter?.enabled) {
+            // alimiter accepts 0.0625 (-24dB) to 1 (0dB)
+            const limitLinear = Math.min(1, Math.max(0.0625, Math.pow(10, effects.limiter.limit / 20)));
+            filters.push(`alimiter=limit=${limitLinear.toFixed(4)}:attack=5:release=50:level=0`);
+        }
+
         // Apply manual volume control (always applied, even with effects enabled)
         try {
             const player = require('../../infrastructure/player');
@@ -481,6 +861,42 @@ class EffectsService {
         return chain;
     }
 
+    /**
+     * Build a feedback delay
+     * FFmpeg filters can't loop back, so the feedback is rendered as a series of
+     * adelay repeats, each quieter by the feedback factor, mixed over the dry signal.
+     * @param {Object} delay - Delay settings ({ delay: ms, feedback: 0-0.9 })
+     * @returns {string} Filter graph segment (one input, one output)
+     */
+    buildDelayFilter(delay) {
+        // Render repeats until they fall below -26dB (5%)
+        const repeats = delay.feedback > 0
+            ? Math.min(MAX_DELAY_REPEATS, 1 + Math.ceil(Math.log(0.05 / DELAY_WET_LEVEL) / Math.log(delay.feedback)))
+            : 1;
+
+        const outputs = ['[dly0]'];
+        const taps = [];
+        for (let i = 1; i <= repeats; i++) {
+            const gain = DELAY_WET_LEVEL * Math.pow(delay.feedback, i - 1);
+            outputs.push(`[dly${i}]`);
+            taps.push(`[dly${i}]adelay=delays=${Math.round(delay.delay * i)}:all=1,volume=${gain.toFixed(4)}[dlywet${i}]`);
+        }
+
+        const wet = taps.map((_, index) => `[dlywet${index + 1}]`).join('');
+        return [
+            `asplit=${repeats + 1}${outputs.join('')}`,
+            ...taps,
+            `[dly0]${wet}amix=inputs=${repeats + 1}:normalize=0`
+        ].join(';');
+    }
+
+    /**
+     * Check that a value is a number within a range
+     */
+    isInRange(value, min, max) {
+        return typeof value === 'number' && value >= min && value <= max;
+    }
+
     /**
      * Validate effects settings
      */
@@ -503,6 +919,50 @@ class EffectsService {
             });
         }
 
+        if (settings.parametricEq?.bands !== undefined) {
+            const bands = settings.parametricEq.bands;
+            if (!Array.isArray(bands) || bands.length > PARAMETRIC_EQ_FREQUENCIES.length) {
+                errors.push(`Parametric EQ must have at most ${PARAMETRIC_EQ_FREQUENCIES.length} bands`);
+            } else {
+                bands.forEach((band, index) => {
+                    const name = `Parametric EQ band ${index + 1}`;
+                    if (band?.frequency !== undefined && !this.isInRange(band.frequency, 20, 20000)) {
+                        errors.push(`${name} frequency must be between 20 and 20000 Hz`);
+                    }
+                    if (band?.gain !== undefined && !this.isInRange(band.gain, -20, 20)) {
+                        errors.push(`${name} gain must be between -20 and +20 dB`);
+                    }
+                    if (band?.q !== undefined && !this.isInRange(band.q, 0.1, 10)) {
+                        errors.push(`${name} Q must be between 0.1 and 10`);
+                    }
+                });
+            }
+        }
+
+        if (settings.delay) {
+            if (settings.delay.delay !== undefined && !this.isInRange(settings.delay.delay, 1, 2000)) {
+                errors.push('Delay time must be between 1 and 2000 ms');
+            }
+            if (settings.delay.feedback !== undefined && !this.isInRange(settings.delay.feedback, 0, 0.9)) {
+                errors.push('Delay feedback must be between 0 and 0.9');
+            }
+        }
+
+        if (settings.limiter?.limit !== undefined) {
+            if (!this.isInRange(settings.limiter.limit, -24, 0)) {
+                errors.push('Limiter limit must be between -24 and 0 dB');
+            }
+        }
+
+        if (settings.stereo) {
+            if (settings.stereo.width !== undefined && !this.isInRange(settings.stereo.width, 0, 2)) {
+                errors.push('Stereo width must be between 0 and 2');
+            }
+            if (settings.stereo.balance !== undefined && !this.isInRange(settings.stereo.balance, -1, 1)) {
+                errors.push('Stereo balance must be between -1 and 1');
+            }
+        }
+
         return errors;
     }
 
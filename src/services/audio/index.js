@@ -6,11 +6,15 @@
 const effectsService = require('./effects.service');
 const analysisService = require('./analysis.service');
 const volumeNormalizationService = require('./volume-normalization.service');
+const loudnessScanService = require('./loudness-scan.service');
+const silenceTrimService = require('./silence-trim.service');
 const downloadService = require('./download.service');
 
 module.exports = {
     effects: effectsService,
     analysis: analysisService,
     volumeNormalization: volumeNormalizationService,
+    loudnessScan: loudnessScanService,
+    silenceTrim: silenceTrimService,
     download: downloadService
 };
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const config = require('../../config');
+const dbService = require('../../infrastructure/database/db.service');
+const volumeNormalization = require('./volume-normalization.service');
+const { logger } = require('../../utils/logger.util');
+
+// How often a paused worker checks whether downloads have finished
+const DOWNLOAD_WAIT_MS = 2000;
+const MAX_CONCURRENCY = 4;
+
+/**
+ * Loudness Scan Service
+ * Analyzes cached songs that have no normalization measurements yet, in the background:
+ * - A bounded number of workers, each running ffmpeg at the lowest CPU priority
+ * - Workers pause while a download is in progress (downloads need the CPU and disk more)
+ * - Newly prefetched files are queued as they arrive
+ * Progress is pushed to SSE clients.
+ */
+class LoudnessScanService {
+    constructor() {
+        this.pending = []; // { songId, filePath, title }
+        this.queuedIds = new Set(); // Pending or being analyzed
+        this.checkedIds = new Set(); // Analyzed (or failed) since startup, skipped by rescans
+        this.current = new Map(); // songId -> title, being analyzed
+        this.running = false;
+        this.paused = false;
+        this.stopRequested = false;
+        this.restartConcurrency = undefined; // Worker count asked for while a stop was draining
+        this.concurrency = 1;
+        this.total = 0;
+        this.analyzed = 0;
+        this.failed = 0;
+        this.startedAt = null;
+        this.finishedAt = null;
+        this.clients = new Set();
+    }
+
+    /**
+     * Get the configured number of workers
+     * @returns {number} Concurrency (1-4)
+     */
+    getConfiguredConcurrency() {
+        config._ensureSettingsLoaded();
+        return this.clampConcurrency(config.performance.loudnessScanConcurrency);
+    }
+
+    /**
+     * Clamp a worker count to the supported range
+     * @param {number} value - Requested concurrency
+     * @returns {number} Concurrency (1-4)
+     */
+    clampConcurrency(value) {
+        const parsed = parseInt(value, 10);
+        if (isNaN(parsed)) return 1;
+        return Math.max(1, Math.min(MAX_CONCURRENCY, parsed));
+    }
+
+    /**
+     * Scan the library and analyze every cached song that has not been analyzed
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Worker count (defaults to the performance setting)
+     * @param {boolean} [options.rescan=false] - Also retry songs already tried since startup
+     * @returns {Object} Scan status
+     */
+    start(options = {}) {
+        const { mode } = volumeNormalization.getNormalizationSettings();
+        const songs = dbService.getSongsNeedingAnalysis(mode);
+
+        if (options.rescan) {
+            this.checkedIds.clear();
+        }
+
+        let added = 0;
+        for (const song of songs) {
+            if (this.checkedIds.has(song.id) || !fs.existsSync(song.content)) continue;
+            const title = song.artist ? `${song.artist} - ${song.title}` : song.title;
+            if (this.addToQueue(song.id, song.content, title)) added++;
+        }
+
+        logger.info(`Loudness scan: ${added} song(s) to analyze (${mode} mode)`);
+        this.run(options.concurrency);
+        return this.getStatus();
+    }
+
+    /**
+     * Queue a single file for analysis (used for newly prefetched songs)
+     * @param {number} songId - Song ID
+     * @param {string} filePath - Cached audio file
+     * @param {string} [title] - Display title for progress reports
+     */
+    enqueue(songId, filePath, title) {
+        if (!songId || !filePath) return;
+        if (this.addToQueue(songId, filePath, title || `#${songId}`)) {
+            logger.debug(`Loudness scan: queued song ${songId}`);
+            this.run();
+        }
+    }
+
+    /**
+     * Add a song to the pending list unless it is already there
+     * @returns {boolean} True if added
+     */
+    addToQueue(songId, filePath, title) {
+        if (this.queuedIds.has(songId)) return false;
+
+        // A finished scan's counters start over
+        if (!this.running) {
+            this.resetProgress();
+        }
+
+        this.queuedIds.add(songId);
+        this.pending.push({ songId, filePath, title });
+        this.total++;
+        return true;
+    }
+
+    /**
+     * Reset the progress counters
+     */
+    resetProgress() {
+        if (this.pending.length > 0) return;
+        this.total = 0;
+        this.analyzed = 0;
+        this.failed = 0;
+        this.startedAt = null;
+        this.finishedAt = null;
+    }
+
+    /**
+     * Stop the scan: pending songs are dropped, songs being analyzed finish
+     * @returns {Object} Scan status
+     */
+    stop() {
+        if (!this.running) {
+            return this.getStatus();
+        }
+
+        this.stopRequested = true;
+        for (const item of this.pending) {
+            this.queuedIds.delete(item.songId);
+        }
+        this.total -= this.pending.length;
+        this.pending = [];
+        this.restartConcurrency = undefined;
+        logger.info('Loudness scan: stop requested');
+        this.broadcast();
+        return this.getStatus();
+    }
+
+    /**
+     * Run the workers until the pending list is empty (no-op if already running)
+     * Songs queued while a stop is draining are picked up by a new run once it has.
+     * @param {number} [concurrency] - Worker count
+     */
+    async run(concurrency) {
+        if (this.running) {
+            if (this.stopRequested && concurrency !== undefined) {
+                this.restartConcurrency = concurrency;
+            }
+            return;
+        }
+        if (this.pending.length === 0) return;
+
+        this.running = true;
+        this.stopRequested = false;
+        this.concurrency = concurrency !== undefined
+            ? this.clampConcurrency(concurrency)
+            : this.getConfiguredConcurrency();
+        this.startedAt = Date.now();
+        this.finishedAt = null;
+        this.broadcast();
+
+        const workers = Array.from({ length: this.concurrency }, () => this.worker());
+        await Promise.all(workers);
+
+        this.running = false;
+        this.paused = false;
+        this.finishedAt = Date.now();
+        logger.info(`Loudness scan finished: ${this.analyzed} analyzed, ${this.failed} failed`);
+        this.broadcast();
+
+        if (this.pending.length > 0) {
+            // Songs queued while draining skipped resetProgress, so the new run counts from zero
+            this.total = this.pending.length;
+            this.analyzed = 0;
+            this.failed = 0;
+
+            const restartConcurrency = this.restartConcurrency;
+            this.restartConcurrency = undefined;
+            this.run(restartConcurrency).catch(error => {
+                logger.error('Loudness scan: restart failed:', error);
+            });
+        }
+    }
+
+    /**
+     * Analyze pending songs one at a time
+     */
+    async worker() {
+        while (!this.stopRequested && this.pending.length > 0) {
+            await this.waitForDownloads();
+
+            // Leave songs queued during a stop for the next run
+            if (this.stopRequested) break;
+            const item = this.pending.shift();
+            if (!item) break;
+
+            this.current.set(item.songId, item.title);
+            this.broadcast();
+
+            try {
+                if (!fs.existsSync(item.filePath)) {
+                    throw new Error(`File not found: ${item.filePath}`);
+                }
+                await volumeNormalization.measureAndStoreGain(item.songId, item.filePath, { lowPriority: true });
+                this.analyzed++;
+            } catch (error) {
+                this.failed++;
+                logger.warn(`Loudness scan: could not analyze song ${item.songId}: ${error.message}`);
+            }
+
+            this.current.delete(item.songId);
+            this.queuedIds.delete(item.songId);
+            this.checkedIds.add(item.songId);
+            this.broadcast();
+        }
+    }
+
+    /**
+     * Wait while any song is downloading
+     */
+    async waitForDownloads() {
+        const downloadOrchestrator = require('../playback/download-orchestrator.service');
+
+        while (!this.stopRequested && downloadOrchestrator.hasActiveDownloads()) {
+            if (!this.paused) {
+                this.paused = true;
+                logger.debug('Loudness scan: paused while downloading');
+                this.broadcast();
+            }
+            await new Promise(resolve => setTimeout(resolve, DOWNLOAD_WAIT_MS));
+        }
+
+        if (this.paused) {
+            this.paused = false;
+            this.broadcast();
+        }
+    }
+
+    /**
+     * Get the scan status
+     * @returns {Object} Status and progress
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            paused: this.paused,
+            stopping: this.running && this.stopRequested,
+            concurrency: this.running ? this.concurrency : this.getConfiguredConcurrency(),
+            total: this.total,
+            analyzed: this.analyzed,
+            failed: this.failed,
+            remaining: this.pending.length + this.current.size,
+            current: Array.from(this.current.values()),
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt
+        };
+    }
+
+    /**
+     * Add SSE client
+     */
+    addClient(client) {
+        this.clients.add(client);
+    }
+
+    /**
+     * Remove SSE client
+     */
+    removeClient(client) {
+        this.clients.delete(client);
+    }
+
+    /**
+     * Broadcast the scan status to all SSE clients
+     */
+    broadcast() {
+        if (this.clients.size === 0) return;
+
+        const data = JSON.stringify({
+            type: 'LOUDNESS_SCAN_UPDATE',
+            status: this.getStatus()
+        });
+        this.clients.forEach(client => {
+            try {
+                client.write(`data: ${data}\n\n`);
+            } catch (err) {
+                // Client disconnected, remove it
+                this.clients.delete(client);
+            }
+        });
+    }
+}
+
+// Export singleton
+const loudnessScanService = new LoudnessScanService();
+module.exports = loudnessScanService;
@@ -0,0 +1,193 @@
+const config = require('../../config');
+const dbService = require('../../infrastructure/database/db.service');
+const { detectSilence } = require('./analysis.service');
+const { logger } = require('../../utils/logger.util');
+
+/**
+ * Silence Trim Service
+ * Works out where playback of a song should start and end:
+ * - Leading silence is skipped (playback starts at startMs)
+ * - Trailing silence is cut (playback finishes at endMs)
+ * - Optionally, a short intro/outro separated from the song by silence is skipped too
+ * The points are stored per song along with the settings they were detected with,
+ * so changing the settings re-analyzes songs the next time they play.
+ */
+
+// Silences this close to the edges of the file count as leading/trailing
+const EDGE_TOLERANCE_MS = 250;
+
+// Never trim a song down to less than this
+const MIN_REMAINING_MS = 30 * 1000;
+
+// Analyses in progress (keyed by song ID, or file path for songs without one)
+const pendingAnalyses = new Map();
+
+/**
+ * Get silence trimming settings from the playback config
+ * @returns {{enabled: boolean, thresholdDb: number, minDurationSec: number, introOutroMaxSec: number}}
+ */
+function getTrimSettings() {
+    config._ensureSettingsLoaded();
+    const playback = config.playback;
+    return {
+        enabled: playback.silenceTrimEnabled === true,
+        thresholdDb: playback.silenceThreshold,
+        minDurationSec: playback.silenceMinDuration,
+        introOutroMaxSec: playback.introOutroMaxLength
+    };
+}
+
+/**
+ * Identify the settings trim points were detected with
+ * @param {Object} settings - Trim settings
+ * @returns {string} Key stored with the trim points
+ */
+function getParamsKey(settings) {
+    return `${settings.thresholdDb}:${settings.minDurationSec}:${settings.introOutroMaxSec}`;
+}
+
+/**
+ * Calculate trim points from detected silences
+ * @param {Object} detection - Result of analysis.detectSilence
+ * @param {number|null} detection.durationMs - File duration
+ * @param {Array<{startMs: number, endMs: number}>} detection.silences - Silent stretches
+ * @param {Object} settings - Trim settings
+ * @returns {{startMs: number, endMs: number|null}} Playback range (endMs null = end of file)
+ */
+function calculateTrimPoints({ durationMs, silences }, settings) {
+    const fileEndMs = durationMs ?? Infinity;
+
+    // Pure silence at the edges of the file
+    let startMs = 0;
+    let endMs = fileEndMs;
+    for (const silence of silences) {
+        if (silence.startMs <= EDGE_TOLERANCE_MS) {
+            startMs = Math.max(startMs, silence.endMs);
+        }
+        if (silence.endMs >= fileEndMs - EDGE_TOLERANCE_MS) {
+            endMs = Math.min(endMs, silence.startMs);
+        }
+    }
+
+    // Intro/outro: audio before the last silence near the start (after the first near the end)
+    let introEndMs = startMs;
+    let outroStartMs = endMs;
+    const windowMs = settings.introOutroMaxSec * 1000;
+    if (windowMs > 0) {
+        for (const silence of silences) {
+            if (silence.startMs > startMs && silence.startMs <= startMs + windowMs && silence.endMs < endMs) {
+                introEndMs = Math.max(introEndMs, silence.endMs);
+            }
+            if (silence.endMs < endMs && silence.endMs >= endMs - windowMs && silence.startMs > startMs) {
+                outroStartMs = Math.min(outroStartMs, silence.startMs);
+            }
+        }
+    }
+
+    // Fall back to less trimming if too little of the song would be left
+    const candidates = [
+        [introEndMs, outroStartMs],
+        [startMs, endMs]
+    ];
+    const range = candidates.find(([start, end]) => end - start >= MIN_REMAINING_MS);
+    if (!range) {
+        return { startMs: 0, endMs: null };
+    }
+
+    return {
+        startMs: Math.round(range[0]),
+        endMs: range[1] < fileEndMs ? Math.round(range[1]) : null
+    };
+}
+
+/**
+ * Detect silence in a file and store the trim points for the song
+ * Concurrent calls for the same song share one analysis.
+ * @param {number|null} songId - Song ID (trim points are only stored when set)
+ * @param {string} filePath - Path to audio file
+ * @param {Object} [settings] - Trim settings (defaults to the current settings)
+ * @returns {Promise<{startMs: number, endMs: number|null}>} Trim points
+ */
+function analyzeAndStoreTrim(songId, filePath, settings = getTrimSettings()) {
+    const key = songId || filePath;
+    if (pendingAnalyses.has(key)) {
+        return pendingAnalyses.get(key);
+    }
+
+    const analysis = (async () => {
+        const detection = await detectSilence(filePath, settings);
+        const trim = calculateTrimPoints(detection, settings);
+
+        if (songId) {
+            dbService.updateSongTrim(songId, { ...trim, params: getParamsKey(settings) });
+        }
+
+        if (trim.startMs > 0 || trim.endMs !== null) {
+            const endText = trim.endMs !== null ? `${(trim.endMs / 1000).toFixed(1)}s` : 'end';
+            logger.info(`Silence trim: Song ${songId || filePath} plays ${(trim.startMs / 1000).toFixed(1)}s - ${endText}`);
+        }
+
+        return trim;
+    })();
+
+    pendingAnalyses.set(key, analysis);
+    analysis.then(
+        () => pendingAnalyses.delete(key),
+        () => pendingAnalyses.delete(key)
+    );
+    return analysis;
+}
+
+/**
+ * Get a song's stored trim points, if they match the current settings (never starts an analysis)
+ * @param {number|null} songId - Song ID
+ * @returns {{startMs: number, endMs: number|null}|null} Trim points, or null if disabled or not analyzed
+ */
+function getStoredTrimPoints(songId) {
+    const settings = getTrimSettings();
+    if (!settings.enabled || !songId) {
+        return null;
+    }
+
+    const song = dbService.getSong(songId);
+    if (song && song.trim_start_ms !== null && song.trim_params === getParamsKey(settings)) {
+        return { startMs: song.trim_start_ms, endMs: song.trim_end_ms };
+    }
+    return null;
+}
+
+/**
+ * Get the trim points to play a song with
+ * Uses the stored points when they match the current settings. Otherwise the song plays untrimmed
+ * (analyzing the whole file would delay its start) and is analyzed in the background for its next play.
+ * @param {number|null} songId - Song ID
+ * @param {string} filePath - Path to audio file
+ * @returns {{startMs: number, endMs: number|null}} Trim points (no trim if disabled or not analyzed yet)
+ */
+function getTrimPoints(songId, filePath) {
+    const settings = getTrimSettings();
+    if (!settings.enabled) {
+        return { startMs: 0, endMs: null };
+    }
+
+    const stored = getStoredTrimPoints(songId);
+    if (stored) {
+        return stored;
+    }
+
+    // Points are only stored for songs with an ID, so there's nothing to prepare otherwise
+    if (songId) {
+        analyzeAndStoreTrim(songId, filePath, settings).catch(error => {
+            logger.warn(`Silence trim: could not analyze ${filePath}: ${error.message}`);
+        });
+    }
+    return { startMs: 0, endMs: null };
+}
+
+module.exports = {
+    getTrimSettings,
+    calculateTrimPoints,
+    analyzeAndStoreTrim,
+    getStoredTrimPoints,
+    getTrimPoints
+};
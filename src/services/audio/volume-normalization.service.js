@@ -1,12 +1,34 @@
 const dbService = require('../../infrastructure/database/db.service');
-const { analyzeAudioLevel } = require('./analysis.service');
+const { analyzeAudioLevel, analyzeLoudness } = require('./analysis.service');
+const { probeAudio } = require('../metadata/metadata.service');
 const { logger } = require('../../utils/logger.util');
 
 /**
  * Volume Normalization Service
  * Manages volume normalization settings and calculates gain adjustments for songs
+ *
+ * Two modes:
+ * - rms: mean RMS level (volumedetect), gain stored per song at analysis time
+ * - lufs: EBU R128 integrated loudness, true peak and LRA stored per song; the gain
+ *   is worked out at playback from the target, with true-peak protection, either
+ *   per track or per album (album gain keeps the loudness differences within an album;
+ *   songs are grouped by their album tags)
  */
 
+const NORMALIZATION_MODES = ['rms', 'lufs'];
+const GAIN_SCOPES = ['track', 'album'];
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    mode: 'rms',
+    thresholdTooLow: -20,  // dB - songs below this are considered too quiet
+    thresholdTooHigh: -6,   // dB - songs above this are considered too loud
+    targetLevel: -12,       // dB - target RMS level for normalization
+    targetLufs: -14,        // LUFS - target integrated loudness (lufs mode)
+    maxTruePeak: -1,        // dBTP - gain is capped so the true peak stays below this
+    gainScope: 'track'      // 'track' or 'album'
+};
+
 /**
  * Get volume normalization settings from database
  * @returns {Object} Normalization settings with defaults
@@ -16,12 +38,7 @@ function getNormalizationSettings() {
     
     if (!settings) {
         // Return defaults if not configured
-        return {
-            enabled: false,
-            thresholdTooLow: -20,  // dB - songs below this are considered too quiet
-            thresholdTooHigh: -6,   // dB - songs above this are considered too loud
-            targetLevel: -12        // dB - target RMS level for normalization
-        };
+        return { ...DEFAULT_SETTINGS };
     }
     
     // Merge with defaults to ensure all fields exist
@@ -29,10 +46,14 @@ function getNormalizationSettings() {
     const { thresholdOk, ...restSettings } = settings;
     
     return {
-        enabled: restSettings.enabled !== undefined ? restSettings.enabled : false,
-        thresholdTooLow: restSettings.thresholdTooLow !== undefined ? restSettings.thresholdTooLow : -20,
-        thresholdTooHigh: restSettings.thresholdTooHigh !== undefined ? restSettings.thresholdTooHigh : -6,
-        targetLevel: restSettings.targetLevel !== undefined ? restSettings.targetLevel : -12
+        enabled: restSettings.enabled !== undefined ? restSettings.enabled : DEFAULT_SETTINGS.enabled,
+        mode: NORMALIZATION_MODES.includes(restSettings.mode) ? restSettings.mode : DEFAULT_SETTINGS.mode,
+        thresholdTooLow: restSettings.thresholdTooLow !== undefined ? restSettings.thresholdTooLow : DEFAULT_SETTINGS.thresholdTooLow,
+        thresholdTooHigh: restSettings.thresholdTooHigh !== undefined ? restSettings.thresholdTooHigh : DEFAULT_SETTINGS.thresholdTooHigh,
+        targetLevel: restSettings.targetLevel !== undefined ? restSettings.targetLevel : DEFAULT_SETTINGS.targetLevel,
+        targetLufs: restSettings.targetLufs !== undefined ? restSettings.targetLufs : DEFAULT_SETTINGS.targetLufs,
+        maxTruePeak: restSettings.maxTruePeak !== undefined ? restSettings.maxTruePeak : DEFAULT_SETTINGS.maxTruePeak,
+        gainScope: GAIN_SCOPES.includes(restSettings.gainScope) ? restSettings.gainScope : DEFAULT_SETTINGS.gainScope
     };
 }
 
@@ -68,7 +89,62 @@ function calculateGainAdjustment(currentRmsDb, settings) {
 }
 
 /**
- * Analyze audio file and store volume gain adjustment in database
+ * Calculate the gain that brings a song to the target loudness
+ * @param {Object} loudness - Song measurements ({ integrated, truePeak })
+ * @param {Object} settings - Normalization settings
+ * @param {number} [referenceLufs] - Loudness to normalize (the album's in album scope)
+ * @returns {number} Gain adjustment in dB, capped so the true peak stays at or below maxTruePeak
+ */
+function calculateLoudnessGain(loudness, settings, referenceLufs = loudness.integrated) {
+    const gain = settings.targetLufs - referenceLufs;
+    const peakHeadroom = settings.maxTruePeak - loudness.truePeak;
+
+    if (gain > peakHeadroom) {
+        logger.debug(`True-peak protection: limiting gain from ${gain.toFixed(2)} dB to ${peakHeadroom.toFixed(2)} dB (peak ${loudness.truePeak.toFixed(2)} dBTP)`);
+        return peakHeadroom;
+    }
+    return gain;
+}
+
+/**
+ * Get the stored loudness measurements of a song
+ * @param {Object|null} song - Song database record
+ * @returns {Object|null} { integrated, truePeak, range }, or null if not measured
+ */
+function getLoudness(song) {
+    if (song?.loudness_integrated === null || song?.loudness_integrated === undefined) {
+        return null;
+    }
+    return {
+        integrated: song.loudness_integrated,
+        truePeak: song.loudness_true_peak,
+        range: song.loudness_range
+    };
+}
+
+/**
+ * Get the combined loudness of the measured songs on a song's album (album gain)
+ * Loudness is averaged as energy, so loud songs weigh more than quiet ones.
+ * @param {Object} song - Song row
+ * @returns {number|null} Integrated loudness in LUFS, or null if the song has no album tag
+ */
+function getAlbumLoudness(song) {
+    if (!song?.album) {
+        return null;
+    }
+
+    const measured = dbService.getAlbumLoudness(song.album, song.album_artist);
+    if (measured.length === 0) {
+        return null;
+    }
+
+    const meanEnergy = measured.reduce((sum, integrated) => sum + Math.pow(10, integrated / 10), 0) / measured.length;
+    return 10 * Math.log10(meanEnergy);
+}
+
+/**
+ * Analyze audio file and store the measurements for the current mode
+ * (RMS gain, or EBU R128 loudness in LUFS mode)
  * @param {number} songId - Song ID
  * @param {string} filePath - Path to audio file
  * @returns {Promise<number>} Gain adjustment in dB
@@ -82,28 +158,59 @@ async function analyzeAndStoreGain(songId, filePath) {
     }
     
     try {
-        // Analyze audio file
-        const rmsDb = await analyzeAudioLevel(filePath);
-        
-        // Calculate required gain
-        const gainDb = calculateGainAdjustment(rmsDb, settings);
-        
-        // Store in database
-        dbService.updateSongVolumeGain(songId, gainDb);
-        
-        logger.info(`Volume normalization: Song ${songId} analyzed (RMS: ${rmsDb.toFixed(2)} dB, Gain: ${gainDb.toFixed(2)} dB)`);
-        
-        return gainDb;
+        return await measureAndStoreGain(songId, filePath);
     } catch (error) {
         logger.error(`Failed to analyze audio for song ${songId}:`, error);
-        // Store 0 gain on error (no adjustment)
-        dbService.updateSongVolumeGain(songId, 0);
+        // Store 0 gain on error (no adjustment); in LUFS mode the song stays
+        // unmeasured so it plays without adjustment and can be re-analyzed
+        if (settings.mode !== 'lufs') {
+            dbService.updateSongVolumeGain(songId, 0);
+        }
         return 0;
     }
 }
 
 /**
- * Get stored volume gain for a song
+ * Analyze audio file and store the measurements for the current mode, throwing on failure
+ * @param {number} songId - Song ID
+ * @param {string} filePath - Path to audio file
+ * @param {Object} [options]
+ * @param {boolean} [options.lowPriority=false] - Run ffmpeg at the lowest CPU priority (background scans)
+ * @returns {Promise<number>} Gain adjustment in dB
+ */
+async function measureAndStoreGain(songId, filePath, options = {}) {
+    const settings = getNormalizationSettings();
+
+    if (settings.mode === 'lufs') {
+        const loudness = await analyzeLoudness(filePath, options);
+        dbService.updateSongLoudness(songId, loudness);
+
+        // Album tags group the song with the rest of its album for album gain
+        const tags = await probeAudio(filePath);
+        dbService.updateSongAlbum(songId, tags.album, tags.albumArtist);
+
+        const gainDb = calculateLoudnessGain(loudness, settings);
+        logger.info(`Loudness normalization: Song ${songId} analyzed (I: ${loudness.integrated.toFixed(1)} LUFS, TP: ${loudness.truePeak.toFixed(1)} dBTP, LRA: ${loudness.range.toFixed(1)} LU, Gain: ${gainDb.toFixed(2)} dB)`);
+
+        return gainDb;
+    }
+
+    // Analyze audio file
+    const rmsDb = await analyzeAudioLevel(filePath, options);
+    
+    // Calculate required gain
+    const gainDb = calculateGainAdjustment(rmsDb, settings);
+    
+    // Store in database
+    dbService.updateSongVolumeGain(songId, gainDb);
+    
+    logger.info(`Volume normalization: Song ${songId} analyzed (RMS: ${rmsDb.toFixed(2)} dB, Gain: ${gainDb.toFixed(2)} dB)`);
+    
+    return gainDb;
+}
+
+/**
+ * Get the gain to apply to a song for the current settings
  * @param {number} songId - Song ID
  * @returns {number} Gain adjustment in dB (defaults to 0 if not set)
  */
@@ -114,17 +221,62 @@ function getSongGain(songId) {
     
     try {
         const song = dbService.getSong(songId);
-        return song?.volume_gain_db || 0;
+        const settings = getNormalizationSettings();
+
+        if (settings.mode !== 'lufs') {
+            return song?.volume_gain_db || 0;
+        }
+
+        const loudness = getLoudness(song);
+        if (!loudness) {
+            logger.debug(`Song ${songId} has no loudness measurements yet, playing without adjustment`);
+            return 0;
+        }
+
+        const referenceLufs = settings.gainScope === 'album'
+            ? (getAlbumLoudness(song) ?? loudness.integrated)
+            : loudness.integrated;
+        return calculateLoudnessGain(loudness, settings, referenceLufs);
     } catch (error) {
         logger.debug(`Could not get volume gain for song ${songId}:`, error.message);
         return 0;
     }
 }
 
+/**
+ * Get a song's stored measurements and the gain the current settings give it
+ * @param {number} songId - Song ID
+ * @returns {Object|null} { songId, title, artist, album, rmsGainDb, loudness, albumLoudness, gainDb },
+ *   or null if the song doesn't exist
+ */
+function getSongMeasurements(songId) {
+    const song = songId ? dbService.getSong(songId) : null;
+    if (!song) {
+        return null;
+    }
+
+    return {
+        songId: song.id,
+        title: song.title,
+        artist: song.artist,
+        album: song.album || null,
+        rmsGainDb: song.volume_gain_db || 0,
+        loudness: getLoudness(song),
+        albumLoudness: getAlbumLoudness(song),
+        gainDb: getSongGain(song.id)
+    };
+}
+
 module.exports = {
+    NORMALIZATION_MODES,
+    GAIN_SCOPES,
     getNormalizationSettings,
     calculateGainAdjustment,
+    calculateLoudnessGain,
     analyzeAndStoreGain,
-    getSongGain
+    measureAndStoreGain,
+    getAlbumLoudness,
+    getSongGain,
+    getSongMeasurements
 };
 
@@ -4,8 +4,11 @@
  */
 
 const youtubeCache = require('./youtube-cache.service');
+const libraryCache = require('./library-cache.service');
 
 module.exports = {
     youtube: youtubeCache,
-    youtubeCache: youtubeCache
+    youtubeCache: youtubeCache,
+    library: libraryCache,
+    libraryCache: libraryCache
 };
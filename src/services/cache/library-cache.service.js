@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+const dbService = require('../../infrastructure/database/db.service');
+const { logger } = require('../../utils/logger.util');
+const { getYouTubeVideoId, getUrlHost, getUrlExtension, isDirectAudioUrl, isSoundCloudUrl, isBandcampUrl } = require('../../utils/url.util');
+const { formatBytes } = require('../../utils/helpers.util');
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// Direct audio is kept as served rather than converted, so its key carries this instead of the audio format
+const ORIGINAL_FORMAT = 'original';
+
+/**
+ * Library Cache Service
+ * Keeps downloaded audio in the storage library instead of deleting it after playback:
+ * - Files are addressed by source and audio format: YouTube by video ID, so any request that
+ *   resolves to the same video (URL, search, Spotify link) reuses the same file, and other
+ *   sources (SoundCloud, Bandcamp, other sites, direct audio) by their normalized URL
+ * - The least recently used files are evicted once the library exceeds its disk budget
+ * - Files of the current song and of queued songs are never evicted
+ *
+ * Files are recorded in their own table rather than on songs: several songs can share one
+ * file (a search and a link to the same video), and the size and last use belong to the file.
+ */
+class LibraryCacheService {
+    constructor() {
+        // Lookups since startup (for the hit rate)
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Check whether the library cache is enabled
+     * @returns {boolean} True if downloads are kept and reused
+     */
+    isEnabled() {
+        config._ensureSettingsLoaded();
+        return config.performance.libraryCacheEnabled !== false;
+    }
+
+    /**
+     * Get the disk budget
+     * @returns {number} Maximum library size in bytes
+     */
+    getBudgetBytes() {
+        config._ensureSettingsLoaded();
+        const gigabytes = config.performance.libraryCacheMaxSizeGb || 5;
+        return gigabytes * BYTES_PER_GB;
+    }
+
+    /**
+     * Normalize a track URL so links to the same track share a key
+     * The fragment is dropped, and so is the query of SoundCloud and Bandcamp links (share and
+     * tracking parameters); other sites keep it, as it can select the file.
+     * @param {string} url - Track URL
+     * @returns {string|null} Normalized URL, or null if it is not an http(s) URL
+     */
+    normalizeUrl(url) {
+        if (!getUrlHost(url)) return null;
+        const parsed = new URL(url);
+        parsed.hash = '';
+        if (isSoundCloudUrl(url) || isBandcampUrl(url)) {
+            parsed.search = '';
+            parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+        }
+        return parsed.toString();
+    }
+
+    /**
+     * Get the library key for a URL
+     * @param {string} url - Track URL (YouTube, SoundCloud, Bandcamp, other site or direct audio)
+     * @param {Object} [options]
+     * @param {boolean} [options.direct] - The URL is downloaded as-is (direct audio)
+     * @returns {{key: string, sourceId: string, format: string, extension: string}|null}
+     *   Key, or null if the URL can't be cached. The extension is '' for direct audio whose
+     *   URL doesn't show the file type (known once downloaded).
+     */
+    getKey(url, options = {}) {
+        const videoId = getYouTubeVideoId(url);
+        if (videoId) {
+            const format = config.download.audioFormat;
+            return { key: `${videoId}:${format}`, sourceId: videoId, format, extension: format };
+        }
+
+        const normalized = this.normalizeUrl(url);
+        if (!normalized) return null;
+
+        const sourceId = crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+        if (options.direct || isDirectAudioUrl(url)) {
+            return { key: `${sourceId}:${ORIGINAL_FORMAT}`, sourceId, format: ORIGINAL_FORMAT, extension: getUrlExtension(url) };
+        }
+        const format = config.download.audioFormat;
+        return { key: `${sourceId}:${format}`, sourceId, format, extension: format };
+    }
+
+    /**
+     * Get where a source's audio is stored in the library
+     * @param {Object} target - Key from getKey()
+     * @param {string} [extension] - File extension (defaults to the key's)
+     * @returns {string|null} File path, or null if the extension is not known yet
+     */
+    getPath(target, extension = target.extension) {
+        if (!extension) return null;
+        return path.join(config.paths.library, `${target.sourceId}.${extension}`);
+    }
+
+    /**
+     * Check whether a file belongs to the library
+     * @param {string} filePath - File path
+     * @returns {boolean} True if the file is inside the library directory
+     */
+    isLibraryFile(filePath) {
+        if (!filePath) return false;
+        const relative = path.relative(config.paths.library, path.resolve(filePath));
+        return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    /**
+     * Find a URL's audio in the library
+     * A hit marks the file as recently used.
+     * @param {string} url - Track URL
+     * @param {Object} [options]
+     * @param {boolean} [options.direct] - The URL is downloaded as-is (direct audio)
+     * @returns {{filePath: string, thumbnailPath: string|null, title: string|null, artist: string|null}|null}
+     *   Cached file, or null on a miss
+     */
+    lookup(url, options = {}) {
+        const target = this.getKey(url, options);
+        if (!target) return null;
+
+        let entry = dbService.getLibraryFile(target.key);
+        const filePath = entry ? entry.filePath : this.getPath(target);
+
+        if (!filePath || !fs.existsSync(filePath)) {
+            if (entry) {
+                dbService.deleteLibraryFile(entry.key);
+            }
+            this.misses++;
+            return null;
+        }
+
+        if (entry) {
+            dbService.touchLibraryFile(entry.key);
+        } else {
+            // File left behind without a record (e.g. the database was reset)
+            this.store(url, { filePath }, options);
+            entry = dbService.getLibraryFile(target.key);
+        }
+
+        this.hits++;
+        logger.info(`Library cache hit: ${entry.title || target.sourceId}`);
+
+        const thumbnailPath = entry.thumbnailPath && fs.existsSync(entry.thumbnailPath) ? entry.thumbnailPath : null;
+        return {
+            filePath,
+            thumbnailPath,
+            title: entry.title,
+            artist: entry.artist
+        };
+    }
+
+    /**
+     * Move a finished download into the library and record it
+     * Downloads land in the temp directory first, so the library never holds partial files.
+     * @param {string} url - Track URL the file was downloaded from
+     * @param {Object} result - Download result ({ filePath, thumbnailPath, title, artist })
+     * @param {Object} [options]
+     * @param {boolean} [options.direct] - The URL was downloaded as-is (direct audio)
+     * @returns {string} Path of the file (in the library, or where it was if it could not be moved)
+     */
+    store(url, result, options = {}) {
+        const target = this.getKey(url, options);
+        if (!target) return result.filePath;
+
+        let filePath = result.filePath;
+        if (!this.isLibraryFile(filePath)) {
+            // Direct audio keeps the extension it was downloaded with
+            const extension = target.extension || path.extname(filePath).slice(1);
+            const libraryPath = this.getPath(target, extension);
+            if (!libraryPath) return filePath;
+            try {
+                this.moveFile(filePath, libraryPath);
+                filePath = libraryPath;
+            } catch (err) {
+                logger.warn(`Library cache: could not move ${filePath} into the library: ${err.message}`);
+                return filePath;
+            }
+        }
+
+        let sizeBytes = 0;
+        try {
+            sizeBytes = fs.statSync(filePath).size;
+        } catch (err) {
+            logger.warn(`Library cache: could not read size of ${filePath}: ${err.message}`);
+        }
+
+        dbService.saveLibraryFile({
+            key: target.key,
+            sourceId: target.sourceId,
+            format: target.format,
+            filePath,
+            sizeBytes,
+            sourceUrl: url,
+            title: result.title,
+            artist: result.artist,
+            thumbnailPath: result.thumbnailPath
+        });
+        return filePath;
+    }
+
+    /**
+     * Move a file, copying when source and destination are on different devices
+     * @param {string} from - Source path
+     * @param {string} to - Destination path (replaced if it exists)
+     */
+    moveFile(from, to) {
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        try {
+            fs.renameSync(from, to);
+        } catch (err) {
+            if (err.code !== 'EXDEV') throw err;
+            fs.copyFileSync(from, to);
+            fs.unlinkSync(from);
+        }
+    }
+
+    /**
+     * Get the files that must stay (current song and queued songs)
+     * Queued songs that are not downloaded yet protect the library file of their source.
+     * @param {Array<string>} [keep] - Extra files to keep
+     * @returns {Set<string>} Resolved file paths
+     */
+    getProtectedPaths(keep = []) {
+        const paths = new Set();
+        const add = (filePath) => {
+            if (filePath) paths.add(path.resolve(filePath));
+        };
+        const addSource = (url) => {
+            if (!url) return;
+            // A queued link may be downloaded either way (direct audio isn't always recognizable by its URL)
+            for (const target of [this.getKey(url), this.getKey(url, { direct: true })]) {
+                if (!target) continue;
+                const entry = dbService.getLibraryFile(target.key);
+                add(entry ? entry.filePath : this.getPath(target));
+            }
+        };
+        keep.forEach(add);
+
+        try {
+            // Lazy require: playback services load the download pipeline, which loads this service
+            const { orchestrator, queue } = require('../playback');
+            const current = orchestrator.getCurrent();
+            if (current) {
+                add(current.content);
+                add(current.thumbnail);
+            }
+            for (const item of queue.getQueue()) {
+                add(item.content);
+                add(item.thumbnail);
+                addSource(item.sourceUrl || item.content);
+            }
+        } catch (err) {
+            logger.debug('Library cache: could not read the queue:', err.message);
+        }
+
+        return paths;
+    }
+
+    /**
+     * Delete a library entry and its files
+     * @param {Object} entry - Library entry
+     * @param {Set<string>} protectedPaths - Files that must stay
+     * @returns {number} Bytes freed
+     */
+    evict(entry, protectedPaths) {
+        const cleanupService = require('../system/cleanup.service');
+        dbService.deleteLibraryFile(entry.key);
+        cleanupService.cleanupFile(entry.filePath);
+        if (entry.thumbnailPath && !protectedPaths.has(path.resolve(entry.thumbnailPath))) {
+            cleanupService.cleanupThumbnail(entry.thumbnailPath);
+        }
+        return entry.sizeBytes;
+    }
+
+    /**
+     * Evict the least recently used files until the library fits its budget
+     * @param {Array<string>} [keep] - Extra files to keep (e.g. a download not yet in the queue item)
+     * @returns {{evicted: number, freedBytes: number}} What was removed
+     */
+    enforceBudget(keep = []) {
+        const budget = this.getBudgetBytes();
+        const protectedPaths = this.getProtectedPaths(keep);
+        const entries = [];
+        let totalBytes = 0;
+
+        for (const entry of dbService.getLibraryFiles()) {
+            if (!fs.existsSync(entry.filePath)) {
+                dbService.deleteLibraryFile(entry.key);
+                continue;
+            }
+            entries.push(entry);
+            totalBytes += entry.sizeBytes;
+        }
+
+        let evicted = 0;
+        let freedBytes = 0;
+        for (const entry of entries) {
+            if (totalBytes - freedBytes <= budget) break;
+            if (protectedPaths.has(path.resolve(entry.filePath))) continue;
+
+            freedBytes += this.evict(entry, protectedPaths);
+            evicted++;
+        }
+
+        if (evicted > 0) {
+            logger.info(`Library cache: evicted ${evicted} file(s), freed ${formatBytes(freedBytes)}`);
+        }
+        return { evicted, freedBytes };
+    }
+
+    /**
+     * Delete every library file that is not playing or queued
+     * @returns {{evicted: number, freedBytes: number, freedFormatted: string, kept: number}} What was removed and what stayed
+     */
+    purge() {
+        const protectedPaths = this.getProtectedPaths();
+        let evicted = 0;
+        let freedBytes = 0;
+        let kept = 0;
+
+        for (const entry of dbService.getLibraryFiles()) {
+            if (protectedPaths.has(path.resolve(entry.filePath))) {
+                kept++;
+                continue;
+            }
+            freedBytes += this.evict(entry, protectedPaths);
+            evicted++;
+        }
+
+        logger.info(`Library cache purged: ${evicted} file(s), ${formatBytes(freedBytes)} (${kept} in use kept)`);
+        return { evicted, freedBytes, freedFormatted: formatBytes(freedBytes), kept };
+    }
+
+    /**
+     * Get library statistics
+     * @returns {{enabled: boolean, files: number, size: number, formatted: string, budget: number,
+     *   budgetFormatted: string, hits: number, misses: number, hitRate: number|null}}
+     */
+    getStats() {
+        const entries = dbService.getLibraryFiles();
+        const size = entries.reduce((total, entry) => total + entry.sizeBytes, 0);
+        const budget = this.getBudgetBytes();
+        const lookups = this.hits + this.misses;
+
+        return {
+            enabled: this.isEnabled(),
+            files: entries.length,
+            size,
+            formatted: formatBytes(size),
+            budget,
+            budgetFormatted: formatBytes(budget),
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : null
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new LibraryCacheService();
@@ -5,8 +5,12 @@
 
 const playlistService = require('./playlist.service');
 const lyricsService = require('./lyrics.service');
+const savedPlaylistService = require('./saved-playlist.service');
+const localLibraryService = require('./local-library.service');
 
 module.exports = {
     playlist: playlistService,
-    lyrics: lyricsService
+    lyrics: lyricsService,
+    savedPlaylists: savedPlaylistService,
+    localLibrary: localLibraryService
 };
@@ -0,0 +1,451 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const config = require('../../config');
+const dbService = require('../../infrastructure/database/db.service');
+const { logger } = require('../../utils/logger.util');
+const { getThumbnailUrl } = require('../../utils/helpers.util');
+const { probeAudio } = require('../metadata/metadata.service');
+
+const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.m4a', '.aac', '.ogg', '.opus', '.wav'];
+
+// Wait for a copy of many files to settle before rescanning
+const WATCH_DEBOUNCE_MS = 10 * 1000;
+const ART_TIMEOUT_MS = 20 * 1000;
+const ART_SIZE = 300;
+const MAX_SEARCH_LIMIT = 100;
+// Search results a whole-title match is looked for among
+const WHOLE_TITLE_CANDIDATES = 10;
+
+/**
+ * Split a search query into words
+ * @param {string} query - Search query
+ * @returns {Array<string>} Words (lowercase)
+ */
+function toWords(query) {
+    return (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Check whether a query names a track's whole title
+ * Bracketed parts of the title ("(Remastered 2011)", "[Live]") don't have to be named.
+ * @param {string} query - Search query
+ * @param {string} title - Track title
+ * @returns {boolean} True if every word of the title is in the query
+ */
+function namesWholeTitle(query, title) {
+    const letters = /[^\p{L}\p{N}]+/u;
+    const queryWords = new Set(query.toLowerCase().split(letters).filter(Boolean));
+    const titleWords = (title || '')
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .toLowerCase()
+        .split(letters)
+        .filter(Boolean);
+    return titleWords.length > 0 && titleWords.every(word => queryWords.has(word));
+}
+
+/**
+ * Local Library Service
+ * Indexes folders of owned music (LOCAL_MUSIC_DIRS) so they can be searched and queued as files:
+ * - Tags (title, artist, album, duration) are read with ffprobe and embedded art is extracted
+ *   into the thumbnails directory
+ * - Rescans only probe files whose size or modification time changed, and drop files that are gone
+ * - Folders are watched for changes; a periodic rescan (see background-jobs) catches what watching misses
+ * Indexed files are never deleted by the bot.
+ */
+class LocalLibraryService {
+    constructor() {
+        this.watchers = [];
+        this.rescanTimer = null;
+        this.scanPromise = null;
+        this.rescanRequested = false;
+        this.lastScan = null;
+    }
+
+    /**
+     * Check whether any music folder is configured
+     * @returns {boolean} True if the local library is enabled
+     */
+    isEnabled() {
+        return config.localLibrary.directories.length > 0;
+    }
+
+    /**
+     * Get the configured music folders
+     * @returns {Array<string>} Absolute folder paths
+     */
+    getDirectories() {
+        return config.localLibrary.directories;
+    }
+
+    /**
+     * Get where extracted cover art is stored
+     * @returns {string} Directory path (inside the thumbnails directory, so it is served)
+     */
+    getArtDirectory() {
+        return path.join(config.paths.thumbnails, 'local');
+    }
+
+    /**
+     * Check whether a path is inside a directory
+     * @param {string} directory - Directory path
+     * @param {string} filePath - File path
+     * @returns {boolean}
+     */
+    isInside(directory, filePath) {
+        const relative = path.relative(directory, path.resolve(filePath));
+        return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    /**
+     * Check whether a file belongs to the local library (a music file or its extracted art)
+     * @param {string} filePath - File path
+     * @returns {boolean} True if the file must never be deleted after playback
+     */
+    isLocalFile(filePath) {
+        if (!filePath || !this.isEnabled()) return false;
+        return this.getDirectories().some(directory => this.isInside(directory, filePath)) ||
+            this.isInside(this.getArtDirectory(), filePath);
+    }
+
+    /**
+     * Index the music folders and start watching them for changes
+     * @returns {Promise<Object|null>} Scan result, or null if the library is disabled
+     */
+    async start() {
+        if (!this.isEnabled()) {
+            return null;
+        }
+        fs.mkdirSync(this.getArtDirectory(), { recursive: true });
+        this.watch();
+        return this.scan();
+    }
+
+    /**
+     * Stop watching the music folders
+     */
+    stop() {
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = null;
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+
+    /**
+     * Watch the music folders, rescanning shortly after files change
+     * Recursive watching is not available everywhere; the periodic rescan covers those systems.
+     */
+    watch() {
+        this.stop();
+        for (const directory of this.getDirectories()) {
+            try {
+                const watcher = fs.watch(directory, { recursive: true }, () => this.scheduleRescan());
+                watcher.on('error', (err) => {
+                    logger.warn(`Local library: stopped watching ${directory}: ${err.message}`);
+                });
+                this.watchers.push(watcher);
+            } catch (err) {
+                logger.warn(`Local library: cannot watch ${directory} (${err.message}), relying on periodic rescans`);
+            }
+        }
+    }
+
+    /**
+     * Rescan once files stop changing
+     */
+    scheduleRescan() {
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = setTimeout(() => {
+            this.rescanTimer = null;
+            this.scan().catch(err => logger.error('Local library rescan failed:', err));
+        }, WATCH_DEBOUNCE_MS);
+    }
+
+    /**
+     * Bring the index up to date with the music folders
+     * A scan requested while one runs starts again once it finishes.
+     * @returns {Promise<Object>} Scan result ({ added, updated, removed, tracks, durationMs })
+     */
+    scan() {
+        if (this.scanPromise) {
+            this.rescanRequested = true;
+            return this.scanPromise;
+        }
+
+        this.scanPromise = this.runScan().finally(() => {
+            this.scanPromise = null;
+            if (this.rescanRequested) {
+                this.rescanRequested = false;
+                this.scan().catch(err => logger.error('Local library rescan failed:', err));
+            }
+        });
+        return this.scanPromise;
+    }
+
+    /**
+     * Scan the music folders once
+     * @returns {Promise<Object>} Scan result
+     */
+    async runScan() {
+        const startedAt = Date.now();
+        const indexed = new Map(dbService.getLibraryTrackFiles().map(entry => [entry.filePath, entry]));
+        const seen = new Set();
+        const scanned = [];
+        let added = 0;
+        let updated = 0;
+        let removed = 0;
+
+        for (const directory of this.getDirectories()) {
+            let found = 0;
+            for await (const filePath of this.walk(directory)) {
+                found++;
+                seen.add(filePath);
+                let stat;
+                try {
+                    stat = await fs.promises.stat(filePath);
+                } catch (err) {
+                    continue;
+                }
+
+                const entry = indexed.get(filePath);
+                if (entry && entry.sizeBytes === stat.size && entry.mtimeMs === Math.round(stat.mtimeMs)) {
+                    continue;
+                }
+
+                try {
+                    await this.indexFile(filePath, stat, entry);
+                    if (entry) updated++; else added++;
+                } catch (err) {
+                    logger.warn(`Local library: could not index ${filePath}: ${err.message}`);
+                }
+            }
+
+            // A missing or empty folder (e.g. an unmounted drive) keeps its tracks indexed
+            if (found > 0) {
+                scanned.push(directory);
+            } else {
+                logger.warn(`Local library: no audio files found in ${directory}`);
+            }
+        }
+
+        for (const entry of indexed.values()) {
+            if (seen.has(entry.filePath) || !scanned.some(directory => this.isInside(directory, entry.filePath))) {
+                continue;
+            }
+            dbService.deleteLibraryTrack(entry.id);
+            this.removeArt(entry.artPath);
+            removed++;
+        }
+
+        const tracks = dbService.countLibraryTracks([]);
+        const durationMs = Date.now() - startedAt;
+        this.lastScan = { at: Math.floor(Date.now() / 1000), added, updated, removed, durationMs };
+
+        if (added || updated || removed) {
+            logger.info(`Local library: ${tracks} tracks (${added} added, ${updated} updated, ${removed} removed) in ${Math.round(durationMs / 1000)}s`);
+        } else {
+            logger.debug(`Local library: no changes (${tracks} tracks)`);
+        }
+        return { added, updated, removed, tracks, durationMs };
+    }
+
+    /**
+     * List the audio files under a folder
+     * Hidden files and folders are skipped.
+     * @param {string} directory - Folder path
+     * @yields {string} Absolute file paths
+     */
+    async *walk(directory) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        } catch (err) {
+            logger.debug(`Local library: cannot read ${directory}: ${err.message}`);
+            return;
+        }
+
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                yield* this.walk(fullPath);
+            } else if (entry.isFile() && AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                yield fullPath;
+            }
+        }
+    }
+
+    /**
+     * Read a file's tags and art into the index
+     * @param {string} filePath - Audio file path
+     * @param {fs.Stats} stat - File stats
+     * @param {Object|undefined} previous - Current index entry, if any
+     */
+    async indexFile(filePath, stat, previous) {
+        const probe = await probeAudio(filePath);
+        if (!probe.duration && !probe.title) {
+            throw new Error('ffprobe could not read the file');
+        }
+
+        const artPath = probe.hasArt ? await this.extractArt(filePath) : null;
+        if (previous?.artPath && previous.artPath !== artPath) {
+            this.removeArt(previous.artPath);
+        }
+
+        const fileName = path.basename(filePath, path.extname(filePath));
+        dbService.saveLibraryTrack({
+            filePath,
+            fileName,
+            title: probe.title || fileName,
+            artist: probe.artist,
+            album: probe.album,
+            duration: probe.duration || null,
+            artPath,
+            sizeBytes: stat.size,
+            mtimeMs: stat.mtimeMs
+        });
+    }
+
+    /**
+     * Extract a file's embedded cover art as a JPEG thumbnail
+     * @param {string} filePath - Audio file path
+     * @returns {Promise<string|null>} Thumbnail path, or null if extraction failed
+     */
+    extractArt(filePath) {
+        const hash = crypto.createHash('sha1').update(filePath).digest('hex');
+        const artPath = path.join(this.getArtDirectory(), `${hash}.jpg`);
+
+        return new Promise((resolve) => {
+            const ffmpeg = spawn('ffmpeg', [
+                '-hide_banner', '-v', 'error', '-y',
+                '-i', filePath,
+                '-an',
+                '-frames:v', '1',
+                '-vf', `scale='min(${ART_SIZE},iw)':-2`,
+                artPath
+            ], { stdio: 'ignore' });
+
+            const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), ART_TIMEOUT_MS);
+
+            ffmpeg.on('close', (code) => {
+                clearTimeout(timer);
+                resolve(code === 0 && fs.existsSync(artPath) ? artPath : null);
+            });
+            ffmpeg.on('error', (err) => {
+                clearTimeout(timer);
+                logger.debug(`Local library: could not extract art from ${filePath}: ${err.message}`);
+                resolve(null);
+            });
+        });
+    }
+
+    /**
+     * Delete extracted cover art
+     * @param {string|null} artPath - Thumbnail path
+     */
+    removeArt(artPath) {
+        if (!artPath || !this.isInside(this.getArtDirectory(), artPath)) return;
+        fs.rm(artPath, { force: true }, () => {});
+    }
+
+    /**
+     * Add what the dashboard needs to a track
+     * @param {Object} track - Indexed track
+     * @returns {Object} Track with its art URL
+     */
+    toResult(track) {
+        return { ...track, artUrl: getThumbnailUrl(track.artPath) };
+    }
+
+    /**
+     * Search the index
+     * Every word has to appear as a whole word in the title, artist, album or file name; an empty query lists everything.
+     * @param {string} query - Search text
+     * @param {Object} [options]
+     * @param {number} [options.limit=50] - Maximum results
+     * @param {number} [options.offset=0] - Results to skip
+     * @returns {{tracks: Array<Object>, total: number}} Matching tracks and how many match in total
+     */
+    search(query, options = {}) {
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), MAX_SEARCH_LIMIT);
+        const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+        const words = toWords(query);
+        const text = (query || '').trim();
+
+        return {
+            tracks: dbService.searchLibraryTracks(words, text, limit, offset).map(track => this.toResult(track)),
+            total: dbService.countLibraryTracks(words)
+        };
+    }
+
+    /**
+     * Find the indexed track that best matches a search
+     * "Artist - Title" queries match like any other words.
+     * @param {string} query - Search text
+     * @param {Object} [options]
+     * @param {boolean} [options.wholeTitle=false] - Only accept a track whose whole title is in the query
+     *   (so a query that merely shares a word with a track doesn't pick it)
+     * @returns {Object|null} Track whose file still exists (with its art URL), or null
+     */
+    findBestMatch(query, options = {}) {
+        if (!this.isEnabled()) return null;
+        const words = toWords(query.replace(/\s+-\s+/g, ' '));
+        if (words.length === 0) return null;
+
+        const tracks = dbService.searchLibraryTracks(words, query.trim(), options.wholeTitle ? WHOLE_TITLE_CANDIDATES : 1, 0);
+        const track = options.wholeTitle
+            ? tracks.find(candidate => namesWholeTitle(query, candidate.title))
+            : tracks[0];
+        if (!track) return null;
+        if (!fs.existsSync(track.filePath)) {
+            this.scheduleRescan();
+            return null;
+        }
+        return this.toResult(track);
+    }
+
+    /**
+     * Get an indexed track
+     * @param {number} trackId - Track ID
+     * @returns {Object|null} Track or null
+     */
+    getTrack(trackId) {
+        const track = dbService.getLibraryTrack(trackId);
+        return track ? this.toResult(track) : null;
+    }
+
+    /**
+     * Build a queue entry that plays a track's file
+     * @param {Object} track - Indexed track
+     * @returns {Object} Song fields for QueueManager.add ({ type: 'file', content, title, artist, duration in ms, ... })
+     */
+    toQueueSong(track) {
+        return {
+            type: 'file',
+            content: track.filePath,
+            title: track.title,
+            artist: track.artist || '',
+            duration: track.duration || null,
+            thumbnail: track.artPath || null,
+            thumbnailUrl: getThumbnailUrl(track.artPath)
+        };
+    }
+
+    /**
+     * Get the library status
+     * @returns {{enabled: boolean, directories: Array<string>, scanning: boolean, tracks: number, lastScan: Object|null}}
+     */
+    getStatus() {
+        return {
+            enabled: this.isEnabled(),
+            directories: this.getDirectories(),
+            scanning: !!this.scanPromise,
+            tracks: this.isEnabled() ? dbService.countLibraryTracks([]) : 0,
+            lastScan: this.lastScan
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new LocalLibraryService();
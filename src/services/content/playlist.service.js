@@ -3,10 +3,12 @@ const { execFile } = require('child_process');
 const { logger } = require('../../utils/logger.util');
 const { getSpotifyAccessToken, clearToken } = require('../spotify/auth.service');
 const { isSpotifyPlaylist, isYouTubePlaylist, isPlaylistUrl } = require('../../utils/url.util');
+const { getSourceProvider } = require('../sources');
 
 /**
  * Playlist Service
- * Handles extracting tracks from Spotify and YouTube playlists
+ * Handles extracting tracks from Spotify and YouTube playlists, SoundCloud sets,
+ * Bandcamp albums and playlists of other yt-dlp sources
  */
 
 
@@ -170,9 +172,13 @@ async function getPlaylistTracks(url) {
         return await getSpotifyPlaylistTracks(url);
     } else if (isYouTubePlaylist(url)) {
         return await getYouTubePlaylistTracks(url);
-    } else {
-        throw new Error('Not a valid Spotify or YouTube playlist URL');
     }
+
+    const sourceProvider = getSourceProvider(url);
+    if (sourceProvider && sourceProvider.isPlaylist(url)) {
+        return await sourceProvider.getPlaylistTracks(url);
+    }
+    throw new Error('Not a valid Spotify, YouTube, SoundCloud or Bandcamp playlist URL');
 }
 
 module.exports = {
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { logger } = require('../../utils/logger.util');
+const { isFilePath } = require('../../utils/url.util');
+const { Playlist, PlaylistItem } = require('../../domain');
+const dbService = require('../../infrastructure/database/db.service');
+
+/**
+ * Saved Playlist Service
+ * Manages named playlists stored in the database:
+ * - Snapshot the current queue into a playlist
+ * - Load a playlist back into the queue
+ * - CRUD and item reordering for the dashboard
+ */
+
+/**
+ * Convert a database playlist record into a Playlist domain model
+ * @param {Object} record - Playlist record from dbService (with songs)
+ * @returns {Playlist} Playlist instance
+ */
+function toPlaylist(record) {
+    const items = (record.songs || []).map(song => PlaylistItem.fromDatabase({
+        ...song,
+        playlist_id: record.id
+    }));
+    return Playlist.fromDatabase(record, items);
+}
+
+/**
+ * Throw a validation error if the model has validation errors
+ * @param {Playlist|PlaylistItem} model - Domain model to validate
+ */
+function assertValid(model) {
+    const errors = model.validate();
+    if (errors.length > 0) {
+        const error = new Error(errors.join(', '));
+        error.name = 'ValidationError';
+        throw error;
+    }
+}
+
+/**
+ * Get the URL a queue item can be re-queued from
+ * @param {Object} item - Queue item
+ * @returns {string|null} Source URL or null if the item is a local file only
+ */
+function getQueueItemUrl(item) {
+    if (item.sourceUrl) return item.sourceUrl;
+    if (item.content && !isFilePath(item.content)) return item.content;
+    return null;
+}
+
+/**
+ * Get all saved playlists
+ * @returns {Array<Playlist>} Saved playlists, most recently updated first
+ */
+function getSavedPlaylists() {
+    return dbService.getPlaylists().map(toPlaylist);
+}
+
+/**
+ * Find a saved playlist by ID or name
+ * @param {string} idOrName - Playlist ID or name (case-insensitive)
+ * @returns {Playlist|null} Playlist or null if not found
+ */
+function findSavedPlaylist(idOrName) {
+    if (!idOrName) return null;
+    const record = dbService.getPlaylist(idOrName) || dbService.getPlaylistByName(idOrName.trim());
+    return record ? toPlaylist(record) : null;
+}
+
+/**
+ * Create a saved playlist
+ * @param {string} name - Playlist name
+ * @param {Array<Object>} items - Items ({ title, artist, url, searchQuery })
+ * @param {Object} options - Optional source info ({ source, sourceUrl })
+ * @returns {Playlist} Created playlist
+ */
+function createSavedPlaylist(name, items = [], options = {}) {
+    const playlist = new Playlist({
+        id: crypto.randomBytes(8).toString('hex'),
+        name: (name || '').trim(),
+        source: options.source || null,
+        sourceUrl: options.sourceUrl || null
+    });
+    assertValid(playlist);
+
+    if (dbService.getPlaylistByName(playlist.name)) {
+        const error = new Error(`Playlist "${playlist.name}" already exists`);
+        error.name = 'ConflictError';
+        throw error;
+    }
+
+    const playlistItems = items.map((item, index) => new PlaylistItem({
+        ...item,
+        playlistId: playlist.id,
+        position: index
+    }));
+    playlistItems.forEach(assertValid);
+
+    dbService.createPlaylist(playlist.toDatabase());
+    playlistItems.forEach(item => dbService.addPlaylistItem(playlist.id, item));
+
+    logger.info(`Created playlist "${playlist.name}" with ${playlistItems.length} items`);
+    return findSavedPlaylist(playlist.id);
+}
+
+/**
+ * Save the current song and queue as a named playlist
+ * Local files without a source URL are skipped since they can't be re-queued later
+ * @param {string} name - Playlist name
+ * @param {Array<Object>} queueItems - Queue items to snapshot (current song first)
+ * @returns {Playlist} Created playlist
+ */
+function saveQueueAsPlaylist(name, queueItems) {
+    const items = queueItems
+        .map(item => ({
+            title: item.title || 'Unknown',
+            artist: item.artist || item.channel || '',
+            url: getQueueItemUrl(item)
+        }))
+        .filter(item => item.url);
+
+    return createSavedPlaylist(name, items, { source: 'local' });
+}
+
+/**
+ * Add all items of a saved playlist to the queue
+ * Items without a URL are resolved through a YouTube search.
+ * Loading stops at the first item rejected by a queue quota.
+ * @param {Playlist} playlist - Playlist to load
+ * @param {Object} requestInfo - Request info ({ requester, remoteJid, sender })
+ * @param {Object} deps - Queue and search dependencies ({ queueManager, searchYouTube })
+ * @returns {Promise<{added: number, duplicates: number, failed: number, quota: Object|null}>} Load summary (quota holds { reason, params, messageKey } if a quota stopped loading)
+ */
+async function loadPlaylistIntoQueue(playlist, requestInfo, deps) {
+    const { queueManager, searchYouTube } = deps;
+    const summary = { added: 0, duplicates: 0, failed: 0, quota: null };
+
+    for (const item of playlist.items) {
+        try {
+            let url = item.url;
+            let title = item.title;
+
+            if (!url && item.searchQuery) {
+                const searchResult = await searchYouTube(item.searchQuery);
+                url = searchResult.url;
+                title = searchResult.title;
+            }
+
+            if (!url) {
+                summary.failed++;
+                continue;
+            }
+
+            const result = queueManager.add({
+                type: 'url',
+                content: url,
+                title,
+                artist: item.artist || '',
+                requester: requestInfo.requester,
+                remoteJid: requestInfo.remoteJid,
+                sender: requestInfo.sender
+            });
+
+            if (result === null) {
+                summary.duplicates++;
+            } else {
+                summary.added++;
+            }
+        } catch (error) {
+            if (error.name === 'QuotaExceededError') {
+                summary.quota = { reason: error.reason, params: error.params, messageKey: error.messageKey };
+                break;
+            }
+            logger.error(`Failed to load playlist item "${item.title}":`, error);
+            summary.failed++;
+        }
+    }
+
+    logger.info(`Loaded playlist "${playlist.name}": ${summary.added} added, ${summary.duplicates} duplicates, ${summary.failed} failed`);
+    return summary;
+}
+
+/**
+ * Rename a saved playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {string} name - New name
+ * @returns {Playlist|null} Updated playlist or null if not found
+ */
+function renameSavedPlaylist(playlistId, name) {
+    const playlist = findSavedPlaylist(playlistId);
+    if (!playlist) return null;
+
+    playlist.name = (name || '').trim();
+    assertValid(playlist);
+
+    const existing = dbService.getPlaylistByName(playlist.name);
+    if (existing && existing.id !== playlist.id) {
+        const error = new Error(`Playlist "${playlist.name}" already exists`);
+        error.name = 'ConflictError';
+        throw error;
+    }
+
+    dbService.renamePlaylist(playlist.id, playlist.name);
+    return findSavedPlaylist(playlist.id);
+}
+
+/**
+ * Delete a saved playlist
+ * @param {string} playlistId - Playlist ID
+ * @returns {boolean} True if deleted
+ */
+function deleteSavedPlaylist(playlistId) {
+    const playlist = findSavedPlaylist(playlistId);
+    if (!playlist) return false;
+
+    dbService.deletePlaylist(playlist.id);
+    logger.info(`Deleted playlist "${playlist.name}"`);
+    return true;
+}
+
+/**
+ * Append an item to a saved playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} itemData - Item data ({ title, artist, url, searchQuery })
+ * @returns {Playlist|null} Updated playlist or null if not found
+ */
+function addSavedPlaylistItem(playlistId, itemData) {
+    const playlist = findSavedPlaylist(playlistId);
+    if (!playlist) return null;
+
+    const item = new PlaylistItem({
+        ...itemData,
+        playlistId: playlist.id,
+        position: playlist.getItemCount()
+    });
+    assertValid(item);
+
+    dbService.addPlaylistItem(playlist.id, item);
+    return findSavedPlaylist(playlist.id);
+}
+
+/**
+ * Remove an item from a saved playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {number} itemId - Playlist item ID
+ * @returns {boolean} True if removed
+ */
+function removeSavedPlaylistItem(playlistId, itemId) {
+    return dbService.removePlaylistItem(playlistId, itemId);
+}
+
+/**
+ * Move an item within a saved playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {number} fromIndex - Current position
+ * @param {number} toIndex - New position
+ * @returns {boolean} True if reordered
+ */
+function reorderSavedPlaylistItems(playlistId, fromIndex, toIndex) {
+    const playlist = findSavedPlaylist(playlistId);
+    if (!playlist || !playlist.reorderItems(fromIndex, toIndex)) {
+        return false;
+    }
+    return dbService.reorderPlaylistItems(playlist.id, fromIndex, toIndex);
+}
+
+module.exports = {
+    getSavedPlaylists,
+    findSavedPlaylist,
+    createSavedPlaylist,
+    saveQueueAsPlaylist,
+    loadPlaylistIntoQueue,
+    renameSavedPlaylist,
+    deleteSavedPlaylist,
+    addSavedPlaylistItem,
+    removeSavedPlaylistItem,
+    reorderSavedPlaylistItems
+};
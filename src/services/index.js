@@ -9,7 +9,7 @@
  * - YouTube/Spotify: External service integrations
  * - Media/Metadata: Content processing and metadata extraction
  * - User: User management and permissions
- * - Content: Playlist and lyrics services
+ * - Content: Playlist, lyrics and local music library services
  * - System: System-level services (notifications, logs, stats, state persistence)
  */
 
@@ -18,6 +18,7 @@ const playbackServices = require('./playback');
 
 // Cache services
 const youtubeCache = require('./cache/youtube-cache.service');
+const libraryCache = require('./cache/library-cache.service');
 
 // YouTube services
 const youtubeAPI = require('./youtube/api.service');
@@ -33,6 +34,8 @@ const spotifyMetadata = require('./spotify/metadata.service');
 const effectsService = require('./audio/effects.service');
 const audioAnalysis = require('./audio/analysis.service');
 const volumeNormalization = require('./audio/volume-normalization.service');
+const loudnessScan = require('./audio/loudness-scan.service');
+const silenceTrim = require('./audio/silence-trim.service');
 const audioDownload = require('./audio/download.service');
 
 // Media services
@@ -45,10 +48,13 @@ const metadataService = require('./metadata/metadata.service');
 const priorityService = require('./user/priority.service');
 const groupsService = require('./user/groups.service');
 const commandRateLimitService = require('./user/command-rate-limit.service');
+const queueQuotaService = require('./user/queue-quota.service');
 
 // Content services
 const playlistService = require('./content/playlist.service');
 const lyricsService = require('./content/lyrics.service');
+const savedPlaylistService = require('./content/saved-playlist.service');
+const localLibraryService = require('./content/local-library.service');
 
 // System services
 const notificationService = require('./system/notification.service');
@@ -56,6 +62,7 @@ const logsService = require('./system/logs.service');
 const statsService = require('./system/stats.service');
 const playbackStateService = require('./system/playback-state.service');
 const statusService = require('./system/status.service');
+const schedulerService = require('./system/scheduler.service');
 
 module.exports = {
     // Playback
@@ -64,6 +71,7 @@ module.exports = {
     // Cache
     cache: {
         youtube: youtubeCache,
+        library: libraryCache,
     },
 
     // YouTube
@@ -85,6 +93,8 @@ module.exports = {
         effects: effectsService,
         analysis: audioAnalysis,
         volumeNormalization,
+        loudnessScan,
+        silenceTrim,
         download: audioDownload,
     },
 
@@ -99,12 +109,15 @@ module.exports = {
         priority: priorityService,
         groups: groupsService,
         commandRateLimit: commandRateLimitService,
+        queueQuota: queueQuotaService,
     },
 
     // Content
     content: {
         playlist: playlistService,
         lyrics: lyricsService,
+        savedPlaylists: savedPlaylistService,
+        localLibrary: localLibraryService,
     },
 
     // System
@@ -114,5 +127,6 @@ module.exports = {
         stats: statsService,
         playbackState: playbackStateService,
         status: statusService,
+        scheduler: schedulerService,
     },
 };
@@ -0,0 +1,628 @@
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../config');
+const { logger } = require('../../utils/logger.util');
+const {
+    getUrlHost,
+    getUrlExtension,
+    isDirectAudioUrl,
+    isStreamPlaylistUrl,
+    isYouTubeUrl,
+    isSpotifyUrl,
+    isSoundCloudUrl,
+    isBandcampUrl
+} = require('../../utils/url.util');
+const { assertPublicUrl, publicLookup } = require('../../utils/address.util');
+const { probeAudio } = require('../metadata/metadata.service');
+const { getFileExtension } = require('./media.service');
+
+/**
+ * HTTP Audio Service
+ * Handles links that point straight at audio instead of a site:
+ * - Direct audio files (e.g. a podcast MP3): downloaded with a size limit, then played like any song
+ * - Live streams (Icecast/SHOUTcast, .m3u/.pls/.m3u8 playlists): played from the network
+ *   until skipped or until the stream time limit passes
+ * Links may only point at public addresses: every request (and every redirect) checks the address it
+ * connects to. ffprobe and the player never connect to a link themselves: they read it through a local
+ * relay that makes those checked requests, so a host can't resolve to a public address for the check
+ * and to a private one when the file is read.
+ */
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const PLAYLIST_MAX_BYTES = 64 * 1024;
+const BYTES_PER_MB = 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const RELAY_PLAYLIST_MAX_BYTES = 1024 * 1024;
+
+// Relay URLs are signed, so the relay only fetches links this process handed out
+const RELAY_SECRET = crypto.randomBytes(32);
+
+// Request headers passed on to the link, and response headers passed back to the reader
+const RELAY_REQUEST_HEADERS = ['range', 'icy-metadata'];
+const RELAY_RESPONSE_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges'];
+
+// Content types of stream playlists
+const PLAYLIST_CONTENT_TYPES = [
+    'audio/x-mpegurl',
+    'audio/mpegurl',
+    'application/x-mpegurl',
+    'application/vnd.apple.mpegurl',
+    'audio/x-scpls'
+];
+
+/**
+ * Create an error for a file over the download size limit
+ * @param {number} maxBytes - Size limit in bytes
+ * @returns {Error} Error named FileTooLargeError
+ */
+function fileTooLargeError(maxBytes) {
+    const error = new Error(`Audio file is larger than the ${Math.round(maxBytes / BYTES_PER_MB)} MB download limit`);
+    error.name = 'FileTooLargeError';
+    return error;
+}
+
+/**
+ * Get the download size limit
+ * @returns {number} Maximum file size in bytes
+ */
+function getMaxBytes() {
+    config._ensureSettingsLoaded();
+    return (config.performance.directDownloadMaxSizeMb || 200) * BYTES_PER_MB;
+}
+
+/**
+ * Get how long a live stream plays before moving on
+ * @returns {number} Time limit in milliseconds
+ */
+function getStreamTimeLimitMs() {
+    config._ensureSettingsLoaded();
+    return (config.playback.streamMaxMinutes || 60) * 60 * 1000;
+}
+
+/**
+ * Get a readable title from a URL's file name
+ * @param {string} url - URL
+ * @returns {string} Title (file name without extension, or the host)
+ */
+function getTitleFromUrl(url) {
+    try {
+        const { pathname } = new URL(url);
+        const name = decodeURIComponent(path.basename(pathname, path.extname(pathname)));
+        const title = name.replace(/[_+]+/g, ' ').trim();
+        return title || getUrlHost(url) || 'Audio';
+    } catch (e) {
+        return 'Audio';
+    }
+}
+
+/**
+ * Check if a URL could point straight at audio
+ * Any http(s) link except the music sites handled elsewhere; inspectUrl() tells for sure.
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isPossibleAudioUrl(url) {
+    if (!getUrlHost(url)) return false;
+    return !isYouTubeUrl(url) && !isSpotifyUrl(url) && !isSoundCloudUrl(url) && !isBandcampUrl(url);
+}
+
+/**
+ * Open a URL and read its response headers
+ * Redirects are followed here rather than by axios, so every address along the way is checked.
+ * The body is left unread; the caller consumes or destroys it.
+ * @param {string} url - URL
+ * @param {Object} [headers] - Extra request headers (e.g. Range)
+ * @returns {Promise<Object>} Axios response with a stream body, and finalUrl (the URL after redirects)
+ * @throws {Error} PrivateAddressError if the URL or a redirect points at a local or private address
+ */
+async function openUrl(url, headers = {}) {
+    let target = url;
+    for (let redirects = 0; ; redirects++) {
+        await assertPublicUrl(target);
+        const response = await axios.get(target, {
+            responseType: 'stream',
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: { ...headers, 'User-Agent': 'WabiSaby' },
+            maxRedirects: 0,
+            lookup: publicLookup,
+            validateStatus: status => status >= 200 && status < 400
+        });
+
+        const location = response.status >= 300 ? response.headers.location : null;
+        if (!location) {
+            response.finalUrl = target;
+            return response;
+        }
+
+        response.data.destroy();
+        if (redirects >= MAX_REDIRECTS) {
+            throw new Error(`Too many redirects: ${url}`);
+        }
+        target = new URL(location, target).toString();
+    }
+}
+
+/**
+ * Sign a link for the relay
+ * @param {string} url - http(s) URL
+ * @returns {string} Signature (base64url)
+ */
+function signRelayTarget(url) {
+    return crypto.createHmac('sha256', RELAY_SECRET).update(url).digest('base64url');
+}
+
+/**
+ * Build the relay URL of a link
+ * The link's file name is kept at the end, as ffmpeg looks at extensions (e.g. of HLS segments).
+ * @param {string} url - http(s) URL
+ * @param {number} port - Relay port
+ * @returns {string} Relay URL
+ */
+function buildRelayUrl(url, port) {
+    const fileName = path.posix.basename(new URL(url).pathname) || 'audio';
+    return `http://127.0.0.1:${port}/${signRelayTarget(url)}/${Buffer.from(url).toString('base64url')}/${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Read the link a relay request is for
+ * @param {string} requestPath - Request path
+ * @returns {string|null} Link, or null if the path isn't a signed relay URL
+ */
+function readRelayTarget(requestPath) {
+    const [, signature, encoded] = requestPath.split('/');
+    if (!signature || !encoded) return null;
+
+    const url = Buffer.from(encoded, 'base64url').toString();
+    const expected = Buffer.from(signRelayTarget(url));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    return url;
+}
+
+/**
+ * Rewrite the links in a stream playlist (HLS, .m3u, .pls) to go through the relay
+ * Links that aren't http(s) (e.g. file://) are dropped, so the player never opens them.
+ * @param {string} body - Playlist
+ * @param {string} baseUrl - URL the playlist was read from (for relative links)
+ * @param {number} port - Relay port
+ * @returns {string} Rewritten playlist
+ */
+function rewritePlaylist(body, baseUrl, port) {
+    const rewriteLink = (link) => {
+        try {
+            const resolved = new URL(link, baseUrl);
+            if (resolved.protocol === 'http:' || resolved.protocol === 'https:') {
+                return buildRelayUrl(resolved.toString(), port);
+            }
+            return resolved.protocol === 'data:' ? link : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    return body.split(/\r?\n/).map((line) => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+
+        // HLS tags carry links in URI="..." attributes (keys, maps, alternative renditions)
+        if (trimmed.startsWith('#')) {
+            let dropped = false;
+            const rewritten = line.replace(/URI="([^"]*)"/g, (match, link) => {
+                const relayed = rewriteLink(link);
+                if (!relayed) dropped = true;
+                return `URI="${relayed}"`;
+            });
+            return dropped ? null : rewritten;
+        }
+
+        // .pls: "File1=http://..."; other lines are links
+        const pls = trimmed.match(/^(File\d+=)(.*)$/i);
+        if (pls) {
+            const relayed = rewriteLink(pls[2]);
+            return relayed ? `${pls[1]}${relayed}` : null;
+        }
+        if (/^\w+=/.test(trimmed) || trimmed.startsWith('[')) return line;
+        return rewriteLink(trimmed);
+    }).filter(line => line !== null).join('\n');
+}
+
+/**
+ * Pass a SHOUTcast v1 stream through as it comes
+ * Those servers answer "ICY 200 OK", which isn't valid HTTP, so the response is relayed as raw bytes.
+ * The connection uses the same address check as every other request.
+ * @param {string} url - Stream URL
+ * @param {http.IncomingMessage} req - Relay request
+ */
+function relayIcyStream(url, req) {
+    const parsed = new URL(url);
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    const secure = parsed.protocol === 'https:';
+    const options = {
+        host,
+        port: parsed.port || (secure ? 443 : 80),
+        lookup: publicLookup,
+        servername: net.isIP(host) ? undefined : host
+    };
+    const client = req.socket;
+    const upstream = secure ? tls.connect(options) : net.connect(options);
+
+    upstream.once(secure ? 'secureConnect' : 'connect', () => {
+        const icyMetadata = req.headers['icy-metadata'] ? `Icy-MetaData: ${req.headers['icy-metadata']}\r\n` : '';
+        upstream.write(`GET ${parsed.pathname}${parsed.search} HTTP/1.0\r\nHost: ${parsed.host}\r\nUser-Agent: WabiSaby\r\n${icyMetadata}\r\n`);
+        upstream.pipe(client);
+    });
+    upstream.on('error', (error) => {
+        logger.debug(`[HttpAudio] Relay could not open stream ${url}: ${error.message}`);
+        client.destroy();
+    });
+    client.on('close', () => upstream.destroy());
+}
+
+/**
+ * Serve a relay request: fetch the signed link with the address checks and pass the response on
+ * @param {http.IncomingMessage} req - Relay request
+ * @param {http.ServerResponse} res - Relay response
+ */
+async function handleRelayRequest(req, res) {
+    const url = readRelayTarget(req.url);
+    if (!url) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    const headers = {};
+    RELAY_REQUEST_HEADERS.forEach((name) => {
+        if (req.headers[name]) headers[name] = req.headers[name];
+    });
+
+    let response;
+    try {
+        response = await openUrl(url, headers);
+    } catch (error) {
+        if (error.code === 'HPE_INVALID_CONSTANT') {
+            relayIcyStream(url, req);
+            return;
+        }
+        logger.debug(`[HttpAudio] Relay could not open ${url}: ${error.message}`);
+        res.writeHead(error.name === 'PrivateAddressError' ? 403 : 502);
+        res.end();
+        return;
+    }
+
+    const responseHeaders = {};
+    Object.entries(response.headers).forEach(([name, value]) => {
+        if (RELAY_RESPONSE_HEADERS.includes(name) || name.startsWith('icy-')) responseHeaders[name] = value;
+    });
+
+    // Playlists list more links, which have to go through the relay as well
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (PLAYLIST_CONTENT_TYPES.includes(contentType) || isStreamPlaylistUrl(response.finalUrl)) {
+        const chunks = [];
+        let size = 0;
+        try {
+            for await (const chunk of response.data) {
+                size += chunk.length;
+                if (size > RELAY_PLAYLIST_MAX_BYTES) throw new Error('Playlist is too large');
+                chunks.push(chunk);
+            }
+        } catch (error) {
+            response.data.destroy();
+            logger.debug(`[HttpAudio] Relay could not read playlist ${url}: ${error.message}`);
+            res.writeHead(502);
+            res.end();
+            return;
+        }
+
+        const body = rewritePlaylist(Buffer.concat(chunks).toString(), response.finalUrl, req.socket.localPort);
+        delete responseHeaders['content-length'];
+        delete responseHeaders['content-range'];
+        res.writeHead(200, responseHeaders);
+        res.end(body);
+        return;
+    }
+
+    res.writeHead(response.status, responseHeaders);
+    response.data.pipe(res);
+    response.data.on('error', () => res.destroy());
+    res.on('close', () => response.data.destroy());
+}
+
+let relayServer = null;
+
+/**
+ * Get the relay's port, starting the relay on first use
+ * It only listens on the loopback interface.
+ * @returns {Promise<number>} Port
+ */
+function getRelayPort() {
+    if (!relayServer) {
+        relayServer = new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => {
+                handleRelayRequest(req, res).catch((error) => {
+                    logger.warn(`[HttpAudio] Relay request failed: ${error.message}`);
+                    res.destroy();
+                });
+            });
+            server.on('error', (error) => {
+                relayServer = null;
+                reject(error);
+            });
+            server.listen(0, '127.0.0.1', () => {
+                server.unref();
+                resolve(server.address().port);
+            });
+        });
+    }
+    return relayServer;
+}
+
+/**
+ * Get the address ffprobe or the player should read a link from
+ * @param {string} url - Checked http(s) URL
+ * @returns {Promise<string>} Relay URL on the loopback interface
+ */
+async function getRelayUrl(url) {
+    return buildRelayUrl(url, await getRelayPort());
+}
+
+/**
+ * Get where a URL ends up after redirects, checking every address along the way
+ * @param {string} url - URL
+ * @returns {Promise<string>} Final URL
+ * @throws {Error} PrivateAddressError if the URL or a redirect points at a local or private address
+ */
+async function resolveRedirects(url) {
+    try {
+        const response = await openUrl(url);
+        response.data.destroy();
+        return response.finalUrl;
+    } catch (error) {
+        // SHOUTcast v1 answers "ICY 200 OK": the address was checked, there was just no valid HTTP response
+        if (error.code === 'HPE_INVALID_CONSTANT') return url;
+        throw error;
+    }
+}
+
+/**
+ * Check what an http(s) URL serves
+ * @param {string} url - URL
+ * @returns {Promise<{type: 'http'|'stream', title: string, artist: string, duration: number|null}|null>}
+ *   Queue item type and metadata (duration in seconds), or null if the URL isn't audio
+ */
+async function inspectUrl(url) {
+    if (!getUrlHost(url)) return null;
+
+    if (isStreamPlaylistUrl(url)) {
+        try {
+            await assertPublicUrl(url);
+        } catch (error) {
+            // Unreachable playlists are left to the player to report
+            if (error.name === 'PrivateAddressError') throw error;
+        }
+        return { type: 'stream', title: getTitleFromUrl(url), artist: '', duration: null };
+    }
+
+    let response;
+    try {
+        response = await openUrl(url);
+    } catch (error) {
+        if (error.name === 'PrivateAddressError') throw error;
+        // SHOUTcast v1 answers "ICY 200 OK", which isn't valid HTTP
+        if (error.code === 'HPE_INVALID_CONSTANT') {
+            return { type: 'stream', title: getTitleFromUrl(url), artist: '', duration: null };
+        }
+        logger.debug(`[HttpAudio] Could not open ${url}: ${error.message}`);
+        return null;
+    }
+    response.data.destroy();
+
+    const headers = response.headers;
+    const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const isIcecast = Object.keys(headers).some(name => name.startsWith('icy-'));
+    const streamTitle = headers['icy-name'] || getTitleFromUrl(url);
+
+    if (PLAYLIST_CONTENT_TYPES.includes(contentType)) {
+        return { type: 'stream', title: streamTitle, artist: '', duration: null };
+    }
+    if (!contentType.startsWith('audio/') && contentType !== 'application/ogg') {
+        return null;
+    }
+    // Live streams announce themselves (icy-* headers) or have no length
+    if (isIcecast || !headers['content-length']) {
+        return { type: 'stream', title: streamTitle, artist: '', duration: null };
+    }
+
+    return { type: 'http', ...await probeTrack(response.finalUrl, url) };
+}
+
+/**
+ * Get metadata of a direct audio file from its tags
+ * @param {string} url - Audio file URL
+ * @returns {Promise<{title: string, artist: string, duration: number|null}>} Metadata (duration in seconds, if known)
+ * @throws {Error} PrivateAddressError if the URL points at a local or private address
+ */
+async function getTrackInfo(url) {
+    return probeTrack(await resolveRedirects(url), url);
+}
+
+/**
+ * Read a direct audio file's tags with ffprobe
+ * @param {string} probeUrl - Checked URL to probe (after redirects), read through the relay
+ * @param {string} url - URL as requested (for the fallback title)
+ * @returns {Promise<{title: string, artist: string, duration: number|null}>} Metadata (duration in seconds, if known)
+ */
+async function probeTrack(probeUrl, url) {
+    const probe = await probeAudio(await getRelayUrl(probeUrl));
+    return {
+        title: probe.title || getTitleFromUrl(url),
+        artist: probe.artist || '',
+        duration: probe.duration ? Math.round(probe.duration / 1000) : null
+    };
+}
+
+/**
+ * Download a direct audio file, giving up once it exceeds the size limit
+ * The file is written next to its final path first, so partial downloads are never played.
+ * @param {string} url - Audio file URL
+ * @param {string} title - Track title (for the file name)
+ * @param {function} progressCallback - Optional callback for progress updates
+ * @returns {Promise<{audioPath: string, thumbnailPath: null}>}
+ * @throws {Error} FileTooLargeError if the file is over the limit
+ */
+async function downloadAudio(url, title, progressCallback = null) {
+    const maxBytes = getMaxBytes();
+    const response = await openUrl(url);
+    const totalBytes = parseInt(response.headers['content-length'], 10) || 0;
+
+    if (totalBytes > maxBytes) {
+        response.data.destroy();
+        throw fileTooLargeError(maxBytes);
+    }
+
+    // Links without an audio extension (e.g. "/episode?id=1") are named after their content type
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+    const extension = isDirectAudioUrl(url) ? getUrlExtension(url) : getFileExtension(contentType).slice(1);
+    const audioPath = config.getOutputPath(title, extension);
+    const partialPath = `${audioPath}.part`;
+
+    logger.info(`[HttpAudio] Downloading ${url}${totalBytes ? ` (${Math.round(totalBytes / BYTES_PER_MB)} MB)` : ''}`);
+
+    return new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(partialPath);
+        let receivedBytes = 0;
+        let lastPercent = -1;
+        let settled = false;
+
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+            response.data.destroy();
+            file.destroy();
+            fs.rm(partialPath, { force: true }, () => {});
+            reject(error);
+        };
+
+        response.data.on('data', (chunk) => {
+            receivedBytes += chunk.length;
+            if (receivedBytes > maxBytes) {
+                fail(fileTooLargeError(maxBytes));
+                return;
+            }
+            if (progressCallback && totalBytes) {
+                const percent = Math.min(100, Math.floor((receivedBytes / totalBytes) * 100));
+                if (percent !== lastPercent) {
+                    lastPercent = percent;
+                    progressCallback({ percent, status: 'downloading' });
+                }
+            }
+        });
+        response.data.on('error', fail);
+        file.on('error', fail);
+
+        file.on('finish', () => {
+            if (settled) return;
+            try {
+                fs.renameSync(partialPath, audioPath);
+            } catch (error) {
+                fail(error);
+                return;
+            }
+            settled = true;
+            if (progressCallback) progressCallback({ percent: 100, status: 'complete' });
+            resolve({ audioPath, thumbnailPath: null });
+        });
+
+        response.data.pipe(file);
+    });
+}
+
+/**
+ * Get the address to play for a live stream
+ * .pls and plain .m3u playlists are resolved to their first stream, since not
+ * every backend reads them; HLS (.m3u8) is played as is.
+ * @param {string} url - Stream or playlist URL
+ * @returns {Promise<string>} Relay URL of the stream (after redirects)
+ * @throws {Error} PrivateAddressError if the stream points at a local or private address
+ */
+async function resolveStreamUrl(url) {
+    return getRelayUrl(await findStreamUrl(url));
+}
+
+/**
+ * Find the stream a link plays
+ * @param {string} url - Stream or playlist URL
+ * @returns {Promise<string>} Stream URL (after redirects)
+ * @throws {Error} PrivateAddressError if the stream points at a local or private address
+ */
+async function findStreamUrl(url) {
+    let response;
+    try {
+        response = await openUrl(url);
+    } catch (error) {
+        if (error.name === 'PrivateAddressError') throw error;
+        // Let the player report streams that can't be opened (or that answer "ICY 200 OK")
+        logger.debug(`[HttpAudio] Could not open stream ${url}: ${error.message}`);
+        return url;
+    }
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!isStreamPlaylistUrl(url) && !PLAYLIST_CONTENT_TYPES.includes(contentType)) {
+        response.data.destroy();
+        return response.finalUrl;
+    }
+
+    const body = await new Promise((resolve) => {
+        let text = '';
+        response.data.on('data', (chunk) => {
+            text += chunk.toString();
+            if (text.length > PLAYLIST_MAX_BYTES) {
+                response.data.destroy();
+                resolve(text);
+            }
+        });
+        response.data.on('end', () => resolve(text));
+        response.data.on('error', () => resolve(text));
+    });
+
+    if (body.includes('#EXT-X-')) {
+        return response.finalUrl;
+    }
+
+    // .pls: "File1=http://..."; .m3u: the first line that isn't a comment
+    const entries = body.split(/\r?\n/)
+        .map(line => line.trim())
+        .map(line => line.replace(/^File\d+=/i, ''))
+        .filter(line => /^https?:\/\//i.test(line));
+
+    if (entries.length === 0) {
+        logger.warn(`[HttpAudio] No streams found in playlist ${url}`);
+        return response.finalUrl;
+    }
+
+    // Playlist entries are links like any other
+    let streamUrl = entries[0];
+    try {
+        streamUrl = await resolveRedirects(entries[0]);
+    } catch (error) {
+        if (error.name === 'PrivateAddressError') throw error;
+        logger.debug(`[HttpAudio] Could not open stream ${entries[0]}: ${error.message}`);
+    }
+    logger.info(`[HttpAudio] Resolved stream playlist ${url} to ${streamUrl}`);
+    return streamUrl;
+}
+
+module.exports = {
+    isPossibleAudioUrl,
+    inspectUrl,
+    getTrackInfo,
+    downloadAudio,
+    resolveStreamUrl,
+    getStreamTimeLimitMs,
+    getMaxBytes
+};
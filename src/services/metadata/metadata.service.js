@@ -6,6 +6,7 @@ const { logger } = require('../../utils/logger.util');
 const config = require('../../config');
 const { youtubeCache } = require('../cache');
 const { isSpotifyUrl } = require('../../utils/url.util');
+const { getSourceProvider } = require('../sources');
 
 const execAsync = promisify(exec);
 
@@ -35,7 +36,7 @@ function extractYouTubeVideoId(url) {
 /**
  * Get video info using yt-dlp (fallback method)
  * @param {string} url - YouTube URL
- * @returns {Promise<{title: string, artist: string}>}
+ * @returns {Promise<{title: string, artist: string, duration: number|null}>}
  */
 async function getVideoInfoWithYtDlp(url) {
     try {
@@ -47,8 +48,9 @@ async function getVideoInfoWithYtDlp(url) {
         const videoData = JSON.parse(stdout);
         const title = videoData.title || '';
         const artist = videoData.uploader || videoData.channel || '';
+        const duration = videoData.duration ? Math.round(videoData.duration) : null;
 
-        return { title, artist };
+        return { title, artist, duration };
     } catch (error) {
         logger.warn(`[Metadata] yt-dlp fallback failed: ${error.message}`);
         throw error;
@@ -103,10 +105,17 @@ async function getVideoInfoWithYouTubeAPI(url) {
 
 /**
  * Get detailed track info (title, artist) from URL
+ * SoundCloud, Bandcamp and other yt-dlp sources throw on failure instead of returning a fallback,
+ * since there is no search to fall back on for them.
  * @param {string} url - The URL to fetch info from
- * @returns {Promise<{title: string, artist: string, url: string}>} - The track info
+ * @returns {Promise<{title: string, artist: string, url: string, duration: number|null}>} - The track info (duration in seconds, if known)
  */
 async function getTrackInfo(url) {
+    const sourceProvider = getSourceProvider(url);
+    if (sourceProvider) {
+        return sourceProvider.getTrackInfo(url);
+    }
+
     try {
         // Handle Spotify URLs
         if (isSpotifyUrl(url)) {
@@ -116,7 +125,8 @@ async function getTrackInfo(url) {
                 return {
                     title: metadata.title,
                     artist: metadata.artist,
-                    url: url
+                    url: url,
+                    duration: metadata.duration || null
                 };
             } catch (error) {
                 logger.error(`[Metadata] Failed to get Spotify metadata for ${url}:`, error.message);
@@ -147,7 +157,8 @@ async function getTrackInfo(url) {
                         info = {
                             video_details: {
                                 title: ytDlpInfo.title,
-                                channel: { name: ytDlpInfo.artist }
+                                channel: { name: ytDlpInfo.artist },
+                                durationInSec: ytDlpInfo.duration
                             }
                         };
                         youtubeCache.setVideoInfo(url, info);
@@ -202,7 +213,8 @@ async function getTrackInfo(url) {
 
             const title = info.video_details.title;
             const artist = info.video_details.channel ? info.video_details.channel.name : '';
-            return { title, artist, url };
+            const duration = info.video_details.durationInSec || null;
+            return { title, artist, url, duration };
         }
     } catch (e) {
         // This catch is for unexpected errors outside the YouTube handling
@@ -222,7 +234,7 @@ async function getTrackInfo(url) {
 }
 
 /**
- * Get title from URL (YouTube or Spotify)
+ * Get title from URL (YouTube, Spotify or another source provider)
  * @param {string} url - The URL to fetch title from
  * @returns {Promise<string>} - The track title
  */
@@ -261,8 +273,72 @@ async function getAudioDuration(filePath) {
     });
 }
 
+// ffprobe may wait on a slow server when probing a URL
+const PROBE_TIMEOUT_MS = 20 * 1000;
+
+/**
+ * Read duration and tags using ffprobe
+ * Works on files and on http(s) URLs (only the start of the file is read).
+ * @param {string} source - Path or URL of the audio
+ * @returns {Promise<{duration: number, title: string|null, artist: string|null, album: string|null, albumArtist: string|null, hasArt: boolean}>}
+ *   Duration in milliseconds (0 if unknown), tags, and whether the file embeds cover art
+ */
+async function probeAudio(source) {
+    return new Promise((resolve) => {
+        const ffprobe = spawn('ffprobe', [
+            '-v', 'error',
+            '-show_entries', 'format=duration:format_tags=title,artist,album_artist,album'
+                + ':stream=codec_type:stream_tags=title,artist,album_artist,album:stream_disposition=attached_pic',
+            '-of', 'json',
+            source
+        ]);
+
+        let output = '';
+        const timer = setTimeout(() => {
+            logger.debug(`[Metadata] ffprobe timed out for ${source}`);
+            ffprobe.kill('SIGKILL');
+        }, PROBE_TIMEOUT_MS);
+
+        ffprobe.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+
+        ffprobe.on('close', () => {
+            clearTimeout(timer);
+            let format = {};
+            let streams = [];
+            try {
+                const parsed = JSON.parse(output);
+                format = parsed.format || {};
+                streams = parsed.streams || [];
+            } catch (e) {
+                // No output (timeout, unreadable file)
+            }
+            // Tag names vary in case between containers, and Ogg/Opus keep them on the audio stream
+            const lowerKeys = (object) => Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key.toLowerCase(), value]));
+            const audioStream = streams.find(stream => stream.codec_type === 'audio') || {};
+            const tags = { ...lowerKeys(audioStream.tags), ...lowerKeys(format.tags) };
+            const duration = parseFloat(format.duration);
+            resolve({
+                duration: isNaN(duration) ? 0 : Math.floor(duration * 1000),
+                title: tags.title || null,
+                artist: tags.artist || tags.album_artist || null,
+                album: tags.album || null,
+                albumArtist: tags.album_artist || null,
+                hasArt: streams.some(stream => stream.codec_type === 'video' && stream.disposition?.attached_pic === 1)
+            });
+        });
+
+        ffprobe.on('error', () => {
+            clearTimeout(timer);
+            resolve({ duration: 0, title: null, artist: null, album: null, albumArtist: null, hasArt: false });
+        });
+    });
+}
+
 module.exports = {
     getTitle,
     getTrackInfo,
-    getAudioDuration
+    getAudioDuration,
+    probeAudio
 };
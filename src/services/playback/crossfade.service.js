@@ -0,0 +1,114 @@
+const fs = require('fs');
+const config = require('../../config');
+const queueService = require('./queue.service');
+const { isFilePath } = require('../../utils/url.util');
+
+/**
+ * Crossfade Service
+ *
+ * Settings and helpers for overlapping the end of one song with the start of the next:
+ * - Only the MPV backend crossfades; ffplay keeps the regular transition delay
+ * - The player starts fading out once the remaining time drops below the overlap,
+ *   but only if the next song is already on disk (otherwise it would fade into silence)
+ * - Fades use FFmpeg's afade filter with the configured curve
+ */
+
+// Setting value -> afade curve name
+const CURVES = {
+    equalPower: 'qsin',
+    linear: 'tri',
+    sCurve: 'esin',
+    logarithmic: 'log',
+    exponential: 'exp'
+};
+
+const MAX_DURATION_SECONDS = 12;
+
+class CrossfadeService {
+    /**
+     * Get the crossfade settings
+     * @returns {{enabled: boolean, durationSeconds: number, curve: string}} Settings (curve is the afade name)
+     */
+    getSettings() {
+        config._ensureSettingsLoaded();
+        const { crossfadeEnabled, crossfadeDuration, crossfadeCurve } = config.playback;
+        const durationSeconds = Math.min(MAX_DURATION_SECONDS, Math.max(0, crossfadeDuration || 0));
+
+        return {
+            enabled: !!crossfadeEnabled && durationSeconds > 0,
+            durationSeconds,
+            curve: CURVES[crossfadeCurve] || CURVES.equalPower
+        };
+    }
+
+    /**
+     * Check whether the active player backend can crossfade
+     * @returns {boolean} True if the backend supports it (MPV)
+     */
+    isSupported() {
+        const player = require('../../infrastructure/player');
+        const instance = player.getPlayerInstance();
+        return !!instance && instance.supportsCrossfade();
+    }
+
+    /**
+     * Check whether songs will actually crossfade right now
+     * @returns {boolean} True if enabled and supported by the backend
+     */
+    isActive() {
+        return this.getSettings().enabled && this.isSupported();
+    }
+
+    /**
+     * Get the time added between two songs
+     * @returns {number} Milliseconds (negative when songs overlap)
+     */
+    getTransitionMs() {
+        if (this.isActive()) {
+            return -this.getSettings().durationSeconds * 1000;
+        }
+        return config.playback.songTransitionDelay || 0;
+    }
+
+    /**
+     * Check whether a queue item can start playing immediately
+     * @param {Object} item - Queue item
+     * @returns {boolean} True if the audio file is already downloaded
+     */
+    isItemReady(item) {
+        const isLocal = item.type === 'file' || item.prefetched || isFilePath(item.content);
+        return isLocal && fs.existsSync(item.content);
+    }
+
+    /**
+     * Check whether the next song can start without waiting for a download
+     * With shuffle on, any item may be picked, so all of them must be ready.
+     * @returns {boolean} True if crossfading now won't leave a gap
+     */
+    isNextTrackReady() {
+        config._ensureSettingsLoaded();
+        if (config.playback.repeatMode === 'one') return false;
+
+        const queue = queueService.getQueue();
+        if (queue.length === 0) return false;
+
+        if (config.playback.shuffleEnabled) {
+            return queue.every(item => this.isItemReady(item));
+        }
+        return this.isItemReady(queue[0]);
+    }
+
+    /**
+     * Build an afade filter for one side of a crossfade
+     * @param {string} direction - 'in' or 'out'
+     * @param {number} startSeconds - Stream time where the fade starts
+     * @param {number} durationSeconds - Fade length
+     * @returns {string} lavfi filter
+     */
+    getFadeFilter(direction, startSeconds, durationSeconds) {
+        const { curve } = this.getSettings();
+        return `afade=t=${direction}:st=${startSeconds.toFixed(2)}:d=${durationSeconds.toFixed(2)}:curve=${curve}`;
+    }
+}
+
+module.exports = new CrossfadeService();
@@ -4,7 +4,9 @@ const { getThumbnailUrl } = require('../../utils/helpers.util');
 // Direct requires to avoid circular dependencies
 const queueService = require('./queue.service');
 const statsService = require('../system/stats.service');
+const notificationService = require('../system/notification.service');
 const volumeNormalizationService = require('../audio/volume-normalization.service');
+const silenceTrimService = require('../audio/silence-trim.service');
 
 /**
  * Download Orchestrator Service
@@ -16,6 +18,7 @@ const volumeNormalizationService = require('../audio/volume-normalization.servic
  * - Trigger volume normalization analysis
  * - Update stats with thumbnails
  * - Manage download state (downloadingUrls tracking)
+ * - Record fallback attempts of failed downloads and announce alternate uploads
  */
 class DownloadOrchestratorService {
     constructor() {
@@ -85,7 +88,8 @@ class DownloadOrchestratorService {
             if (progressCallback) {
                 progressCallback(progress);
             }
-        }, metadataCallback);
+        }, metadataCallback, { direct: item.type === 'http', track: this.getDownloadTrack(item) });
+        const sourceUrl = this.recordDownloadAttempts(item, result) || originalUrl;
 
         // Update stats with thumbnail
         if (result.thumbnailPath) {
@@ -99,7 +103,7 @@ class DownloadOrchestratorService {
         if (item.songId) {
             this.updateSongRecord(item.songId, {
                 content: result.filePath, // Update content to file path
-                source_url: originalUrl, // Preserve original URL
+                source_url: sourceUrl, // Preserve original URL (or the alternate upload that replaced it)
                 title: result.title,
                 artist: result.artist,
                 thumbnail_path: result.thumbnailPath,
@@ -144,12 +148,20 @@ class DownloadOrchestratorService {
                         logger.error('Volume normalization analysis failed (non-blocking):', err);
                     });
             }
+
+            // Detect silence to trim (async, non-blocking; songs that start before it finishes play untrimmed)
+            if (silenceTrimService.getTrimSettings().enabled) {
+                silenceTrimService.analyzeAndStoreTrim(item.songId, result.filePath)
+                    .catch(err => {
+                        logger.warn(`Silence detection failed (non-blocking): ${err.message}`);
+                    });
+            }
         }
 
         // Update queue item
         item.type = 'file';
         item.content = result.filePath;
-        item.sourceUrl = originalUrl; // Keep in memory for reference
+        item.sourceUrl = sourceUrl; // Keep in memory for reference
         item.thumbnail = result.thumbnailPath;
         // Add thumbnail URL if thumbnail exists
         if (result.thumbnailPath) {
@@ -171,6 +183,65 @@ class DownloadOrchestratorService {
         };
     }
 
+    /**
+     * Get the song details a download falls back on to find an alternate upload
+     * @param {Object} item - Queue item
+     * @returns {{title: string, artist: string, duration: number|null}} Song (duration in seconds)
+     */
+    getDownloadTrack(item) {
+        return {
+            title: item.title || '',
+            artist: item.artist || '',
+            duration: item.duration ? Math.round(item.duration / 1000) : null
+        };
+    }
+
+    /**
+     * Record a download's fallback attempts on its queue item
+     * When an alternate upload replaced the requested video, the requester is told through WhatsApp.
+     * @param {Object} item - Queue item
+     * @param {Object} result - Download result, or the error of a download that failed ({ attempts })
+     * @returns {string|null} URL of the alternate upload, or null if the requested video was used
+     */
+    recordDownloadAttempts(item, result) {
+        const attempts = result?.attempts;
+        if (!attempts || attempts.length === 0) return null;
+
+        item.downloadAttempts = attempts;
+        if (item.id) {
+            const dbService = require('../../infrastructure/database/db.service');
+            dbService.updateQueueItemDownloadAttempts(item.id, attempts);
+        }
+
+        const replacement = attempts.find(attempt => attempt.ok && attempt.alternate);
+        if (!replacement) return null;
+
+        logger.info(`[DownloadOrchestrator] "${item.title || item.content}" replaced with alternate upload: ${replacement.url}`);
+        if (item.remoteJid) {
+            const songTitle = item.title || 'Your song';
+            notificationService.sendPlaybackNotification(
+                item.remoteJid,
+                `🔁 *Alternate Upload*\n\n🎶 *${songTitle}* couldn't be downloaded from the requested video, so another upload will play instead:\n\n📺 *${replacement.title}*`,
+                item.sender
+            );
+        }
+        return replacement.url;
+    }
+
+    /**
+     * Describe the attempts of a download, one line each
+     * @param {Array<Object>} attempts - Attempts made (see downloadWithFallback)
+     * @returns {string} Lines such as `• android client: Video unavailable`
+     */
+    formatDownloadAttempts(attempts) {
+        return (attempts || []).map(attempt => {
+            const source = attempt.alternate
+                ? `"${attempt.title}" (${attempt.playerClient} client)`
+                : `${attempt.playerClient} client`;
+            return `• ${source}: ${attempt.ok ? 'downloaded' : attempt.error || 'failed'}`;
+        }).join('\n');
+    }
+
     /**
      * Update song record in database
      * @param {number} songId - Song ID
@@ -281,6 +352,14 @@ class DownloadOrchestratorService {
     getDownloadingUrls() {
         return new Set(this.downloadingUrls);
     }
+
+    /**
+     * Check whether any song is downloading (prefetches and songs about to play)
+     * @returns {boolean} True if a download is in progress
+     */
+    hasActiveDownloads() {
+        return this.downloadingUrls.size > 0 || queueService.getQueue().some(item => item.downloading);
+    }
 }
 
 module.exports = new DownloadOrchestratorService();
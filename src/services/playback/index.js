@@ -11,6 +11,11 @@ const songResolutionService = require('./song-resolution.service');
 const repeatModeService = require('./repeat-mode.service');
 const shuffleService = require('./shuffle.service');
 const orchestratorService = require('./orchestrator.service');
+const voteSkipService = require('./vote-skip.service');
+const searchPickerService = require('./search-picker.service');
+const queueEtaService = require('./queue-eta.service');
+const queuePolicyService = require('./queue-policy.service');
+const crossfadeService = require('./crossfade.service');
 
 module.exports = {
     queue: queueService,
@@ -20,5 +25,10 @@ module.exports = {
     songResolution: songResolutionService,
     repeatMode: repeatModeService,
     shuffle: shuffleService,
-    orchestrator: orchestratorService
+    orchestrator: orchestratorService,
+    voteSkip: voteSkipService,
+    searchPicker: searchPickerService,
+    queueEta: queueEtaService,
+    queuePolicy: queuePolicyService,
+    crossfade: crossfadeService
 };
@@ -9,10 +9,13 @@ const { eventBus } = require('../../events');
 // Direct requires to avoid circular dependencies
 const queueService = require('./queue.service');
 const shuffleService = require('./shuffle.service');
+const queuePolicyService = require('./queue-policy.service');
 const prefetchService = require('./prefetch.service');
 const downloadOrchestratorService = require('./download-orchestrator.service');
 const songPreparationService = require('./song-preparation.service');
 const repeatModeService = require('./repeat-mode.service');
+const silenceTrimService = require('../audio/silence-trim.service');
+const httpAudioService = require('../media/http-audio.service');
 const playbackStateService = require('../system/playback-state.service');
 const statsService = require('../system/stats.service');
 const notificationService = require('../system/notification.service');
@@ -120,7 +123,7 @@ class PlaybackOrchestrator extends EventEmitter {
         });
 
         // Listen for playback finished from Player (via bus)
-        eventBus.on(PLAYBACK_FINISHED, ({ filePath, reason }) => {
+        eventBus.on(PLAYBACK_FINISHED, ({ filePath, reason, crossfade = false }) => {
             if (this.currentSong) {
                 const durationPlayed = this.currentSong.startTime 
                     ? Math.floor((Date.now() - this.currentSong.startTime) / 1000)
@@ -139,7 +142,7 @@ class PlaybackOrchestrator extends EventEmitter {
             }
             
             // Pass reason to handlePlaybackFinished so it knows if it was skipped
-            this.handlePlaybackFinished(reason !== 'error', reason);
+            this.handlePlaybackFinished(reason !== 'error', reason, crossfade);
         });
 
         // Listen for playback errors from Player (via bus)
@@ -190,7 +193,7 @@ class PlaybackOrchestrator extends EventEmitter {
         let selectedIndex;
 
         if (shuffleEnabled) {
-            selectedIndex = shuffleService.selectShuffledItem(queue);
+            selectedIndex = shuffleService.selectShuffledItem(queue, queuePolicyService.getShuffleWeights(queue));
             selectedItem = queue[selectedIndex];
         } else {
             selectedIndex = 0;
@@ -255,7 +258,9 @@ class PlaybackOrchestrator extends EventEmitter {
             const { isFilePath } = require('../../utils/url.util');
             const wasPrefetched = item.prefetched || (item.content && isFilePath(item.content));
             
-            if (item.type === 'url' && !wasPrefetched) {
+            const isLive = item.type === 'stream';
+
+            if ((item.type === 'url' || item.type === 'http') && !wasPrefetched) {
                 playbackLogger.debug('Downloading song from URL');
                 
                 // Set as current song BEFORE download starts so UI can show download progress
@@ -304,11 +309,18 @@ class PlaybackOrchestrator extends EventEmitter {
                 playbackLogger.debug({
                     context: { prepareDuration }
                 }, 'Song preparation completed');
+            } else if (isLive) {
+                // Live streams play from the network; .pls/.m3u playlists resolve to their stream
+                filePath = await httpAudioService.resolveStreamUrl(item.content);
+                title = item.title || 'Live Stream';
+                playbackLogger.debug({
+                    context: { streamUrl: filePath }
+                }, 'Playing live stream');
             } else if (item.type === 'file' || wasPrefetched) {
                 // Use file path - either explicitly marked as file or was prefetched
                 filePath = item.content;
                 title = item.title || 'User Attachment';
-                if (wasPrefetched && item.type === 'url') {
+                if (wasPrefetched && (item.type === 'url' || item.type === 'http')) {
                     playbackLogger.debug('Using prefetched file for playback (type was not updated yet)');
                     // Update type to reflect actual state
                     item.type = 'file';
@@ -317,11 +329,21 @@ class PlaybackOrchestrator extends EventEmitter {
                 }
             }
 
-            if (filePath && require('fs').existsSync(filePath)) {
+            if (filePath && (isLive || require('fs').existsSync(filePath))) {
                 // Reset playback finished flag since we're starting a new song
                 this.isHandlingPlaybackFinished = false;
 
+                // Skip leading silence and finish at trailing silence (if enabled)
+                // Live streams have no known length: they stop when skipped or at the time limit
+                const trim = isLive
+                    ? { startMs: 0, endMs: null }
+                    : silenceTrimService.getTrimPoints(item.songId, filePath);
+                const liveState = isLive
+                    ? { isLive: true, timeLimit: httpAudioService.getStreamTimeLimitMs() }
+                    : { isLive: false, timeLimit: null };
+
                 // Update current song with final state (if not already set for URL downloads)
+                // startTime is shifted by the trimmed start so elapsed is the position in the file
                 const isNewSong = !this.currentSong || this.currentSong.content !== item.content;
                 if (!this.currentSong || this.currentSong.content !== item.content) {
                     // Clear repeat tracking when starting a new song
@@ -329,14 +351,20 @@ class PlaybackOrchestrator extends EventEmitter {
                     
                     this.currentSong = {
                         ...item,
-                        startTime: Date.now(),
+                        ...liveState,
+                        trimStart: trim.startMs,
+                        trimEnd: trim.endMs,
+                        startTime: Date.now() - trim.startMs,
                         pausedAt: null
                     };
                 } else {
                     // Update existing currentSong with final item state
                     Object.assign(this.currentSong, {
                         ...item,
-                        startTime: this.currentSong.startTime || Date.now(),
+                        ...liveState,
+                        trimStart: trim.startMs,
+                        trimEnd: trim.endMs,
+                        startTime: (this.currentSong.startTime || Date.now()) - trim.startMs,
                         pausedAt: null
                     });
                 }
@@ -369,7 +397,8 @@ class PlaybackOrchestrator extends EventEmitter {
                 queueService.removePlayingItem(item, itemIndex);
 
                 // Emit playback_requested event to Player via bus
-                eventBus.emit(PLAYBACK_REQUESTED, { filePath, startOffset: 0 });
+                const endOffset = isLive ? liveState.timeLimit : trim.endMs;
+                eventBus.emit(PLAYBACK_REQUESTED, { filePath, startOffset: trim.startMs, endOffset });
                 
                 // Clear processing flag since we've successfully started playback
                 this.isProcessing = false;
@@ -400,7 +429,7 @@ class PlaybackOrchestrator extends EventEmitter {
                         }
                     }, `File missing, marking for re-download: "${item.title || item.content}"`);
                     
-                    item.type = 'url';
+                    item.type = item.sourceType === 'http' ? 'http' : 'url';
                     item.content = item.sourceUrl;
                     item.downloadStatus = 'pending';
                     item.downloadProgress = 0;
@@ -480,16 +509,30 @@ class PlaybackOrchestrator extends EventEmitter {
             // Check if this is a "No results found on YouTube" error
             // If so, remove the item from the queue to prevent infinite retry loops
             const isYouTubeNotFoundError = errorMessage.includes('No results found on YouTube');
+            // Same for direct audio files over the download size limit
+            const isFileTooLargeError = error?.name === 'FileTooLargeError';
+            // And for downloads that failed on every alternate upload and player client
+            const isDownloadFailedError = error?.name === 'DownloadFailedError';
+            // And for links to local or private addresses
+            const isPrivateAddressError = error?.name === 'PrivateAddressError';
+            const shouldRemove = isYouTubeNotFoundError || isFileTooLargeError || isDownloadFailedError || isPrivateAddressError;
+
+            if (isDownloadFailedError) {
+                downloadOrchestratorService.recordDownloadAttempts(item, error);
+            }
             
-            if (isYouTubeNotFoundError) {
+            if (shouldRemove) {
+                const reason = isFileTooLargeError ? 'File too large'
+                    : isDownloadFailedError ? 'Every download attempt failed'
+                        : isPrivateAddressError ? 'Link to a private address' : 'No results found on YouTube';
                 playbackLogger.warn({
                     context: {
                         event: 'removing_unfindable_song',
                         songTitle: item.title || item.content,
                         songId: item.id,
-                        reason: 'No results found on YouTube'
+                        reason
                     }
-                }, `Removing song from queue: "${item.title || item.content}" - No results found on YouTube`);
+                }, `Removing song from queue: "${item.title || item.content}" - ${reason}`);
                 
                 // Remove the item from the queue
                 if (item.id) {
@@ -511,9 +554,13 @@ class PlaybackOrchestrator extends EventEmitter {
             }
 
             if (item.remoteJid) {
+                const attemptSummary = isDownloadFailedError
+                    ? downloadOrchestratorService.formatDownloadAttempts(error.attempts)
+                    : '';
+                const attemptsText = attemptSummary ? `🔁 *Attempts:*\n${attemptSummary}\n\n` : '';
                 await notificationService.sendPlaybackNotification(
                     item.remoteJid,
-                    `❌ *Error*\n\n*${errorMessage}*\n\n💡 Please try again or choose a different song.`,
+                    `❌ *Error*\n\n*${errorMessage}*\n\n${attemptsText}💡 Please try again or choose a different song.`,
                     item.sender
                 );
             }
@@ -522,8 +569,8 @@ class PlaybackOrchestrator extends EventEmitter {
             this.isPlaying = false;
             this.isProcessing = false;
             
-            // If we removed the item due to YouTube not found error, skip the delay and go straight to next
-            if (isYouTubeNotFoundError) {
+            // If we removed the item, skip the delay and go straight to next
+            if (shouldRemove) {
                 // Process next item immediately (no delay needed since we removed the problematic item)
                 const updatedQueue = queueService.getQueue();
                 if (updatedQueue.length > 0 && !this.isProcessing) {
@@ -554,8 +601,9 @@ class PlaybackOrchestrator extends EventEmitter {
      * Handle playback finished (called by Player via event)
      * @param {boolean} success - Whether playback was successful (not an error)
      * @param {string} reason - Reason for finishing ('ended', 'skipped', 'error')
+     * @param {boolean} crossfade - The player is fading this song out, start the next one without a delay
      */
-    async handlePlaybackFinished(success = true, reason = 'ended') {
+    async handlePlaybackFinished(success = true, reason = 'ended', crossfade = false) {
         // Prevent duplicate calls
         if (this.isHandlingPlaybackFinished) {
             logger.debug('handlePlaybackFinished already in progress, ignoring duplicate call');
@@ -613,7 +661,7 @@ class PlaybackOrchestrator extends EventEmitter {
         if (repeatModeService.shouldRestartSong(repeatMode, this.currentSong, success)) {
             const handled = await repeatModeService.handleRepeatOne(
                 this.currentSong,
-                ({ filePath, startOffset }) => eventBus.emit(PLAYBACK_REQUESTED, { filePath, startOffset }),
+                ({ filePath, startOffset, endOffset }) => eventBus.emit(PLAYBACK_REQUESTED, { filePath, startOffset, endOffset }),
                 () => this.emitStateChanged(),
                 config
             );
@@ -662,7 +710,7 @@ class PlaybackOrchestrator extends EventEmitter {
                 this.processNextTimeout = null;
                 this.isHandlingPlaybackFinished = false;
                 this.processNext();
-            }, config.playback.songTransitionDelay);
+            }, crossfade ? 0 : config.playback.songTransitionDelay);
         } else {
             // No more songs or already processing, reset flag immediately
             this.isHandlingPlaybackFinished = false;
@@ -6,6 +6,9 @@ const { getThumbnailUrl } = require('../../utils/helpers.util');
 // Direct requires to avoid circular dependencies
 const queueService = require('./queue.service');
 const downloadOrchestratorService = require('./download-orchestrator.service');
+const volumeNormalization = require('../audio/volume-normalization.service');
+const loudnessScanService = require('../audio/loudness-scan.service');
+const silenceTrimService = require('../audio/silence-trim.service');
 
 /**
  * Prefetch Service
@@ -47,7 +50,8 @@ class PrefetchService {
         // Filter to only songs that need prefetching
         const { isFilePath } = require('../../utils/url.util');
         const itemsNeedingPrefetch = queue.filter(item => {
-            if (item.type !== 'url') return false;
+            // URLs and direct audio files (live streams aren't downloaded)
+            if (item.type !== 'url' && item.type !== 'http') return false;
             // Skip if content is actually a file path (not a URL)
             if (isFilePath(item.content)) {
                 logger.debug(`Skipping prefetch for file path: ${item.title || item.content}`);
@@ -138,13 +142,14 @@ class PrefetchService {
                             lastSaveTime = now;
                             lastProgress = newProgress;
                         }
-                    });
+                    }, null, { direct: item.type === 'http', track: downloadOrchestratorService.getDownloadTrack(item) });
+                    const sourceUrl = downloadOrchestratorService.recordDownloadAttempts(item, result) || originalUrl;
 
                     // Update song record in database: set content to file path and preserve original URL as source_url
                     if (item.songId) {
                         downloadOrchestratorService.updateSongRecord(item.songId, {
                             content: result.filePath, // Update content to file path
-                            source_url: originalUrl, // Preserve original URL
+                            source_url: sourceUrl, // Preserve original URL (or the alternate upload that replaced it)
                             title: result.title,
                             artist: result.artist,
                             thumbnail_path: result.thumbnailPath,
@@ -155,7 +160,7 @@ class PrefetchService {
                     // Update queue item in memory
                     item.type = 'file';
                     item.content = result.filePath;
-                    item.sourceUrl = originalUrl; // Keep in memory for reference
+                    item.sourceUrl = sourceUrl; // Keep in memory for reference
                     item.title = result.title;
                     item.thumbnail = result.thumbnailPath;
                     // Add thumbnail URL if thumbnail exists
@@ -173,6 +178,19 @@ class PrefetchService {
                     
                     // Save queue (this emits QUEUE_UPDATED internally)
                     queueService.saveQueue(true);
+
+                    // Measure loudness in the background (runs once downloads are done)
+                    if (item.songId && volumeNormalization.getNormalizationSettings().enabled) {
+                        loudnessScanService.enqueue(item.songId, result.filePath, item.title);
+                    }
+
+                    // Detect silence to trim, so the song can start without waiting for it
+                    if (item.songId && silenceTrimService.getTrimSettings().enabled) {
+                        silenceTrimService.analyzeAndStoreTrim(item.songId, result.filePath)
+                            .catch(err => {
+                                logger.warn(`Silence detection failed (non-blocking): ${err.message}`);
+                            });
+                    }
                     
                     prefetchedCount++;
 
@@ -185,9 +203,15 @@ class PrefetchService {
                     // Check if this is a "No results found on YouTube" error
                     // If so, remove the item from the queue to prevent it from being retried
                     const isYouTubeNotFoundError = errorMsg.includes('No results found on YouTube');
+                    // Same for direct audio files over the download size limit
+                    const isFileTooLargeError = err?.name === 'FileTooLargeError';
+                    // And for links to local or private addresses
+                    const isPrivateAddressError = err?.name === 'PrivateAddressError';
                     
-                    if (isYouTubeNotFoundError) {
-                        logger.warn(`Removing song from queue (prefetch): "${item.title || originalUrl}" - No results found on YouTube`);
+                    if (isYouTubeNotFoundError || isFileTooLargeError || isPrivateAddressError) {
+                        const reason = isFileTooLargeError ? 'File too large'
+                            : (isPrivateAddressError ? 'Link to a private address' : 'No results found on YouTube');
+                        logger.warn(`Removing song from queue (prefetch): "${item.title || originalUrl}" - ${reason}`);
                         
                         // Remove the item from the queue
                         if (item.id) {
@@ -196,7 +220,7 @@ class PrefetchService {
                             // Fallback: find and remove by content
                             const queue = queueService.getQueue();
                             const indexToRemove = queue.findIndex(qItem => 
-                                qItem.content === originalUrl && qItem.type === 'url'
+                                qItem.content === originalUrl && qItem.type === item.type
                             );
                             if (indexToRemove !== -1) {
                                 queueService.remove(indexToRemove);
@@ -204,6 +228,8 @@ class PrefetchService {
                         }
                     } else {
                         // Only update status if we're not removing the item
+                        // (a download that failed every fallback is tried once more when its turn comes)
+                        downloadOrchestratorService.recordDownloadAttempts(item, err);
                         item.downloading = false;
                         item.downloadStatus = 'error';
                         item.downloadProgress = 0;
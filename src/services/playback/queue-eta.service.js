@@ -0,0 +1,190 @@
+const config = require('../../config');
+const { logger } = require('../../utils/logger.util');
+const dbService = require('../../infrastructure/database/db.service');
+const effectsService = require('../audio/effects.service');
+const crossfadeService = require('./crossfade.service');
+const silenceTrimService = require('../audio/silence-trim.service');
+const httpAudioService = require('../media/http-audio.service');
+const queueService = require('./queue.service');
+const orchestratorService = require('./orchestrator.service');
+
+/**
+ * Queue ETA Service
+ *
+ * Estimates how long until each queued item starts playing:
+ * - Remaining time of the current song (from its position in the file and where it stops)
+ * - Plus the playing time of every item ahead in the queue (skipping trimmed silence)
+ * - Plus the transition between songs: the configured delay, or minus the overlap
+ *   when two songs will crossfade
+ * Positions and durations are file time; each item's playing time is file time divided
+ * by its playback speed. Items without a known duration are counted with the average
+ * length from play history, and live streams with the stream time limit.
+ */
+
+// Typical track length used until play history has durations (3.5 minutes)
+const DEFAULT_TRACK_DURATION_MS = 210 * 1000;
+
+// How long the history average is reused before querying again
+const AVERAGE_CACHE_TTL_MS = 10 * 60 * 1000;
+
+class QueueEtaService {
+    constructor() {
+        this.averageDurationMs = null;
+        this.averageFetchedAt = 0;
+    }
+
+    /**
+     * Get the average track length from play history (cached)
+     * @returns {number} Average duration in milliseconds
+     */
+    getAverageDurationMs() {
+        if (this.averageDurationMs === null || Date.now() - this.averageFetchedAt > AVERAGE_CACHE_TTL_MS) {
+            try {
+                this.averageDurationMs = dbService.getAveragePlayDuration() || DEFAULT_TRACK_DURATION_MS;
+            } catch (error) {
+                logger.debug('[QueueEta] Could not read average duration from history:', error.message);
+                this.averageDurationMs = DEFAULT_TRACK_DURATION_MS;
+            }
+            this.averageFetchedAt = Date.now();
+        }
+        return this.averageDurationMs;
+    }
+
+    /**
+     * Get the playback speed multiplier for an item
+     * @param {Object} item - Queue item or current song (its effect preset overrides the global effects)
+     * @returns {number} Speed (1.0 when effects are off)
+     */
+    getSpeed(item) {
+        const effects = effectsService.getItemEffects(item);
+        if (!effects.enabled || !(effects.speed > 0)) return 1.0;
+        return effects.speed;
+    }
+
+    /**
+     * Get the length of an item's audio file
+     * @param {Object} item - Queue item or current song
+     * @returns {number} File duration in milliseconds (the history average if unknown)
+     */
+    getFileDurationMs(item) {
+        return item?.duration > 0 ? item.duration : this.getAverageDurationMs();
+    }
+
+    /**
+     * Get the part of an item's file that plays, after silence trimming
+     * @param {Object} item - Queue item or current song (the current song carries trimStart/trimEnd)
+     * @returns {{startMs: number, endMs: number}} Start and end position in the file
+     */
+    getPlayedRange(item) {
+        const duration = this.getFileDurationMs(item);
+        const trim = item?.trimStart !== undefined
+            ? { startMs: item.trimStart || 0, endMs: item.trimEnd ?? null }
+            : silenceTrimService.getStoredTrimPoints(item?.songId) || { startMs: 0, endMs: null };
+
+        const endMs = trim.endMs !== null && trim.endMs < duration ? trim.endMs : duration;
+        return { startMs: Math.min(trim.startMs, endMs), endMs };
+    }
+
+    /**
+     * Get how long a track takes to play in milliseconds
+     * @param {Object} item - Queue item or current song
+     * @returns {number} Playback time in milliseconds at the item's speed
+     */
+    getDurationMs(item) {
+        if (item?.type === 'stream') {
+            return httpAudioService.getStreamTimeLimitMs();
+        }
+        const { startMs, endMs } = this.getPlayedRange(item);
+        return (endMs - startMs) / this.getSpeed(item);
+    }
+
+    /**
+     * Get the remaining time of the current song
+     * Its elapsed time is its position in the file (see the orchestrator's startTime).
+     * @returns {number} Remaining milliseconds (0 if nothing is playing)
+     */
+    getRemainingCurrentMs() {
+        const current = orchestratorService.getCurrent();
+        if (!current) return 0;
+
+        const now = current.pausedAt || Date.now();
+        const elapsed = current.startTime ? now - current.startTime : 0;
+        if (current.type === 'stream' || current.isLive) {
+            return Math.max(0, httpAudioService.getStreamTimeLimitMs() - elapsed);
+        }
+        const { endMs } = this.getPlayedRange(current);
+        return Math.max(0, (endMs - elapsed) / this.getSpeed(current));
+    }
+
+    /**
+     * Get the time between one song ending and the next one starting
+     * Songs crossfade (and overlap) only when the outgoing one is long enough and the
+     * incoming one is already downloaded, like the player decides.
+     * @param {Object} outgoing - Song that ends
+     * @param {Object} incoming - Song that starts
+     * @returns {number} Milliseconds (negative when the songs overlap)
+     */
+    getTransitionMs(outgoing, incoming) {
+        if (crossfadeService.isActive() && outgoing?.type !== 'stream') {
+            const overlapMs = crossfadeService.getSettings().durationSeconds * 1000;
+            if (this.getFileDurationMs(outgoing) > overlapMs * 2 && crossfadeService.isItemReady(incoming)) {
+                return -overlapMs;
+            }
+        }
+        return config.playback.songTransitionDelay || 0;
+    }
+
+    /**
+     * Get the time until each queued item starts playing
+     * @returns {Array<number>} Milliseconds from now, one entry per queue position
+     */
+    getEtas() {
+        config._ensureSettingsLoaded();
+        const queue = queueService.getQueue();
+        const etas = [];
+        let previous = orchestratorService.getCurrent();
+        let offset = this.getRemainingCurrentMs();
+
+        for (const item of queue) {
+            if (previous) {
+                offset += this.getTransitionMs(previous, item);
+            }
+            etas.push(Math.max(0, Math.round(offset)));
+            offset += this.getDurationMs(item);
+            previous = item;
+        }
+
+        return etas;
+    }
+
+    /**
+     * Get the time until the item at a queue position starts playing
+     * @param {number} index - Queue index (0-based)
+     * @returns {number|null} Milliseconds from now, or null if out of range
+     */
+    getEta(index) {
+        const etas = this.getEtas();
+        return index >= 0 && index < etas.length ? etas[index] : null;
+    }
+
+    /**
+     * Add an `eta` field (milliseconds from now) to queue items
+     * @param {Array<Object>} items - Items in queue order
+     * @returns {Array<Object>} Copies of the items with `eta`
+     */
+    withEtas(items) {
+        const etas = this.getEtas();
+        return items.map((item, index) => ({ ...item, eta: etas[index] ?? null }));
+    }
+
+    /**
+     * Round an ETA to whole minutes for display (at least 1)
+     * @param {number} etaMs - ETA in milliseconds
+     * @returns {number} Minutes
+     */
+    toMinutes(etaMs) {
+        return Math.max(1, Math.round(etaMs / 60000));
+    }
+}
+
+module.exports = new QueueEtaService();
@@ -0,0 +1,139 @@
+const config = require('../../config');
+
+/**
+ * Queue Policy Service
+ *
+ * Decides where new requests go in the queue:
+ * - fifo: append, VIP songs jump ahead of the first regular song (original behavior)
+ * - roundRobin: requesters take turns, one song each per round
+ * - fairShare: like round-robin, but a VIP gets `vipShareWeight` songs per round
+ *
+ * Turn-based policies give every queued song a virtual time: the n-th song of a
+ * requester with weight w sits at n / w. The queue is kept ordered by that time,
+ * with ties broken by arrival so earlier requests stay ahead.
+ */
+
+const POLICIES = {
+    FIFO: 'fifo',
+    ROUND_ROBIN: 'roundRobin',
+    FAIR_SHARE: 'fairShare'
+};
+
+// Shuffle weight of VIP songs under FIFO (regular songs weigh 1)
+const FIFO_VIP_SHUFFLE_WEIGHT = 3;
+
+class QueuePolicyService {
+    /**
+     * Get the configured policy
+     * @returns {string} One of POLICIES (falls back to fifo)
+     */
+    getPolicy() {
+        config._ensureSettingsLoaded();
+        const policy = config.playback.queuePolicy;
+        return Object.values(POLICIES).includes(policy) ? policy : POLICIES.FIFO;
+    }
+
+    /**
+     * Identify who requested an item
+     * @param {Object} item - Queue item
+     * @returns {string} Requester key
+     */
+    getRequesterKey(item) {
+        return item.sender || item.requester || 'unknown';
+    }
+
+    /**
+     * Get a requester's share per round
+     * @param {Object} item - Queue item
+     * @param {string} policy - Active policy
+     * @returns {number} Weight (1 unless a VIP under fair-share)
+     */
+    getWeight(item, policy) {
+        if (policy === POLICIES.FAIR_SHARE && item.isPriority) {
+            return Math.max(1, config.playback.vipShareWeight || 1);
+        }
+        return 1;
+    }
+
+    /**
+     * Compute the virtual time of every item in queue order
+     * @param {Array} queue - Queue items
+     * @param {string} policy - Active policy
+     * @returns {Array<number>} Virtual time per index
+     */
+    getVirtualTimes(queue, policy) {
+        const counts = new Map();
+        return queue.map(item => {
+            const key = this.getRequesterKey(item);
+            const ordinal = counts.get(key) || 0;
+            counts.set(key, ordinal + 1);
+            return ordinal / this.getWeight(item, policy);
+        });
+    }
+
+    /**
+     * Find where a new song should be inserted
+     * @param {Array} queue - Current queue items
+     * @param {Object} song - Song being added (with sender and isPriority)
+     * @returns {number} Insert index
+     */
+    getInsertIndex(queue, song) {
+        const policy = this.getPolicy();
+
+        if (policy === POLICIES.FIFO) {
+            if (!song.isPriority) return queue.length;
+            const firstRegular = queue.findIndex(item => !item.isPriority);
+            return firstRegular === -1 ? queue.length : firstRegular;
+        }
+
+        const key = this.getRequesterKey(song);
+        const ordinal = queue.filter(item => this.getRequesterKey(item) === key).length;
+        const virtualTime = ordinal / this.getWeight(song, policy);
+        const virtualTimes = this.getVirtualTimes(queue, policy);
+
+        const index = virtualTimes.findIndex(time => time > virtualTime);
+        return index === -1 ? queue.length : index;
+    }
+
+    /**
+     * Get the order the queue should be in under the active policy
+     * Used to rebalance the whole queue after the policy changes.
+     * @param {Array} queue - Current queue items
+     * @returns {Array<Object>|null} Items in policy order, or null for fifo (keep the current order)
+     */
+    getOrderedQueue(queue) {
+        const policy = this.getPolicy();
+        if (policy === POLICIES.FIFO) return null;
+
+        const virtualTimes = this.getVirtualTimes(queue, policy);
+        return queue
+            .map((item, index) => ({ item, index, time: virtualTimes[index] }))
+            .sort((a, b) => a.time - b.time || a.index - b.index)
+            .map(({ item }) => item);
+    }
+
+    /**
+     * Get shuffle weights that respect the active policy
+     * Under turn-based policies each requester's share is split across their songs,
+     * so someone with ten queued songs isn't ten times as likely to be picked.
+     * @param {Array} queue - Queue items
+     * @returns {Array<number>} Weight per index
+     */
+    getShuffleWeights(queue) {
+        const policy = this.getPolicy();
+
+        if (policy === POLICIES.FIFO) {
+            return queue.map(item => item.isPriority ? FIFO_VIP_SHUFFLE_WEIGHT : 1);
+        }
+
+        const counts = new Map();
+        queue.forEach(item => {
+            const key = this.getRequesterKey(item);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        return queue.map(item => this.getWeight(item, policy) / counts.get(this.getRequesterKey(item)));
+    }
+}
+
+module.exports = new QueuePolicyService();
@@ -1,8 +1,24 @@
 const dbService = require('../../infrastructure/database/db.service');
 const priorityService = require('../user/priority.service');
+const queueQuotaService = require('../user/queue-quota.service');
+const queuePolicyService = require('./queue-policy.service');
 const { logger } = require('../../utils/logger.util');
 const { eventBus, QUEUE_ITEM_ADDED, QUEUE_ITEM_REMOVED, QUEUE_REORDERED, QUEUE_CLEARED, QUEUE_UPDATED } = require('../../events');
 
+/**
+ * Read the stored fallback attempts of a queue item's download
+ * @param {string|null} value - download_attempts column (JSON)
+ * @returns {Array<Object>|null} Attempts, or null if there were none
+ */
+function parseDownloadAttempts(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+}
+
 class QueueManager {
     constructor() {
         this.queue = [];
@@ -32,8 +48,8 @@ class QueueManager {
 
                 if (content) {
                     if (content.startsWith('http://') || content.startsWith('https://')) {
-                        // Content is a URL
-                        type = 'url';
+                        // Content is a URL (direct audio files and live streams keep their type)
+                        type = item.source_type || 'url';
                     } else {
                         // Assume it's a file path - existence will be checked at playback time
                         const isFilePath = content.includes(path.sep) || content.startsWith('/');
@@ -60,7 +76,10 @@ class QueueManager {
                     thumbnail: item.thumbnail_path,
                     thumbnailUrl: item.thumbnail_url,
                     prefetched: item.prefetched === 1,
-                    duration: item.duration
+                    duration: item.duration,
+                    effectsPreset: item.effects_preset || null,
+                    sourceType: item.source_type || null,
+                    downloadAttempts: parseDownloadAttempts(item.download_attempts)
                 };
             });
 
@@ -103,7 +122,7 @@ class QueueManager {
                 } catch (err) {
                     // File doesn't exist - mark for re-download
                     logger.warn(`Queue item "${item.title}" has missing file, marking for re-download`);
-                    item.type = 'url';
+                    item.type = item.sourceType === 'http' ? 'http' : 'url';
                     item.content = item.sourceUrl;
                     item.downloadStatus = 'pending';
                     item.downloadProgress = 0;
@@ -153,13 +172,21 @@ class QueueManager {
         return priorityService.checkPriority(sender);
     }
 
-    add(song) {
+    /**
+     * Add a song to the queue
+     * @param {Object} song - Song to add
+     * @param {Object} [options]
+     * @param {boolean} [options.skipQuota=false] - Bypass queue quotas (e.g. repeat mode re-adding a song)
+     * @returns {Object|null} The added item, or null if the song is already queued
+     * @throws {Error} QuotaExceededError if the requester or group is over a quota
+     */
+    add(song, options = {}) {
         const queueLogger = logger.child({ component: 'queue' });
         
         // Check for duplicate URL in queue
-        if (song.content && song.type === 'url') {
+        if (song.content && ['url', 'http', 'stream'].includes(song.type)) {
             const existingIndex = this.queue.findIndex(item =>
-                item.content === song.content && item.type === 'url'
+                item.content === song.content && item.type === song.type
             );
 
             if (existingIndex !== -1) {
@@ -178,25 +205,36 @@ class QueueManager {
         }
 
         const isPriority = this.checkPriority(song.sender);
-        song.isPriority = isPriority;
 
-        let insertIndex = this.queue.length;
-        if (isPriority && this.queue.length > 0) {
-            // Find the first non-priority item to insert before it
-            for (let i = 0; i < this.queue.length; i++) {
-                if (!this.queue[i].isPriority) {
-                    insertIndex = i;
-                    break;
-                }
+        if (!options.skipQuota) {
+            const quota = queueQuotaService.checkQuota(song, this.queue, isPriority);
+            if (!quota.allowed) {
+                queueLogger.info({
+                    context: {
+                        event: 'queue_quota_exceeded',
+                        songTitle: song.title || song.content,
+                        reason: quota.reason,
+                        requester: song.sender || song.requester
+                    }
+                }, `Quota exceeded (${quota.reason}): "${song.title || song.content}"`);
+                throw queueQuotaService.createQuotaError(quota);
             }
         }
 
+        song.isPriority = isPriority;
+
+        // Position depends on the queue policy (FIFO with VIPs first, round-robin or fair-share)
+        const insertIndex = queuePolicyService.getInsertIndex(this.queue, song);
+
         // Determine source URL: if content is a URL, use it as source_url
         // Otherwise, if song has sourceUrl property, use that
         const sourceUrl = (song.content && (song.content.startsWith('http://') || song.content.startsWith('https://')))
             ? song.content
             : (song.sourceUrl || null);
 
+        // Direct audio files and live streams keep their type across restarts and re-downloads
+        const sourceType = ['http', 'stream'].includes(song.type) ? song.type : (song.sourceType || null);
+
         // Add to database
         const queueItemId = dbService.addQueueItem({
             content: song.content,
@@ -214,6 +252,8 @@ class QueueManager {
             download_status: song.downloadStatus || 'pending',
             download_progress: song.downloadProgress || 0,
             prefetched: song.prefetched || false,
+            effects_preset: song.effectsPreset || null,
+            source_type: sourceType,
             position: insertIndex
         });
 
@@ -221,7 +261,9 @@ class QueueManager {
         const queueItem = {
             id: queueItemId,
             ...song,
-            isPriority
+            isPriority,
+            effectsPreset: song.effectsPreset || null,
+            sourceType
         };
         this.queue.splice(insertIndex, 0, queueItem);
 
@@ -237,6 +279,9 @@ class QueueManager {
         this.queueItemIds.set(insertIndex, queueItemId);
 
         this.saveQueue();
+        if (!options.skipQuota) {
+            queueQuotaService.recordSongRequest(song);
+        }
         eventBus.emit(QUEUE_UPDATED);
         eventBus.emit(QUEUE_ITEM_ADDED, { item: queueItem });
 
@@ -361,6 +406,109 @@ class QueueManager {
         return false;
     }
 
+    /**
+     * Reorder the whole queue to match the active queue policy
+     * Called when the policy changes; moves go through reorder() so positions are persisted.
+     * @returns {boolean} True if any item moved
+     */
+    rebalance() {
+        const ordered = queuePolicyService.getOrderedQueue(this.getQueue());
+        if (!ordered) {
+            return false;
+        }
+
+        let moved = false;
+        ordered.forEach((item, targetIndex) => {
+            const currentIndex = this.queue.indexOf(item);
+            if (currentIndex !== targetIndex) {
+                this.reorder(currentIndex, targetIndex);
+                moved = true;
+            }
+        });
+
+        if (moved) {
+            logger.child({ component: 'queue' }).info({
+                context: {
+                    event: 'queue_rebalanced',
+                    policy: queuePolicyService.getPolicy(),
+                    queueSize: this.queue.length
+                }
+            }, `Queue rebalanced for ${queuePolicyService.getPolicy()} policy`);
+        }
+        return moved;
+    }
+
+    /**
+     * Get the queued items requested by a sender
+     * @param {string} sender - Sender JID
+     * @returns {Array<{index: number, item: Object}>} Items with their queue index, in queue order
+     */
+    getSenderItems(sender) {
+        return this.getQueue()
+            .map((item, index) => ({ index, item }))
+            .filter(({ item }) => item.sender === sender);
+    }
+
+    /**
+     * Remove the item a sender added most recently
+     * Queue item IDs increase with every add, so the highest ID is the newest request
+     * @param {string} sender - Sender JID
+     * @returns {Object|null} Removed item or null if the sender has nothing queued
+     */
+    removeLastBySender(sender) {
+        const entries = this.getSenderItems(sender);
+        if (entries.length === 0) {
+            return null;
+        }
+
+        const newest = entries.reduce((latest, entry) => (entry.item.id > latest.item.id ? entry : latest));
+        return this.remove(newest.index);
+    }
+
+    /**
+     * Swap two queue items, leaving everything between them in place
+     * @param {number} indexA - First index
+     * @param {number} indexB - Second index
+     * @returns {boolean} True if swapped
+     */
+    swap(indexA, indexB) {
+        const low = Math.min(indexA, indexB);
+        const high = Math.max(indexA, indexB);
+        if (low === high || low < 0 || high >= this.queue.length) {
+            return false;
+        }
+
+        // Move the low item down to `high`, then bring the high item (now at high - 1) up to `low`
+        this.reorder(low, high);
+        if (high - 1 > low) {
+            this.reorder(high - 1, low);
+        }
+        return true;
+    }
+
+    /**
+     * Move a sender's item to another of the sender's own positions
+     * Only the sender's items rotate between their slots; other requests keep their positions.
+     * @param {string} sender - Sender JID
+     * @param {number} fromIndex - Current index (must belong to the sender)
+     * @param {number} toIndex - Target index (must belong to the sender)
+     * @returns {boolean} True if moved
+     */
+    moveWithinSenderSlots(sender, fromIndex, toIndex) {
+        const slots = this.getSenderItems(sender).map(({ index }) => index);
+        const fromSlot = slots.indexOf(fromIndex);
+        const toSlot = slots.indexOf(toIndex);
+        if (fromSlot === -1 || toSlot === -1) {
+            return false;
+        }
+
+        const step = fromSlot < toSlot ? 1 : -1;
+        for (let slot = fromSlot; slot !== toSlot; slot += step) {
+            this.swap(slots[slot], slots[slot + step]);
+        }
+        return true;
+    }
+
     getQueue() {
         // Lazy load queue if not loaded yet
         if (!this._queueLoaded) {
@@ -53,15 +53,17 @@ class RepeatModeService {
             // Just restart playback
             logger.info(`Repeat one: restarting current song "${currentSong.title || 'Unknown'}"`);
 
-            // Reset playback state for restart
-            currentSong.startTime = Date.now();
+            // Reset playback state for restart (keeping any trimmed silence)
+            const startOffset = currentSong.trimStart || 0;
+            const endOffset = currentSong.trimEnd || null;
+            currentSong.startTime = Date.now() - startOffset;
             currentSong.pausedAt = null;
 
             emitStateChanged();
 
             // Restart playback after transition delay
             setTimeout(() => {
-                emitPlaybackRequested({ filePath, startOffset: 0 });
+                emitPlaybackRequested({ filePath, startOffset, endOffset });
             }, config.playback.songTransitionDelay);
 
             return true; // Caller should return early
@@ -91,7 +93,8 @@ class RepeatModeService {
                 content = sourceUrl;
             }
             
-            // Determine type: if we have a valid URL (not file path), it's 'url', otherwise 'file'
+            // Determine type: a valid URL (not file path) is re-added as it was requested
+            // ('url', or 'http'/'stream' for direct audio files and live streams), otherwise 'file'
             const finalContent = sourceUrl || content;
             const isUrl = finalContent && !isFilePath(finalContent);
             
@@ -99,7 +102,7 @@ class RepeatModeService {
             const songCopy = {
                 content: finalContent,
                 sourceUrl: sourceUrl || (isUrl ? finalContent : null),
-                type: isUrl ? 'url' : 'file',
+                type: isUrl ? (currentSong.sourceType || 'url') : 'file',
                 title: currentSong.title,
                 artist: currentSong.artist,
                 channel: currentSong.channel,
@@ -136,9 +139,9 @@ class RepeatModeService {
             songsToAdd = shuffleService.shuffleForRepeatAll(songsToAdd, shuffleEnabled);
         }
 
-        // Re-add all songs to queue
+        // Re-add all songs to queue (already accepted once, so quotas don't apply)
         songsToAdd.forEach(song => {
-            queueService.add(song);
+            queueService.add(song, { skipQuota: true });
         });
 
         // Clear playedQueue for next cycle
@@ -0,0 +1,120 @@
+const config = require('../../config');
+const { logger } = require('../../utils/logger.util');
+
+// Fewer candidates than this isn't much of a choice
+const MIN_CANDIDATES = 3;
+
+/**
+ * Search Picker Service
+ *
+ * Holds pending search selections for low-confidence !play queries:
+ * - One pending selection per sender (a new search replaces the old one)
+ * - Selections expire after the configured timeout
+ * - Picking consumes the selection so it can only be used once
+ */
+class SearchPickerService {
+    constructor() {
+        this.pending = new Map(); // sender -> { remoteJid, query, candidates, expiresAt }
+    }
+
+    /**
+     * Check whether a search result should be offered as a choice
+     * @param {Object} searchResult - Result from searchYouTube (with candidates)
+     * @returns {boolean} True if the picker is enabled and the best match is below the threshold
+     */
+    shouldOffer(searchResult) {
+        config._ensureSettingsLoaded();
+        const { searchPickerEnabled, searchConfidenceThreshold } = config.playback;
+
+        if (!searchPickerEnabled) return false;
+        if (!searchResult?.candidates || searchResult.candidates.length < MIN_CANDIDATES) return false;
+
+        return searchResult.matchScore < (searchConfidenceThreshold ?? 100);
+    }
+
+    /**
+     * Get the selection timeout in seconds
+     * @returns {number} Timeout in seconds
+     */
+    getTimeoutSeconds() {
+        config._ensureSettingsLoaded();
+        return config.playback.searchPickerTimeout || 60;
+    }
+
+    /**
+     * Store candidates for a sender to pick from
+     * @param {string} sender - Sender JID
+     * @param {string} remoteJid - Chat where the search was made
+     * @param {string} query - Original search query
+     * @param {Array<Object>} candidates - Candidates ({ url, title, artist, duration })
+     */
+    offer(sender, remoteJid, query, candidates) {
+        this.pending.set(sender, {
+            remoteJid,
+            query,
+            candidates,
+            expiresAt: Date.now() + this.getTimeoutSeconds() * 1000
+        });
+
+        logger.info(`[SearchPicker] Offered ${candidates.length} candidates to ${sender} for "${query}"`);
+    }
+
+    /**
+     * Get a sender's pending selection, dropping it if expired
+     * @param {string} sender - Sender JID
+     * @param {string} remoteJid - Chat the reply came from
+     * @returns {Object|null} Pending selection, or null if none
+     */
+    getPending(sender, remoteJid) {
+        const selection = this.pending.get(sender);
+        if (!selection || selection.remoteJid !== remoteJid) return null;
+
+        if (Date.now() > selection.expiresAt) {
+            this.pending.delete(sender);
+            return null;
+        }
+
+        return selection;
+    }
+
+    /**
+     * Check whether a sender has a pending selection in a chat
+     * @param {string} sender - Sender JID
+     * @param {string} remoteJid - Chat JID
+     * @returns {boolean} True if a selection is waiting
+     */
+    hasPending(sender, remoteJid) {
+        return this.getPending(sender, remoteJid) !== null;
+    }
+
+    /**
+     * Pick a candidate by its 1-based number
+     * @param {string} sender - Sender JID
+     * @param {string} remoteJid - Chat the reply came from
+     * @param {number} choice - 1-based candidate number
+     * @returns {{status: string, candidate?: Object, count?: number}} status is 'picked', 'none' or 'invalid'
+     */
+    pick(sender, remoteJid, choice) {
+        const selection = this.getPending(sender, remoteJid);
+        if (!selection) {
+            return { status: 'none' };
+        }
+
+        if (!Number.isInteger(choice) || choice < 1 || choice > selection.candidates.length) {
+            return { status: 'invalid', count: selection.candidates.length };
+        }
+
+        this.pending.delete(sender);
+        return { status: 'picked', candidate: selection.candidates[choice - 1] };
+    }
+
+    /**
+     * Drop a sender's pending selection
+     * @param {string} sender - Sender JID
+     */
+    cancel(sender) {
+        this.pending.delete(sender);
+    }
+}
+
+module.exports = new SearchPickerService();
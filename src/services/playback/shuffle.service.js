@@ -10,11 +10,12 @@ class ShuffleService {
 
     /**
      * Select a random item from queue using weighted selection
-     * VIP songs have 3x higher probability than regular songs
+     * VIP songs have 3x higher probability than regular songs, unless weights are given
      * @param {Array} queue - Queue array
+     * @param {Array<number>|null} weights - Optional weight per item (e.g. from the queue policy)
      * @returns {number} Index of selected item
      */
-    selectShuffledItem(queue) {
+    selectShuffledItem(queue, weights = null) {
         if (queue.length === 0) {
             return -1;
         }
@@ -24,7 +25,9 @@ class ShuffleService {
         }
 
         // Calculate weights: VIP = 3, regular = 1
-        const weights = queue.map(item => item.isPriority ? 3 : 1);
+        if (!weights || weights.length !== queue.length) {
+            weights = queue.map(item => item.isPriority ? 3 : 1);
+        }
         const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
 
         // Generate random number between 0 and totalWeight
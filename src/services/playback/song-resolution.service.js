@@ -1,13 +1,17 @@
 const metadataService = require('../metadata/metadata.service');
 const youtubeSearchService = require('../youtube/search.service');
-const { isSpotifyUrl, isYouTubeUrl } = require('../../utils/url.util');
+const { isSpotifyUrl, isYouTubeUrl, isDirectAudioUrl } = require('../../utils/url.util');
+const { assertPublicLink } = require('../../utils/address.util');
+const { isSourceUrl } = require('../sources');
+const httpAudioService = require('../media/http-audio.service');
 const { logger } = require('../../utils/logger.util');
 
 /**
  * Song Resolution Service
  *
  * Handles URL resolution and search logic:
- * - Resolve URLs (Spotify, YouTube) to metadata
+ * - Resolve URLs (Spotify, YouTube, SoundCloud, Bandcamp, other yt-dlp sources, direct audio files,
+ *   live streams) to metadata
  * - Handle search queries
  * - Return standardized song objects
  */
@@ -28,13 +32,25 @@ class SongResolutionService {
         let url = input;
         let title = '';
         let artist = '';
+        let duration = null;
+        let type = 'url';
+
+        // Every link must point at a public address before anything fetches it; links straight
+        // to audio (a podcast MP3, an internet radio stream) are checked before yt-dlp sources
+        await assertPublicLink(input);
+        const audioLink = httpAudioService.isPossibleAudioUrl(input) ? await httpAudioService.inspectUrl(input) : null;
 
         // Check if input is a URL
-        if (isSpotifyUrl(input) || isYouTubeUrl(input)) {
+        if (audioLink) {
+            ({ title, artist, duration, type } = audioLink);
+        } else if (isDirectAudioUrl(input)) {
+            throw new Error('Could not read the audio file at this URL');
+        } else if (isSpotifyUrl(input) || isYouTubeUrl(input) || isSourceUrl(input)) {
             // Resolve info from URL
             const info = await metadataService.getTrackInfo(input);
             title = info.title;
             artist = info.artist;
+            duration = info.duration || null;
             // Warn if we got a fallback title
             if (title.includes('Unknown Track') || title.includes('YouTube Video')) {
                 logger.warn(`[SongResolution] Got fallback title for ${input}: ${title}`);
@@ -46,14 +62,16 @@ class SongResolutionService {
             url = searchResult.url;
             title = searchResult.title;
             artist = searchResult.artist;
+            duration = searchResult.duration || null;
             logger.info(`[SongResolution] Found: ${title} by ${artist} at ${url}`);
         }
 
         return {
-            type: 'url',
+            type,
             content: url,
             title: title,
             artist: artist,
+            duration: duration ? duration * 1000 : null,
             requester: options.requester || 'Web User',
             remoteJid: options.remoteJid || 'WEB_DASHBOARD',
             sender: options.sender || 'WEB_DASHBOARD'
@@ -66,7 +84,7 @@ class SongResolutionService {
      * @returns {Promise<Object>} Metadata object
      */
     async resolveUrl(url) {
-        if (!isSpotifyUrl(url) && !isYouTubeUrl(url)) {
+        if (!isSpotifyUrl(url) && !isYouTubeUrl(url) && !isSourceUrl(url)) {
             throw new Error('Invalid URL format');
         }
 
@@ -0,0 +1,168 @@
+const config = require('../../config');
+const { logger } = require('../../utils/logger.util');
+const { eventBus, PLAYBACK_STARTED, VOTE_SKIP_UPDATED } = require('../../events');
+
+/**
+ * Vote Skip Service
+ *
+ * Handles democratic skipping of the current song:
+ * - Tracks recently active members per group
+ * - Collects one vote per member for the current song, separately in each group
+ * - Computes each group's required votes (fraction of its active members or fixed count)
+ * - Resets votes whenever a new song starts playing
+ */
+class VoteSkipService {
+    constructor() {
+        this.activity = new Map(); // groupJid -> Map(sender -> lastSeen timestamp)
+        this.votes = new Map(); // groupJid -> Set of senders who voted for the current song
+        this.songKey = null; // Song the current votes belong to
+
+        eventBus.on(PLAYBACK_STARTED, () => this.reset());
+    }
+
+    /**
+     * Get a stable key for a song
+     * @param {Object} song - Song object
+     * @returns {string|null} Song key
+     */
+    getSongKey(song) {
+        if (!song) return null;
+        return song.id || song.content || null;
+    }
+
+    /**
+     * Record that a member sent a message in a group
+     * @param {string} groupJid - Group JID
+     * @param {string} sender - Sender JID
+     */
+    recordActivity(groupJid, sender) {
+        if (!groupJid || !sender || !groupJid.endsWith('@g.us')) {
+            return;
+        }
+
+        if (!this.activity.has(groupJid)) {
+            this.activity.set(groupJid, new Map());
+        }
+        this.activity.get(groupJid).set(sender, Date.now());
+    }
+
+    /**
+     * Count members who were active in a group within the configured window
+     * Also prunes members whose activity is older than the window
+     * @param {string} groupJid - Group JID
+     * @returns {number} Number of recently active members
+     */
+    getActiveMemberCount(groupJid) {
+        const members = this.activity.get(groupJid);
+        if (!members) return 0;
+
+        config._ensureSettingsLoaded();
+        const windowMs = (config.playback.voteSkipActiveMinutes || 15) * 60 * 1000;
+        const cutoff = Date.now() - windowMs;
+
+        for (const [sender, lastSeen] of members) {
+            if (lastSeen < cutoff) {
+                members.delete(sender);
+            }
+        }
+
+        return members.size;
+    }
+
+    /**
+     * Get the number of votes required to skip in a group
+     * @param {string} groupJid - Group JID
+     * @returns {number} Required votes (at least 1)
+     */
+    getRequiredVotes(groupJid) {
+        config._ensureSettingsLoaded();
+        const { voteSkipMode, voteSkipPercentage, voteSkipCount } = config.playback;
+
+        if (voteSkipMode === 'count') {
+            return Math.max(1, voteSkipCount || 1);
+        }
+
+        const activeMembers = this.getActiveMemberCount(groupJid);
+        const percentage = voteSkipPercentage || 50;
+        return Math.max(1, Math.ceil(activeMembers * percentage / 100));
+    }
+
+    /**
+     * Cast a vote to skip the current song
+     * @param {string} sender - Voter JID
+     * @param {Object} currentSong - Song currently playing
+     * @param {string} groupJid - Group where the vote was cast
+     * @returns {Object} { accepted, votes, required, reached }
+     */
+    castVote(sender, currentSong, groupJid) {
+        const songKey = this.getSongKey(currentSong);
+
+        // Votes from a previous song are never carried over
+        if (this.songKey !== songKey) {
+            this.votes.clear();
+            this.songKey = songKey;
+        }
+
+        this.recordActivity(groupJid, sender);
+
+        // Each group votes on its own, against its own number of active members
+        if (!this.votes.has(groupJid)) {
+            this.votes.set(groupJid, new Set());
+        }
+        const groupVotes = this.votes.get(groupJid);
+        const accepted = !groupVotes.has(sender);
+        groupVotes.add(sender);
+
+        const required = this.getRequiredVotes(groupJid);
+        const votes = groupVotes.size;
+        const reached = votes >= required;
+
+        logger.info({
+            context: {
+                event: 'vote_skip_cast',
+                sender,
+                groupJid,
+                songKey,
+                votes,
+                required,
+                accepted
+            }
+        }, `Vote skip: ${votes}/${required}`);
+
+        eventBus.emit(VOTE_SKIP_UPDATED, this.getState());
+
+        return { accepted, votes, required, reached };
+    }
+
+    /**
+     * Clear all votes (called when a new song starts)
+     */
+    reset() {
+        if (this.votes.size === 0 && this.songKey === null) {
+            return;
+        }
+
+        this.votes.clear();
+        this.songKey = null;
+        eventBus.emit(VOTE_SKIP_UPDATED, this.getState());
+    }
+
+    /**
+     * Get the current vote state (for status updates)
+     * @returns {Object} { songKey, mode, groups: [{ groupJid, votes, required }] }
+     */
+    getState() {
+        config._ensureSettingsLoaded();
+        return {
+            songKey: this.songKey,
+            mode: config.playback.voteSkipMode || 'fraction',
+            groups: Array.from(this.votes, ([groupJid, senders]) => ({
+                groupJid,
+                votes: senders.size,
+                required: this.getRequiredVotes(groupJid)
+            }))
+        };
+    }
+}
+
+module.exports = new VoteSkipService();
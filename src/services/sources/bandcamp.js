@@ -0,0 +1,34 @@
+const SourceProvider = require('./provider');
+const { isBandcampUrl, isBandcampAlbum } = require('../../utils/url.util');
+
+/**
+ * Bandcamp Provider
+ * Tracks and albums
+ */
+class BandcampProvider extends SourceProvider {
+    constructor() {
+        super('bandcamp', 'Bandcamp');
+    }
+
+    matches(url) {
+        return isBandcampUrl(url);
+    }
+
+    isPlaylist(url) {
+        return isBandcampAlbum(url);
+    }
+
+    /**
+     * Bandcamp titles read "Artist - Track"; the track name alone is used when known
+     */
+    getTitle(data) {
+        if (data.track) return data.track;
+        const artist = this.getArtist(data);
+        if (data.title && artist && data.title.startsWith(`${artist} - `)) {
+            return data.title.slice(artist.length + 3);
+        }
+        return data.title || null;
+    }
+}
+
+module.exports = BandcampProvider;
@@ -0,0 +1,41 @@
+const config = require('../../config');
+const SourceProvider = require('./provider');
+const { getUrlHost, isHostOf, isYouTubeUrl, isSpotifyUrl, isDirectAudioUrl, isStreamPlaylistUrl } = require('../../utils/url.util');
+
+// Paths that usually point at a list of tracks rather than one
+const PLAYLIST_PATTERN = /\/(playlist|playlists|album|albums|sets)(\/|$|\?)|[?&]list=/i;
+
+/**
+ * Generic Provider
+ * Any other URL yt-dlp supports, for sites allowed by SOURCE_ALLOWLIST
+ * ("*" allows every site; empty turns this provider off).
+ */
+class GenericProvider extends SourceProvider {
+    constructor() {
+        super('generic', 'yt-dlp');
+    }
+
+    /**
+     * Check if a site is allowed
+     * @param {string|null} host - Hostname
+     * @returns {boolean}
+     */
+    isAllowedHost(host) {
+        const allowlist = config.sources.allowlist;
+        if (!host || allowlist.length === 0) return false;
+        return allowlist.includes('*') || allowlist.some(domain => isHostOf(host, domain));
+    }
+
+    matches(url) {
+        // YouTube, Spotify, audio files and stream playlists have their own handling
+        if (isYouTubeUrl(url) || isSpotifyUrl(url)) return false;
+        if (isDirectAudioUrl(url) || isStreamPlaylistUrl(url)) return false;
+        return this.isAllowedHost(getUrlHost(url));
+    }
+
+    isPlaylist(url) {
+        return PLAYLIST_PATTERN.test(url);
+    }
+}
+
+module.exports = GenericProvider;
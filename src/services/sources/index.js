@@ -0,0 +1,50 @@
+const SoundCloudProvider = require('./soundcloud');
+const BandcampProvider = require('./bandcamp');
+const GenericProvider = require('./generic');
+
+/**
+ * Source Providers
+ * Sources besides YouTube and Spotify, checked in order (the generic yt-dlp provider last)
+ */
+
+const providers = [
+    new SoundCloudProvider(),
+    new BandcampProvider(),
+    new GenericProvider()
+];
+
+/**
+ * Get the provider that handles a URL
+ * @param {string} url - URL
+ * @returns {SourceProvider|null} Provider, or null for YouTube/Spotify, search queries and unsupported sites
+ */
+function getSourceProvider(url) {
+    if (!url || typeof url !== 'string') return null;
+    return providers.find(provider => provider.matches(url)) || null;
+}
+
+/**
+ * Check if a URL is a track or playlist of a source provider
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isSourceUrl(url) {
+    return getSourceProvider(url) !== null;
+}
+
+/**
+ * Check if a URL is a playlist/album/set of a source provider
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isSourcePlaylist(url) {
+    const provider = getSourceProvider(url);
+    return provider !== null && provider.isPlaylist(url);
+}
+
+module.exports = {
+    providers,
+    getSourceProvider,
+    isSourceUrl,
+    isSourcePlaylist
+};
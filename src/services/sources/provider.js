@@ -0,0 +1,149 @@
+const { execFile } = require('child_process');
+const { logger } = require('../../utils/logger.util');
+const { getYtDlpPath } = require('../../utils/dependencies.util');
+const { downloadWithYtDlp } = require('../youtube/download.service');
+const { assertPublicUrl } = require('../../utils/address.util');
+
+// yt-dlp metadata calls: time limit and output limit (large sets print a lot of JSON)
+const METADATA_TIMEOUT_MS = 30 * 1000;
+const PLAYLIST_TIMEOUT_MS = 120 * 1000;
+const MAX_OUTPUT_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Source Provider
+ *
+ * Base class for sources handled through yt-dlp (SoundCloud, Bandcamp, other sites).
+ * Subclasses say which URLs they handle; metadata, playlist expansion and download
+ * all go through yt-dlp, which subclasses can refine (e.g. how to read the artist).
+ * Every URL is checked to point at a public address before yt-dlp is given it.
+ */
+class SourceProvider {
+    /**
+     * @param {string} id - Provider ID (used in logs)
+     * @param {string} name - Display name
+     */
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+    }
+
+    /**
+     * Check if this provider handles a URL
+     * @param {string} url - URL to check
+     * @returns {boolean}
+     */
+    matches(url) {
+        throw new Error('matches() must be implemented by subclass');
+    }
+
+    /**
+     * Check if a URL is a playlist/album/set of this provider
+     * @param {string} url - URL to check
+     * @returns {boolean}
+     */
+    isPlaylist(url) {
+        return false;
+    }
+
+    /**
+     * Run yt-dlp and parse its JSON output
+     * @param {Array<string>} args - yt-dlp arguments (the URL last)
+     * @param {number} timeout - Time limit in milliseconds
+     * @returns {Promise<Object>} Parsed JSON
+     * @throws {Error} PrivateAddressError if the URL points at a local or private address
+     */
+    async runYtDlpJson(args, timeout) {
+        await assertPublicUrl(args[args.length - 1]);
+        return new Promise((resolve, reject) => {
+            execFile(getYtDlpPath(), args, { timeout, maxBuffer: MAX_OUTPUT_BYTES }, (error, stdout, stderr) => {
+                if (error) {
+                    const detail = (stderr || error.message).trim().split('\n').pop();
+                    reject(new Error(`yt-dlp could not read ${args[args.length - 1]}: ${detail}`));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(stdout));
+                } catch (parseError) {
+                    reject(new Error(`yt-dlp returned invalid JSON: ${parseError.message}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Read the artist from yt-dlp metadata
+     * @param {Object} data - yt-dlp info (a track or a playlist entry)
+     * @returns {string} Artist, or '' if unknown
+     */
+    getArtist(data) {
+        return data.artist || data.creator || data.uploader || data.channel || '';
+    }
+
+    /**
+     * Read the title from yt-dlp metadata
+     * @param {Object} data - yt-dlp info (a track or a playlist entry)
+     * @returns {string|null} Title, or null if unknown
+     */
+    getTitle(data) {
+        return data.track || data.title || null;
+    }
+
+    /**
+     * Get track metadata
+     * @param {string} url - Track URL
+     * @returns {Promise<{title: string, artist: string, url: string, duration: number|null, thumbnailUrl: string|null}>}
+     *   Track info (duration in seconds, if known)
+     */
+    async getTrackInfo(url) {
+        logger.debug(`[Sources] ${this.name}: reading track info for ${url}`);
+        const data = await this.runYtDlpJson(['--dump-single-json', '--no-playlist', '--no-warnings', url], METADATA_TIMEOUT_MS);
+
+        return {
+            title: this.getTitle(data) || 'Unknown Track',
+            artist: this.getArtist(data),
+            url: url,
+            duration: data.duration ? Math.round(data.duration) : null,
+            thumbnailUrl: data.thumbnail || null
+        };
+    }
+
+    /**
+     * Expand a playlist/album/set into its tracks
+     * @param {string} url - Playlist URL
+     * @returns {Promise<Array<{url: string, title: string, artist: string, duration: number|null}>>} Tracks
+     */
+    async getPlaylistTracks(url) {
+        logger.info(`Fetching ${this.name} playlist: ${url}`);
+        const data = await this.runYtDlpJson(['--flat-playlist', '--dump-single-json', '--no-warnings', url], PLAYLIST_TIMEOUT_MS);
+
+        // A single track expands to itself
+        const entries = Array.isArray(data.entries) ? data.entries : [data];
+        const tracks = entries
+            .filter(entry => entry && (entry.url || entry.webpage_url))
+            .map(entry => ({
+                url: entry.webpage_url || entry.url,
+                title: this.getTitle(entry) || 'Unknown Title',
+                artist: this.getArtist(entry) || this.getArtist(data),
+                duration: entry.duration ? Math.round(entry.duration) : null
+            }));
+
+        logger.info(`Found ${tracks.length} tracks in ${this.name} playlist`);
+        return tracks;
+    }
+
+    /**
+     * Download a track's audio
+     * @param {string} url - Track URL
+     * @param {string} outputPath - The output path for audio
+     * @param {string} title - The track title (for thumbnail naming)
+     * @param {function} progressCallback - Optional callback for progress updates
+     * @returns {Promise<{audioPath: string, thumbnailPath: string|null}>}
+     * @throws {Error} PrivateAddressError if the URL points at a local or private address
+     */
+    async download(url, outputPath, title, progressCallback = null) {
+        await assertPublicUrl(url);
+        return downloadWithYtDlp(url, outputPath, title, progressCallback, { source: this.id });
+    }
+}
+
+module.exports = SourceProvider;
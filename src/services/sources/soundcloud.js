@@ -0,0 +1,22 @@
+const SourceProvider = require('./provider');
+const { isSoundCloudUrl, isSoundCloudPlaylist } = require('../../utils/url.util');
+
+/**
+ * SoundCloud Provider
+ * Tracks and sets (playlists/albums)
+ */
+class SoundCloudProvider extends SourceProvider {
+    constructor() {
+        super('soundcloud', 'SoundCloud');
+    }
+
+    matches(url) {
+        return isSoundCloudUrl(url);
+    }
+
+    isPlaylist(url) {
+        return isSoundCloudPlaylist(url);
+    }
+}
+
+module.exports = SoundCloudProvider;
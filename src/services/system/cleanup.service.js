@@ -1,11 +1,14 @@
 const { logger } = require('../../utils/logger.util');
 const fs = require('fs');
+const libraryCache = require('../cache/library-cache.service');
+const localLibrary = require('../content/local-library.service');
 
 /**
  * Cleanup Service
  *
  * Handles file cleanup operations:
- * - Clean up audio files after playback
+ * - Clean up audio files after playback (library files stay, the library evicts by its own budget)
+ * - Never touch files from the local music folders
  * - Clean up thumbnail files
  * - Respect configuration settings
  */
@@ -22,6 +25,21 @@ class CleanupService {
             return;
         }
 
+        // Owned music (and its extracted art) is played in place
+        if (localLibrary.isLocalFile(currentSong.content)) {
+            return;
+        }
+
+        // Library files are kept for later requests
+        if (libraryCache.isLibraryFile(currentSong.content)) {
+            try {
+                libraryCache.enforceBudget();
+            } catch (error) {
+                logger.warn('Failed to enforce library cache budget:', error.message);
+            }
+            return;
+        }
+
         // Clean up audio file
         if (currentSong.content) {
             this.cleanupFile(currentSong.content);
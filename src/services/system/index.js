@@ -10,6 +10,7 @@ const playbackStateService = require('./playback-state.service');
 const cleanupService = require('./cleanup.service');
 const sessionService = require('./session.service');
 const statusService = require('./status.service');
+const schedulerService = require('./scheduler.service');
 
 module.exports = {
     notification: notificationService,
@@ -18,5 +19,6 @@ module.exports = {
     playbackState: playbackStateService,
     cleanup: cleanupService,
     session: sessionService,
-    status: statusService
+    status: statusService,
+    scheduler: schedulerService
 };
@@ -0,0 +1,369 @@
+const dbService = require('../../infrastructure/database/db.service');
+const effectsService = require('../audio/effects.service');
+const { logger } = require('../../utils/logger.util');
+const { eventBus, SCHEDULE_CHANGED, EFFECTS_CHANGED } = require('../../events');
+
+const RULE_TYPES = ['volume', 'preset', 'quiet'];
+const MAX_RULE_NAME_LENGTH = 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Settings holding what to put back once a rule stops applying (survive restarts)
+const RESTORE_VOLUME_KEY = 'scheduleRestoreVolume';
+const RESTORE_EFFECTS_KEY = 'scheduleRestoreEffects';
+
+/**
+ * Create an error the controllers map to an HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error named ValidationError
+ */
+function validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Scheduler Service
+ * Time-based rules evaluated periodically (see background-jobs):
+ * - volume: cap the volume (the lowest active cap wins); the previous volume comes back afterwards
+ * - preset: apply an effects preset (the oldest active rule wins); the previous effects come back
+ *   afterwards unless someone changed them in the meantime
+ * - quiet: quiet hours, only VIPs can add songs
+ * Evaluation is idempotent, and what to restore is kept in settings, so a restart mid-window is safe.
+ */
+class SchedulerService {
+    constructor() {
+        this.status = { activeRules: [], volumeCap: null, preset: null, quietHours: false };
+    }
+
+    /**
+     * Get all rules with whether each applies right now
+     * @returns {Array<Object>} Rules
+     */
+    getRules() {
+        const now = new Date();
+        return dbService.getScheduleRules().map(rule => ({ ...rule, active: this.isRuleActive(rule, now) }));
+    }
+
+    /**
+     * Validate and normalize a rule
+     * @param {Object} input - Rule fields ({ name, type, value, days, startTime, endTime, enabled })
+     * @returns {Object} Normalized rule
+     * @throws {Error} ValidationError
+     */
+    normalizeRule(input = {}) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) {
+            throw validationError('Rule name is required');
+        }
+        if (name.length > MAX_RULE_NAME_LENGTH) {
+            throw validationError(`Rule name must be at most ${MAX_RULE_NAME_LENGTH} characters`);
+        }
+
+        if (!RULE_TYPES.includes(input.type)) {
+            throw validationError(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+        }
+
+        if (!TIME_PATTERN.test(input.startTime || '') || !TIME_PATTERN.test(input.endTime || '')) {
+            throw validationError('Start and end times must be HH:MM (24-hour)');
+        }
+
+        const days = input.days === undefined ? [] : input.days;
+        if (!Array.isArray(days) || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            throw validationError('Days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)');
+        }
+
+        let value = null;
+        if (input.type === 'volume') {
+            value = Number(input.value);
+            if (!Number.isInteger(value) || value < 0 || value > 100) {
+                throw validationError('Volume cap must be a whole number between 0 and 100');
+            }
+            value = String(value);
+        } else if (input.type === 'preset') {
+            if (!input.value || !effectsService.getPreset(input.value)) {
+                throw validationError(`Unknown preset: ${input.value || ''}`);
+            }
+            value = input.value;
+        }
+
+        return {
+            name,
+            type: input.type,
+            value,
+            days: [...new Set(days)].sort(),
+            startTime: input.startTime,
+            endTime: input.endTime,
+            enabled: input.enabled !== false
+        };
+    }
+
+    /**
+     * Create a rule
+     * @param {Object} input - Rule fields
+     * @returns {Object} Created rule
+     */
+    createRule(input) {
+        const rule = this.normalizeRule(input);
+        const id = dbService.createScheduleRule(rule);
+        logger.info(`Schedule rule "${rule.name}" created (${rule.type}, ${rule.startTime}-${rule.endTime})`);
+        this.evaluate();
+        return this.getRule(id);
+    }
+
+    /**
+     * Update a rule
+     * @param {number} ruleId - Rule ID
+     * @param {Object} input - Fields to change (missing fields keep their value)
+     * @returns {Object|null} Updated rule, or null if not found
+     */
+    updateRule(ruleId, input) {
+        const existing = dbService.getScheduleRule(ruleId);
+        if (!existing) return null;
+
+        const rule = this.normalizeRule({ ...existing, ...input });
+        dbService.updateScheduleRule(ruleId, rule);
+        logger.info(`Schedule rule "${rule.name}" updated`);
+        this.evaluate();
+        return this.getRule(ruleId);
+    }
+
+    /**
+     * Delete a rule
+     * @param {number} ruleId - Rule ID
+     * @returns {boolean} True if deleted
+     */
+    deleteRule(ruleId) {
+        if (!dbService.deleteScheduleRule(ruleId)) return false;
+        logger.info(`Schedule rule ${ruleId} deleted`);
+        this.evaluate();
+        return true;
+    }
+
+    /**
+     * Get a rule with whether it applies right now
+     * @param {number} ruleId - Rule ID
+     * @returns {Object|null} Rule or null
+     */
+    getRule(ruleId) {
+        const rule = dbService.getScheduleRule(ruleId);
+        return rule ? { ...rule, active: this.isRuleActive(rule, new Date()) } : null;
+    }
+
+    /**
+     * Check whether a rule applies at a given time
+     * Days refer to the day a window starts, so "Fri 22:00-02:00" covers early Saturday.
+     * Equal start and end times cover the whole day.
+     * @param {Object} rule - Rule
+     * @param {Date} date - Time to check (local time)
+     * @returns {boolean} True if active
+     */
+    isRuleActive(rule, date) {
+        if (!rule.enabled) return false;
+
+        const onDay = (day) => rule.days.length === 0 || rule.days.includes(day);
+        const today = date.getDay();
+        const yesterday = (today + 6) % 7;
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(rule.startTime);
+        const end = toMinutes(rule.endTime);
+
+        if (start === end) {
+            return onDay(today);
+        }
+        if (start < end) {
+            return onDay(today) && now >= start && now < end;
+        }
+        return (onDay(today) && now >= start) || (onDay(yesterday) && now < end);
+    }
+
+    /**
+     * Apply the rules that are active right now
+     * Called on a timer and after rules change.
+     * @returns {Object} Schedule status
+     */
+    evaluate() {
+        let rules;
+        try {
+            rules = dbService.getScheduleRules();
+        } catch (err) {
+            logger.debug('Could not load schedule rules:', err.message);
+            return this.status;
+        }
+
+        const now = new Date();
+        const active = rules.filter(rule => this.isRuleActive(rule, now));
+
+        const caps = active.filter(rule => rule.type === 'volume').map(rule => parseInt(rule.value, 10));
+        const volumeCap = caps.length > 0 ? Math.min(...caps) : null;
+        const presetRule = active.find(rule => rule.type === 'preset') || null;
+
+        this.applyVolumeCap(volumeCap);
+        const presetId = this.applyPresetRule(presetRule);
+        const preset = presetId ? effectsService.getPreset(presetId) : null;
+
+        const status = {
+            activeRules: active.map(rule => ({ id: rule.id, name: rule.name, type: rule.type })),
+            volumeCap,
+            preset: preset ? { id: presetId, name: preset.name } : null,
+            quietHours: active.some(rule => rule.type === 'quiet')
+        };
+
+        if (JSON.stringify(status) !== JSON.stringify(this.status)) {
+            this.status = status;
+            const names = status.activeRules.map(rule => rule.name).join(', ') || 'none';
+            logger.info(`Schedule: active rules: ${names}`);
+            eventBus.emit(SCHEDULE_CHANGED, status);
+        }
+        return this.status;
+    }
+
+    /**
+     * Keep the volume at or below the cap, restoring the previous volume when no cap applies
+     * @param {number|null} cap - Active volume cap
+     */
+    applyVolumeCap(cap) {
+        const restoreVolume = dbService.getSetting(RESTORE_VOLUME_KEY);
+        const current = this.getCurrentVolume();
+
+        if (cap === null) {
+            if (restoreVolume !== null) {
+                dbService.setSetting(RESTORE_VOLUME_KEY, null);
+                if (restoreVolume !== current) {
+                    logger.info(`Schedule: volume cap ended, restoring volume to ${restoreVolume}%`);
+                    this.setVolume(restoreVolume);
+                }
+            }
+            return;
+        }
+
+        if (restoreVolume === null) {
+            dbService.setSetting(RESTORE_VOLUME_KEY, current);
+        }
+        if (current > cap) {
+            logger.info(`Schedule: capping volume at ${cap}%`);
+            this.setVolume(cap);
+        }
+    }
+
+    /**
+     * Apply a preset rule, restoring the previous effects when no preset rule applies
+     * @param {Object|null} rule - Active preset rule
+     * @returns {string|null} Preset ID applied by the schedule
+     */
+    applyPresetRule(rule) {
+        const saved = dbService.getSetting(RESTORE_EFFECTS_KEY);
+
+        if (!rule) {
+            if (saved) {
+                dbService.setSetting(RESTORE_EFFECTS_KEY, null);
+                // Effects changed by hand during the window stay as they are
+                if (effectsService.getEffects().preset === saved.appliedPreset) {
+                    logger.info('Schedule: preset rule ended, restoring previous effects');
+                    this.restoreEffects(saved.effects);
+                }
+            }
+            return null;
+        }
+
+        // Applied once per rule, so effects can still be changed by hand during the window
+        if (saved?.appliedPreset === rule.value) {
+            return rule.value;
+        }
+
+        try {
+            const previous = saved ? saved.effects : effectsService.getEffects();
+            effectsService.applyPreset(rule.value);
+            dbService.setSetting(RESTORE_EFFECTS_KEY, { effects: previous, appliedPreset: rule.value });
+            logger.info(`Schedule: applied effects preset "${rule.value}" (${rule.name})`);
+            return rule.value;
+        } catch (err) {
+            logger.warn(`Schedule: could not apply preset "${rule.value}" of rule "${rule.name}": ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Put back effects saved before a preset rule applied
+     * @param {Object} effects - Saved effects settings
+     */
+    restoreEffects(effects) {
+        try {
+            if (effects.preset && effects.preset !== 'custom' && effectsService.getPreset(effects.preset)) {
+                effectsService.applyPreset(effects.preset);
+            } else {
+                effectsService.updateEffects(effects);
+            }
+        } catch (err) {
+            logger.warn(`Schedule: could not restore effects: ${err.message}`);
+        }
+    }
+
+    /**
+     * Get the volume the player uses (stored setting, or the player's own)
+     * @returns {number} Volume (0-100)
+     */
+    getCurrentVolume() {
+        const saved = dbService.getSetting('volume');
+        if (saved !== null) return saved;
+        return require('../../infrastructure/player').getVolume();
+    }
+
+    /**
+     * Change the volume like the volume endpoint does
+     * @param {number} volume - Volume (0-100)
+     */
+    setVolume(volume) {
+        // Lazy require: the player layer loads services
+        const player = require('../../infrastructure/player');
+        dbService.setSetting('volume', volume);
+        player.setVolume(volume).catch(err => logger.error('Schedule: failed to set volume:', err));
+        if (player.getBackend() === 'ffplay') {
+            eventBus.emit(EFFECTS_CHANGED);
+        }
+    }
+
+    /**
+     * Limit a requested volume to the active cap
+     * The requested volume is remembered and comes back when the cap ends.
+     * @param {number} volume - Requested volume (0-100)
+     * @returns {number} Volume to apply
+     */
+    limitVolume(volume) {
+        const cap = this.status.volumeCap;
+        if (cap === null) return volume;
+
+        dbService.setSetting(RESTORE_VOLUME_KEY, volume);
+        return Math.min(volume, cap);
+    }
+
+    /**
+     * Check whether quiet hours are on (only VIPs can add songs)
+     * @returns {boolean} True during quiet hours
+     */
+    isQuietHours() {
+        return this.status.quietHours;
+    }
+
+    /**
+     * Get the schedule status from the last evaluation
+     * @returns {{activeRules: Array, volumeCap: number|null, preset: Object|null, quietHours: boolean}}
+     */
+    getStatus() {
+        return this.status;
+    }
+}
+
+// Export singleton
+const schedulerService = new SchedulerService();
+module.exports = schedulerService;
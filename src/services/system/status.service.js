@@ -28,7 +28,10 @@ const {
     PLAYBACK_SEEK,
     PLAYBACK_SKIP,
     EFFECTS_CHANGED,
-    CONNECTION_CHANGED
+    CONNECTION_CHANGED,
+    VOTE_SKIP_UPDATED,
+    RADIO_LISTENERS_CHANGED,
+    SCHEDULE_CHANGED
 } = require('../../events');
 
 /**
@@ -110,6 +113,9 @@ class StatusService extends EventEmitter {
 
         eventBus.on(EFFECTS_CHANGED, () => this.broadcastStatus());
         eventBus.on(CONNECTION_CHANGED, () => this.broadcastStatus());
+        eventBus.on(VOTE_SKIP_UPDATED, () => this.broadcastStatus());
+        eventBus.on(RADIO_LISTENERS_CHANGED, () => this.broadcastStatus());
+        eventBus.on(SCHEDULE_CHANGED, () => this.broadcastStatus());
         
         // Start periodic broadcast when playback starts (via QUEUE_UPDATED)
         // We'll check if a song is playing and start/stop accordingly
@@ -196,7 +202,11 @@ class StatusService extends EventEmitter {
                     prefetched: currentSong.prefetched,
                     duration: currentSong.duration,
                     startTime: currentSong.startTime,
-                    pausedAt: currentSong.pausedAt
+                    pausedAt: currentSong.pausedAt,
+                    trimStart: currentSong.trimStart || 0,
+                    trimEnd: currentSong.trimEnd || null,
+                    isLive: !!currentSong.isLive,
+                    timeLimit: currentSong.timeLimit || null
                 };
 
                 // Add elapsed time for sync (only to the copy)
@@ -275,6 +285,11 @@ class StatusService extends EventEmitter {
 
             const queueWithThumbnails = queue.map(addThumbnailUrl);
 
+            // Estimated time until each item plays (ms from now)
+            const queueWithEtas = services.playback.queueEta
+                ? services.playback.queueEta.withEtas(queueWithThumbnails)
+                : queueWithThumbnails;
+
             // Get stats from statsService for consistency
             let detailedStats = { songsPlayed: 0 };
             let uptime = 0;
@@ -310,6 +325,12 @@ class StatusService extends EventEmitter {
             // Get QR code from status controller
             const latestQR = this.statusController?.latestQR || null;
 
+            // Get vote skip tally for the current song
+            const voteSkip = services.playback.voteSkip ? services.playback.voteSkip.getState() : null;
+
+            // Radio stream listener count (lazy require: the player layer loads services)
+            const radio = require('../../infrastructure/player/radio').getStatus();
+
             return {
                 auth: {
                     isConnected: !!isConnected,
@@ -318,7 +339,7 @@ class StatusService extends EventEmitter {
                     actionRequired
                 },
                 queue: {
-                    queue: queueWithThumbnails,
+                    queue: queueWithEtas,
                     currentSong: current,
                     isPaused: isPaused
                 },
@@ -328,7 +349,10 @@ class StatusService extends EventEmitter {
                     queueLength: queue.length
                 },
                 shuffleEnabled: config.playback.shuffleEnabled,
-                repeatMode: config.playback.repeatMode
+                repeatMode: config.playback.repeatMode,
+                voteSkip,
+                radio,
+                schedule: services.system.scheduler.getStatus()
             };
         } catch (error) {
             const errorMsg = error?.message || String(error) || 'Unknown error';
@@ -363,7 +387,10 @@ class StatusService extends EventEmitter {
                 queueLength: 0
             },
             shuffleEnabled: false,
-            repeatMode: 'off'
+            repeatMode: 'off',
+            voteSkip: null,
+            radio: null,
+            schedule: null
         };
     }
 
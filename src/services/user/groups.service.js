@@ -7,9 +7,47 @@ const dbService = require('../../infrastructure/database/db.service');
  * Manages monitored WhatsApp groups
  */
 
+// Prefixes are short and symbolic so ordinary chat messages are never mistaken for commands
+const PREFIX_PATTERN = /^[^\s\p{L}\p{N}]{1,3}$/u;
+const ALIAS_PATTERN = /^[\p{L}\p{N}_-]{1,32}$/u;
+
+// Intents a group can allow in natural-language mode; links only need 'play'
+const NATURAL_LANGUAGE_INTENTS = ['play', 'skip', 'queue'];
+const DEFAULT_NATURAL_LANGUAGE_INTENTS = ['play'];
+
+/**
+ * Parse the stored alias JSON of a group
+ * @param {string|null} json - Stored aliases
+ * @returns {Object} Alias map ({ alias: commandName })
+ */
+function parseAliases(json) {
+    if (!json) return {};
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        logger.warn('Invalid command aliases stored for group, ignoring:', e);
+        return {};
+    }
+}
+
+/**
+ * Parse the stored natural-language intents of a group
+ * @param {string|null} json - Stored intents
+ * @returns {Array<string>} Allowed intents
+ */
+function parseIntents(json) {
+    if (!json) return [...DEFAULT_NATURAL_LANGUAGE_INTENTS];
+    try {
+        return JSON.parse(json).filter(intent => NATURAL_LANGUAGE_INTENTS.includes(intent));
+    } catch (e) {
+        logger.warn('Invalid natural-language intents stored for group, using defaults:', e);
+        return [...DEFAULT_NATURAL_LANGUAGE_INTENTS];
+    }
+}
+
 /**
  * Get all monitored groups
- * @returns {Array<{id: string, name: string, addedAt: string}>} - Array of monitored groups
+ * @returns {Array<{id: string, name: string, addedAt: string, commandPrefix: string|null, commandAliases: Object, naturalLanguage: Object}>} - Array of monitored groups
  */
 function getGroups() {
     try {
@@ -17,7 +55,13 @@ function getGroups() {
         return groups.map(group => ({
             id: group.id,
             name: group.name,
-            addedAt: new Date(group.added_at * 1000).toISOString()
+            addedAt: new Date(group.added_at * 1000).toISOString(),
+            commandPrefix: group.command_prefix || null,
+            commandAliases: parseAliases(group.command_aliases),
+            naturalLanguage: {
+                enabled: !!group.natural_language_enabled,
+                intents: parseIntents(group.natural_language_intents)
+            }
         }));
     } catch (e) {
         logger.error('Error reading groups:', e);
@@ -128,6 +172,157 @@ function updateGroupName(id, name) {
     }
 }
 
+/**
+ * Get the command prefix used when a group has none configured
+ * @returns {string} Default prefix
+ */
+function getDefaultCommandPrefix() {
+    return config.whatsapp.commandPrefix || '!';
+}
+
+/**
+ * Get the command prefix and aliases for a chat
+ * Chats that aren't monitored groups use the default prefix and no aliases
+ * @param {string} groupId - Group ID (remoteJid)
+ * @returns {{prefix: string, aliases: Object}} Command settings
+ */
+function getCommandSettings(groupId) {
+    const defaults = { prefix: getDefaultCommandPrefix(), aliases: {} };
+    if (!groupId) return defaults;
+    
+    try {
+        const row = dbService.getGroupCommandSettings(groupId);
+        if (!row) return defaults;
+        return {
+            prefix: row.command_prefix || defaults.prefix,
+            aliases: parseAliases(row.command_aliases)
+        };
+    } catch (e) {
+        logger.error('Error reading group command settings:', e);
+        return defaults;
+    }
+}
+
+/**
+ * Update the command prefix and aliases of a monitored group
+ * @param {string} groupId - Group ID
+ * @param {Object} settings - New settings
+ * @param {string|null} settings.prefix - Prefix, or null/empty to use the default
+ * @param {Object} settings.aliases - Alias map ({ alias: commandName }), names without prefix
+ * @returns {{prefix: string, aliases: Object}|null} Saved settings, or null if the group isn't monitored
+ */
+function updateCommandSettings(groupId, { prefix = null, aliases = {} }) {
+    if (!isGroupMonitored(groupId)) {
+        return null;
+    }
+    
+    const normalizedPrefix = prefix ? prefix.trim() : null;
+    if (normalizedPrefix && !PREFIX_PATTERN.test(normalizedPrefix)) {
+        const error = new Error('Prefix must be 1-3 symbols (no letters, digits or spaces)');
+        error.name = 'ValidationError';
+        throw error;
+    }
+    
+    const normalizedAliases = {};
+    for (const [alias, commandName] of Object.entries(aliases || {})) {
+        const normalizedAlias = String(alias).trim().toLowerCase();
+        if (!ALIAS_PATTERN.test(normalizedAlias) || typeof commandName !== 'string' || !commandName.trim()) {
+            const error = new Error(`Invalid alias: ${alias}`);
+            error.name = 'ValidationError';
+            throw error;
+        }
+        normalizedAliases[normalizedAlias] = commandName.trim().toLowerCase();
+    }
+    
+    // Store NULL when the default prefix is chosen so later default changes still apply
+    const storedPrefix = normalizedPrefix && normalizedPrefix !== getDefaultCommandPrefix() ? normalizedPrefix : null;
+    if (!dbService.updateGroupCommandSettings(groupId, storedPrefix, normalizedAliases)) {
+        return null;
+    }
+    logger.info(`Updated command settings for group ${groupId}: prefix=${storedPrefix || 'default'}, ${Object.keys(normalizedAliases).length} aliases`);
+    
+    return getCommandSettings(groupId);
+}
+
+/**
+ * Parse a message into a command using the chat's prefix and aliases
+ * @param {string} groupId - Group ID (remoteJid)
+ * @param {string} text - Message text
+ * @returns {{name: string, args: Array<string>, prefix: string}|null} Parsed command (alias resolved), or null if not a command
+ */
+function parseCommand(groupId, text) {
+    const { prefix, aliases } = getCommandSettings(groupId);
+    const trimmed = (text || '').trim();
+    
+    if (!trimmed.startsWith(prefix)) {
+        return null;
+    }
+    
+    const [token, ...args] = trimmed.slice(prefix.length).split(' ');
+    const name = token.toLowerCase();
+    if (!name) {
+        return null;
+    }
+    
+    return {
+        name: aliases[name] || name,
+        args,
+        prefix
+    };
+}
+
+/**
+ * Get the natural-language settings of a chat
+ * Chats that aren't monitored groups never have natural-language mode
+ * @param {string} groupId - Group ID (remoteJid)
+ * @returns {{enabled: boolean, intents: Array<string>}} Natural-language settings
+ */
+function getNaturalLanguageSettings(groupId) {
+    const disabled = { enabled: false, intents: [...DEFAULT_NATURAL_LANGUAGE_INTENTS] };
+    if (!groupId) return disabled;
+    
+    try {
+        const row = dbService.getGroupNaturalLanguageSettings(groupId);
+        if (!row) return disabled;
+        return {
+            enabled: !!row.natural_language_enabled,
+            intents: parseIntents(row.natural_language_intents)
+        };
+    } catch (e) {
+        logger.error('Error reading group natural-language settings:', e);
+        return disabled;
+    }
+}
+
+/**
+ * Update the natural-language settings of a monitored group
+ * @param {string} groupId - Group ID
+ * @param {Object} settings - New settings
+ * @param {boolean} settings.enabled - Whether bare links and @mentions are handled
+ * @param {Array<string>} settings.intents - Allowed intents (subset of NATURAL_LANGUAGE_INTENTS)
+ * @returns {{enabled: boolean, intents: Array<string>}|null} Saved settings, or null if the group isn't monitored
+ */
+function updateNaturalLanguageSettings(groupId, { enabled = false, intents = DEFAULT_NATURAL_LANGUAGE_INTENTS }) {
+    if (!isGroupMonitored(groupId)) {
+        return null;
+    }
+    
+    const invalid = intents.filter(intent => !NATURAL_LANGUAGE_INTENTS.includes(intent));
+    if (invalid.length > 0) {
+        const error = new Error(`Invalid intents: ${invalid.join(', ')}. Allowed: ${NATURAL_LANGUAGE_INTENTS.join(', ')}`);
+        error.name = 'ValidationError';
+        throw error;
+    }
+    
+    const uniqueIntents = [...new Set(intents)];
+    if (!dbService.updateGroupNaturalLanguageSettings(groupId, enabled, uniqueIntents)) {
+        return null;
+    }
+    logger.info(`Updated natural-language mode for group ${groupId}: ${enabled ? 'on' : 'off'} (${uniqueIntents.join(', ') || 'no intents'})`);
+    
+    return getNaturalLanguageSettings(groupId);
+}
+
 /**
  * Migrate from old TARGET_GROUP_ID to groups.json
  * This should be called on startup if groups.json doesn't exist but TARGET_GROUP_ID is set
@@ -153,6 +348,13 @@ module.exports = {
     addGroup,
     removeGroup,
     updateGroupName,
+    getDefaultCommandPrefix,
+    getCommandSettings,
+    updateCommandSettings,
+    parseCommand,
+    getNaturalLanguageSettings,
+    updateNaturalLanguageSettings,
+    NATURAL_LANGUAGE_INTENTS,
     migrateFromTargetGroupId
 };
 
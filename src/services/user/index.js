@@ -6,9 +6,11 @@
 const priorityService = require('./priority.service');
 const groupsService = require('./groups.service');
 const commandRateLimitService = require('./command-rate-limit.service');
+const queueQuotaService = require('./queue-quota.service');
 
 module.exports = {
     priority: priorityService,
     groups: groupsService,
-    commandRateLimit: commandRateLimitService
+    commandRateLimit: commandRateLimitService,
+    queueQuota: queueQuotaService
 };
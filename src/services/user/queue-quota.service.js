@@ -0,0 +1,193 @@
+const { logger } = require('../../utils/logger.util');
+const dbService = require('../../infrastructure/database/db.service');
+
+/**
+ * Queue Quota Service
+ * Caps how much of the queue one requester (or one group) can take up:
+ * - Pending songs per user and in total per group
+ * - Maximum track duration
+ * - Songs per user per day
+ * VIPs have their own per-user limits. A limit of 0 means unlimited.
+ * Quotas are off until an operator enables them. Songs added from the web dashboard
+ * all share one sender, so they are held to the group and duration limits but not
+ * to the per-user and daily counts.
+ */
+
+// Sender and chat used for songs added from the web dashboard
+const DASHBOARD_SENDER = 'WEB_DASHBOARD';
+
+// Default quota configuration
+const DEFAULT_CONFIG = {
+    enabled: false,
+    maxPendingPerUser: 5,
+    maxPendingPerGroup: 50,
+    maxTrackMinutes: 15,
+    dailySongsPerUser: 0,
+    vipMaxPendingPerUser: 0,
+    vipMaxTrackMinutes: 0,
+    vipDailySongsPerUser: 0
+};
+
+// How long song request records are kept (only today's count matters)
+const SONG_REQUEST_RETENTION_SECONDS = 2 * 24 * 60 * 60;
+
+/**
+ * Get quota configuration from settings
+ * @returns {Object} Quota configuration
+ */
+function getQuotaConfig() {
+    try {
+        const config = {};
+        for (const [key, defaultValue] of Object.entries(DEFAULT_CONFIG)) {
+            const value = dbService.getSetting(`quota.${key}`);
+            config[key] = value !== null ? value : defaultValue;
+        }
+        return config;
+    } catch (error) {
+        logger.error('Error getting queue quota config, using defaults:', error);
+        return { ...DEFAULT_CONFIG };
+    }
+}
+
+/**
+ * Set quota configuration
+ * Only keys present in DEFAULT_CONFIG are stored.
+ * @param {Object} config - Partial quota configuration
+ */
+function setQuotaConfig(config) {
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+        if (config[key] !== undefined) {
+            dbService.setSetting(`quota.${key}`, config[key]);
+        }
+    }
+    logger.info('Queue quota configuration updated:', config);
+}
+
+/**
+ * Get the per-user limits that apply to a requester
+ * @param {Object} config - Quota configuration
+ * @param {boolean} isPriority - Whether the requester is a VIP
+ * @returns {{maxPending: number, maxTrackMinutes: number, dailySongs: number}} Limits (0 = unlimited)
+ */
+function getUserLimits(config, isPriority) {
+    if (isPriority) {
+        return {
+            maxPending: config.vipMaxPendingPerUser,
+            maxTrackMinutes: config.vipMaxTrackMinutes,
+            dailySongs: config.vipDailySongsPerUser
+        };
+    }
+    return {
+        maxPending: config.maxPendingPerUser,
+        maxTrackMinutes: config.maxTrackMinutes,
+        dailySongs: config.dailySongsPerUser
+    };
+}
+
+/**
+ * Get the Unix timestamp of the start of the current day (server time)
+ * @returns {number} Unix timestamp in seconds
+ */
+function getStartOfDay() {
+    const now = new Date();
+    now.setHours(0, 0, 0, 0);
+    return Math.floor(now.getTime() / 1000);
+}
+
+/**
+ * Check whether a song may be added to the queue
+ * @param {Object} song - Song being added (sender, remoteJid, duration in ms if known)
+ * @param {Array} queue - Current queue items
+ * @param {boolean} isPriority - Whether the requester is a VIP
+ * @returns {{allowed: boolean, reason?: string, params?: Object}} reason is 'userPending', 'groupPending', 'tooLong' or 'daily'
+ */
+function checkQuota(song, queue, isPriority) {
+    const config = getQuotaConfig();
+    if (!config.enabled) {
+        return { allowed: true };
+    }
+
+    const limits = getUserLimits(config, isPriority);
+    const sender = song.sender || song.remoteJid;
+    const fromDashboard = sender === DASHBOARD_SENDER;
+
+    if (limits.maxTrackMinutes > 0 && song.duration > limits.maxTrackMinutes * 60 * 1000) {
+        return {
+            allowed: false,
+            reason: 'tooLong',
+            params: { limit: limits.maxTrackMinutes, minutes: Math.ceil(song.duration / 60000) }
+        };
+    }
+
+    // Per-user counts would lump every dashboard user together
+    if (limits.maxPending > 0 && sender && !fromDashboard) {
+        const pending = queue.filter(item => item.sender === sender).length;
+        if (pending >= limits.maxPending) {
+            return { allowed: false, reason: 'userPending', params: { limit: limits.maxPending } };
+        }
+    }
+
+    if (config.maxPendingPerGroup > 0 && song.remoteJid) {
+        const pending = queue.filter(item => item.remoteJid === song.remoteJid).length;
+        if (pending >= config.maxPendingPerGroup) {
+            return { allowed: false, reason: 'groupPending', params: { limit: config.maxPendingPerGroup } };
+        }
+    }
+
+    if (limits.dailySongs > 0 && sender && !fromDashboard) {
+        try {
+            const today = dbService.countSongRequestsSince(sender, getStartOfDay());
+            if (today >= limits.dailySongs) {
+                return { allowed: false, reason: 'daily', params: { limit: limits.dailySongs } };
+            }
+        } catch (error) {
+            // On error, allow the request to avoid blocking legitimate users
+            logger.error('Error checking daily song allowance:', error);
+        }
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Build the error thrown when a song is rejected by a quota
+ * @param {{reason: string, params: Object}} result - Failed checkQuota result
+ * @returns {Error} Error with name 'QuotaExceededError', the reason, its params and an i18n key
+ */
+function createQuotaError(result) {
+    const error = new Error(`Queue quota exceeded: ${result.reason}`);
+    error.name = 'QuotaExceededError';
+    error.reason = result.reason;
+    error.params = result.params || {};
+    error.messageKey = `commands.quota.${result.reason}`;
+    return error;
+}
+
+/**
+ * Record a song accepted into the queue (counts towards the daily allowance)
+ * @param {Object} song - Song that was added
+ */
+function recordSongRequest(song) {
+    const sender = song.sender || song.remoteJid;
+    if (!sender) return;
+
+    try {
+        dbService.addSongRequest(sender, song.remoteJid);
+
+        // Periodically clean up old records (1% chance, same approach as rate limiting)
+        if (Math.random() < 0.01) {
+            dbService.cleanupOldSongRequests(Math.floor(Date.now() / 1000) - SONG_REQUEST_RETENTION_SECONDS);
+        }
+    } catch (error) {
+        logger.error('Error recording song request:', error);
+    }
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    checkQuota,
+    createQuotaError,
+    recordSongRequest,
+    getQuotaConfig,
+    setQuotaConfig
+};
@@ -0,0 +1,168 @@
+const config = require('../../config');
+const { logger } = require('../../utils/logger.util');
+const { getYouTubeVideoId } = require('../../utils/url.util');
+const { downloadFromYouTube } = require('./download.service');
+const { searchYouTube } = require('./search.service');
+
+/**
+ * YouTube Download Fallback Service
+ * Retries YouTube downloads that fail (age restriction, removed video, region lock, extractor errors):
+ * 1. The original video with the other player clients
+ * 2. Alternate uploads of the same song, found by searching for its title/artist and
+ *    accepted only if their length matches the song's
+ * Every attempt is recorded so callers can show and announce what happened.
+ */
+
+// Player clients yt-dlp can use (the options of the playerClient setting)
+const PLAYER_CLIENTS = ['android', 'web', 'ios'];
+
+// Alternate uploads tried once every player client failed on the original
+const MAX_ALTERNATES = 2;
+
+// How far an alternate upload's length may be from the song's (seconds)
+const DURATION_TOLERANCE_SEC = 10;
+
+const ERROR_SUMMARY_LENGTH = 150;
+
+/**
+ * Check whether a failed download is worth retrying
+ * A missing yt-dlp or a URL that isn't a video fails the same way on every attempt.
+ * @param {Error} error - Download error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    const message = error?.message || '';
+    return !message.includes('yt-dlp is not installed')
+        && !message.startsWith('Invalid URL provided')
+        && !message.startsWith('URL is not a valid YouTube video');
+}
+
+/**
+ * Get the readable part of a download error
+ * yt-dlp errors carry its stderr; the "ERROR:" line says what went wrong.
+ * @param {Error} error - Download error
+ * @returns {string} Short reason
+ */
+function summarizeError(error) {
+    const message = error?.message || String(error);
+    const match = message.match(/ERROR:\s*(?:\[[^\]]+\]\s*)?(?:[\w-]+:\s*)?([^\n]+)/);
+    return (match ? match[1] : message).trim().substring(0, ERROR_SUMMARY_LENGTH);
+}
+
+/**
+ * Find other uploads of a song
+ * @param {Object} track - Song to look for
+ * @param {string} track.title - Song title
+ * @param {string} [track.artist] - Artist
+ * @param {number} [track.duration] - Length in seconds (alternates must match it, if known)
+ * @param {Array<string>} excludeVideoIds - Video IDs that already failed
+ * @returns {Promise<Array<{url: string, title: string, artist: string, duration: number|null}>>} Alternates, best first
+ */
+async function findAlternates(track, excludeVideoIds) {
+    if (!track.title) return [];
+
+    const query = track.artist ? `${track.artist} - ${track.title}` : track.title;
+    let result;
+    try {
+        result = await searchYouTube(query, {
+            expectedTitle: track.title,
+            expectedArtist: track.artist || '',
+            expectedDuration: track.duration || null,
+            excludeVideoIds
+        });
+    } catch (error) {
+        logger.warn(`[YouTube Fallback] No alternate uploads found for "${query}": ${error.message}`);
+        return [];
+    }
+
+    return result.candidates
+        .filter(candidate => !excludeVideoIds.includes(getYouTubeVideoId(candidate.url)))
+        .filter(candidate => !track.duration
+            || (candidate.duration && Math.abs(candidate.duration - track.duration) <= DURATION_TOLERANCE_SEC))
+        .slice(0, MAX_ALTERNATES);
+}
+
+/**
+ * Download a YouTube video, falling back to other player clients and then alternate uploads
+ * @param {string} url - YouTube video URL
+ * @param {string} title - Track title (for file naming)
+ * @param {function} progressCallback - Optional callback for progress updates
+ * @param {Object} track - Song to look for alternates of (see findAlternates)
+ * @returns {Promise<{audioPath: string, thumbnailPath: string|null, url: string,
+ *   attempts: Array<{url: string, title: string|null, playerClient: string, alternate: boolean, ok: boolean, error: string|null}>}>}
+ *   The download, the URL it came from (an alternate upload if the original failed) and the attempts made
+ *   (empty when the first one worked)
+ * @throws {Error} DownloadFailedError with the attempts made, once every fallback failed
+ */
+async function downloadWithFallback(url, title, progressCallback = null, track = {}) {
+    const configuredClient = config.download.playerClient;
+    const attempts = [];
+
+    const tryDownload = async (attemptUrl, playerClient, alternateTitle = null) => {
+        const attempt = {
+            url: attemptUrl,
+            title: alternateTitle,
+            playerClient,
+            alternate: !!alternateTitle,
+            ok: false,
+            error: null
+        };
+        attempts.push(attempt);
+
+        try {
+            // A fresh output path per attempt, so yt-dlp never resumes another video's partial file
+            const result = await downloadFromYouTube(attemptUrl, config.getOutputPath(title), title, progressCallback, { playerClient });
+            attempt.ok = true;
+            return result;
+        } catch (error) {
+            attempt.error = summarizeError(error);
+            throw error;
+        }
+    };
+
+    let firstError;
+    try {
+        const result = await tryDownload(url, configuredClient);
+        return { ...result, url, attempts: [] };
+    } catch (error) {
+        if (!isRetryable(error)) throw error;
+        firstError = error;
+    }
+
+    logger.warn(`[YouTube Fallback] Download failed for ${url}, trying alternatives: ${summarizeError(firstError)}`);
+
+    // The original video through the other player clients
+    for (const playerClient of PLAYER_CLIENTS.filter(client => client !== configuredClient)) {
+        if (progressCallback) progressCallback({ percent: 0, status: 'preparing' });
+        try {
+            const result = await tryDownload(url, playerClient);
+            logger.info(`[YouTube Fallback] Downloaded ${url} with the ${playerClient} player client`);
+            return { ...result, url, attempts };
+        } catch (error) {
+            logger.warn(`[YouTube Fallback] Player client ${playerClient} failed for ${url}: ${summarizeError(error)}`);
+        }
+    }
+
+    // Other uploads of the same song
+    const failedVideoIds = [getYouTubeVideoId(url)].filter(Boolean);
+    for (const alternate of await findAlternates(track, failedVideoIds)) {
+        if (progressCallback) progressCallback({ percent: 0, status: 'preparing' });
+        try {
+            const result = await tryDownload(alternate.url, configuredClient, alternate.title);
+            logger.info(`[YouTube Fallback] Replaced ${url} with alternate upload ${alternate.url} ("${alternate.title}")`);
+            return { ...result, url: alternate.url, attempts };
+        } catch (error) {
+            logger.warn(`[YouTube Fallback] Alternate upload ${alternate.url} failed: ${summarizeError(error)}`);
+        }
+    }
+
+    logger.error(`[YouTube Fallback] All ${attempts.length} download attempts failed for ${url}`);
+    const error = new Error(`Couldn't download this song after ${attempts.length} attempts: ${summarizeError(firstError)}`);
+    error.name = 'DownloadFailedError';
+    error.attempts = attempts;
+    throw error;
+}
+
+module.exports = {
+    downloadWithFallback
+};
@@ -7,10 +7,12 @@ const apiService = require('./api.service');
 const quotaService = require('./quota.service');
 const searchService = require('./search.service');
 const downloadService = require('./download.service');
+const fallbackService = require('./fallback.service');
 
 module.exports = {
     api: apiService,
     quota: quotaService,
     search: searchService,
-    download: downloadService
+    download: downloadService,
+    fallback: fallbackService
 };
@@ -5,12 +5,16 @@ const { searchYouTubeAPI, isConfigured: isYouTubeAPIConfigured } = require('./ap
 const quotaService = require('./quota.service');
 const { isRateLimitError, createRateLimitError } = require('../../utils/rate-limit.util');
 const { normalizeString, wordsInOrder } = require('../../utils/string.util');
+const { getYouTubeVideoId } = require('../../utils/url.util');
 
 /**
  * YouTube Search Service
  * Handles YouTube search functionality with API and play-dl fallback
  */
 
+// Number of scored results returned alongside the selected one
+const MAX_CANDIDATES = 5;
+
 /**
  * Check if a result has high similarity (90%+) for both title and artist
  * @param {Object} result - YouTube search result
@@ -402,10 +406,11 @@ async function executeSearch(query, expectedTitle, expectedArtist, preferAPI = t
  * @param {string} options.expectedTitle - Expected song title for verification
  * @param {string} options.expectedArtist - Expected artist for verification
  * @param {number} options.expectedDuration - Expected duration in seconds
- * @returns {Promise<{url: string, title: string, artist: string, matchScore: number}>} - Search result
+ * @param {Array<string>} [options.excludeVideoIds] - Video IDs to leave out (e.g. uploads that failed to download)
+ * @returns {Promise<{url: string, title: string, artist: string, matchScore: number, candidates: Array<Object>}>} - Search result
  */
 async function searchYouTube(query, options = {}) {
-    const { expectedTitle = '', expectedArtist = '', expectedDuration = null } = options;
+    const { expectedTitle = '', expectedArtist = '', expectedDuration = null, excludeVideoIds = [] } = options;
 
     // Build optimized query variations for better matching
     const queries = [];
@@ -456,7 +461,10 @@ async function searchYouTube(query, options = {}) {
         logger.info(`[YouTube Search] Query ${i + 1}/${queries.length}: "${currentQuery}"`);
 
         try {
-            const results = await executeSearch(currentQuery, expectedTitle, expectedArtist, useAPI);
+            let results = await executeSearch(currentQuery, expectedTitle, expectedArtist, useAPI);
+            if (results && excludeVideoIds.length > 0) {
+                results = results.filter(item => !excludeVideoIds.includes(getYouTubeVideoId(item.result.url)));
+            }
 
             // If we got results, add them and check if we can stop early
             if (results && results.length > 0) {
@@ -703,13 +711,26 @@ async function searchYouTube(query, options = {}) {
         artist = bestResult.channel.name || '';
     }
 
+    // Runner-up results (selected one first) so callers can offer a choice on weak matches
+    const candidates = [
+        { result: bestResult, score: bestScore },
+        ...finalResults.filter(item => item.result.url !== bestResult.url)
+    ].slice(0, MAX_CANDIDATES).map(item => ({
+        url: item.result.url,
+        title: item.result.title,
+        artist: item.result.channel?.name || '',
+        duration: item.result.durationInSec || null,
+        matchScore: item.score
+    }));
+
     return {
         url: bestResult.url,
         title: bestResult.title,
         artist: artist,
         type: bestResult.type,
         matchScore: bestScore,
-        duration: bestResult.durationInSec || null
+        duration: bestResult.durationInSec || null,
+        candidates
     };
 }
 
@@ -0,0 +1,121 @@
+/**
+ * Address Utility
+ * Keeps user links away from this machine and local networks: links are checked before
+ * anything fetches them, and requests check the address they actually connect to
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Addresses links may not point at: this machine, local networks and cloud metadata endpoints
+// (BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges, and IPv4 addresses against
+// ::ffff:0:0/96, so that range must not be listed or every IPv4 address would be blocked)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Create an error for a link to a local or private address
+ * @param {string} url - Rejected URL
+ * @returns {Error} Error named PrivateAddressError
+ */
+function privateAddressError(url) {
+    const error = new Error(`Links to local or private network addresses are not allowed: ${url}`);
+    error.name = 'PrivateAddressError';
+    return error;
+}
+
+/**
+ * Check if an IP address is local or private
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    return BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Make sure a URL points at a public address
+ * @param {string} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {Error} PrivateAddressError if the URL isn't http(s) or its host resolves to a local or private address
+ */
+async function assertPublicUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw privateAddressError(url);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw privateAddressError(url);
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host }]
+        : await dns.promises.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw privateAddressError(url);
+    }
+}
+
+/**
+ * Check what a user sent before anything fetches it
+ * http(s) links must point at a public address; anything else (a search query) passes, and so do
+ * hosts that don't resolve, which whatever fetches the link reports (and checks again).
+ * @param {string} input - Link or search query
+ * @returns {Promise<void>}
+ * @throws {Error} PrivateAddressError if the link's host resolves to a local or private address
+ */
+async function assertPublicLink(input) {
+    if (typeof input !== 'string' || !/^https?:\/\//i.test(input.trim())) return;
+    try {
+        await assertPublicUrl(input.trim());
+    } catch (error) {
+        if (error.name === 'PrivateAddressError') throw error;
+    }
+}
+
+/**
+ * DNS lookup for requests that refuses local and private addresses
+ * Checked when connecting, so a host can't resolve to a public address for the check and a private one afterwards.
+ * @param {string} hostname - Host name
+ * @param {Object} options - Lookup options
+ * @param {function} callback - Node lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            callback(privateAddressError(hostname));
+            return;
+        }
+        if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+module.exports = {
+    privateAddressError,
+    isBlockedAddress,
+    assertPublicUrl,
+    assertPublicLink,
+    publicLookup
+};
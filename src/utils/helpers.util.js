@@ -261,6 +261,11 @@ function getDiskUsage() {
             size: 0,
             formatted: '0 B'
         },
+        library: {
+            path: config.paths.library,
+            size: 0,
+            formatted: '0 B'
+        },
         data: {
             path: config.paths.data,
             size: 0,
@@ -291,6 +296,9 @@ function getDiskUsage() {
     usage.thumbnails.size = calculateSize(config.paths.thumbnails);
     usage.thumbnails.formatted = formatBytes(usage.thumbnails.size);
     
+    usage.library.size = calculateSize(config.paths.library);
+    usage.library.formatted = formatBytes(usage.library.size);
+    
     usage.data.size = calculateSize(config.paths.data);
     usage.data.formatted = formatBytes(usage.data.size);
     
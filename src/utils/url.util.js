@@ -1,6 +1,6 @@
 /**
  * URL Utility
- * Centralized URL validation functions for Spotify, YouTube, and playlists
+ * Centralized URL validation functions for Spotify, YouTube, SoundCloud, Bandcamp and playlists
  */
 
 /**
@@ -21,6 +21,17 @@ function isYouTubeUrl(url) {
     return url.includes('youtube.com') || url.includes('youtu.be');
 }
 
+/**
+ * Get the video ID from a YouTube URL
+ * @param {string} url - YouTube URL (watch, youtu.be, shorts, embed or music)
+ * @returns {string|null} 11-character video ID, or null if none found
+ */
+function getYouTubeVideoId(url) {
+    if (!url || !isYouTubeUrl(url)) return null;
+    const match = url.match(/(?:[?&]v=|youtu\.be\/|\/shorts\/|\/embed\/|\/live\/)([a-zA-Z0-9_-]{11})(?![a-zA-Z0-9_-])/);
+    return match ? match[1] : null;
+}
+
 /**
  * Check if URL is a Spotify playlist or album
  * @param {string} url - URL to check
@@ -57,6 +68,97 @@ function isSpotifyTrackUrl(url) {
     return /track\/([a-zA-Z0-9]+)/.test(url);
 }
 
+/**
+ * Get the hostname of an http(s) URL
+ * @param {string} url - URL
+ * @returns {string|null} Lowercase hostname without "www.", or null if not an http(s) URL
+ */
+function getUrlHost(url) {
+    if (!url || !/^https?:\/\//i.test(url)) return null;
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Check if a hostname is a domain or one of its subdomains
+ * @param {string|null} host - Hostname
+ * @param {string} domain - Domain (e.g. "bandcamp.com")
+ * @returns {boolean}
+ */
+function isHostOf(host, domain) {
+    return !!host && (host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Check if URL is a SoundCloud URL
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isSoundCloudUrl(url) {
+    const host = getUrlHost(url);
+    return isHostOf(host, 'soundcloud.com') || isHostOf(host, 'snd.sc');
+}
+
+/**
+ * Check if URL is a SoundCloud set (playlist/album)
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isSoundCloudPlaylist(url) {
+    return isSoundCloudUrl(url) && /\/sets\/[^/?#]+/.test(url);
+}
+
+/**
+ * Check if URL is a Bandcamp track or album URL
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isBandcampUrl(url) {
+    return isHostOf(getUrlHost(url), 'bandcamp.com');
+}
+
+/**
+ * Check if URL is a Bandcamp album
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isBandcampAlbum(url) {
+    return isBandcampUrl(url) && /\/album\/[^/?#]+/.test(url);
+}
+
+/**
+ * Get the lowercase file extension of a URL's path (without the dot)
+ * @param {string} url - URL
+ * @returns {string} Extension, or '' if none
+ */
+function getUrlExtension(url) {
+    if (!getUrlHost(url)) return '';
+    const pathname = new URL(url).pathname;
+    const match = pathname.match(/\.([a-z0-9]{2,5})$/i);
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Check if URL points straight at an audio file (e.g. a podcast MP3)
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isDirectAudioUrl(url) {
+    return ['mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'flac', 'wav'].includes(getUrlExtension(url));
+}
+
+/**
+ * Check if URL is a stream playlist (.m3u, .m3u8, .pls), as used by internet radio
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isStreamPlaylistUrl(url) {
+    return ['m3u', 'm3u8', 'pls'].includes(getUrlExtension(url));
+}
+
 /**
  * Check if string is a file path (not a URL)
  * @param {string} pathOrUrl - Path or URL to check
@@ -86,10 +188,20 @@ function isFilePath(pathOrUrl) {
 module.exports = {
     isSpotifyUrl,
     isYouTubeUrl,
+    getYouTubeVideoId,
     isSpotifyPlaylist,
     isYouTubePlaylist,
     isPlaylistUrl,
     isSpotifyTrackUrl,
+    getUrlHost,
+    isHostOf,
+    isSoundCloudUrl,
+    isSoundCloudPlaylist,
+    isBandcampUrl,
+    isBandcampAlbum,
+    getUrlExtension,
+    isDirectAudioUrl,
+    isStreamPlaylistUrl,
     isFilePath
 };
 
@@ -0,0 +1,64 @@
+const { describe, test, expect } = require('bun:test');
+const { parseIntent, isBareTrackLink } = require('../../src/commands/natural-language');
+
+const ALL_INTENTS = ['play', 'skip', 'queue'];
+
+describe('isBareTrackLink', () => {
+    test('accepts single track links', () => {
+        expect(isBareTrackLink('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBe(true);
+        expect(isBareTrackLink('https://youtu.be/dQw4w9WgXcQ')).toBe(true);
+        expect(isBareTrackLink('https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123')).toBe(true);
+        expect(isBareTrackLink('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')).toBe(true);
+        expect(isBareTrackLink('https://soundcloud.com/artist/track')).toBe(true);
+        expect(isBareTrackLink('https://artist.bandcamp.com/track/song')).toBe(true);
+    });
+
+    test('leaves playlists, albums and other sites alone', () => {
+        expect(isBareTrackLink('https://www.youtube.com/playlist?list=PL123')).toBe(false);
+        expect(isBareTrackLink('https://open.spotify.com/album/1DFixLWuPkv3KT3TnV35m3')).toBe(false);
+        expect(isBareTrackLink('https://soundcloud.com/artist/sets/mix')).toBe(false);
+        expect(isBareTrackLink('https://artist.bandcamp.com/album/record')).toBe(false);
+        expect(isBareTrackLink('https://example.com/song')).toBe(false);
+    });
+
+    test('needs the whole message to be the link', () => {
+        expect(isBareTrackLink('listen https://youtu.be/dQw4w9WgXcQ')).toBe(false);
+    });
+});
+
+describe('parseIntent', () => {
+    test('turns a bare track link into play', () => {
+        const link = 'https://youtu.be/dQw4w9WgXcQ';
+
+        expect(parseIntent(`  ${link} `, { intents: ALL_INTENTS })).toEqual({ name: 'play', args: [link] });
+        expect(parseIntent(link, { intents: ['skip'] })).toBeNull();
+    });
+
+    test('ignores messages that do not mention the bot', () => {
+        expect(parseIntent('play daft punk', { intents: ALL_INTENTS })).toBeNull();
+    });
+
+    test('reads the keyword after the mention and filler words', () => {
+        expect(parseIntent('@12345 please play daft punk', { mentioned: true, intents: ALL_INTENTS }))
+            .toEqual({ name: 'play', args: ['daft', 'punk'] });
+        expect(parseIntent('@12345 por favor toca fado', { mentioned: true, intents: ALL_INTENTS }))
+            .toEqual({ name: 'play', args: ['fado'] });
+        expect(parseIntent('@12345 Skip!', { mentioned: true, intents: ALL_INTENTS }))
+            .toEqual({ name: 'skip', args: [] });
+        expect(parseIntent('@12345 fila', { mentioned: true, intents: ALL_INTENTS }))
+            .toEqual({ name: 'queue', args: [] });
+    });
+
+    test('drops arguments for intents that take none', () => {
+        expect(parseIntent('@12345 skip this one', { mentioned: true, intents: ALL_INTENTS }))
+            .toEqual({ name: 'skip', args: [] });
+    });
+
+    test('ignores play without a song, unknown keywords and disabled intents', () => {
+        expect(parseIntent('@12345 play', { mentioned: true, intents: ALL_INTENTS })).toBeNull();
+        expect(parseIntent('@12345 how are you', { mentioned: true, intents: ALL_INTENTS })).toBeNull();
+        expect(parseIntent('@12345 skip', { mentioned: true, intents: ['play'] })).toBeNull();
+        expect(parseIntent('@12345', { mentioned: true, intents: ALL_INTENTS })).toBeNull();
+        expect(parseIntent('', { mentioned: true, intents: ALL_INTENTS })).toBeNull();
+    });
+});
@@ -0,0 +1,160 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const sinon = require('sinon');
+const { commandRegistry, ROLES } = require('../../src/commands/registry');
+const rateLimitService = require('../../src/services/user/command-rate-limit.service');
+
+/**
+ * Build a WhatsApp message from a group member
+ * @param {string} [sender] - Sender JID
+ * @returns {Object} Message
+ */
+function groupMessage(sender = 'user@s.whatsapp.net') {
+    return { key: { remoteJid: 'group@g.us', participant: sender } };
+}
+
+/**
+ * Build a socket whose group lists the sender with an admin role
+ * @param {string|null} admin - 'admin', 'superadmin' or null
+ * @returns {Object} Socket stub
+ */
+function socketWithRole(admin) {
+    return {
+        groupMetadata: sinon.stub().resolves({
+            participants: [{ id: 'user@s.whatsapp.net', admin }]
+        })
+    };
+}
+
+describe('CommandRegistry', () => {
+    let registry;
+    let deps;
+    let handler;
+
+    beforeEach(() => {
+        registry = new commandRegistry.constructor();
+        registry.loaded = true;
+        handler = sinon.stub().resolves(true);
+        deps = {
+            checkPriority: sinon.stub().returns(false),
+            sendMessageWithMention: sinon.stub().resolves(),
+            i18n: (key) => key,
+            userLang: 'en'
+        };
+        sinon.stub(rateLimitService, 'checkRateLimit').returns({ allowed: true });
+        sinon.stub(rateLimitService, 'recordRequest');
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('register and resolve', () => {
+        test('finds commands by name and alias, with or without the prefix', () => {
+            registry.register({ name: 'Play', aliases: ['p'], handler });
+
+            expect(registry.resolve('!play').name).toBe('play');
+            expect(registry.resolve('P').name).toBe('play');
+            expect(registry.resolve('!unknown')).toBeNull();
+        });
+
+        test('rejects duplicate names, aliases and invalid roles', () => {
+            registry.register({ name: 'play', aliases: ['p'], handler });
+
+            expect(() => registry.register({ name: 'p', handler })).toThrow();
+            expect(() => registry.register({ name: 'queue', aliases: ['play'], handler })).toThrow();
+            expect(() => registry.register({ name: 'skip', role: 'owner', handler })).toThrow();
+        });
+    });
+
+    describe('getPolicy', () => {
+        test('applies subcommand overrides on top of the command policy', () => {
+            registry.register({
+                name: 'playlist',
+                role: ROLES.EVERYONE,
+                rateLimit: 'playlist',
+                subcommands: { delete: { role: ROLES.ADMIN }, list: { rateLimit: null } },
+                handler
+            });
+            const command = registry.resolve('playlist');
+
+            expect(registry.getPolicy(command, [])).toEqual({ role: ROLES.EVERYONE, rateLimit: 'playlist' });
+            expect(registry.getPolicy(command, ['DELETE'])).toEqual({ role: ROLES.ADMIN, rateLimit: 'playlist' });
+            expect(registry.getPolicy(command, ['list'])).toEqual({ role: ROLES.EVERYONE, rateLimit: null });
+        });
+    });
+
+    describe('dispatch', () => {
+        test('refuses VIP commands to users without priority', async () => {
+            registry.register({ name: 'move', role: ROLES.VIP, handler });
+
+            await registry.dispatch({}, groupMessage(), registry.resolve('move'), [], deps);
+
+            expect(handler.called).toBe(false);
+            expect(deps.sendMessageWithMention.firstCall.args[2]).toBe('commands.permission.vipOnly');
+        });
+
+        test('runs VIP commands for priority users', async () => {
+            registry.register({ name: 'move', role: ROLES.VIP, handler });
+            deps.checkPriority.returns(true);
+
+            await registry.dispatch({}, groupMessage(), registry.resolve('move'), [], deps);
+
+            expect(handler.calledOnce).toBe(true);
+        });
+
+        test('runs admin commands only for group admins', async () => {
+            registry.register({ name: 'remove', role: ROLES.ADMIN, handler });
+            const command = registry.resolve('remove');
+
+            await registry.dispatch(socketWithRole(null), groupMessage(), command, [], deps);
+            expect(handler.called).toBe(false);
+            expect(deps.sendMessageWithMention.firstCall.args[2]).toBe('commands.permission.adminOnly');
+
+            await registry.dispatch(socketWithRole('superadmin'), groupMessage(), command, [], deps);
+            expect(handler.calledOnce).toBe(true);
+        });
+
+        test('refuses admin commands in private chats', async () => {
+            registry.register({ name: 'remove', role: ROLES.ADMIN, handler });
+            const msg = { key: { remoteJid: 'user@s.whatsapp.net' } };
+
+            await registry.dispatch(socketWithRole('admin'), msg, registry.resolve('remove'), [], deps);
+
+            expect(handler.called).toBe(false);
+        });
+
+        test('stops rate-limited requests before the handler runs', async () => {
+            registry.register({ name: 'play', rateLimit: 'play', handler });
+            rateLimitService.checkRateLimit.returns({ allowed: false, waitSeconds: 12 });
+
+            await registry.dispatch({}, groupMessage(), registry.resolve('play'), ['song'], deps);
+
+            expect(handler.called).toBe(false);
+            expect(rateLimitService.checkRateLimit.calledWith('user@s.whatsapp.net', 'play')).toBe(true);
+            expect(deps.sendMessageWithMention.firstCall.args[2]).toBe('commands.rateLimit.exceeded');
+        });
+
+        test('records a request only when the handler consumed it', async () => {
+            registry.register({ name: 'play', rateLimit: 'play', handler });
+            const command = registry.resolve('play');
+
+            handler.resolves(false);
+            await registry.dispatch({}, groupMessage(), command, [], deps);
+            expect(rateLimitService.recordRequest.called).toBe(false);
+
+            handler.resolves(true);
+            await registry.dispatch({}, groupMessage(), command, ['song'], deps);
+            expect(rateLimitService.recordRequest.calledOnceWith('user@s.whatsapp.net', 'play')).toBe(true);
+        });
+
+        test('skips the rate limit for subcommands without a bucket', async () => {
+            registry.register({ name: 'playlist', rateLimit: 'playlist', subcommands: { list: { rateLimit: null } }, handler });
+
+            await registry.dispatch({}, groupMessage(), registry.resolve('playlist'), ['list'], deps);
+
+            expect(rateLimitService.checkRateLimit.called).toBe(false);
+            expect(rateLimitService.recordRequest.called).toBe(false);
+            expect(handler.calledOnce).toBe(true);
+        });
+    });
+});
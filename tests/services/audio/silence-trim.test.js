@@ -0,0 +1,66 @@
+const { describe, test, expect } = require('bun:test');
+const { calculateTrimPoints } = require('../../../src/services/audio/silence-trim.service');
+
+const SETTINGS = { enabled: true, thresholdDb: -50, minDurationSec: 1, introOutroMaxSec: 20 };
+
+describe('calculateTrimPoints', () => {
+    test('leaves songs without silence untrimmed', () => {
+        expect(calculateTrimPoints({ durationMs: 200000, silences: [] }, SETTINGS)).toEqual({ startMs: 0, endMs: null });
+    });
+
+    test('skips leading and trailing silence', () => {
+        const detection = {
+            durationMs: 200000,
+            silences: [{ startMs: 0, endMs: 1500 }, { startMs: 197000, endMs: 199900 }]
+        };
+
+        expect(calculateTrimPoints(detection, SETTINGS)).toEqual({ startMs: 1500, endMs: 197000 });
+    });
+
+    test('keeps silence in the middle of the song', () => {
+        const detection = { durationMs: 200000, silences: [{ startMs: 90000, endMs: 95000 }] };
+
+        expect(calculateTrimPoints(detection, SETTINGS)).toEqual({ startMs: 0, endMs: null });
+    });
+
+    test('skips an intro and outro separated by silence', () => {
+        const detection = {
+            durationMs: 200000,
+            silences: [
+                { startMs: 0, endMs: 1000 },
+                { startMs: 8000, endMs: 9500 },
+                { startMs: 185000, endMs: 186500 },
+                { startMs: 199000, endMs: 200000 }
+            ]
+        };
+
+        expect(calculateTrimPoints(detection, SETTINGS)).toEqual({ startMs: 9500, endMs: 185000 });
+        expect(calculateTrimPoints(detection, { ...SETTINGS, introOutroMaxSec: 0 }))
+            .toEqual({ startMs: 1000, endMs: 199000 });
+    });
+
+    test('falls back to edge trimming when intro and outro would leave too little', () => {
+        const detection = {
+            durationMs: 40000,
+            silences: [
+                { startMs: 0, endMs: 500 },
+                { startMs: 5000, endMs: 6000 },
+                { startMs: 30000, endMs: 31000 }
+            ]
+        };
+
+        expect(calculateTrimPoints(detection, SETTINGS)).toEqual({ startMs: 500, endMs: null });
+    });
+
+    test('does not trim songs that would end up too short', () => {
+        const detection = { durationMs: 35000, silences: [{ startMs: 0, endMs: 10000 }] };
+
+        expect(calculateTrimPoints(detection, SETTINGS)).toEqual({ startMs: 0, endMs: null });
+    });
+
+    test('trims only the start when the duration is unknown', () => {
+        const detection = { durationMs: null, silences: [{ startMs: 0, endMs: 2000 }] };
+
+        expect(calculateTrimPoints(detection, SETTINGS)).toEqual({ startMs: 2000, endMs: null });
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const sinon = require('sinon');
+const config = require('../../../src/config');
+const dbService = require('../../../src/infrastructure/database/db.service');
+const effectsService = require('../../../src/services/audio/effects.service');
+const silenceTrimService = require('../../../src/services/audio/silence-trim.service');
+const httpAudioService = require('../../../src/services/media/http-audio.service');
+// Loaded before the orchestrator, which requires it back
+const queueEtaService = require('../../../src/services/playback/queue-eta.service');
+const crossfadeService = require('../../../src/services/playback/crossfade.service');
+const queueService = require('../../../src/services/playback/queue.service');
+const orchestratorService = require('../../../src/services/playback/orchestrator.service');
+
+/**
+ * Build a current song paused a given time into its file
+ * @param {number} durationMs - File duration
+ * @param {number} elapsedMs - Position in the file
+ * @returns {Object} Current song
+ */
+function pausedSong(durationMs, elapsedMs) {
+    return { songId: 1, duration: durationMs, startTime: 1000, pausedAt: 1000 + elapsedMs, trimStart: 0, trimEnd: null };
+}
+
+describe('QueueEtaService', () => {
+    let originalPlayback;
+
+    beforeEach(() => {
+        originalPlayback = config.playback;
+        config.playback = { ...originalPlayback, songTransitionDelay: 0 };
+        sinon.stub(config, '_ensureSettingsLoaded');
+        sinon.stub(dbService, 'getAveragePlayDuration').returns(200000);
+        sinon.stub(effectsService, 'getItemEffects').returns({ enabled: false });
+        sinon.stub(silenceTrimService, 'getStoredTrimPoints').returns(null);
+        sinon.stub(httpAudioService, 'getStreamTimeLimitMs').returns(600000);
+        sinon.stub(crossfadeService, 'isActive').returns(false);
+        sinon.stub(crossfadeService, 'getSettings').returns({ durationSeconds: 5 });
+        sinon.stub(crossfadeService, 'isItemReady').returns(true);
+        sinon.stub(queueService, 'getQueue').returns([]);
+        sinon.stub(orchestratorService, 'getCurrent').returns(null);
+        queueEtaService.averageDurationMs = null;
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        config.playback = originalPlayback;
+    });
+
+    describe('getDurationMs', () => {
+        test('skips trimmed silence and divides by the playback speed', () => {
+            silenceTrimService.getStoredTrimPoints.returns({ startMs: 2000, endMs: 172000 });
+            effectsService.getItemEffects.returns({ enabled: true, speed: 1.25 });
+
+            expect(queueEtaService.getDurationMs({ songId: 7, duration: 180000 })).toBe(136000);
+        });
+
+        test('uses the history average for unknown durations and the time limit for streams', () => {
+            expect(queueEtaService.getDurationMs({ songId: 7 })).toBe(200000);
+            expect(queueEtaService.getDurationMs({ type: 'stream' })).toBe(600000);
+        });
+    });
+
+    describe('getTransitionMs', () => {
+        test('uses the configured delay without crossfade', () => {
+            config.playback.songTransitionDelay = 1500;
+
+            expect(queueEtaService.getTransitionMs({ duration: 180000 }, { duration: 180000 })).toBe(1500);
+        });
+
+        test('overlaps only long songs into downloaded ones', () => {
+            crossfadeService.isActive.returns(true);
+
+            expect(queueEtaService.getTransitionMs({ duration: 180000 }, {})).toBe(-5000);
+            expect(queueEtaService.getTransitionMs({ duration: 8000 }, {})).toBe(0);
+            expect(queueEtaService.getTransitionMs({ type: 'stream' }, {})).toBe(0);
+
+            crossfadeService.isItemReady.returns(false);
+            expect(queueEtaService.getTransitionMs({ duration: 180000 }, {})).toBe(0);
+        });
+    });
+
+    describe('getEtas', () => {
+        test('returns an empty list for an empty queue', () => {
+            expect(queueEtaService.getEtas()).toEqual([]);
+        });
+
+        test('starts the first item after the rest of the current song', () => {
+            orchestratorService.getCurrent.returns(pausedSong(180000, 60000));
+            queueService.getQueue.returns([{ songId: 2, duration: 150000 }, { songId: 3, duration: 90000 }]);
+            config.playback.songTransitionDelay = 3000;
+
+            expect(queueEtaService.getEtas()).toEqual([123000, 276000]);
+        });
+
+        test('subtracts crossfade overlaps', () => {
+            orchestratorService.getCurrent.returns(pausedSong(180000, 60000));
+            queueService.getQueue.returns([{ songId: 2, duration: 150000 }, { songId: 3, duration: 90000 }]);
+            crossfadeService.isActive.returns(true);
+
+            expect(queueEtaService.getEtas()).toEqual([115000, 260000]);
+        });
+
+        test('counts from now when nothing is playing', () => {
+            queueService.getQueue.returns([{ songId: 2, duration: 150000 }, { songId: 3 }]);
+            config.playback.songTransitionDelay = 3000;
+
+            expect(queueEtaService.getEtas()).toEqual([0, 153000]);
+        });
+    });
+
+    test('toMinutes rounds to at least one minute', () => {
+        expect(queueEtaService.toMinutes(0)).toBe(1);
+        expect(queueEtaService.toMinutes(150000)).toBe(3);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const sinon = require('sinon');
+const config = require('../../../src/config');
+const queuePolicy = require('../../../src/services/playback/queue-policy.service');
+
+/**
+ * Add songs one at a time where the policy puts them
+ * @param {Array<Object>} songs - Songs in arrival order ({ sender, isPriority })
+ * @returns {Array<string>} Queue as "sender#n" labels
+ */
+function enqueue(songs) {
+    const queue = [];
+    const counts = {};
+    songs.forEach(song => {
+        counts[song.sender] = (counts[song.sender] || 0) + 1;
+        const item = { ...song, label: `${song.sender}${counts[song.sender]}` };
+        queue.splice(queuePolicy.getInsertIndex(queue, item), 0, item);
+    });
+    return queue.map(item => item.label);
+}
+
+describe('QueuePolicyService', () => {
+    let originalPlayback;
+
+    beforeEach(() => {
+        sinon.stub(config, '_ensureSettingsLoaded');
+        originalPlayback = config.playback;
+        config.playback = { ...originalPlayback, vipShareWeight: 2 };
+    });
+
+    afterEach(() => {
+        config.playback = originalPlayback;
+        sinon.restore();
+    });
+
+    test('falls back to fifo for unknown policies', () => {
+        config.playback.queuePolicy = 'random';
+        expect(queuePolicy.getPolicy()).toBe('fifo');
+    });
+
+    describe('fifo', () => {
+        beforeEach(() => {
+            config.playback.queuePolicy = 'fifo';
+        });
+
+        test('appends in arrival order', () => {
+            expect(enqueue([{ sender: 'a' }, { sender: 'a' }, { sender: 'b' }])).toEqual(['a1', 'a2', 'b1']);
+        });
+
+        test('puts VIP songs ahead of the first regular song, behind earlier VIP songs', () => {
+            const order = enqueue([
+                { sender: 'a' },
+                { sender: 'v', isPriority: true },
+                { sender: 'b' },
+                { sender: 'w', isPriority: true }
+            ]);
+            expect(order).toEqual(['v1', 'w1', 'a1', 'b1']);
+        });
+
+        test('keeps the current order when rebalancing', () => {
+            expect(queuePolicy.getOrderedQueue([{ sender: 'a' }, { sender: 'a' }])).toBeNull();
+        });
+    });
+
+    describe('roundRobin', () => {
+        beforeEach(() => {
+            config.playback.queuePolicy = 'roundRobin';
+        });
+
+        test('lets requesters take turns, one song each per round', () => {
+            const order = enqueue([
+                { sender: 'a' }, { sender: 'a' }, { sender: 'a' },
+                { sender: 'b' }, { sender: 'b' },
+                { sender: 'c' }
+            ]);
+            expect(order).toEqual(['a1', 'b1', 'c1', 'a2', 'b2', 'a3']);
+        });
+
+        test('gives VIPs no extra turns', () => {
+            const order = enqueue([
+                { sender: 'a' }, { sender: 'a' },
+                { sender: 'v', isPriority: true }, { sender: 'v', isPriority: true }
+            ]);
+            expect(order).toEqual(['a1', 'v1', 'a2', 'v2']);
+        });
+
+        test('rebalances a fifo queue into turns, keeping arrival order within a round', () => {
+            const queue = ['a', 'a', 'a', 'b', 'c', 'b'].map((sender, index) => ({ sender, label: `${sender}${index}` }));
+            const ordered = queuePolicy.getOrderedQueue(queue).map(item => item.label);
+            expect(ordered).toEqual(['a0', 'b3', 'c4', 'a1', 'b5', 'a2']);
+        });
+    });
+
+    describe('fairShare', () => {
+        beforeEach(() => {
+            config.playback.queuePolicy = 'fairShare';
+        });
+
+        test('gives a VIP vipShareWeight songs per round', () => {
+            const order = enqueue([
+                { sender: 'a' }, { sender: 'a' }, { sender: 'a' },
+                { sender: 'v', isPriority: true }, { sender: 'v', isPriority: true },
+                { sender: 'v', isPriority: true }, { sender: 'v', isPriority: true }
+            ]);
+            // Virtual times: a at 0, 1, 2; v at 0, 0.5, 1, 1.5 (ties go to the earlier request)
+            expect(order).toEqual(['a1', 'v1', 'v2', 'a2', 'v3', 'v4', 'a3']);
+        });
+
+        test('splits shuffle weight across a requester\'s songs', () => {
+            const queue = [
+                { sender: 'a' }, { sender: 'a' },
+                { sender: 'v', isPriority: true }
+            ];
+            expect(queuePolicy.getShuffleWeights(queue)).toEqual([0.5, 0.5, 2]);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const sinon = require('sinon');
+const dbService = require('../../../src/infrastructure/database/db.service');
+const { checkQuota, createQuotaError } = require('../../../src/services/user/queue-quota.service');
+
+const GROUP = 'group@g.us';
+const USER = 'user@s.whatsapp.net';
+
+/**
+ * Serve quota settings from an object instead of the database
+ * @param {Object} settings - Quota settings without the 'quota.' prefix
+ */
+function useSettings(settings) {
+    dbService.getSetting.callsFake((key) => {
+        const name = key.replace(/^quota\./, '');
+        return settings[name] !== undefined ? settings[name] : null;
+    });
+}
+
+/**
+ * Build queue items for one requester
+ * @param {number} count - Number of items
+ * @param {string} sender - Sender JID
+ * @returns {Array} Queue items
+ */
+function queueItems(count, sender = USER) {
+    return Array.from({ length: count }, () => ({ sender, remoteJid: GROUP }));
+}
+
+describe('checkQuota', () => {
+    beforeEach(() => {
+        sinon.stub(dbService, 'getSetting');
+        sinon.stub(dbService, 'countSongRequestsSince').returns(0);
+        useSettings({ enabled: true });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    test('allows everything while quotas are disabled', () => {
+        useSettings({ enabled: false });
+
+        const result = checkQuota({ sender: USER, remoteJid: GROUP, duration: 60 * 60 * 1000 }, queueItems(20), false);
+
+        expect(result).toEqual({ allowed: true });
+    });
+
+    test('rejects tracks longer than the limit', () => {
+        const result = checkQuota({ sender: USER, remoteJid: GROUP, duration: 16 * 60 * 1000 + 1 }, [], false);
+
+        expect(result).toEqual({ allowed: false, reason: 'tooLong', params: { limit: 15, minutes: 17 } });
+    });
+
+    test('caps pending songs per user', () => {
+        const song = { sender: USER, remoteJid: GROUP };
+
+        expect(checkQuota(song, queueItems(4), false).allowed).toBe(true);
+        expect(checkQuota(song, queueItems(5), false)).toEqual({
+            allowed: false, reason: 'userPending', params: { limit: 5 }
+        });
+        expect(checkQuota(song, queueItems(5, 'other@s.whatsapp.net'), false).allowed).toBe(true);
+    });
+
+    test('caps pending songs per group', () => {
+        useSettings({ enabled: true, maxPendingPerUser: 0, maxPendingPerGroup: 3 });
+
+        const result = checkQuota({ sender: USER, remoteJid: GROUP }, queueItems(3, 'other@s.whatsapp.net'), false);
+
+        expect(result).toEqual({ allowed: false, reason: 'groupPending', params: { limit: 3 } });
+    });
+
+    test('enforces the daily allowance', () => {
+        useSettings({ enabled: true, dailySongsPerUser: 10 });
+        dbService.countSongRequestsSince.returns(10);
+
+        const result = checkQuota({ sender: USER, remoteJid: GROUP }, [], false);
+
+        expect(result).toEqual({ allowed: false, reason: 'daily', params: { limit: 10 } });
+        expect(dbService.countSongRequestsSince.firstCall.args[0]).toBe(USER);
+    });
+
+    test('allows the request when the daily count cannot be read', () => {
+        useSettings({ enabled: true, dailySongsPerUser: 10 });
+        dbService.countSongRequestsSince.throws(new Error('database is locked'));
+
+        expect(checkQuota({ sender: USER, remoteJid: GROUP }, [], false).allowed).toBe(true);
+    });
+
+    test('uses the VIP limits for priority users', () => {
+        useSettings({ enabled: true, vipMaxPendingPerUser: 0, vipMaxTrackMinutes: 30 });
+        const song = { sender: USER, remoteJid: GROUP, duration: 20 * 60 * 1000 };
+
+        expect(checkQuota(song, queueItems(10), true).allowed).toBe(true);
+        expect(checkQuota({ ...song, duration: 31 * 60 * 1000 }, [], true).reason).toBe('tooLong');
+    });
+
+    test('holds dashboard songs to the group and duration limits only', () => {
+        useSettings({ enabled: true, maxPendingPerUser: 1, maxPendingPerGroup: 3, dailySongsPerUser: 1 });
+        dbService.countSongRequestsSince.returns(5);
+        const song = { sender: 'WEB_DASHBOARD', remoteJid: GROUP };
+        const dashboardItems = queueItems(2, 'WEB_DASHBOARD');
+
+        expect(checkQuota(song, dashboardItems, false).allowed).toBe(true);
+        expect(dbService.countSongRequestsSince.called).toBe(false);
+        expect(checkQuota(song, queueItems(3, 'WEB_DASHBOARD'), false).reason).toBe('groupPending');
+        expect(checkQuota({ ...song, duration: 20 * 60 * 1000 }, [], false).reason).toBe('tooLong');
+    });
+});
+
+describe('createQuotaError', () => {
+    test('carries the reason, params and message key', () => {
+        const error = createQuotaError({ allowed: false, reason: 'daily', params: { limit: 10 } });
+
+        expect(error.name).toBe('QuotaExceededError');
+        expect(error.reason).toBe('daily');
+        expect(error.params).toEqual({ limit: 10 });
+        expect(error.messageKey).toBe('commands.quota.daily');
+    });
+});